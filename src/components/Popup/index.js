@@ -1,4 +1,17 @@
 // Export all popup components for easy importing
 export { default as BasePopupComponent } from './BasePopupComponent.vue'
 export { default as SettingsPopupComponent } from './SettingsPopupComponent.vue'
-export { default as UpdateOrganizationNodePopupComponent } from './UpdateOrganizationNodePopupComponent.vue'
\ No newline at end of file
+export { default as UpdateOrganizationNodePopupComponent } from './UpdateOrganizationNodePopupComponent.vue'
+export { default as IntegrityReportPopupComponent } from './IntegrityReportPopupComponent.vue'
+export { default as ManageSectionsPopupComponent } from './ManageSectionsPopupComponent.vue'
+export { default as RelationshipPopupComponent } from './RelationshipPopupComponent.vue'
+export { default as VersionDiffPopupComponent } from './VersionDiffPopupComponent.vue'
+export { default as MergeFactionPopupComponent } from './MergeFactionPopupComponent.vue'
+export { default as TemplateLibraryPopupComponent } from './TemplateLibraryPopupComponent.vue'
+export { default as PlayerRevealsPopupComponent } from './PlayerRevealsPopupComponent.vue'
+export { default as ExportMarkdownPopupComponent } from './ExportMarkdownPopupComponent.vue'
+export { default as ExportMindMapPopupComponent } from './ExportMindMapPopupComponent.vue'
+export { default as PrintSheetPopupComponent } from './PrintSheetPopupComponent.vue'
+export { default as ImportCsvPopupComponent } from './ImportCsvPopupComponent.vue'
+export { default as ExportGraphPopupComponent } from './ExportGraphPopupComponent.vue'
+export { default as ImportGraphPopupComponent } from './ImportGraphPopupComponent.vue'
@@ -2,12 +2,15 @@ import { createApp } from 'vue'
 import { createPinia } from 'pinia'
 import './style.css'
 import App from './App.vue'
+import PlayerViewComponent from './components/Player/PlayerViewComponent.vue'
 import TextareaComponent from './components/FormElements/TextareaComponent.vue'
 import SidebarComponent from './components/Layout/SidebarComponent.vue'
 import MindMapComponent from './components/MindMap/MindMapComponent.vue'
 import { useFactionStore } from './stores/faction'
+import { isPlayerView } from './services/revealService'
 
-const app = createApp(App)
+// ?view=player opens the read-only player view instead of the editor
+const app = createApp(isPlayerView() ? PlayerViewComponent : App)
 const pinia = createPinia()
 
 app.use(pinia)
@@ -0,0 +1,95 @@
+/**
+ * Autosave Service
+ * Debounced saving of the working copy to a recovery slot per faction.
+ * The recovery slot is kept apart from the saved versions so autosaves never push them out.
+ */
+
+import { StorageQuotaError, isQuotaError } from './versionStorageService'
+
+export const AUTOSAVE_STORAGE_KEY = 'faction-autosave'
+export const AUTOSAVE_DELAY = 1000
+
+export function getAutosaveStorageKey(factionId) {
+  return `${AUTOSAVE_STORAGE_KEY}-${factionId}`
+}
+
+/**
+ * Read the recovery slot of a faction, returns { savedAt, data } or null
+ */
+export function readAutosave(factionId) {
+  try {
+    const stored = localStorage.getItem(getAutosaveStorageKey(factionId))
+    if (!stored) return null
+
+    const entry = JSON.parse(stored)
+    if (!entry || typeof entry.savedAt !== 'string' || !entry.data || typeof entry.data !== 'object') {
+      return null
+    }
+    return entry
+  } catch (err) {
+    console.error('Error reading autosave from localStorage:', err)
+    return null
+  }
+}
+
+/**
+ * Write the recovery slot of a faction, returns the entry or null when it could not be written.
+ * Throws a StorageQuotaError when there is no space left, so the user can be told.
+ */
+export function writeAutosave(factionId, data) {
+  const entry = { savedAt: new Date().toISOString(), data }
+  try {
+    localStorage.setItem(getAutosaveStorageKey(factionId), JSON.stringify(entry))
+    return entry
+  } catch (err) {
+    console.error('Error writing autosave to localStorage:', err)
+    if (isQuotaError(err)) {
+      throw new StorageQuotaError('Not enough storage space to autosave the faction', err)
+    }
+    return null
+  }
+}
+
+export function clearAutosave(factionId) {
+  localStorage.removeItem(getAutosaveStorageKey(factionId))
+}
+
+/**
+ * Runs the save callback once changes stop coming in for `delay` milliseconds
+ */
+export class AutosaveService {
+  constructor(save, { delay = AUTOSAVE_DELAY } = {}) {
+    this.save = save
+    this.delay = delay
+    this.timer = null
+  }
+
+  get isPending() {
+    return this.timer !== null
+  }
+
+  schedule() {
+    this.cancel()
+    this.timer = setTimeout(() => {
+      this.timer = null
+      this.save()
+    }, this.delay)
+  }
+
+  /**
+   * Save a pending change right away, e.g. when the tab is closed
+   */
+  flush() {
+    if (!this.isPending) return false
+    this.cancel()
+    this.save()
+    return true
+  }
+
+  cancel() {
+    if (this.timer !== null) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+  }
+}
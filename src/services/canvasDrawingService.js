@@ -3,6 +3,95 @@
  * Handles all canvas rendering operations for the mind map
  */
 
+import { getRelationshipStyle, getRelationshipCurve, getCurvePoint, getParallelIndexes, getArrowHeadPoints } from './relationshipService'
+
+// Badge colors of the node statuses, active nodes get no badge
+export const STATUS_BADGE_COLORS = {
+  dead: '#475569',
+  missing: '#d97706',
+  captured: '#7c3aed'
+}
+
+/**
+ * Break text into lines at spaces once a line gets wider than `maxWidth`, `measure` returns the width of a line
+ */
+export function wrapText(text, maxWidth, measure) {
+  const words = text.split(' ')
+  const lines = []
+  let currentLine = words[0]
+
+  for (let i = 1; i < words.length; i++) {
+    const testLine = currentLine + ' ' + words[i]
+    if (measure(testLine) > maxWidth) {
+      lines.push(currentLine)
+      currentLine = words[i]
+    } else {
+      currentLine = testLine
+    }
+  }
+  lines.push(currentLine)
+  return lines
+}
+
+/**
+ * Place the labels of a connection at the middle of the line, one on each side of it and rotated along it.
+ * When the line points left the text is turned around so it never reads upside down.
+ */
+export function getConnectionLabelLayout(connection, fromNode, toNode) {
+  const dx = toNode.x - fromNode.x
+  const dy = toNode.y - fromNode.y
+
+  // Flip text if pointing left (angle between π/2 and 3π/2, or 90° to 270°)
+  let angle = Math.atan2(dy, dx)
+  const isPointingLeft = angle > Math.PI / 2 || angle < -Math.PI / 2
+  if (isPointingLeft) {
+    angle += Math.PI
+  }
+
+  // Perpendicular offset, its direction flips with the text
+  const offsetDistance = 13
+  const offsetMultiplier = isPointingLeft ? -1 : 1
+  const perpOffsetX = -Math.sin(angle) * offsetDistance * offsetMultiplier
+  const perpOffsetY = Math.cos(angle) * offsetDistance * offsetMultiplier
+  const middleX = fromNode.x + dx * 0.5
+  const middleY = fromNode.y + dy * 0.5
+
+  const labels = []
+  // From side label - positioned on bottom side of the line
+  if (connection.fromLabel) {
+    labels.push({
+      text: isPointingLeft ? '← ' + connection.fromLabel : connection.fromLabel + ' →',
+      x: middleX - perpOffsetX,
+      y: middleY - perpOffsetY
+    })
+  }
+  // To side label - positioned on top side of the line
+  if (connection.toLabel) {
+    labels.push({
+      text: isPointingLeft ? connection.toLabel + ' →' : '← ' + connection.toLabel,
+      x: middleX + perpOffsetX,
+      y: middleY + perpOffsetY
+    })
+  }
+
+  return { angle, labels }
+}
+
+/**
+ * Determine if a hex color is light, so text or borders on it should be dark
+ */
+export function isLightColor(hexColor) {
+  // Convert hex to RGB
+  const hex = hexColor.replace('#', '')
+  const r = parseInt(hex.substr(0, 2), 16)
+  const g = parseInt(hex.substr(2, 2), 16)
+  const b = parseInt(hex.substr(4, 2), 16)
+
+  // Calculate relative luminance
+  const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255
+  return luminance > 0.5
+}
+
 export class CanvasDrawingService {
   constructor(ctx) {
     this.ctx = ctx
@@ -20,24 +109,9 @@ export class CanvasDrawingService {
     const maxWidth = 200 // Maximum width before wrapping
     
     // Split text into words and wrap
-    const words = text.split(' ')
-    const lines = []
-    let currentLine = words[0]
-    let maxLineWidth = 0
-
-    for (let i = 1; i < words.length; i++) {
-      const testLine = currentLine + ' ' + words[i]
-      const metrics = this.ctx.measureText(testLine)
-      if (metrics.width > maxWidth - padding) {
-        lines.push(currentLine)
-        maxLineWidth = Math.max(maxLineWidth, this.ctx.measureText(currentLine).width)
-        currentLine = words[i]
-      } else {
-        currentLine = testLine
-      }
-    }
-    lines.push(currentLine)
-    maxLineWidth = Math.max(maxLineWidth, this.ctx.measureText(currentLine).width)
+    const measure = line => this.ctx.measureText(line).width
+    const lines = wrapText(text, maxWidth - padding, measure)
+    const maxLineWidth = Math.max(...lines.map(measure))
     
     // Calculate dimensions
     const width = Math.max(minWidth, maxLineWidth + padding)
@@ -78,6 +152,67 @@ export class CanvasDrawingService {
     })
   }
 
+  /**
+   * Draw typed relationships as curved, colored arrows so they stand apart from reporting lines
+   */
+  drawRelationships(relationships, nodes, highlightedId = null) {
+    const parallelIndexes = getParallelIndexes(relationships)
+
+    relationships.forEach((rel, i) => {
+      const fromNode = nodes.find(n => n.id === rel.from)
+      const toNode = nodes.find(n => n.id === rel.to)
+      if (!fromNode || !toNode) return
+
+      const style = getRelationshipStyle(rel.type)
+      const curve = getRelationshipCurve(fromNode, toNode, parallelIndexes[i])
+
+      this.ctx.save()
+      this.ctx.strokeStyle = style.color
+      this.ctx.fillStyle = style.color
+      this.ctx.lineWidth = rel.id === highlightedId ? 4 : 2
+      this.ctx.setLineDash(style.dash)
+      this.ctx.beginPath()
+      this.ctx.moveTo(curve.start.x, curve.start.y)
+      this.ctx.quadraticCurveTo(curve.control.x, curve.control.y, curve.end.x, curve.end.y)
+      this.ctx.stroke()
+      this.ctx.setLineDash([])
+
+      this.drawArrowHead(curve, toNode)
+      this.drawRelationshipLabel(curve, rel.label || style.label, style.color)
+      this.ctx.restore()
+    })
+  }
+
+  /**
+   * Draw an arrow head where the curve enters the target node
+   */
+  drawArrowHead(curve, toNode) {
+    const [tip, left, right] = getArrowHeadPoints(curve, toNode)
+
+    this.ctx.beginPath()
+    this.ctx.moveTo(tip.x, tip.y)
+    this.ctx.lineTo(left.x, left.y)
+    this.ctx.lineTo(right.x, right.y)
+    this.ctx.closePath()
+    this.ctx.fill()
+  }
+
+  /**
+   * Draw the label of a relationship on a white background at the middle of its curve
+   */
+  drawRelationshipLabel(curve, text, color) {
+    const middle = getCurvePoint(curve, 0.5)
+    this.ctx.font = 'italic 12px Inter, system-ui, sans-serif'
+    this.ctx.textAlign = 'center'
+    this.ctx.textBaseline = 'middle'
+    const width = this.ctx.measureText(text).width + 8
+
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)'
+    this.ctx.fillRect(middle.x - width / 2, middle.y - 8, width, 16)
+    this.ctx.fillStyle = color
+    this.ctx.fillText(text, middle.x, middle.y)
+  }
+
   /**
    * Draw labels on a connection
    */
@@ -90,52 +225,14 @@ export class CanvasDrawingService {
     this.ctx.textBaseline = 'middle'
     this.ctx.fillStyle = '#334155'
     
-    const dx = toNode.x - fromNode.x
-    const dy = toNode.y - fromNode.y
-    
-    // Calculate angle of the connection line
-    let angle = Math.atan2(dy, dx)
-    
-    // Flip text if pointing left (angle between π/2 and 3π/2, or 90° to 270°)
-    // This keeps text readable by rotating it 180° when upside down
-    const isPointingLeft = angle > Math.PI / 2 || angle < -Math.PI / 2
-    if (isPointingLeft) {
-      angle += Math.PI
-    }
-    
-    // Calculate perpendicular offset based on angle
-    const offsetDistance = 13
-    const perpOffsetX = -Math.sin(angle) * offsetDistance
-    const perpOffsetY = Math.cos(angle) * offsetDistance
-    
-    // Flip offset direction when text is flipped
-    const offsetMultiplier = isPointingLeft ? -1 : 1
-    
-    // From side label - positioned on bottom side of the line
-    if (connection.fromLabel) {
-      const fromX = fromNode.x + dx * 0.5
-      const fromY = fromNode.y + dy * 0.5
-      
-      this.ctx.save()
-      this.ctx.translate(fromX - perpOffsetX * offsetMultiplier, fromY - perpOffsetY * offsetMultiplier)
-      this.ctx.rotate(angle)
-      let fromLabelText = isPointingLeft ? "← " + connection.fromLabel : connection.fromLabel + " →"
-      this.ctx.fillText(fromLabelText, 0, 0)
-      this.ctx.restore()
-    }
-    
-    // To side label - positioned on top side of the line
-    if (connection.toLabel) {
-      const toX = fromNode.x + dx * 0.5
-      const toY = fromNode.y + dy * 0.5
-      
+    const { angle, labels } = getConnectionLabelLayout(connection, fromNode, toNode)
+    labels.forEach(label => {
       this.ctx.save()
-      this.ctx.translate(toX + perpOffsetX * offsetMultiplier, toY + perpOffsetY * offsetMultiplier)
+      this.ctx.translate(label.x, label.y)
       this.ctx.rotate(angle)
-      let toLabelText = isPointingLeft ? connection.toLabel + " →" : "← " + connection.toLabel
-      this.ctx.fillText(toLabelText, 0, 0)
+      this.ctx.fillText(label.text, 0, 0)
       this.ctx.restore()
-    }
+    })
     
     this.ctx.restore()
   }
@@ -144,21 +241,16 @@ export class CanvasDrawingService {
    * Helper function to determine if a color is light or dark
    */
   isLightColor(hexColor) {
-    // Convert hex to RGB
-    const hex = hexColor.replace('#', '')
-    const r = parseInt(hex.substr(0, 2), 16)
-    const g = parseInt(hex.substr(2, 2), 16)
-    const b = parseInt(hex.substr(4, 2), 16)
-    
-    // Calculate relative luminance
-    const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255
-    return luminance > 0.5
+    return isLightColor(hexColor)
   }
 
   /**
    * Draw a single node
    */
-  drawNode(node, isSelected = false, isHovered = false, isMultiSelected = false) {
+  drawNode(node, isSelected = false, isHovered = false, isMultiSelected = false, isDimmed = false) {
+    // Nodes hidden by the mind map filter are drawn faded
+    this.ctx.globalAlpha = isDimmed ? 0.25 : 1
+
     // Shadow for depth
     if (isSelected || isHovered || isMultiSelected) {
       this.ctx.shadowColor = 'rgba(0, 0, 0, 0.3)'
@@ -188,7 +280,14 @@ export class CanvasDrawingService {
       this.ctx.strokeStyle = '#1e293b'
       this.ctx.lineWidth = 1
     }
-    this.ctx.stroke()
+    // Missing members get a dashed outline
+    if (node.status === 'missing') {
+      this.ctx.setLineDash([6, 4])
+      this.ctx.stroke()
+      this.ctx.setLineDash([])
+    } else {
+      this.ctx.stroke()
+    }
 
     // Reset shadow
     this.ctx.shadowColor = 'transparent'
@@ -198,6 +297,76 @@ export class CanvasDrawingService {
 
     // Draw text
     this.drawNodeText(node)
+    this.drawNodeAttributes(node)
+
+    this.ctx.globalAlpha = 1
+  }
+
+  /**
+   * Draw the status badge, compromised marker, secret badge, loyalty bar and tags of a node
+   */
+  drawNodeAttributes(node) {
+    const left = node.x - node.width / 2
+    const top = node.y - node.height / 2
+    const bottom = node.y + node.height / 2
+
+    this.ctx.save()
+    this.ctx.font = 'bold 10px Inter, system-ui, sans-serif'
+    this.ctx.textBaseline = 'middle'
+
+    // Status badge above the top left corner
+    if (STATUS_BADGE_COLORS[node.status]) {
+      const label = node.status.toUpperCase()
+      const badgeWidth = this.ctx.measureText(label).width + 10
+      this.ctx.fillStyle = STATUS_BADGE_COLORS[node.status]
+      this.ctx.fillRect(left, top - 16, badgeWidth, 14)
+      this.ctx.fillStyle = '#ffffff'
+      this.ctx.textAlign = 'left'
+      this.ctx.fillText(label, left + 5, top - 9)
+    }
+
+    // Red marker on the top right corner when the players compromised the node
+    if (node.compromised) {
+      this.ctx.fillStyle = '#dc2626'
+      this.ctx.beginPath()
+      this.ctx.arc(left + node.width, top, 8, 0, Math.PI * 2)
+      this.ctx.fill()
+      this.ctx.fillStyle = '#ffffff'
+      this.ctx.textAlign = 'center'
+      this.ctx.fillText('!', left + node.width, top)
+    }
+
+    // Secret badge above the top right corner when the node has GM-only info
+    if (node.hasSecret) {
+      const label = 'SECRET'
+      const badgeWidth = this.ctx.measureText(label).width + 10
+      const badgeLeft = left + node.width - badgeWidth - (node.compromised ? 10 : 0)
+      this.ctx.fillStyle = '#b45309'
+      this.ctx.fillRect(badgeLeft, top - 16, badgeWidth, 14)
+      this.ctx.fillStyle = '#ffffff'
+      this.ctx.textAlign = 'left'
+      this.ctx.fillText(label, badgeLeft + 5, top - 9)
+    }
+
+    // Loyalty bar along the bottom edge, from red (0) to green (10)
+    if (typeof node.loyalty === 'number') {
+      const ratio = Math.min(1, Math.max(0, node.loyalty / 10))
+      this.ctx.fillStyle = 'rgba(15, 23, 42, 0.35)'
+      this.ctx.fillRect(left + 8, bottom - 6, node.width - 16, 3)
+      this.ctx.fillStyle = `hsl(${Math.round(ratio * 120)}, 70%, 45%)`
+      this.ctx.fillRect(left + 8, bottom - 6, (node.width - 16) * ratio, 3)
+    }
+
+    // Tags below the node
+    if (Array.isArray(node.tags) && node.tags.length > 0) {
+      this.ctx.font = '11px Inter, system-ui, sans-serif'
+      this.ctx.fillStyle = '#475569'
+      this.ctx.textAlign = 'center'
+      this.ctx.textBaseline = 'top'
+      this.ctx.fillText(node.tags.map(tag => `#${tag}`).join(' '), node.x, bottom + 4)
+    }
+
+    this.ctx.restore()
   }
 
   /**
@@ -210,21 +379,7 @@ export class CanvasDrawingService {
     this.ctx.textBaseline = 'middle'
 
     // Word wrap text
-    const words = node.text.split(' ')
-    const lines = []
-    let currentLine = words[0]
-
-    for (let i = 1; i < words.length; i++) {
-      const testLine = currentLine + ' ' + words[i]
-      const metrics = this.ctx.measureText(testLine)
-      if (metrics.width > node.width - 20) {
-        lines.push(currentLine)
-        currentLine = words[i]
-      } else {
-        currentLine = testLine
-      }
-    }
-    lines.push(currentLine)
+    const lines = wrapText(node.text, node.width - 20, line => this.ctx.measureText(line).width)
 
     const lineHeight = 18
     const startY = node.y - ((lines.length - 1) * lineHeight) / 2
@@ -237,12 +392,13 @@ export class CanvasDrawingService {
   /**
    * Draw all nodes
    */
-  drawNodes(nodes, selectedNodeId = null, hoveredNodeId = null, selectedNodeIds = []) {
+  drawNodes(nodes, selectedNodeId = null, hoveredNodeId = null, selectedNodeIds = [], dimmedNodeIds = []) {
     nodes.forEach(node => {
       const isSelected = selectedNodeId === node.id
       const isHovered = hoveredNodeId === node.id
       const isMultiSelected = selectedNodeIds.includes(node.id) && selectedNodeIds.length > 1
-      this.drawNode(node, isSelected, isHovered, isMultiSelected)
+      const isDimmed = dimmedNodeIds.includes(node.id)
+      this.drawNode(node, isSelected, isHovered, isMultiSelected, isDimmed)
     })
   }
 
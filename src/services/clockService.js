@@ -0,0 +1,68 @@
+/**
+ * Clock Service
+ * Segmented progress clocks that track the plans of a faction
+ */
+
+export const CLOCK_SEGMENT_OPTIONS = [4, 6, 8, 10, 12]
+export const DEFAULT_CLOCK_SEGMENTS = 4
+export const MIN_CLOCK_SEGMENTS = 2
+export const MAX_CLOCK_SEGMENTS = 12
+
+export function generateClockId() {
+  return `clock_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`
+}
+
+export function clampSegments(value) {
+  const number = Math.round(Number(value))
+  if (!Number.isFinite(number)) return DEFAULT_CLOCK_SEGMENTS
+  return Math.min(MAX_CLOCK_SEGMENTS, Math.max(MIN_CLOCK_SEGMENTS, number))
+}
+
+export function clampFilled(value, segments) {
+  const number = Math.round(Number(value))
+  if (!Number.isFinite(number)) return 0
+  return Math.min(segments, Math.max(0, number))
+}
+
+export function isClockComplete(clock) {
+  return clock.filled >= clock.segments
+}
+
+/**
+ * Keep only well formed clocks from loaded data: { id, name, segments, filled, nodeId, onComplete }
+ */
+export function normalizeClocks(clocks) {
+  if (!Array.isArray(clocks)) return []
+
+  return clocks
+    .filter(clock => clock && typeof clock === 'object')
+    .map(clock => {
+      const segments = clampSegments(clock.segments)
+      return {
+        id: typeof clock.id === 'string' && clock.id ? clock.id : generateClockId(),
+        name: typeof clock.name === 'string' ? clock.name : 'Untitled Clock',
+        segments,
+        filled: clampFilled(clock.filled, segments),
+        // The pyramid node driving the clock, '' when not linked
+        nodeId: typeof clock.nodeId === 'string' ? clock.nodeId : '',
+        onComplete: typeof clock.onComplete === 'string' ? clock.onComplete : ''
+      }
+    })
+}
+
+/**
+ * SVG paths of the segments of a clock drawn as a circle of `radius` around (radius, radius),
+ * clockwise from the top
+ */
+export function getClockSegmentPaths(segments, radius) {
+  const point = (index) => {
+    const angle = (index / segments) * 2 * Math.PI - Math.PI / 2
+    const x = radius + radius * Math.cos(angle)
+    const y = radius + radius * Math.sin(angle)
+    return `${Math.round(x * 1000) / 1000} ${Math.round(y * 1000) / 1000}`
+  }
+
+  return Array.from({ length: segments }, (_, i) => {
+    return `M ${radius} ${radius} L ${point(i)} A ${radius} ${radius} 0 0 1 ${point(i + 1)} Z`
+  })
+}
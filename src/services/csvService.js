@@ -0,0 +1,323 @@
+/**
+ * CSV Service
+ * Reads and writes the pyramid as a spreadsheet, one row per node
+ */
+
+import { NODE_STATUSES, LOYALTY_MIN, LOYALTY_MAX, defaultNodeAttributes, normalizeNodeAttributes, parseTags, clampLoyalty } from './nodeAttributesService'
+import { DEFAULT_NODE_COLOR, isValidColor, findManagerCycles } from './validationService'
+
+// Columns written by the export, in order. They cover the node fields the app edits,
+// any other field a node carries goes into the last column as JSON so a round trip keeps it.
+export const PYRAMID_CSV_COLUMNS = [
+  'id',
+  'name',
+  'manager',
+  'role',
+  'description',
+  'color',
+  'x',
+  'y',
+  'connectionFromLabel',
+  'connectionToLabel',
+  'status',
+  'tags',
+  'loyalty',
+  'compromised',
+  'secretDescription',
+  'otherFields'
+]
+
+export const PYRAMID_CSV_COLUMN_LABELS = {
+  id: 'Id',
+  name: 'Name',
+  manager: 'Manager',
+  role: 'Role',
+  description: 'Description',
+  color: 'Color',
+  x: 'X position',
+  y: 'Y position',
+  connectionFromLabel: 'Label on the manager side',
+  connectionToLabel: 'Label on the member side',
+  status: 'Status',
+  tags: 'Tags',
+  loyalty: 'Loyalty',
+  compromised: 'Compromised',
+  secretDescription: 'Secret description',
+  otherFields: 'Other fields (JSON)'
+}
+
+// Other header names spreadsheets use for the columns, compared without case, spaces or punctuation
+const COLUMN_ALIASES = {
+  id: ['key', 'nodeid'],
+  name: ['npc', 'character', 'member'],
+  manager: ['parent', 'boss', 'reportsto', 'managerid'],
+  role: ['title', 'position', 'rank'],
+  description: ['notes', 'details'],
+  color: ['colour'],
+  connectionFromLabel: ['fromlabel', 'managerlabel'],
+  connectionToLabel: ['tolabel', 'memberlabel'],
+  tags: ['tag'],
+  secretDescription: ['secret', 'gmnotes'],
+  otherFields: ['otherfieldsjson', 'extra', 'extrafields']
+}
+
+const DELIMITERS = [',', ';', '\t']
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+
+/**
+ * Guess the delimiter from the first line: the one of comma, semicolon and tab used most outside quotes
+ */
+export function detectDelimiter(text) {
+  const firstLine = String(text || '').split(/\r?\n/)[0].replace(/"[^"]*"/g, '')
+  let best = ','
+  let bestCount = 0
+  DELIMITERS.forEach(delimiter => {
+    const count = firstLine.split(delimiter).length - 1
+    if (count > bestCount) {
+      best = delimiter
+      bestCount = count
+    }
+  })
+  return best
+}
+
+/**
+ * Split CSV text into rows of cells. Quoted cells may hold delimiters, line breaks and doubled quotes.
+ * Blank lines are skipped.
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const source = String(text || '').replace(/^\uFEFF/, '')
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+
+  const endRow = () => {
+    row.push(cell)
+    if (row.length > 1 || row[0] !== '') rows.push(row)
+    row = []
+    cell = ''
+  }
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++
+      endRow()
+    } else {
+      cell += char
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow()
+
+  return rows
+}
+
+// How spreadsheets write booleans, compared in lower case
+const TRUE_CELLS = ['true', 'yes', 'y', '1', 'x']
+const FALSE_CELLS = ['false', 'no', 'n', '0']
+
+function formatCell(value) {
+  const text = value === undefined || value === null ? '' : String(value)
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Write rows of cells as CSV text with a header row, lines end with CRLF as spreadsheets expect
+ */
+export function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * The pyramid as CSV text with one row per node, secret descriptions are left empty unless `includeSecrets` is set
+ */
+export function pyramidToCsv(pyramid, { includeSecrets = true } = {}) {
+  const rows = Object.entries(pyramid || {}).map(([id, node]) => {
+    const attributes = normalizeNodeAttributes(node)
+    const otherFields = Object.entries(node).filter(([key]) => !PYRAMID_CSV_COLUMNS.includes(key))
+    const values = {
+      ...node,
+      id,
+      ...attributes,
+      tags: attributes.tags.join(', '),
+      secretDescription: includeSecrets ? node.secretDescription : '',
+      otherFields: otherFields.length > 0 ? JSON.stringify(Object.fromEntries(otherFields)) : ''
+    }
+    return PYRAMID_CSV_COLUMNS.map(column => values[column])
+  })
+  return toCsv(PYRAMID_CSV_COLUMNS, rows)
+}
+
+/**
+ * Match the header row to the pyramid columns by name or a known alias: { column: index or -1 }
+ */
+export function guessColumnMapping(header) {
+  const normalized = header.map(normalizeHeader)
+  const mapping = {}
+  PYRAMID_CSV_COLUMNS.forEach(column => {
+    const names = [normalizeHeader(column), ...(COLUMN_ALIASES[column] || [])]
+    mapping[column] = normalized.findIndex(name => names.includes(name))
+  })
+  return mapping
+}
+
+/**
+ * Build a pyramid from the data rows of a CSV file, `mapping` gives the cell index of each column (-1 for none).
+ * Managers are matched by id, or by name when that name is unique. Returns { pyramid, errors, warnings },
+ * the pyramid must not be imported while there are errors.
+ */
+export function csvToPyramid(rows, mapping) {
+  const errors = []
+  const warnings = []
+  // Text columns are kept as written, ids, numbers and attributes are trimmed
+  const text = (row, column) => {
+    const index = mapping[column]
+    return index === undefined || index < 0 ? '' : String(row[index] ?? '')
+  }
+  const cell = (row, column) => text(row, column).trim()
+
+  // Ids first, rows without one get the next free node-<n> id
+  const usedIds = new Set(rows.map(row => cell(row, 'id')).filter(Boolean))
+  let nextId = 1
+  const entries = []
+  rows.forEach((row, index) => {
+    const line = index + 2
+    let id = cell(row, 'id')
+    if (!id) {
+      while (usedIds.has(`node-${nextId}`)) nextId++
+      id = `node-${nextId}`
+      usedIds.add(id)
+    } else if (entries.some(entry => entry.id === id)) {
+      errors.push(`Row ${line}: the id "${id}" is used by an earlier row.`)
+      return
+    }
+    entries.push({ id, row, line })
+  })
+
+  const ids = new Set(entries.map(entry => entry.id))
+  const idsByName = {}
+  entries.forEach(({ id, row }) => {
+    const name = cell(row, 'name')
+    if (name) (idsByName[name] = idsByName[name] || []).push(id)
+  })
+
+  const hasPositions = mapping.x >= 0 && mapping.y >= 0 && entries.every(({ row }) => {
+    return cell(row, 'x') !== '' && cell(row, 'y') !== '' && Number.isFinite(Number(cell(row, 'x'))) && Number.isFinite(Number(cell(row, 'y')))
+  })
+  if (entries.length > 0 && (mapping.x >= 0 || mapping.y >= 0) && !hasPositions) {
+    warnings.push('Some rows have no valid x/y position, the mind map lays out the whole pyramid instead.')
+  }
+
+  const pyramid = {}
+  entries.forEach(({ id, row, line }) => {
+    const name = text(row, 'name')
+    if (!name.trim()) warnings.push(`Row ${line}: no name, the node is shown as "${id}".`)
+
+    let manager = cell(row, 'manager')
+    if (manager && !ids.has(manager)) {
+      const byName = idsByName[manager] || []
+      if (byName.length === 1) {
+        manager = byName[0]
+      } else {
+        errors.push(byName.length > 1
+          ? `Row ${line}: the manager "${manager}" matches several nodes by name, use its id.`
+          : `Row ${line}: the manager "${manager}" matches no id or name in the file.`)
+        manager = ''
+      }
+    }
+    if (manager === id) {
+      errors.push(`Row ${line}: "${name || id}" can't be its own manager.`)
+      manager = ''
+    }
+
+    let color = cell(row, 'color')
+    if (color && !isValidColor(color)) {
+      warnings.push(`Row ${line}: "${color}" is not a hex color, the default color is used.`)
+      color = ''
+    }
+
+    const attributes = defaultNodeAttributes()
+    const status = cell(row, 'status')
+    if (status) {
+      if (NODE_STATUSES.includes(status.toLowerCase())) {
+        attributes.status = status.toLowerCase()
+      } else {
+        warnings.push(`Row ${line}: "${status}" is not a status (${NODE_STATUSES.join(', ')}), "${attributes.status}" is used.`)
+      }
+    }
+    attributes.tags = parseTags(cell(row, 'tags'))
+    const loyalty = cell(row, 'loyalty')
+    if (loyalty) {
+      attributes.loyalty = clampLoyalty(loyalty)
+      if (!Number.isFinite(Number(loyalty))) {
+        warnings.push(`Row ${line}: "${loyalty}" is not a loyalty, ${attributes.loyalty} is used.`)
+      } else if (String(attributes.loyalty) !== String(Number(loyalty))) {
+        warnings.push(`Row ${line}: the loyalty ${loyalty} is not a whole number from ${LOYALTY_MIN} to ${LOYALTY_MAX}, ${attributes.loyalty} is used.`)
+      }
+    }
+    const compromised = cell(row, 'compromised')
+    if (TRUE_CELLS.includes(compromised.toLowerCase())) {
+      attributes.compromised = true
+    } else if (compromised && !FALSE_CELLS.includes(compromised.toLowerCase())) {
+      warnings.push(`Row ${line}: "${compromised}" is not a yes or no for compromised, no is used.`)
+    }
+
+    let otherFields = {}
+    const otherFieldsCell = cell(row, 'otherFields')
+    if (otherFieldsCell) {
+      let parsed = null
+      try {
+        parsed = JSON.parse(otherFieldsCell)
+      } catch (err) {
+        parsed = null
+      }
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        otherFields = Object.fromEntries(Object.entries(parsed).filter(([key]) => !PYRAMID_CSV_COLUMNS.includes(key)))
+      } else {
+        warnings.push(`Row ${line}: the other fields are not a JSON object, they are left out.`)
+      }
+    }
+
+    const node = {
+      ...otherFields,
+      name,
+      manager,
+      role: text(row, 'role'),
+      description: text(row, 'description'),
+      color: color || DEFAULT_NODE_COLOR,
+      ...attributes
+    }
+    if (manager) {
+      node.connectionFromLabel = text(row, 'connectionFromLabel')
+      node.connectionToLabel = text(row, 'connectionToLabel')
+    }
+    if (text(row, 'secretDescription')) node.secretDescription = text(row, 'secretDescription')
+    if (hasPositions) {
+      node.x = Number(cell(row, 'x'))
+      node.y = Number(cell(row, 'y'))
+    }
+    pyramid[id] = node
+  })
+
+  findManagerCycles(pyramid).forEach(cycle => {
+    errors.push(`The managers of ${cycle.map(id => `"${pyramid[id].name || id}"`).join(', ')} form a loop.`)
+  })
+
+  return { pyramid, errors, warnings }
+}
@@ -0,0 +1,271 @@
+/**
+ * Diff Service
+ * Compares two versions of a faction, field by field for the sections, node by node for the pyramid,
+ * clock by clock for the clocks and event by event for the timeline
+ */
+
+import { TEXT_FIELDS } from './migrationService'
+
+export const FIELD_LABELS = {
+  factionName: 'Faction Name',
+  summary: 'Summary',
+  mastermind: 'Mastermind',
+  motivations: 'Motivations',
+  members: 'Members',
+  methods: 'Methods',
+  machinations: 'Machinations',
+  mysteries: 'Mysteries',
+  notes: 'Notes'
+}
+
+const CUSTOM_SECTION_PREFIX = 'customSection:'
+
+// Word diffs of very long texts get expensive, those are compared line by line instead
+const MAX_WORD_DIFF_CELLS = 1000000
+
+export function getCustomSectionFieldKey(sectionId) {
+  return `${CUSTOM_SECTION_PREFIX}${sectionId}`
+}
+
+export function getCustomSectionId(fieldKey) {
+  return fieldKey.startsWith(CUSTOM_SECTION_PREFIX) ? fieldKey.slice(CUSTOM_SECTION_PREFIX.length) : null
+}
+
+function tokenize(text, byLine) {
+  if (!text) return []
+  return byLine ? text.split(/(\n)/) : text.split(/(\s+)/)
+}
+
+/**
+ * Text diff as a list of { type: 'equal' | 'added' | 'removed', text } parts
+ */
+export function diffText(oldText = '', newText = '') {
+  let oldTokens = tokenize(oldText, false)
+  let newTokens = tokenize(newText, false)
+  if (oldTokens.length * newTokens.length > MAX_WORD_DIFF_CELLS) {
+    oldTokens = tokenize(oldText, true)
+    newTokens = tokenize(newText, true)
+  }
+
+  // Longest common subsequence table, filled from the end
+  const rows = oldTokens.length
+  const cols = newTokens.length
+  const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1))
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      table[i][j] = oldTokens[i] === newTokens[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1])
+    }
+  }
+
+  const parts = []
+  const push = (type, text) => {
+    const last = parts[parts.length - 1]
+    if (last && last.type === type) {
+      last.text += text
+    } else {
+      parts.push({ type, text })
+    }
+  }
+
+  let i = 0
+  let j = 0
+  while (i < rows && j < cols) {
+    if (oldTokens[i] === newTokens[j]) {
+      push('equal', oldTokens[i])
+      i++
+      j++
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      push('removed', oldTokens[i])
+      i++
+    } else {
+      push('added', newTokens[j])
+      j++
+    }
+  }
+  while (i < rows) push('removed', oldTokens[i++])
+  while (j < cols) push('added', newTokens[j++])
+
+  return parts
+}
+
+/**
+ * Sections that differ between two faction documents: the fixed text fields and the custom sections.
+ * Returns [{ key, label, oldValue, newValue, parts }], oldValue or newValue is null when a custom section
+ * only exists in one of the versions.
+ */
+export function diffSections(oldData = {}, newData = {}) {
+  const changes = []
+
+  const fields = ['factionName', ...TEXT_FIELDS]
+  fields.forEach(field => {
+    const oldValue = oldData[field] || ''
+    const newValue = newData[field] || ''
+    if (oldValue !== newValue) {
+      changes.push({ key: field, label: FIELD_LABELS[field], oldValue, newValue, parts: diffText(oldValue, newValue) })
+    }
+  })
+
+  const oldSections = Array.isArray(oldData.customSections) ? oldData.customSections : []
+  const newSections = Array.isArray(newData.customSections) ? newData.customSections : []
+  const sectionIds = [...new Set([...oldSections, ...newSections].map(section => section.id))]
+
+  sectionIds.forEach(id => {
+    const oldSection = oldSections.find(section => section.id === id) || null
+    const newSection = newSections.find(section => section.id === id) || null
+    const oldValue = oldSection ? oldSection.content || '' : null
+    const newValue = newSection ? newSection.content || '' : null
+    const renamed = oldSection && newSection && oldSection.name !== newSection.name
+    if (oldValue === newValue && !renamed) return
+
+    const name = (newSection || oldSection).name
+    changes.push({
+      key: getCustomSectionFieldKey(id),
+      label: renamed ? `${oldSection.name} → ${newSection.name}` : name,
+      oldValue,
+      newValue,
+      parts: diffText(oldValue || '', newValue || '')
+    })
+  })
+
+  return changes
+}
+
+/**
+ * Node changes between two pyramids. Each entry carries the node id and name,
+ * changed nodes also carry the old and new value of the property.
+ */
+export function diffPyramid(oldPyramid = {}, newPyramid = {}) {
+  const result = { added: [], removed: [], renamed: [], reparented: [], recolored: [] }
+  const oldNodes = oldPyramid || {}
+  const newNodes = newPyramid || {}
+  const nameOf = (pyramid, id) => (pyramid[id] && pyramid[id].name) || id
+
+  Object.keys(newNodes).forEach(id => {
+    if (!oldNodes[id]) {
+      result.added.push({ id, name: nameOf(newNodes, id) })
+    }
+  })
+
+  Object.entries(oldNodes).forEach(([id, oldNode]) => {
+    const newNode = newNodes[id]
+    if (!newNode) {
+      result.removed.push({ id, name: nameOf(oldNodes, id) })
+      return
+    }
+
+    const name = nameOf(newNodes, id)
+    if ((oldNode.name || '') !== (newNode.name || '')) {
+      result.renamed.push({ id, name, from: oldNode.name || '', to: newNode.name || '' })
+    }
+    if ((oldNode.manager || '') !== (newNode.manager || '')) {
+      result.reparented.push({
+        id,
+        name,
+        from: oldNode.manager ? nameOf(oldNodes, oldNode.manager) : '',
+        to: newNode.manager ? nameOf(newNodes, newNode.manager) : ''
+      })
+    }
+    if ((oldNode.color || '') !== (newNode.color || '')) {
+      result.recolored.push({ id, name, from: oldNode.color || '', to: newNode.color || '' })
+    }
+  })
+
+  return result
+}
+
+export function hasPyramidChanges(pyramidDiff) {
+  return Object.values(pyramidDiff).some(list => list.length > 0)
+}
+
+/**
+ * Clock changes between two versions as [{ id, name, change: 'added' | 'removed' | 'changed', details }].
+ * `details` describes what changed in a changed clock, node links are named from the pyramids.
+ */
+export function diffClocks(oldClocks = [], newClocks = [], oldPyramid = {}, newPyramid = {}) {
+  const oldById = new Map((Array.isArray(oldClocks) ? oldClocks : []).map(clock => [clock.id, clock]))
+  const newById = new Map((Array.isArray(newClocks) ? newClocks : []).map(clock => [clock.id, clock]))
+  const nodeName = (pyramid, id) => {
+    if (!id) return 'no node'
+    return (pyramid && pyramid[id] && pyramid[id].name) || id
+  }
+  const progress = (clock) => `${clock.filled}/${clock.segments}`
+
+  const changes = []
+  newById.forEach((clock, id) => {
+    if (!oldById.has(id)) {
+      changes.push({ id, name: clock.name, change: 'added', details: [progress(clock)] })
+    }
+  })
+
+  oldById.forEach((oldClock, id) => {
+    const newClock = newById.get(id)
+    if (!newClock) {
+      changes.push({ id, name: oldClock.name, change: 'removed', details: [progress(oldClock)] })
+      return
+    }
+
+    const details = []
+    if (oldClock.name !== newClock.name) {
+      details.push(`Renamed ${oldClock.name} → ${newClock.name}`)
+    }
+    if (oldClock.filled !== newClock.filled || oldClock.segments !== newClock.segments) {
+      details.push(`Progress ${progress(oldClock)} → ${progress(newClock)}`)
+    }
+    if ((oldClock.nodeId || '') !== (newClock.nodeId || '')) {
+      details.push(`Linked ${nodeName(oldPyramid, oldClock.nodeId)} → ${nodeName(newPyramid, newClock.nodeId)}`)
+    }
+    if ((oldClock.onComplete || '') !== (newClock.onComplete || '')) {
+      details.push('Changed what happens on completion')
+    }
+    if (details.length > 0) {
+      changes.push({ id, name: newClock.name, change: 'changed', details })
+    }
+  })
+
+  return changes
+}
+
+/**
+ * Timeline changes between two versions as [{ id, title, change: 'added' | 'removed' | 'changed', details }]
+ */
+export function diffTimeline(oldTimeline = [], newTimeline = []) {
+  const oldById = new Map((Array.isArray(oldTimeline) ? oldTimeline : []).map(event => [event.id, event]))
+  const newById = new Map((Array.isArray(newTimeline) ? newTimeline : []).map(event => [event.id, event]))
+  const references = (event) => JSON.stringify([event.nodeIds || [], event.sectionKeys || []])
+
+  const changes = []
+  newById.forEach((event, id) => {
+    if (!oldById.has(id)) {
+      changes.push({ id, title: event.title, change: 'added', details: [event.date].filter(Boolean) })
+    }
+  })
+
+  oldById.forEach((oldEvent, id) => {
+    const newEvent = newById.get(id)
+    if (!newEvent) {
+      changes.push({ id, title: oldEvent.title, change: 'removed', details: [oldEvent.date].filter(Boolean) })
+      return
+    }
+
+    const details = []
+    if (oldEvent.title !== newEvent.title) {
+      details.push(`Renamed ${oldEvent.title} → ${newEvent.title}`)
+    }
+    if ((oldEvent.date || '') !== (newEvent.date || '')) {
+      details.push(`Dated ${oldEvent.date || 'undated'} → ${newEvent.date || 'undated'}`)
+    }
+    if ((oldEvent.description || '') !== (newEvent.description || '')) {
+      details.push('Changed the description')
+    }
+    if (references(oldEvent) !== references(newEvent)) {
+      details.push('Changed the nodes and sections it refers to')
+    }
+    if (details.length > 0) {
+      changes.push({ id, title: newEvent.title, change: 'changed', details })
+    }
+  })
+
+  return changes
+}
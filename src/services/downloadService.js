@@ -0,0 +1,22 @@
+/**
+ * Download Service
+ * Saves generated files through a temporary download link
+ */
+
+/**
+ * Make a file name out of a faction name, characters that file systems reject are dropped
+ */
+export function getExportFileName(name, extension) {
+  const base = String(name || '').replace(/[\\/:*?"<>|]+/g, '').trim() || 'unknown-faction'
+  return `${base}.${extension}`
+}
+
+export function downloadFile(content, fileName, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = fileName
+  a.click()
+  URL.revokeObjectURL(url)
+}
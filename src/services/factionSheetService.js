@@ -0,0 +1,150 @@
+/**
+ * Faction Sheet Service
+ * Builds the printable faction sheet, for the GM or as the players know the faction
+ */
+
+import { hasSecret, normalizeNodeAttributes } from './nodeAttributesService'
+import { normalizeRelationships } from './relationshipService'
+import { listRevealableSections, buildPlayerFaction, buildNodeTree } from './revealService'
+import { SvgDrawingService } from './svgDrawingService'
+import { getDiagramBounds } from './mindMapExportService'
+
+export const SHEET_VARIANTS = {
+  gm: 'GM Sheet',
+  player: 'Player Handout'
+}
+
+export const DEFAULT_SHEET_OPTIONS = {
+  variant: 'gm',
+  includeSecrets: true
+}
+
+// Spacing of the layout used when the pyramid has no saved positions
+const LEVEL_HEIGHT = 150
+const SIBLING_SPACING = 180
+
+/**
+ * Node centers from the mind map, or a top-down tree layout when some nodes were never placed
+ */
+export function getSheetPositions(pyramid) {
+  const positions = new Map()
+  const ids = Object.keys(pyramid || {})
+  const isPlaced = (node) => Number.isFinite(node.x) && Number.isFinite(node.y)
+
+  if (ids.every(id => isPlaced(pyramid[id]))) {
+    ids.forEach(id => positions.set(id, { x: pyramid[id].x, y: pyramid[id].y }))
+    return positions
+  }
+
+  // Leaves take the next free slot left to right, managers sit centered above their members
+  let nextSlot = 0
+  const place = (item, depth) => {
+    let x
+    if (item.children.length === 0) {
+      x = nextSlot++ * SIBLING_SPACING
+    } else {
+      const childXs = item.children.map(child => place(child, depth + 1))
+      x = (childXs[0] + childXs[childXs.length - 1]) / 2
+    }
+    positions.set(item.id, { x, y: depth * LEVEL_HEIGHT })
+    return x
+  }
+  buildNodeTree(pyramid).forEach(item => place(item, 0))
+  return positions
+}
+
+/**
+ * The org chart in the shape the drawing services take: { nodes, connections, relationships }.
+ * Player sheets leave out loyalty, tags and the compromised marker, like the player view does.
+ */
+export function buildSheetDiagram(pyramid, relationships, { variant = 'gm', includeSecrets = true, measureText } = {}) {
+  const drawingService = new SvgDrawingService({ measureText })
+  const positions = getSheetPositions(pyramid)
+
+  const nodes = Object.entries(pyramid || {}).map(([id, nodeData]) => {
+    const text = nodeData.name || id
+    const attributes = normalizeNodeAttributes(nodeData)
+    const node = {
+      id,
+      ...positions.get(id),
+      ...drawingService.calculateNodeSize(text),
+      text,
+      color: nodeData.color || (nodeData.manager ? '#3b82f6' : '#2563eb'),
+      status: attributes.status
+    }
+    if (variant === 'player') return node
+
+    return {
+      ...node,
+      ...attributes,
+      hasSecret: includeSecrets && hasSecret(nodeData)
+    }
+  })
+
+  const connections = Object.entries(pyramid || {})
+    .filter(([, nodeData]) => nodeData.manager && pyramid[nodeData.manager])
+    .map(([id, nodeData]) => ({
+      from: nodeData.manager,
+      to: id,
+      fromLabel: nodeData.connectionFromLabel || '',
+      toLabel: nodeData.connectionToLabel || ''
+    }))
+
+  return { nodes, connections, relationships }
+}
+
+/**
+ * The org chart as an SVG document that scales to the space it is printed in
+ */
+export function drawSheetChart(diagram, { measureText } = {}) {
+  if (diagram.nodes.length === 0) return ''
+
+  const drawingService = new SvgDrawingService({ measureText })
+  drawingService.drawConnections(diagram.connections, diagram.nodes)
+  drawingService.drawRelationships(diagram.relationships, diagram.nodes)
+  drawingService.drawNodes(diagram.nodes)
+  return drawingService.toSvg({ viewBox: getDiagramBounds(diagram, 10) })
+}
+
+/**
+ * Everything printed on the sheet: { variant, title, summary, sections: [{ key, label, text }], chart, secrets }.
+ * The player variant only holds what was revealed, `secrets` lists the GM-only node descriptions.
+ */
+export function buildFactionSheet(input, options = {}) {
+  const { variant, includeSecrets, measureText } = { ...DEFAULT_SHEET_OPTIONS, ...options }
+  const data = input || {}
+
+  let title
+  let sections
+  let pyramid
+  let relationships
+  if (variant === 'player') {
+    const player = buildPlayerFaction(data)
+    title = player.factionName
+    sections = player.sections
+    pyramid = player.pyramid
+    relationships = player.relationships
+  } else {
+    title = data.factionName || 'New Faction'
+    sections = listRevealableSections(data).filter(section => String(section.text || '').trim())
+    pyramid = data.pyramid && typeof data.pyramid === 'object' ? data.pyramid : {}
+    relationships = normalizeRelationships(data.relationships)
+  }
+
+  const summary = sections.find(section => section.key === 'summary')
+  const showSecrets = variant !== 'player' && includeSecrets
+  const diagram = buildSheetDiagram(pyramid, relationships, { variant, includeSecrets: showSecrets, measureText })
+
+  return {
+    variant,
+    title,
+    summary: summary ? summary.text : '',
+    sections: sections.filter(section => section.key !== 'summary'),
+    chart: drawSheetChart(diagram, { measureText }),
+    secrets: showSecrets
+      ? Object.entries(pyramid)
+        .filter(([, node]) => hasSecret(node))
+        .map(([id, node]) => ({ id, name: node.name || id, text: node.secretDescription.trim() }))
+      : []
+  }
+}
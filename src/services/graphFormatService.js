@@ -0,0 +1,505 @@
+/**
+ * Graph Format Service
+ * Writes the pyramid as a Mermaid flowchart or a Graphviz DOT graph for wikis,
+ * and builds pyramid nodes and manager links from simple graphs in either format
+ */
+
+import { defaultNodeAttributes } from './nodeAttributesService'
+import { DEFAULT_NODE_COLOR, isValidColor } from './validationService'
+import { isLightColor } from './canvasDrawingService'
+
+export const GRAPH_FORMATS = {
+  mermaid: 'Mermaid',
+  dot: 'Graphviz DOT'
+}
+
+// Words Mermaid reads as keywords, node ids get a suffix so they never clash with them
+const MERMAID_KEYWORDS = ['end', 'graph', 'flowchart', 'subgraph', 'style', 'class', 'classdef', 'click', 'linkstyle', 'direction']
+
+const MERMAID_HEADER = /^(?:flowchart|graph)(?:\s+(?:TB|TD|BT|RL|LR))?\s*$/i
+const MERMAID_SKIPPED = /^(?:%%|classDef\b|class\b|click\b|linkStyle\b|direction\b|subgraph\b|end$|accTitle\b|accDescr\b)/
+const MERMAID_STYLE = /^style\s+(\S+)\s+(.*)$/
+// '%% id mermaidId "pyramid id"', written for nodes whose id had to change for Mermaid
+const MERMAID_ID_COMMENT = /^%%\s*id\s+(\S+)\s+"([^"]*)"\s*$/
+// Hyphens are allowed inside ids as long as they don't start an arrow
+const MERMAID_ID = /^[A-Za-z0-9_]+(?:-(?![-.>=])[A-Za-z0-9_]+)*/
+const MERMAID_SHAPE_OPEN = /^(?:\(\[|\[\[|\[\(|\(\(\(|\(\(|\{\{|\[\/|\[\\|\[|\(|\{|>)/
+const MERMAID_LINK = /^(?:--\s*"([^"]*)"\s*-->|--\s+(.+?)\s+-->|<?-->|---|-\.+->|-\.+-|==+>|===+|--[ox])(?:\|"?([^|"]*)"?\|)?/
+
+const DOT_HEADER = /^\s*(?:strict\s+)?(?:di)?graph\b[^{]*\{/i
+
+/**
+ * The labels of a manager link as a single edge label: 'from / to', or just one of them
+ */
+function joinLabels(fromLabel, toLabel) {
+  if (fromLabel && toLabel) return `${fromLabel} / ${toLabel}`
+  if (toLabel) return `/ ${toLabel}`
+  return fromLabel || ''
+}
+
+// Split at the first '/', Mermaid exports escape slashes inside the labels so they don't split them
+function splitLabel(label) {
+  const text = String(label || '').trim()
+  const index = text.indexOf('/')
+  if (index === -1) return { fromLabel: text, toLabel: '' }
+  return { fromLabel: text.slice(0, index).trim(), toLabel: text.slice(index + 1).trim() }
+}
+
+// Manager links in the pyramid, only to managers that exist
+function managerLinks(pyramid) {
+  return Object.entries(pyramid)
+    .filter(([id, node]) => node.manager && node.manager !== id && pyramid[node.manager])
+    .map(([id, node]) => ({ from: node.manager, to: id, fromLabel: node.connectionFromLabel || '', toLabel: node.connectionToLabel || '' }))
+}
+
+const oneLine = (text) => String(text || '').replace(/\s+/g, ' ').trim()
+
+function escapeMermaid(text) {
+  return oneLine(text).replace(/#/g, '#35;').replace(/"/g, '#quot;')
+}
+
+// Ids are kept exactly, line breaks included
+const escapeMermaidId = (id) => id.replace(/#/g, '#35;').replace(/"/g, '#quot;').replace(/\r/g, '#13;').replace(/\n/g, '#10;')
+const unescapeMermaidId = (id) => id.replace(/#quot;/g, '"').replace(/#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+
+function unescapeMermaid(text) {
+  return String(text || '')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/#quot;/g, '"')
+    .replace(/#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .trim()
+}
+
+/**
+ * The pyramid as a Mermaid flowchart, manager links point from the manager to the member
+ * and carry the connection labels as 'from / to'. Ids Mermaid can't use are renamed,
+ * a '%% id' comment keeps the original for the import.
+ */
+export function pyramidToMermaid(pyramid, { direction = 'TD' } = {}) {
+  const nodes = pyramid && typeof pyramid === 'object' ? pyramid : {}
+  const ids = {}
+  const used = new Set()
+  Object.keys(nodes).forEach(id => {
+    let base = id.replace(/[^A-Za-z0-9_]/g, '_')
+    if (/^\d/.test(base)) base = `n${base}`
+    if (MERMAID_KEYWORDS.includes(base.toLowerCase())) base = `${base}_`
+    let mermaidId = base
+    for (let i = 2; used.has(mermaidId); i++) mermaidId = `${base}_${i}`
+    used.add(mermaidId)
+    ids[id] = mermaidId
+  })
+
+  const lines = [`flowchart ${direction}`]
+  Object.keys(nodes).forEach(id => {
+    if (ids[id] !== id) lines.push(`    %% id ${ids[id]} "${escapeMermaidId(id)}"`)
+  })
+  Object.entries(nodes).forEach(([id, node]) => {
+    lines.push(`    ${ids[id]}["${escapeMermaid(node.name || id)}"]`)
+  })
+  managerLinks(nodes).forEach(link => {
+    // Slashes would split the label and bars would end the link label
+    const escapeLabel = (text) => escapeMermaid(text).replace(/\//g, '#47;').replace(/\|/g, '#124;')
+    const label = joinLabels(escapeLabel(link.fromLabel), escapeLabel(link.toLabel))
+    lines.push(`    ${ids[link.from]} -->${label ? `|"${label}"|` : ''} ${ids[link.to]}`)
+  })
+  Object.entries(nodes).forEach(([id, node]) => {
+    if (isValidColor(node.color) && node.color.length === 7) {
+      lines.push(`    style ${ids[id]} fill:${node.color},color:${isLightColor(node.color) ? '#1e293b' : '#ffffff'}`)
+    }
+  })
+  return `${lines.join('\n')}\n`
+}
+
+const dotString = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`
+
+/**
+ * The pyramid as a Graphviz digraph, the connection labels become tail and head labels of the links
+ */
+export function pyramidToDot(pyramid, { name = 'Faction' } = {}) {
+  const nodes = pyramid && typeof pyramid === 'object' ? pyramid : {}
+  const lines = [
+    `digraph ${dotString(oneLine(name) || 'Faction')} {`,
+    '    rankdir=TB;',
+    '    node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+    '    edge [fontname="Helvetica", fontsize=10];'
+  ]
+
+  Object.entries(nodes).forEach(([id, node]) => {
+    const color = isValidColor(node.color) && node.color.length === 7 ? node.color : DEFAULT_NODE_COLOR
+    const fontColor = isLightColor(color) ? '#1e293b' : '#ffffff'
+    lines.push(`    ${dotString(id)} [label=${dotString(oneLine(node.name) || id)}, fillcolor="${color}", fontcolor="${fontColor}"];`)
+  })
+  managerLinks(nodes).forEach(link => {
+    const attributes = []
+    if (oneLine(link.fromLabel)) attributes.push(`taillabel=${dotString(oneLine(link.fromLabel))}`)
+    if (oneLine(link.toLabel)) attributes.push(`headlabel=${dotString(oneLine(link.toLabel))}`)
+    lines.push(`    ${dotString(link.from)} -> ${dotString(link.to)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`)
+  })
+
+  lines.push('}')
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * Collects the nodes and edges read from a graph, in the order they first appear
+ */
+function createGraph() {
+  const nodes = new Map()
+  const edges = []
+  return {
+    nodes,
+    edges,
+    addNode(id, changes = {}) {
+      const node = nodes.get(id) || { name: '', color: '' }
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value) node[key] = value
+      })
+      nodes.set(id, node)
+    },
+    addEdge(from, to, labels) {
+      this.addNode(from)
+      this.addNode(to)
+      edges.push({ from, to, ...labels })
+    }
+  }
+}
+
+/**
+ * Give the nodes of the graph back the ids they had in the pyramid, `renames` maps graph ids to them
+ */
+function restoreIds(graph, renames, warnings) {
+  const ids = Array.from(graph.nodes.keys())
+  const restoredIds = new Map(ids.map(id => [id, renames.has(id) ? renames.get(id) : id]))
+  if (new Set(restoredIds.values()).size !== ids.length) {
+    warnings.push('The "%% id" comments give several nodes the same id, the Mermaid ids are used instead.')
+    return graph
+  }
+
+  const restored = createGraph()
+  graph.nodes.forEach((node, id) => restored.addNode(restoredIds.get(id), node))
+  graph.edges.forEach(edge => {
+    restored.edges.push({ ...edge, from: restoredIds.get(edge.from), to: restoredIds.get(edge.to) })
+  })
+  return restored
+}
+
+/**
+ * Turn the graph into pyramid nodes, each edge makes its source the manager of its target.
+ * Nodes keep the first manager they get, links that would make someone their own manager are left out.
+ */
+function graphToPyramid(graph, warnings) {
+  const pyramid = {}
+  graph.nodes.forEach((node, id) => {
+    pyramid[id] = {
+      ...defaultNodeAttributes(),
+      name: node.name || id,
+      manager: '',
+      role: '',
+      description: '',
+      color: isValidColor(node.color) ? node.color : DEFAULT_NODE_COLOR
+    }
+  })
+
+  const reportsTo = (id, managerId) => {
+    const seen = new Set()
+    let current = id
+    while (current && !seen.has(current)) {
+      if (current === managerId) return true
+      seen.add(current)
+      current = pyramid[current].manager
+    }
+    return false
+  }
+
+  graph.edges.forEach(edge => {
+    const member = pyramid[edge.to]
+    if (edge.from === edge.to) {
+      warnings.push(`"${member.name}" links to itself, the link is left out.`)
+    } else if (member.manager) {
+      warnings.push(`"${member.name}" already reports to "${pyramid[member.manager].name}", the link from "${pyramid[edge.from].name}" is left out.`)
+    } else if (reportsTo(edge.from, edge.to)) {
+      warnings.push(`The link from "${pyramid[edge.from].name}" to "${member.name}" would close a loop, it is left out.`)
+    } else {
+      member.manager = edge.from
+      member.connectionFromLabel = edge.fromLabel || ''
+      member.connectionToLabel = edge.toLabel || ''
+    }
+  })
+
+  return pyramid
+}
+
+// Split text into statements at line breaks and semicolons outside quotes
+function splitStatements(text) {
+  const statements = []
+  let current = ''
+  let inQuotes = false
+  String(text || '').split('\n').forEach(line => {
+    // A '%%' comment is the whole line, a quote in it doesn't start a string
+    if (!inQuotes && !current.trim() && line.trim().startsWith('%%')) {
+      statements.push(line.replace(/\r$/, ''))
+      current = ''
+      return
+    }
+    for (const char of line) {
+      if (char === '"') inQuotes = !inQuotes
+      if (!inQuotes && char === ';') {
+        statements.push(current)
+        current = ''
+      } else if (char !== '\r') {
+        current += char
+      }
+    }
+    if (inQuotes) {
+      current += '\n'
+    } else {
+      statements.push(current)
+      current = ''
+    }
+  })
+  statements.push(current)
+  return statements.map(statement => statement.trim()).filter(Boolean)
+}
+
+/**
+ * Read a node reference with its optional shape and label: id, id[Label], id("Label"), id{{Label}}, ...
+ * Returns { id, name, rest } or null
+ */
+function readMermaidNode(text) {
+  const idMatch = text.match(MERMAID_ID)
+  if (!idMatch) return null
+
+  const id = idMatch[0]
+  let rest = text.slice(id.length)
+  let name = ''
+  const open = rest.match(MERMAID_SHAPE_OPEN)
+  if (open) {
+    rest = rest.slice(open[0].length)
+    if (rest.startsWith('"')) {
+      const end = rest.indexOf('"', 1)
+      if (end === -1) return null
+      name = rest.slice(1, end)
+      rest = rest.slice(end + 1)
+    } else {
+      const end = rest.search(/[\])}]/)
+      if (end === -1) return null
+      name = rest.slice(0, end)
+      rest = rest.slice(end)
+    }
+    const close = rest.match(/^[\])}/\\]+/)
+    if (!close) return null
+    rest = rest.slice(close[0].length)
+  }
+  return { id, name: unescapeMermaid(name), rest: rest.trim() }
+}
+
+/**
+ * Build a pyramid from a Mermaid flowchart. Node definitions, chained links, link labels,
+ * 'style id fill:#hex' lines and the '%% id' comments of an export are read,
+ * other diagram features are skipped with a warning. Returns { pyramid, errors, warnings }
+ */
+export function mermaidToPyramid(text) {
+  const errors = []
+  const warnings = []
+  const renames = new Map()
+  const statements = splitStatements(text).filter(statement => {
+    const idComment = statement.match(MERMAID_ID_COMMENT)
+    if (idComment) renames.set(idComment[1], unescapeMermaidId(idComment[2]))
+    return !statement.startsWith('%%')
+  })
+  if (statements.length === 0 || !MERMAID_HEADER.test(statements[0])) {
+    return { pyramid: {}, errors: ['The text does not start with "flowchart" or "graph" and a direction.'], warnings }
+  }
+
+  const graph = createGraph()
+  statements.slice(1).forEach(statement => {
+    const style = statement.match(MERMAID_STYLE)
+    if (style) {
+      const fill = style[2].match(/fill:\s*(#[0-9a-f]{3,6})\b/i)
+      if (fill) graph.addNode(style[1], { color: fill[1] })
+      return
+    }
+    if (MERMAID_SKIPPED.test(statement)) return
+
+    let node = readMermaidNode(statement)
+    const parsed = []
+    while (node) {
+      parsed.push(node)
+      const link = node.rest.match(MERMAID_LINK)
+      if (!link) break
+      node = readMermaidNode(node.rest.slice(link[0].length).trim())
+      if (node) node.label = link[1] || link[2] || link[3] || ''
+    }
+
+    const last = parsed[parsed.length - 1]
+    if (!node || !last || last.rest !== '') {
+      warnings.push(`Skipped "${statement}", only nodes and links are imported.`)
+      return
+    }
+    parsed.forEach((item, i) => {
+      graph.addNode(item.id, { name: item.name })
+      if (i > 0) {
+        const { fromLabel, toLabel } = splitLabel(item.label)
+        graph.addEdge(parsed[i - 1].id, item.id, { fromLabel: unescapeMermaid(fromLabel), toLabel: unescapeMermaid(toLabel) })
+      }
+    })
+  })
+
+  if (graph.nodes.size === 0) errors.push('The flowchart has no nodes.')
+  return { pyramid: graphToPyramid(restoreIds(graph, renames, warnings), warnings), errors, warnings }
+}
+
+const DOT_TOKEN = /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|^#[^\n]*|"(?:\\[\s\S]|[^"\\])*"|<[^<>]*>|->|--|[[\]{}=;,:]|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.\d+|\d+(?:\.\d*)?)/gmy
+
+function tokenizeDot(text) {
+  const tokens = []
+  const source = String(text || '')
+  DOT_TOKEN.lastIndex = 0
+  while (DOT_TOKEN.lastIndex < source.length) {
+    const start = DOT_TOKEN.lastIndex
+    const match = DOT_TOKEN.exec(source)
+    if (!match) throw new Error(`Unexpected "${source.slice(start, start + 10)}" in the DOT graph.`)
+    const token = match[0]
+    if (/^\s/.test(token) || token.startsWith('//') || token.startsWith('/*') || token.startsWith('#')) continue
+
+    if (token.startsWith('"')) {
+      tokens.push({ type: 'id', value: token.slice(1, -1).replace(/\\\r?\n/g, '').replace(/\\([\s\S])/g, (m, char) => {
+        // \N stands for the node id, \n, \l and \r are line breaks
+        if (char === 'N') return m
+        return 'nlr'.includes(char) ? ' ' : char
+      }) })
+    } else if (token.startsWith('<') && token.length > 1) {
+      tokens.push({ type: 'id', value: token.slice(1, -1).replace(/<[^>]*>/g, '') })
+    } else if (/^[[\]{}=;,:]$|^-[->]$/.test(token)) {
+      tokens.push({ type: token, value: token })
+    } else {
+      tokens.push({ type: 'id', value: token })
+    }
+  }
+  return tokens
+}
+
+/**
+ * Build a pyramid from a Graphviz graph. Node statements, edge chains and the label, fillcolor/color,
+ * taillabel/headlabel and label attributes are read, subgraphs are flattened.
+ * Returns { pyramid, errors, warnings }
+ */
+export function dotToPyramid(text) {
+  const warnings = []
+  let tokens
+  try {
+    tokens = tokenizeDot(text)
+  } catch (err) {
+    return { pyramid: {}, errors: [err.message], warnings }
+  }
+
+  let i = 0
+  const peek = (offset = 0) => tokens[i + offset] || { type: 'eof', value: '' }
+  const next = () => tokens[i++] || { type: 'eof', value: '' }
+  const isKeyword = (token, word) => token.type === 'id' && token.value.toLowerCase() === word
+
+  if (isKeyword(peek(), 'strict')) next()
+  if (!isKeyword(peek(), 'digraph') && !isKeyword(peek(), 'graph')) {
+    return { pyramid: {}, errors: ['The text does not start with "digraph" or "graph".'], warnings }
+  }
+  next()
+  if (peek().type === 'id') next()
+  if (next().type !== '{') {
+    return { pyramid: {}, errors: ['The graph body is missing its "{".'], warnings }
+  }
+
+  const readAttributes = () => {
+    const attributes = {}
+    while (peek().type === '[') {
+      next()
+      while (peek().type !== ']' && peek().type !== 'eof') {
+        const key = next()
+        if (peek().type === '=') {
+          next()
+          attributes[key.value.toLowerCase()] = next().value
+        }
+        if (peek().type === ',' || peek().type === ';') next()
+      }
+      next()
+    }
+    return attributes
+  }
+  // A node id, ports (id:port) are dropped
+  const readNodeId = () => {
+    const id = next().value
+    while (peek().type === ':') {
+      next()
+      next()
+    }
+    return id
+  }
+
+  const graph = createGraph()
+  let depth = 0
+  while (peek().type !== 'eof') {
+    const token = peek()
+    if (token.type === '}') {
+      next()
+      if (depth === 0) break
+      depth--
+    } else if (token.type === '{') {
+      next()
+      depth++
+    } else if (token.type === ';' || token.type === ',') {
+      next()
+    } else if (isKeyword(token, 'subgraph')) {
+      next()
+      if (peek().type === 'id') next()
+    } else if (['node', 'edge', 'graph'].some(word => isKeyword(token, word)) && peek(1).type === '[') {
+      next()
+      readAttributes()
+    } else if (token.type === 'id' && peek(1).type === '=') {
+      next()
+      next()
+      next()
+    } else if (token.type === 'id') {
+      const chain = [readNodeId()]
+      while (peek().type === '->' || peek().type === '--') {
+        next()
+        if (peek().type !== 'id') break
+        chain.push(readNodeId())
+      }
+      const attributes = readAttributes()
+      if (chain.length === 1) {
+        const label = attributes.label && attributes.label !== '\\N' ? attributes.label : ''
+        graph.addNode(chain[0], { name: label.trim(), color: attributes.fillcolor || attributes.color || '' })
+      } else {
+        const labels = {
+          fromLabel: (attributes.taillabel || attributes.label || attributes.xlabel || '').trim(),
+          toLabel: (attributes.headlabel || '').trim()
+        }
+        for (let j = 1; j < chain.length; j++) graph.addEdge(chain[j - 1], chain[j], labels)
+      }
+    } else {
+      warnings.push(`Skipped "${token.value}", only nodes and edges are imported.`)
+      next()
+    }
+  }
+
+  const errors = graph.nodes.size === 0 ? ['The graph has no nodes.'] : []
+  return { pyramid: graphToPyramid(graph, warnings), errors, warnings }
+}
+
+/**
+ * 'dot' or 'mermaid' by the first statement of the text, null when it is neither
+ */
+export function detectGraphFormat(text) {
+  if (DOT_HEADER.test(String(text || '').replace(/^\s*(?:\/\/[^\n]*\n|\/\*[\s\S]*?\*\/|#[^\n]*\n|\s)*/, ''))) return 'dot'
+  const first = splitStatements(text).find(statement => !statement.startsWith('%%'))
+  return first && MERMAID_HEADER.test(first) ? 'mermaid' : null
+}
+
+/**
+ * Build a pyramid from Mermaid or DOT text, whichever it is. Returns { format, pyramid, errors, warnings }
+ */
+export function graphTextToPyramid(text) {
+  const format = detectGraphFormat(text)
+  if (format === 'dot') return { format, ...dotToPyramid(text) }
+  if (format === 'mermaid') return { format, ...mermaidToPyramid(text) }
+  return { format, pyramid: {}, errors: ['Paste a Mermaid flowchart ("flowchart TD") or a Graphviz graph ("digraph { ... }").'], warnings: [] }
+}
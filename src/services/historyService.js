@@ -0,0 +1,116 @@
+/**
+ * History Service
+ * Keeps the undo/redo stacks of document commands.
+ * A command holds the `before` and `after` values of every key it changed,
+ * undoing or redoing it hands those values to the `apply` callback.
+ */
+
+export class HistoryService {
+  constructor(apply, { limit = 100, coalesceWindow = 1000, now = () => Date.now() } = {}) {
+    this.apply = apply
+    this.limit = limit
+    this.coalesceWindow = coalesceWindow
+    this.now = now
+    this.undoStack = []
+    this.redoStack = []
+    this.group = null
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0 || (this.group !== null && Object.keys(this.group.after).length > 0)
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0
+  }
+
+  /**
+   * Record a command. Commands with the same coalesceKey made within the
+   * coalesce window, or inside an open group, are merged into one step.
+   */
+  push({ label, before, after, coalesceKey = null }) {
+    const timestamp = this.now()
+
+    if (this.group) {
+      this.mergeInto(this.group, before, after)
+      this.group.timestamp = timestamp
+      return
+    }
+
+    const top = this.undoStack[this.undoStack.length - 1]
+    if (
+      top &&
+      coalesceKey !== null &&
+      top.coalesceKey === coalesceKey &&
+      timestamp - top.timestamp <= this.coalesceWindow
+    ) {
+      this.mergeInto(top, before, after)
+      top.timestamp = timestamp
+      this.redoStack = []
+      return
+    }
+
+    this.addCommand({ label, before: { ...before }, after: { ...after }, coalesceKey, timestamp })
+  }
+
+  /**
+   * Merge a change into an existing command, keeping the oldest before value
+   */
+  mergeInto(command, before, after) {
+    Object.keys(after).forEach(key => {
+      if (!(key in command.before)) {
+        command.before[key] = before[key]
+      }
+      command.after[key] = after[key]
+    })
+  }
+
+  addCommand(command) {
+    this.undoStack.push(command)
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift()
+    }
+    this.redoStack = []
+  }
+
+  /**
+   * Start collecting every pushed change into a single step, e.g. during a drag
+   */
+  beginGroup(label) {
+    if (this.group) return
+    this.group = { label, before: {}, after: {}, coalesceKey: null, timestamp: this.now() }
+  }
+
+  endGroup() {
+    const group = this.group
+    this.group = null
+    if (group && Object.keys(group.after).length > 0) {
+      this.addCommand(group)
+    }
+  }
+
+  undo() {
+    this.endGroup()
+    const command = this.undoStack.pop()
+    if (!command) return null
+
+    this.apply(command.before)
+    this.redoStack.push(command)
+    return command
+  }
+
+  redo() {
+    const command = this.redoStack.pop()
+    if (!command) return null
+
+    this.apply(command.after)
+    this.undoStack.push(command)
+    return command
+  }
+
+  clear() {
+    this.undoStack = []
+    this.redoStack = []
+    this.group = null
+  }
+}
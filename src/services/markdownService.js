@@ -0,0 +1,121 @@
+/**
+ * Markdown Service
+ * Writes a faction as a Markdown dossier for wikis and session notes
+ */
+
+import { stripSecrets } from './nodeAttributesService'
+import { normalizeRelationships } from './relationshipService'
+import { normalizeClocks } from './clockService'
+import { normalizeTimeline } from './timelineService'
+import { listRevealableSections, buildNodeTree, getRelationshipTypeLabel } from './revealService'
+
+export const DEFAULT_MARKDOWN_OPTIONS = {
+  includeSecrets: true,
+  includeEmptySections: false
+}
+
+// List items and headings hold one line, line breaks in their text become spaces
+function inline(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim()
+}
+
+function nodeName(pyramid, id) {
+  return inline(pyramid[id] && pyramid[id].name) || id
+}
+
+/**
+ * One outline line per node: **Name** _(Role)_ [status]: description, followed by its secret
+ */
+function formatNode(node, includeSecrets) {
+  let line = `**${inline(node.name) || '(unnamed)'}**`
+  if (inline(node.role)) line += ` _(${inline(node.role)})_`
+  if (node.status && node.status !== 'active') line += ` [${node.status}]`
+  if (inline(node.description)) line += `: ${inline(node.description)}`
+  if (includeSecrets && inline(node.secretDescription)) line += ` **Secret:** ${inline(node.secretDescription)}`
+  return line
+}
+
+function outlineLines(items, includeSecrets, depth = 0) {
+  return items.flatMap(item => [
+    `${'  '.repeat(depth)}- ${formatNode(item.node, includeSecrets)}`,
+    ...outlineLines(item.children, includeSecrets, depth + 1)
+  ])
+}
+
+/**
+ * Relationship lines: the labels of manager links first, then the relationships drawn between nodes
+ */
+function relationshipLines(pyramid, relationships) {
+  const lines = []
+  Object.entries(pyramid).forEach(([id, node]) => {
+    if (!node.manager || !pyramid[node.manager]) return
+    const fromLabel = inline(node.connectionFromLabel)
+    const toLabel = inline(node.connectionToLabel)
+    if (!fromLabel && !toLabel) return
+
+    const from = `**${nodeName(pyramid, node.manager)}**${fromLabel ? ` (${fromLabel})` : ''}`
+    const to = `**${nodeName(pyramid, id)}**${toLabel ? ` (${toLabel})` : ''}`
+    lines.push(`- ${from} → ${to}`)
+  })
+
+  relationships.forEach(rel => {
+    if (!pyramid[rel.from] || !pyramid[rel.to]) return
+    const label = inline(rel.label)
+    lines.push(`- **${nodeName(pyramid, rel.from)}** → **${nodeName(pyramid, rel.to)}**: ${getRelationshipTypeLabel(rel.type)}${label ? ` (${label})` : ''}`)
+  })
+  return lines
+}
+
+/**
+ * The faction as a Markdown document: every section as a heading, the pyramid as a nested outline,
+ * connection labels and relationships as lines, then the clocks and the timeline.
+ * Secret node descriptions are left out unless `includeSecrets` is set.
+ */
+export function factionToMarkdown(input, options = {}) {
+  const { includeSecrets, includeEmptySections } = { ...DEFAULT_MARKDOWN_OPTIONS, ...options }
+  const data = includeSecrets ? (input || {}) : stripSecrets(input || {})
+  const pyramid = data.pyramid && typeof data.pyramid === 'object' ? data.pyramid : {}
+  const lines = [`# ${inline(data.factionName) || 'New Faction'}`, '']
+  const addBlock = (heading, blockLines) => {
+    lines.push(`## ${heading}`, '', ...blockLines, '')
+  }
+
+  listRevealableSections(data).forEach(section => {
+    const text = String(section.text || '').trim()
+    if (text) {
+      addBlock(inline(section.label), [text])
+    } else if (includeEmptySections) {
+      addBlock(inline(section.label), ['_Nothing written yet._'])
+    }
+  })
+
+  const tree = buildNodeTree(pyramid)
+  if (tree.length > 0) {
+    addBlock('Organization', outlineLines(tree, includeSecrets))
+  }
+
+  const relationships = relationshipLines(pyramid, normalizeRelationships(data.relationships))
+  if (relationships.length > 0) {
+    addBlock('Relationships', relationships)
+  }
+
+  const clocks = normalizeClocks(data.clocks)
+  if (clocks.length > 0) {
+    addBlock('Clocks', clocks.map(clock => {
+      let line = `- **${inline(clock.name)}**: ${clock.filled}/${clock.segments}`
+      if (clock.nodeId && pyramid[clock.nodeId]) line += `, driven by ${nodeName(pyramid, clock.nodeId)}`
+      if (inline(clock.onComplete)) line += `. When complete: ${inline(clock.onComplete)}`
+      return line
+    }))
+  }
+
+  const timeline = normalizeTimeline(data.timeline)
+  if (timeline.length > 0) {
+    addBlock('Timeline', timeline.map(event => {
+      const description = inline(event.description)
+      return `- ${event.date ? `${inline(event.date)}: ` : ''}**${inline(event.title)}**${description ? `. ${description}` : ''}`
+    }))
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`
+}
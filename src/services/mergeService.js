@@ -0,0 +1,263 @@
+/**
+ * Merge Service
+ * Grafts the pyramid and sections of another faction file into the current faction
+ */
+
+import { TEXT_FIELDS, migrateFaction } from './migrationService'
+import { FIELD_LABELS, getCustomSectionFieldKey } from './diffService'
+import { generateRelationshipId, normalizeRelationships } from './relationshipService'
+import { generateClockId, normalizeClocks } from './clockService'
+import { generateTimelineEventId, normalizeTimeline } from './timelineService'
+import { normalizeReveals, getRevealedParagraphKeys } from './revealService'
+
+export const SECTION_MERGE_MODES = {
+  keep: 'Keep ours',
+  replace: 'Replace with theirs',
+  append: 'Append theirs'
+}
+
+// Distance of the grafted pyramid from the node it is attached to
+const GRAFT_OFFSET_Y = 150
+const GRAFT_OFFSET_X = 200
+
+function nextFreeId(id, isTaken) {
+  // node-N ids from the mind map and node_<timestamp> ids from the node popup count up in their own style
+  const match = /^(node[-_])(\d+)$/.exec(id)
+  if (match) {
+    let number = Number(match[2]) + 1
+    while (isTaken(`${match[1]}${number}`)) number++
+    return `${match[1]}${number}`
+  }
+
+  let suffix = 2
+  while (isTaken(`${id}_${suffix}`)) suffix++
+  return `${id}_${suffix}`
+}
+
+/**
+ * New ids for incoming nodes whose id is already used, returns a map of every incoming id to its merged id
+ */
+export function remapNodeIds(incomingPyramid, existingPyramid) {
+  const taken = new Set([...Object.keys(existingPyramid || {}), ...Object.keys(incomingPyramid || {})])
+  const idMap = {}
+
+  Object.keys(incomingPyramid || {}).forEach(id => {
+    if (existingPyramid && existingPyramid[id] !== undefined) {
+      const newId = nextFreeId(id, candidate => taken.has(candidate))
+      taken.add(newId)
+      idMap[id] = newId
+    } else {
+      idMap[id] = id
+    }
+  })
+
+  return idMap
+}
+
+function getBounds(nodes) {
+  const positioned = nodes.filter(node => Number.isFinite(node.x) && Number.isFinite(node.y))
+  if (positioned.length === 0) return null
+  return {
+    minX: Math.min(...positioned.map(node => node.x)),
+    maxX: Math.max(...positioned.map(node => node.x)),
+    minY: Math.min(...positioned.map(node => node.y))
+  }
+}
+
+function appendText(ours, theirs) {
+  if (!ours) return theirs
+  if (!theirs) return ours
+  return `${ours}\n\n${theirs}`
+}
+
+function mergeText(ours, theirs, mode) {
+  if (mode === 'replace') return theirs
+  if (mode === 'append') return appendText(ours, theirs)
+  return ours
+}
+
+/**
+ * Sections of the incoming faction that have text of their own, for choosing how to merge each one.
+ * Custom sections are matched by id, then by name.
+ */
+export function listMergeSections(base, incoming) {
+  const sections = []
+
+  const fields = ['factionName', ...TEXT_FIELDS]
+  fields.forEach(field => {
+    const theirs = incoming[field] || ''
+    const ours = base[field] || ''
+    if (theirs && theirs !== ours) {
+      sections.push({ key: field, label: FIELD_LABELS[field], ours, theirs })
+    }
+  })
+
+  const baseSections = Array.isArray(base.customSections) ? base.customSections : []
+  const incomingSections = Array.isArray(incoming.customSections) ? incoming.customSections : []
+  incomingSections.forEach(section => {
+    const match = findMatchingSection(baseSections, section)
+    const ours = match ? match.content || '' : ''
+    const theirs = section.content || ''
+    if (theirs && theirs !== ours) {
+      sections.push({ key: getCustomSectionFieldKey(section.id), label: section.name, ours, theirs, isNew: !match })
+    }
+  })
+
+  return sections
+}
+
+function findMatchingSection(sections, section) {
+  const name = (section.name || '').trim().toLowerCase()
+  return sections.find(s => s.id === section.id) ||
+    sections.find(s => (s.name || '').trim().toLowerCase() === name) ||
+    null
+}
+
+/**
+ * Merge an incoming faction into the base faction.
+ * `parentId` is the node the incoming top level nodes will report to, '' keeps them at the top level.
+ * `sectionModes` maps section keys from listMergeSections to 'keep', 'replace' or 'append', missing keys are kept.
+ * Returns { data, idMap, report }, the base faction is not changed.
+ */
+export function mergeFactions(base, incomingInput, { parentId = '', sectionModes = {} } = {}) {
+  const data = JSON.parse(JSON.stringify(base))
+  const { data: incoming } = migrateFaction(incomingInput)
+  const report = { addedNodes: [], remappedIds: [], sections: [], addedRelationships: 0, addedClocks: 0, addedEvents: 0 }
+  // Whatever the players knew of the incoming faction they still know, nothing more
+  const incomingReveals = normalizeReveals(incoming.reveals)
+  data.reveals = normalizeReveals(data.reveals)
+  const revealParagraphs = (key, theirKey, text) => {
+    const keys = getRevealedParagraphKeys(incomingReveals, theirKey, text)
+    if (keys.length === 0) return
+    data.reveals.paragraphs[key] = [...new Set([...(data.reveals.paragraphs[key] || []), ...keys])]
+  }
+
+  // Sections
+  const fields = ['factionName', ...TEXT_FIELDS]
+  fields.forEach(field => {
+    const mode = sectionModes[field] || 'keep'
+    const theirs = incoming[field] || ''
+    if (mode === 'keep' || !theirs) return
+
+    data[field] = mergeText(data[field] || '', theirs, mode)
+    if (field !== 'factionName') revealParagraphs(field, field, theirs)
+    report.sections.push({ key: field, label: FIELD_LABELS[field], mode, text: data[field] })
+  })
+
+  data.customSections = Array.isArray(data.customSections) ? data.customSections : []
+  const incomingSections = Array.isArray(incoming.customSections) ? incoming.customSections : []
+  incomingSections.forEach(section => {
+    const key = getCustomSectionFieldKey(section.id)
+    const mode = sectionModes[key] || 'keep'
+    const theirs = section.content || ''
+    if (mode === 'keep' || !theirs) return
+
+    let merged = findMatchingSection(data.customSections, section)
+    if (merged) {
+      merged.content = mergeText(merged.content || '', theirs, mode)
+    } else {
+      // A section with the same id would have matched, so the id is free
+      merged = {
+        id: section.id,
+        name: section.name,
+        prompt: section.prompt || '',
+        content: theirs
+      }
+      data.customSections.push(merged)
+    }
+    revealParagraphs(getCustomSectionFieldKey(merged.id), key, theirs)
+    report.sections.push({ key, label: section.name, mode, text: merged.content })
+  })
+
+  // Pyramid
+  data.pyramid = data.pyramid || {}
+  const incomingPyramid = incoming.pyramid || {}
+  const idMap = remapNodeIds(incomingPyramid, data.pyramid)
+  const graftParent = parentId && data.pyramid[parentId] ? data.pyramid[parentId] : null
+
+  // Move the incoming layout next to the nodes it joins so the two don't overlap
+  const incomingBounds = getBounds(Object.values(incomingPyramid))
+  const baseBounds = getBounds(Object.values(data.pyramid))
+  let dx = 0
+  let dy = 0
+  if (incomingBounds && graftParent && Number.isFinite(graftParent.x) && Number.isFinite(graftParent.y)) {
+    dx = graftParent.x - incomingBounds.minX
+    dy = graftParent.y + GRAFT_OFFSET_Y - incomingBounds.minY
+  } else if (incomingBounds && baseBounds) {
+    dx = baseBounds.maxX + GRAFT_OFFSET_X - incomingBounds.minX
+    dy = baseBounds.minY - incomingBounds.minY
+  }
+
+  Object.entries(incomingPyramid).forEach(([id, node]) => {
+    const newId = idMap[id]
+    const merged = { ...node }
+    // Top level nodes of the incoming file, and nodes whose manager is missing, join under the chosen node
+    const hasManager = node.manager && incomingPyramid[node.manager] !== undefined
+    merged.manager = hasManager ? idMap[node.manager] : (graftParent ? parentId : '')
+    if (!hasManager) {
+      delete merged.connectionFromLabel
+      delete merged.connectionToLabel
+    }
+    if (Number.isFinite(node.x) && Number.isFinite(node.y)) {
+      merged.x = node.x + dx
+      merged.y = node.y + dy
+    }
+
+    data.pyramid[newId] = merged
+    if (incomingReveals.nodes.includes(id) && !data.reveals.nodes.includes(newId)) {
+      data.reveals.nodes.push(newId)
+    }
+    report.addedNodes.push({ id: newId, name: node.name || newId })
+    if (newId !== id) {
+      report.remappedIds.push({ from: id, to: newId })
+    }
+  })
+
+  // Relationships between incoming nodes follow their new ids
+  data.relationships = Array.isArray(data.relationships) ? data.relationships : []
+  const relationshipIds = new Set(data.relationships.map(rel => rel.id))
+  normalizeRelationships(incoming.relationships).forEach(rel => {
+    if (idMap[rel.from] === undefined || idMap[rel.to] === undefined) return
+
+    const id = relationshipIds.has(rel.id) ? generateRelationshipId() : rel.id
+    data.relationships.push({ ...rel, id, from: idMap[rel.from], to: idMap[rel.to] })
+    if (incomingReveals.relationships.includes(rel.id)) {
+      data.reveals.relationships.push(id)
+    }
+    report.addedRelationships++
+  })
+
+  // Clocks come along, linked to the new ids of their nodes
+  data.clocks = Array.isArray(data.clocks) ? data.clocks : []
+  const clockIds = new Set(data.clocks.map(clock => clock.id))
+  normalizeClocks(incoming.clocks).forEach(clock => {
+    data.clocks.push({
+      ...clock,
+      id: clockIds.has(clock.id) ? generateClockId() : clock.id,
+      nodeId: clock.nodeId && idMap[clock.nodeId] !== undefined ? idMap[clock.nodeId] : ''
+    })
+    report.addedClocks++
+  })
+
+  // Timeline events come along after ours, references to nodes and sections that didn't come along are dropped
+  data.timeline = Array.isArray(data.timeline) ? data.timeline : []
+  const eventIds = new Set(data.timeline.map(event => event.id))
+  const sectionKeys = new Set([...TEXT_FIELDS, ...data.customSections.map(section => getCustomSectionFieldKey(section.id))])
+  const mapNodeId = (id) => id && idMap[id] !== undefined ? idMap[id] : ''
+  normalizeTimeline(incoming.timeline).forEach(event => {
+    data.timeline.push({
+      ...event,
+      id: eventIds.has(event.id) ? generateTimelineEventId() : event.id,
+      nodeIds: event.nodeIds.map(mapNodeId).filter(Boolean),
+      sectionKeys: event.sectionKeys.filter(key => sectionKeys.has(key)),
+      changes: event.changes
+        .filter(change => mapNodeId(change.nodeId))
+        .map(change => change.field === 'manager'
+          ? { ...change, nodeId: mapNodeId(change.nodeId), from: mapNodeId(change.from), to: mapNodeId(change.to) }
+          : { ...change, nodeId: mapNodeId(change.nodeId) })
+    })
+    report.addedEvents++
+  })
+
+  return { data, idMap, report }
+}
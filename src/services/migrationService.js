@@ -0,0 +1,217 @@
+/**
+ * Migration Service
+ * Upgrades faction files from older schema versions to the current schema
+ */
+
+import { normalizeNodeAttributes } from './nodeAttributesService'
+
+export const CURRENT_SCHEMA_VERSION = 5
+
+export const TEXT_FIELDS = [
+  'summary',
+  'mastermind',
+  'motivations',
+  'members',
+  'methods',
+  'machinations',
+  'mysteries',
+  'notes'
+]
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Migration steps, each upgrading a faction exactly one version.
+ * To introduce a new schema version add a step here and bump CURRENT_SCHEMA_VERSION.
+ */
+export const migrations = [
+  {
+    from: 1,
+    to: 2,
+    description: 'Convert the pyramid to nodes keyed by ID',
+    migrate(data, log) {
+      if (data.pyramid === undefined || data.pyramid === null) {
+        data.pyramid = {}
+        return data
+      }
+
+      if (Array.isArray(data.pyramid)) {
+        const pyramid = {}
+        // Rows sharing an ID get a suffix instead of overwriting each other
+        const uniqueId = (id) => {
+          if (pyramid[id] === undefined) return id
+          let counter = 2
+          while (pyramid[`${id}-${counter}`] !== undefined) counter++
+          log(`Renamed duplicate node ID "${id}" to "${id}-${counter}"`)
+          return `${id}-${counter}`
+        }
+
+        data.pyramid.forEach((row, index) => {
+          // Rows are either org chart rows [id, manager, role, description] or node objects with an id
+          if (Array.isArray(row)) {
+            const [id, manager, role, description] = row
+            pyramid[uniqueId(String(id))] = {
+              name: String(id),
+              manager: manager ? String(manager) : '',
+              role: role || '',
+              description: description || ''
+            }
+          } else if (isPlainObject(row)) {
+            const id = row.id !== undefined ? String(row.id) : `node-${index + 1}`
+            const { id: _id, ...node } = row
+            pyramid[uniqueId(id)] = { name: id, ...node }
+          }
+        })
+        log(`Converted ${data.pyramid.length} pyramid rows to keyed nodes`)
+        data.pyramid = pyramid
+      }
+      return data
+    }
+  },
+  {
+    from: 2,
+    to: 3,
+    description: 'Store every section as text',
+    migrate(data, log) {
+      if (typeof data.factionName !== 'string') {
+        if (data.factionName !== undefined && data.factionName !== null) {
+          data.factionName = String(data.factionName)
+          log('Converted the faction name to text')
+        }
+      }
+
+      TEXT_FIELDS.forEach(field => {
+        const value = data[field]
+        if (value === undefined || value === null || typeof value === 'string') return
+
+        data[field] = Array.isArray(value) ? value.join('\n') : String(value)
+        log(`Converted the ${field} section to text`)
+      })
+      return data
+    }
+  },
+  {
+    from: 3,
+    to: 4,
+    description: 'Normalize manager links and connection labels',
+    migrate(data, log) {
+      let updated = 0
+      Object.values(data.pyramid || {}).forEach(node => {
+        if (!isPlainObject(node)) return
+
+        if (node.manager === undefined || node.manager === null) {
+          node.manager = ''
+          updated++
+        } else if (typeof node.manager !== 'string') {
+          node.manager = String(node.manager)
+          updated++
+        }
+
+        if (node.manager) {
+          if (node.connectionFromLabel === undefined) node.connectionFromLabel = ''
+          if (node.connectionToLabel === undefined) node.connectionToLabel = ''
+        }
+      })
+      if (updated > 0) {
+        log(`Normalized the manager link of ${updated} pyramid node(s)`)
+      }
+      return data
+    }
+  },
+  {
+    from: 4,
+    to: 5,
+    description: 'Give every node structured attributes',
+    migrate(data, log) {
+      let updated = 0
+      Object.values(data.pyramid || {}).forEach(node => {
+        if (!isPlainObject(node)) return
+
+        Object.assign(node, normalizeNodeAttributes(node))
+        updated++
+      })
+      if (updated > 0) {
+        log(`Added status, tags, loyalty and compromised attributes to ${updated} pyramid node(s)`)
+      }
+      return data
+    }
+  }
+]
+
+/**
+ * Determine the schema version of a faction, files without a version predate versioning
+ */
+export function detectVersion(data) {
+  const version = Number(data && data.version)
+  return Number.isInteger(version) && version > 0 ? version : 1
+}
+
+/**
+ * Get the faction data out of the supported file layouts
+ */
+export function extractFactionData(json) {
+  if (!isPlainObject(json)) {
+    throw new Error('Faction file does not contain an object')
+  }
+
+  // Exported files wrap the faction in the latest version entry
+  if (isPlainObject(json.latestVersion) && isPlainObject(json.latestVersion.data)) {
+    return json.latestVersion.data
+  }
+  // Single version entries saved from the version history
+  if (isPlainObject(json.data)) {
+    return json.data
+  }
+  return json
+}
+
+/**
+ * Upgrade faction data step by step to the current schema.
+ * The input is never mutated, the report lists every change that was made.
+ */
+export function migrateFaction(input, targetVersion = CURRENT_SCHEMA_VERSION) {
+  let data = isPlainObject(input) ? JSON.parse(JSON.stringify(input)) : {}
+  const fromVersion = detectVersion(data)
+  const report = {
+    fromVersion,
+    toVersion: fromVersion,
+    changes: [],
+    warnings: []
+  }
+
+  if (fromVersion > targetVersion) {
+    report.warnings.push(
+      `This file uses schema version ${fromVersion}, which is newer than the supported version ${targetVersion}. It was loaded without migration and unknown fields are kept.`
+    )
+    return { data, report }
+  }
+
+  let version = fromVersion
+  while (version < targetVersion) {
+    const step = migrations.find(m => m.from === version)
+    if (!step) {
+      throw new Error(`No migration available from schema version ${version}`)
+    }
+
+    const log = (message) => report.changes.push({ version: step.to, message })
+    data = step.migrate(data, log)
+    version = step.to
+    data.version = version
+  }
+
+  report.toVersion = version
+  return { data, report }
+}
+
+/**
+ * Human readable summary of a migration report
+ */
+export function formatMigrationReport(report) {
+  const lines = []
+  if (report.fromVersion !== report.toVersion) {
+    lines.push(`Upgraded faction from schema version ${report.fromVersion} to ${report.toVersion}.`)
+  }
+  report.changes.forEach(change => lines.push(`- ${change.message}`))
+  report.warnings.forEach(warning => lines.push(`Warning: ${warning}`))
+  return lines.join('\n')
+}
@@ -0,0 +1,128 @@
+/**
+ * Mind Map Export Service
+ * Renders the whole mind map, not just the visible part, as a PNG image or an SVG document
+ */
+
+import { CanvasDrawingService } from './canvasDrawingService'
+import { SvgDrawingService } from './svgDrawingService'
+import { getRelationshipCurve, getCurvePoint, getParallelIndexes } from './relationshipService'
+
+export const PNG_SCALES = [1, 2, 3, 4]
+export const DEFAULT_EXPORT_OPTIONS = {
+  scale: 2,
+  transparent: false
+}
+
+// Space around the diagram, it also leaves room for connection and relationship labels
+export const EXPORT_PADDING = 40
+// Browsers refuse to create larger canvases
+const MAX_CANVAS_SIDE = 16384
+
+/**
+ * The area the diagram covers in mind map coordinates: node boxes with their badges and tags,
+ * and the bend of relationship curves
+ */
+export function getDiagramBounds({ nodes = [], relationships = [] }, padding = EXPORT_PADDING) {
+  if (nodes.length === 0) {
+    return { x: 0, y: 0, width: padding * 2, height: padding * 2 }
+  }
+
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+  const include = (x, y) => {
+    minX = Math.min(minX, x)
+    minY = Math.min(minY, y)
+    maxX = Math.max(maxX, x)
+    maxY = Math.max(maxY, y)
+  }
+
+  nodes.forEach(node => {
+    // Badges sit above the top edge, the compromised marker past the right one and tags below
+    include(node.x - node.width / 2, node.y - node.height / 2 - 18)
+    include(node.x + node.width / 2 + 8, node.y + node.height / 2 + 18)
+  })
+
+  const parallelIndexes = getParallelIndexes(relationships)
+  relationships.forEach((rel, i) => {
+    const fromNode = nodes.find(n => n.id === rel.from)
+    const toNode = nodes.find(n => n.id === rel.to)
+    if (!fromNode || !toNode) return
+
+    const curve = getRelationshipCurve(fromNode, toNode, parallelIndexes[i])
+    for (const t of [0.25, 0.5, 0.75]) {
+      const point = getCurvePoint(curve, t)
+      include(point.x, point.y)
+    }
+  })
+
+  return {
+    x: Math.floor(minX - padding),
+    y: Math.floor(minY - padding),
+    width: Math.ceil(maxX - minX + padding * 2),
+    height: Math.ceil(maxY - minY + padding * 2)
+  }
+}
+
+// Both drawing services share the same API, so the canvas and the SVG get the same layers in the same order
+function drawMindMap(drawingService, { nodes = [], connections = [], relationships = [] }) {
+  drawingService.drawConnections(connections, nodes)
+  drawingService.drawRelationships(relationships, nodes)
+  drawingService.drawNodes(nodes)
+}
+
+/**
+ * Draw the diagram on a 2D canvas context, without selection, hover or filter state
+ */
+export function drawDiagram(ctx, diagram, bounds, { scale = 1, transparent = false } = {}) {
+  if (!transparent) {
+    ctx.fillStyle = '#ffffff'
+    ctx.fillRect(0, 0, bounds.width * scale, bounds.height * scale)
+  }
+
+  const drawingService = new CanvasDrawingService(ctx)
+  drawingService.applyPanOffset({ x: -bounds.x * scale, y: -bounds.y * scale }, scale)
+  drawMindMap(drawingService, diagram)
+  drawingService.restoreCanvas()
+}
+
+/**
+ * The diagram as a PNG blob, `scale` multiplies the resolution
+ */
+export function exportMindMapPng(diagram, options = {}) {
+  const { scale, transparent } = { ...DEFAULT_EXPORT_OPTIONS, ...options }
+  const bounds = getDiagramBounds(diagram)
+  const width = Math.ceil(bounds.width * scale)
+  const height = Math.ceil(bounds.height * scale)
+  if (width > MAX_CANVAS_SIDE || height > MAX_CANVAS_SIDE) {
+    return Promise.reject(new Error('The mind map is too large for this scale, choose a smaller one.'))
+  }
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  drawDiagram(canvas.getContext('2d'), diagram, bounds, { scale, transparent })
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob)
+      } else {
+        reject(new Error('The PNG image could not be created.'))
+      }
+    }, 'image/png')
+  })
+}
+
+/**
+ * The diagram as an SVG document with the same shapes as the canvas, as real vector elements
+ */
+export function exportMindMapSvg(diagram, options = {}) {
+  const { transparent } = { ...DEFAULT_EXPORT_OPTIONS, ...options }
+  const bounds = getDiagramBounds(diagram)
+
+  const drawingService = new SvgDrawingService({ measureText: options.measureText })
+  drawMindMap(drawingService, diagram)
+  return drawingService.toSvg({ viewBox: bounds, background: transparent ? null : '#ffffff' })
+}
@@ -0,0 +1,119 @@
+/**
+ * Node Attributes Service
+ * Typed attributes of pyramid nodes (status, tags, loyalty, compromised), their GM secrets and filtering on them
+ */
+
+export const NODE_STATUSES = ['active', 'dead', 'missing', 'captured']
+export const LOYALTY_MIN = 0
+export const LOYALTY_MAX = 10
+export const DEFAULT_LOYALTY = 5
+
+export const EMPTY_NODE_FILTER = {
+  status: '',
+  tag: '',
+  compromised: '',
+  maxLoyalty: null
+}
+
+export function defaultNodeAttributes() {
+  return {
+    status: 'active',
+    tags: [],
+    loyalty: DEFAULT_LOYALTY,
+    compromised: false
+  }
+}
+
+/**
+ * Split comma separated text into unique, trimmed tags
+ */
+export function parseTags(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',')
+  const tags = []
+  list.forEach(tag => {
+    const trimmed = String(tag ?? '').trim()
+    if (trimmed && !tags.includes(trimmed)) tags.push(trimmed)
+  })
+  return tags
+}
+
+export function clampLoyalty(value) {
+  const number = Number(value)
+  if (value === null || value === '' || !Number.isFinite(number)) return DEFAULT_LOYALTY
+  return Math.min(LOYALTY_MAX, Math.max(LOYALTY_MIN, Math.round(number)))
+}
+
+/**
+ * Get the attributes of a node, coercing invalid or missing values to valid ones
+ */
+export function normalizeNodeAttributes(node = {}) {
+  return {
+    status: NODE_STATUSES.includes(node.status) ? node.status : 'active',
+    tags: node.tags === undefined || node.tags === null ? [] : parseTags(node.tags),
+    loyalty: node.loyalty === undefined ? DEFAULT_LOYALTY : clampLoyalty(node.loyalty),
+    compromised: node.compromised === true || node.compromised === 'true'
+  }
+}
+
+/**
+ * Every tag used in the pyramid, sorted alphabetically
+ */
+export function collectTags(pyramid) {
+  const tags = new Set()
+  Object.values(pyramid || {}).forEach(node => {
+    if (node && Array.isArray(node.tags)) {
+      node.tags.forEach(tag => tags.add(tag))
+    }
+  })
+  return Array.from(tags).sort((a, b) => a.localeCompare(b))
+}
+
+export function isFilterActive(filter) {
+  if (!filter) return false
+  return Boolean(filter.status || filter.tag || filter.compromised) ||
+    (filter.maxLoyalty !== null && filter.maxLoyalty !== undefined && filter.maxLoyalty !== '')
+}
+
+/**
+ * Check a node against the mind map filter, empty filter fields match everything
+ */
+export function matchesNodeFilter(node, filter) {
+  if (!isFilterActive(filter)) return true
+  const attributes = normalizeNodeAttributes(node)
+
+  if (filter.status && attributes.status !== filter.status) return false
+  if (filter.tag && !attributes.tags.includes(filter.tag)) return false
+  if (filter.compromised === 'yes' && !attributes.compromised) return false
+  if (filter.compromised === 'no' && attributes.compromised) return false
+  if (
+    filter.maxLoyalty !== null && filter.maxLoyalty !== undefined && filter.maxLoyalty !== '' &&
+    attributes.loyalty > Number(filter.maxLoyalty)
+  ) return false
+
+  return true
+}
+
+/**
+ * A node has a secret when its GM-only description has text, the description itself is public
+ */
+export function hasSecret(node) {
+  return Boolean(node && typeof node.secretDescription === 'string' && node.secretDescription.trim())
+}
+
+/**
+ * Copy of faction data without the secret descriptions of its nodes, for screens and files shared with players
+ */
+export function stripSecrets(data) {
+  if (!data || !data.pyramid) return data
+
+  const pyramid = {}
+  Object.entries(data.pyramid).forEach(([id, node]) => {
+    if (node && typeof node === 'object') {
+      const { secretDescription, ...publicNode } = node
+      pyramid[id] = publicNode
+    } else {
+      pyramid[id] = node
+    }
+  })
+  return { ...data, pyramid }
+}
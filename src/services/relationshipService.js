@@ -0,0 +1,124 @@
+/**
+ * Relationship Service
+ * Typed, directed edges between pyramid nodes that live outside the manager hierarchy
+ */
+
+export const RELATIONSHIP_TYPES = {
+  'reports-to': { label: 'Reports to', color: '#0f766e', dash: [] },
+  rival: { label: 'Rival', color: '#dc2626', dash: [8, 4] },
+  ally: { label: 'Ally', color: '#16a34a', dash: [2, 4] },
+  'secretly-loyal-to': { label: 'Secretly loyal to', color: '#7c3aed', dash: [10, 4, 2, 4] },
+  blackmails: { label: 'Blackmails', color: '#b45309', dash: [4, 4] }
+}
+
+export const DEFAULT_RELATIONSHIP_TYPE = 'ally'
+
+// Distance of the curve from the straight line, parallel edges fan out further
+const CURVE_OFFSET = 40
+const CURVE_SPACING = 25
+
+export function generateRelationshipId() {
+  return `rel_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`
+}
+
+export function isRelationshipType(type) {
+  return Object.prototype.hasOwnProperty.call(RELATIONSHIP_TYPES, type)
+}
+
+export function getRelationshipStyle(type) {
+  return RELATIONSHIP_TYPES[type] || RELATIONSHIP_TYPES[DEFAULT_RELATIONSHIP_TYPE]
+}
+
+/**
+ * Keep only well formed relationships from loaded data
+ */
+export function normalizeRelationships(relationships) {
+  if (!Array.isArray(relationships)) return []
+
+  return relationships
+    .filter(rel => rel && typeof rel === 'object' && typeof rel.from === 'string' && typeof rel.to === 'string')
+    .map(rel => ({
+      id: typeof rel.id === 'string' && rel.id ? rel.id : generateRelationshipId(),
+      from: rel.from,
+      to: rel.to,
+      type: isRelationshipType(rel.type) ? rel.type : DEFAULT_RELATIONSHIP_TYPE,
+      label: typeof rel.label === 'string' ? rel.label : ''
+    }))
+}
+
+/**
+ * Relationships whose nodes both still exist in the pyramid
+ */
+export function pruneRelationships(relationships, pyramid) {
+  return relationships.filter(rel => pyramid[rel.from] !== undefined && pyramid[rel.to] !== undefined)
+}
+
+/**
+ * Control points of the curve drawn for a relationship.
+ * `index` is the position among relationships between the same two nodes.
+ */
+export function getRelationshipCurve(fromNode, toNode, index = 0) {
+  const dx = toNode.x - fromNode.x
+  const dy = toNode.y - fromNode.y
+  const length = Math.sqrt(dx * dx + dy * dy) || 1
+  // Edges in either direction between a pair bend to the same side, so the index alone spreads them
+  const side = fromNode.id < toNode.id ? 1 : -1
+  const offset = (CURVE_OFFSET + index * CURVE_SPACING) * side
+
+  return {
+    start: { x: fromNode.x, y: fromNode.y },
+    control: {
+      x: (fromNode.x + toNode.x) / 2 - (dy / length) * offset,
+      y: (fromNode.y + toNode.y) / 2 + (dx / length) * offset
+    },
+    end: { x: toNode.x, y: toNode.y }
+  }
+}
+
+/**
+ * Point on a quadratic curve at t between 0 and 1
+ */
+export function getCurvePoint(curve, t) {
+  const u = 1 - t
+  return {
+    x: u * u * curve.start.x + 2 * u * t * curve.control.x + t * t * curve.end.x,
+    y: u * u * curve.start.y + 2 * u * t * curve.control.y + t * t * curve.end.y
+  }
+}
+
+/**
+ * Corners of the arrow head where a curve enters the target node, the tip first
+ */
+export function getArrowHeadPoints(curve, toNode, size = 10) {
+  // Walk back along the curve until the point lies outside the node
+  let t = 1
+  let tip = getCurvePoint(curve, t)
+  while (
+    t > 0.5 &&
+    Math.abs(tip.x - toNode.x) <= toNode.width / 2 &&
+    Math.abs(tip.y - toNode.y) <= toNode.height / 2
+  ) {
+    t -= 0.02
+    tip = getCurvePoint(curve, t)
+  }
+  const angle = Math.atan2(tip.y - curve.control.y, tip.x - curve.control.x)
+
+  return [
+    tip,
+    { x: tip.x - size * Math.cos(angle - Math.PI / 6), y: tip.y - size * Math.sin(angle - Math.PI / 6) },
+    { x: tip.x - size * Math.cos(angle + Math.PI / 6), y: tip.y - size * Math.sin(angle + Math.PI / 6) }
+  ]
+}
+
+/**
+ * Index of each relationship among the ones linking the same two nodes
+ */
+export function getParallelIndexes(relationships) {
+  const counts = new Map()
+  return relationships.map(rel => {
+    const key = [rel.from, rel.to].sort().join('\u0000')
+    const index = counts.get(key) || 0
+    counts.set(key, index + 1)
+    return index
+  })
+}
@@ -0,0 +1,270 @@
+/**
+ * Reveal Service
+ * Which sections, paragraphs, nodes and relationships of a faction the players know about,
+ * and the player-safe copy of a faction built from that
+ */
+
+import { TEXT_FIELDS } from './migrationService'
+import { FIELD_LABELS, getCustomSectionFieldKey } from './diffService'
+import { RELATIONSHIP_TYPES } from './relationshipService'
+
+export const PLAYER_VIEW_PARAM = 'view'
+export const PLAYER_VIEW_VALUE = 'player'
+export const HIDDEN_NODE_NAME = '???'
+export const UNKNOWN_FACTION_NAME = 'Unknown Faction'
+
+// Node fields the players see on a revealed node, loyalty, tags and the compromised flag stay with the GM
+const REVEALED_NODE_FIELDS = ['name', 'role', 'description', 'status', 'color', 'connectionFromLabel', 'connectionToLabel']
+const HIDDEN_NODE_COLOR = '#9ca3af'
+
+export function emptyReveals() {
+  return { sections: [], paragraphs: {}, nodes: [], relationships: [] }
+}
+
+const toStringList = (value) => {
+  if (!Array.isArray(value)) return []
+  return [...new Set(value.filter(item => typeof item === 'string' && item))]
+}
+
+/**
+ * Keep only well formed reveals from loaded data: { sections, paragraphs, nodes, relationships }.
+ * `sections` are section keys ('factionName', 'summary', 'customSection:<id>', ...) revealed as a whole,
+ * `paragraphs` maps section keys to the keys of single revealed paragraphs.
+ */
+export function normalizeReveals(reveals) {
+  if (!reveals || typeof reveals !== 'object' || Array.isArray(reveals)) return emptyReveals()
+
+  const paragraphs = {}
+  if (reveals.paragraphs && typeof reveals.paragraphs === 'object' && !Array.isArray(reveals.paragraphs)) {
+    Object.entries(reveals.paragraphs).forEach(([sectionKey, keys]) => {
+      const list = toStringList(keys)
+      if (list.length > 0) paragraphs[sectionKey] = list
+    })
+  }
+
+  return {
+    sections: toStringList(reveals.sections),
+    paragraphs,
+    nodes: toStringList(reveals.nodes),
+    relationships: toStringList(reveals.relationships)
+  }
+}
+
+/**
+ * Paragraphs of a text, separated by blank lines
+ */
+export function splitParagraphs(text) {
+  return String(text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Paragraphs are revealed by a hash of their text rather than by position, so inserting a paragraph
+ * doesn't shift reveals onto secrets and editing a revealed paragraph hides it again
+ */
+export function getParagraphKey(paragraph) {
+  let hash = 0x811c9dc5
+  const text = paragraph.trim()
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193) >>> 0
+  }
+  return `p_${hash.toString(16).padStart(8, '0')}`
+}
+
+export function isSectionRevealed(reveals, sectionKey) {
+  return reveals.sections.includes(sectionKey)
+}
+
+export function isParagraphRevealed(reveals, sectionKey, paragraph) {
+  if (isSectionRevealed(reveals, sectionKey)) return true
+  return (reveals.paragraphs[sectionKey] || []).includes(getParagraphKey(paragraph))
+}
+
+/**
+ * The part of a section text the players see, '' when nothing is revealed
+ */
+export function getRevealedText(reveals, sectionKey, text) {
+  if (isSectionRevealed(reveals, sectionKey)) return text || ''
+  return splitParagraphs(text)
+    .filter(paragraph => isParagraphRevealed(reveals, sectionKey, paragraph))
+    .join('\n\n')
+}
+
+/**
+ * Keys of the paragraphs of a section text the players see
+ */
+export function getRevealedParagraphKeys(reveals, sectionKey, text) {
+  return splitParagraphs(text)
+    .filter(paragraph => isParagraphRevealed(reveals, sectionKey, paragraph))
+    .map(getParagraphKey)
+}
+
+/**
+ * Drop paragraph keys that match no paragraph of the current text of their section,
+ * and nodes and relationships that no longer exist
+ */
+export function pruneReveals(reveals, data) {
+  const texts = getSectionTexts(data)
+  const paragraphs = {}
+  Object.entries(reveals.paragraphs).forEach(([sectionKey, keys]) => {
+    const current = new Set(splitParagraphs(texts[sectionKey]).map(getParagraphKey))
+    const kept = keys.filter(key => current.has(key))
+    if (kept.length > 0) paragraphs[sectionKey] = kept
+  })
+
+  const relationshipIds = new Set((Array.isArray(data.relationships) ? data.relationships : []).map(rel => rel.id))
+  return {
+    sections: reveals.sections,
+    paragraphs,
+    nodes: reveals.nodes.filter(id => data.pyramid && data.pyramid[id]),
+    relationships: reveals.relationships.filter(id => relationshipIds.has(id))
+  }
+}
+
+// Texts of every section by section key
+function getSectionTexts(data) {
+  const texts = {}
+  TEXT_FIELDS.forEach(field => {
+    texts[field] = data[field] || ''
+  })
+  const customSections = Array.isArray(data.customSections) ? data.customSections : []
+  customSections.forEach(section => {
+    texts[getCustomSectionFieldKey(section.id)] = section.content || ''
+  })
+  return texts
+}
+
+/**
+ * The sections that can be revealed, in display order: [{ key, label, text }]
+ */
+export function listRevealableSections(data) {
+  const texts = getSectionTexts(data)
+  return [
+    ...TEXT_FIELDS.map(field => ({ key: field, label: FIELD_LABELS[field], text: texts[field] })),
+    ...(Array.isArray(data.customSections) ? data.customSections : []).map(section => {
+      const key = getCustomSectionFieldKey(section.id)
+      return { key, label: section.name, text: texts[key] }
+    })
+  ]
+}
+
+/**
+ * The faction as the players know it. Unrevealed nodes stay in the pyramid as '???' placeholders
+ * so the structure shows, revealed relationships are kept and everything else is left out.
+ * Returns { factionName, sections: [{ key, label, text }], pyramid, relationships }
+ */
+export function buildPlayerFaction(input, revealsInput = input && input.reveals) {
+  const data = input || {}
+  const reveals = normalizeReveals(revealsInput)
+
+  const sections = listRevealableSections(data)
+    .map(section => ({ ...section, text: getRevealedText(reveals, section.key, section.text) }))
+    .filter(section => section.text)
+
+  const pyramid = {}
+  Object.entries(data.pyramid || {}).forEach(([id, node]) => {
+    if (!node || typeof node !== 'object') return
+
+    const placed = { manager: typeof node.manager === 'string' ? node.manager : '', x: node.x, y: node.y }
+    if (reveals.nodes.includes(id)) {
+      REVEALED_NODE_FIELDS.forEach(field => {
+        if (node[field] !== undefined) placed[field] = node[field]
+      })
+      pyramid[id] = { ...placed, hidden: false }
+    } else {
+      pyramid[id] = { ...placed, name: HIDDEN_NODE_NAME, role: '', description: '', color: HIDDEN_NODE_COLOR, hidden: true }
+    }
+  })
+
+  const relationships = (Array.isArray(data.relationships) ? data.relationships : [])
+    .filter(rel => reveals.relationships.includes(rel.id) && pyramid[rel.from] && pyramid[rel.to])
+    .map(rel => ({ id: rel.id, from: rel.from, to: rel.to, type: rel.type, label: rel.label || '' }))
+
+  return {
+    factionName: isSectionRevealed(reveals, 'factionName') ? data.factionName || '' : UNKNOWN_FACTION_NAME,
+    sections,
+    pyramid,
+    relationships
+  }
+}
+
+/**
+ * The pyramid as a forest of { id, node, children }, ordered left to right by position.
+ * Nodes whose manager is missing, or who are caught in a manager cycle, become roots.
+ */
+export function buildNodeTree(pyramid) {
+  const ids = Object.keys(pyramid || {})
+  const byX = (a, b) => (Number(pyramid[a].x) || 0) - (Number(pyramid[b].x) || 0)
+  const childrenOf = {}
+  ids.forEach(id => {
+    const manager = pyramid[id].manager
+    if (manager && manager !== id && pyramid[manager]) {
+      (childrenOf[manager] = childrenOf[manager] || []).push(id)
+    }
+  })
+
+  const placed = new Set()
+  const build = (id) => {
+    placed.add(id)
+    const children = (childrenOf[id] || []).filter(child => !placed.has(child)).sort(byX)
+    children.forEach(child => placed.add(child))
+    return { id, node: pyramid[id], children: children.map(build) }
+  }
+
+  const isRoot = (id) => !pyramid[id].manager || !pyramid[pyramid[id].manager] || pyramid[id].manager === id
+  const roots = ids.filter(isRoot).sort(byX).map(build)
+  // Nodes in a manager cycle are not reachable from any root
+  ids.filter(id => !placed.has(id)).sort(byX).forEach(id => {
+    if (!placed.has(id)) roots.push(build(id))
+  })
+  return roots
+}
+
+export function getRelationshipTypeLabel(type) {
+  return (RELATIONSHIP_TYPES[type] && RELATIONSHIP_TYPES[type].label) || type
+}
+
+/**
+ * Address of the player view of a faction, relative to the current page
+ */
+export function getPlayerViewUrl(factionId, location = window.location) {
+  const params = new URLSearchParams({ [PLAYER_VIEW_PARAM]: PLAYER_VIEW_VALUE, faction: factionId })
+  return `${location.pathname}?${params.toString()}`
+}
+
+export function isPlayerView(location = window.location) {
+  return new URLSearchParams(location.search).get(PLAYER_VIEW_PARAM) === PLAYER_VIEW_VALUE
+}
+
+/**
+ * What was revealed to or hidden from the players between two versions, as readable lines
+ */
+export function diffReveals(olderData = {}, newerData = {}) {
+  const older = normalizeReveals(olderData.reveals)
+  const newer = normalizeReveals(newerData.reveals)
+  const sectionLabels = Object.fromEntries([
+    ['factionName', FIELD_LABELS.factionName],
+    ...listRevealableSections(olderData).map(section => [section.key, section.label]),
+    ...listRevealableSections(newerData).map(section => [section.key, section.label])
+  ])
+  const nodeName = (id) => {
+    const node = (newerData.pyramid && newerData.pyramid[id]) || (olderData.pyramid && olderData.pyramid[id])
+    return (node && node.name) || id
+  }
+
+  const lines = []
+  const compare = (before, after, describe) => {
+    after.filter(item => !before.includes(item)).forEach(item => lines.push(`Revealed ${describe(item)}`))
+    before.filter(item => !after.includes(item)).forEach(item => lines.push(`Hid ${describe(item)}`))
+  }
+  compare(older.sections, newer.sections, key => sectionLabels[key] || key)
+  Object.keys({ ...older.paragraphs, ...newer.paragraphs }).forEach(key => {
+    compare(older.paragraphs[key] || [], newer.paragraphs[key] || [], () => `a paragraph of ${sectionLabels[key] || key}`)
+  })
+  compare(older.nodes, newer.nodes, id => `node ${nodeName(id)}`)
+  compare(older.relationships, newer.relationships, () => 'a relationship')
+  return lines
+}
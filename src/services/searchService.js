@@ -0,0 +1,129 @@
+/**
+ * Search Service
+ * Finds text in the sections and pyramid nodes of one faction or of every faction in the workspace
+ */
+
+import { TEXT_FIELDS } from './migrationService'
+import { FIELD_LABELS, getCustomSectionFieldKey } from './diffService'
+
+export const MIN_QUERY_LENGTH = 2
+export const MAX_SEARCH_RESULTS = 100
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 40
+
+const NODE_FIELDS = { name: 'Name', role: 'Role', description: 'Description' }
+const SECRET_NODE_FIELDS = { secretDescription: 'Secret description' }
+
+export function normalizeQuery(query) {
+  return String(query || '').trim().toLowerCase()
+}
+
+/**
+ * Split a text into [{ text, match }] parts, matches of the query are case insensitive
+ */
+export function highlightMatches(text, query) {
+  const needle = normalizeQuery(query)
+  const source = String(text || '')
+  if (!needle) return source ? [{ text: source, match: false }] : []
+
+  const parts = []
+  const haystack = source.toLowerCase()
+  let position = 0
+  let index = haystack.indexOf(needle)
+  while (index !== -1) {
+    if (index > position) parts.push({ text: source.slice(position, index), match: false })
+    parts.push({ text: source.slice(index, index + needle.length), match: true })
+    position = index + needle.length
+    index = haystack.indexOf(needle, position)
+  }
+  if (position < source.length) parts.push({ text: source.slice(position), match: false })
+  return parts
+}
+
+/**
+ * The part of a text around its first match, on one line
+ */
+export function getSnippet(text, query) {
+  const source = String(text || '').replace(/\s+/g, ' ')
+  const index = source.toLowerCase().indexOf(normalizeQuery(query))
+  if (index === -1) return source.slice(0, SNIPPET_CONTEXT * 2)
+
+  const start = Math.max(0, index - SNIPPET_CONTEXT)
+  const end = Math.min(source.length, index + normalizeQuery(query).length + SNIPPET_CONTEXT)
+  return `${start > 0 ? '…' : ''}${source.slice(start, end)}${end < source.length ? '…' : ''}`
+}
+
+function countMatches(text, needle) {
+  const haystack = String(text || '').toLowerCase()
+  let count = 0
+  let index = haystack.indexOf(needle)
+  while (index !== -1) {
+    count++
+    index = haystack.indexOf(needle, index + needle.length)
+  }
+  return count
+}
+
+/**
+ * Search the sections and nodes of one faction.
+ * Results are { type: 'section' | 'node', factionId, factionName, key, label, field, snippet, count },
+ * `key` is the section key ('summary', 'customSection:<id>', ...) or the node id and `field` names
+ * the matching field. Secret node descriptions are searched unless `includeSecrets` is false.
+ */
+export function searchFaction(data, query, factionId = null, { includeSecrets = true } = {}) {
+  const needle = normalizeQuery(query)
+  if (needle.length < MIN_QUERY_LENGTH || !data) return []
+
+  const factionName = data.factionName || 'New Faction'
+  const results = []
+  const addSection = (key, label, field, text) => {
+    const count = countMatches(text, needle)
+    if (count > 0) {
+      results.push({ type: 'section', factionId, factionName, key, label, field, snippet: getSnippet(text, needle), count })
+    }
+  }
+
+  addSection('factionName', FIELD_LABELS.factionName, 'Text', data.factionName)
+  TEXT_FIELDS.forEach(field => addSection(field, FIELD_LABELS[field], 'Text', data[field]))
+  const customSections = Array.isArray(data.customSections) ? data.customSections : []
+  customSections.forEach(section => {
+    const key = getCustomSectionFieldKey(section.id)
+    addSection(key, section.name, 'Section name', section.name)
+    addSection(key, section.name, 'Text', section.content)
+  })
+
+  const nodeFields = includeSecrets ? { ...NODE_FIELDS, ...SECRET_NODE_FIELDS } : NODE_FIELDS
+  Object.entries(data.pyramid || {}).forEach(([id, node]) => {
+    if (!node || typeof node !== 'object') return
+    Object.entries(nodeFields).forEach(([field, fieldLabel]) => {
+      const count = countMatches(node[field], needle)
+      if (count > 0) {
+        results.push({
+          type: 'node',
+          factionId,
+          factionName,
+          key: id,
+          label: node.name || id,
+          field: fieldLabel,
+          snippet: getSnippet(node[field], needle),
+          count
+        })
+      }
+    })
+  })
+
+  return results
+}
+
+/**
+ * Search every faction of the workspace, `factions` are { id, data }.
+ * Results of the first faction come first, at most `limit` results are returned.
+ */
+export function searchFactions(factions, query, limit = MAX_SEARCH_RESULTS, options = {}) {
+  const results = []
+  for (const faction of factions) {
+    results.push(...searchFaction(faction.data, query, faction.id, options))
+    if (results.length >= limit) break
+  }
+  return results.slice(0, limit)
+}
@@ -0,0 +1,336 @@
+/**
+ * SVG Drawing Service
+ * Draws the mind map as SVG markup with the same drawing API as the canvas service,
+ * for vector exports and for rendering into the DOM where the canvas is not available
+ */
+
+import { STATUS_BADGE_COLORS, wrapText, getConnectionLabelLayout, isLightColor } from './canvasDrawingService'
+import { getRelationshipStyle, getRelationshipCurve, getCurvePoint, getParallelIndexes, getArrowHeadPoints } from './relationshipService'
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg'
+const FONT_FAMILY = 'Inter, system-ui, sans-serif'
+
+/**
+ * Measure text widths with a canvas, or estimate them where no canvas is available
+ */
+export function createTextMeasurer() {
+  let ctx = null
+  try {
+    ctx = document.createElement('canvas').getContext('2d')
+  } catch (err) {
+    ctx = null
+  }
+
+  return (text, font) => {
+    if (ctx) {
+      ctx.font = font
+      return ctx.measureText(text).width
+    }
+    const size = Number((font.match(/(\d+)px/) || [])[1]) || 14
+    return text.length * size * 0.6
+  }
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+const round = (value) => Math.round(value * 100) / 100
+
+function svgText(text, x, y, { size, weight = 'normal', style = 'normal', fill, anchor = 'middle', baseline = 'central', transform = '' }) {
+  const position = transform ? `transform="${transform}"` : `x="${round(x)}" y="${round(y)}"`
+  return `<text ${position} font-family="${FONT_FAMILY}" font-size="${size}" font-weight="${weight}" font-style="${style}" fill="${fill}" text-anchor="${anchor}" dominant-baseline="${baseline}">${escapeXml(text)}</text>`
+}
+
+export class SvgDrawingService {
+  /**
+   * `measureText(text, font)` returns the width of a text, it defaults to a canvas measurer
+   */
+  constructor({ measureText } = {}) {
+    this.measureText = measureText || createTextMeasurer()
+    this.parts = []
+    this.openGroups = 0
+    this.width = 0
+    this.height = 0
+  }
+
+  /**
+   * Calculate the size needed for a node based on its text content
+   */
+  calculateNodeSize(text, minWidth = 100, minHeight = 50) {
+    const padding = 20
+    const lineHeight = 18
+    const maxWidth = 200 // Maximum width before wrapping
+
+    const measure = line => this.measureText(line, `bold 14px ${FONT_FAMILY}`)
+    const lines = wrapText(text, maxWidth - padding, measure)
+    const maxLineWidth = Math.max(...lines.map(measure))
+
+    return {
+      width: Math.max(minWidth, maxLineWidth + padding),
+      height: Math.max(minHeight, lines.length * lineHeight + padding)
+    }
+  }
+
+  /**
+   * Start a new drawing of the given size, dropping everything drawn so far
+   */
+  clearCanvas(width, height) {
+    this.parts = []
+    this.openGroups = 0
+    this.width = width
+    this.height = height
+  }
+
+  /**
+   * Draw all connections between nodes
+   */
+  drawConnections(connections, nodes) {
+    connections.forEach(conn => {
+      const fromNode = nodes.find(n => n.id === conn.from)
+      const toNode = nodes.find(n => n.id === conn.to)
+
+      if (fromNode && toNode) {
+        this.parts.push(`<line x1="${round(fromNode.x)}" y1="${round(fromNode.y)}" x2="${round(toNode.x)}" y2="${round(toNode.y)}" stroke="#64748b" stroke-width="2"/>`)
+
+        if (conn.fromLabel || conn.toLabel) {
+          this.drawConnectionLabels(conn, fromNode, toNode)
+        }
+      }
+    })
+  }
+
+  /**
+   * Draw typed relationships as curved, colored arrows
+   */
+  drawRelationships(relationships, nodes, highlightedId = null) {
+    const parallelIndexes = getParallelIndexes(relationships)
+
+    relationships.forEach((rel, i) => {
+      const fromNode = nodes.find(n => n.id === rel.from)
+      const toNode = nodes.find(n => n.id === rel.to)
+      if (!fromNode || !toNode) return
+
+      const style = getRelationshipStyle(rel.type)
+      const curve = getRelationshipCurve(fromNode, toNode, parallelIndexes[i])
+      const dash = style.dash.length > 0 ? ` stroke-dasharray="${style.dash.join(' ')}"` : ''
+      const lineWidth = rel.id === highlightedId ? 4 : 2
+
+      this.parts.push(`<path d="M ${round(curve.start.x)} ${round(curve.start.y)} Q ${round(curve.control.x)} ${round(curve.control.y)} ${round(curve.end.x)} ${round(curve.end.y)}" fill="none" stroke="${style.color}" stroke-width="${lineWidth}"${dash}/>`)
+      this.drawArrowHead(curve, toNode, style.color)
+      this.drawRelationshipLabel(curve, rel.label || style.label, style.color)
+    })
+  }
+
+  /**
+   * Draw an arrow head where the curve enters the target node
+   */
+  drawArrowHead(curve, toNode, color) {
+    const points = getArrowHeadPoints(curve, toNode).map(point => `${round(point.x)},${round(point.y)}`).join(' ')
+    this.parts.push(`<polygon points="${points}" fill="${color}"/>`)
+  }
+
+  /**
+   * Draw the label of a relationship on a white background at the middle of its curve
+   */
+  drawRelationshipLabel(curve, text, color) {
+    const middle = getCurvePoint(curve, 0.5)
+    const width = this.measureText(text, `italic 12px ${FONT_FAMILY}`) + 8
+
+    this.parts.push(
+      `<rect x="${round(middle.x - width / 2)}" y="${round(middle.y - 8)}" width="${round(width)}" height="16" fill="#ffffff" fill-opacity="0.85"/>`,
+      svgText(text, middle.x, middle.y, { size: 12, style: 'italic', fill: color })
+    )
+  }
+
+  /**
+   * Draw labels on a connection
+   */
+  drawConnectionLabels(connection, fromNode, toNode) {
+    const { angle, labels } = getConnectionLabelLayout(connection, fromNode, toNode)
+    const degrees = round(angle * 180 / Math.PI)
+
+    labels.forEach(label => {
+      this.parts.push(svgText(label.text, 0, 0, {
+        size: 13,
+        fill: '#334155',
+        transform: `translate(${round(label.x)} ${round(label.y)}) rotate(${degrees})`
+      }))
+    })
+  }
+
+  /**
+   * Helper function to determine if a color is light or dark
+   */
+  isLightColor(hexColor) {
+    return isLightColor(hexColor)
+  }
+
+  /**
+   * Draw a single node, grouped with its text and attributes and named after it for screen readers
+   */
+  drawNode(node, isSelected = false, isHovered = false, isMultiSelected = false, isDimmed = false) {
+    const x = node.x - node.width / 2
+    const y = node.y - node.height / 2
+    const opacity = isDimmed ? ' opacity="0.25"' : ''
+    const shadow = isSelected || isHovered || isMultiSelected ? ' style="filter: drop-shadow(0 4px 5px rgba(0, 0, 0, 0.3))"' : ''
+
+    // Border - use contrasting color for selected state
+    let stroke = '#1e293b'
+    let lineWidth = 1
+    if (isSelected || isMultiSelected) {
+      stroke = this.isLightColor(node.color) ? '#1e293b' : '#ffffff'
+      lineWidth = isMultiSelected ? 3 : 4
+    }
+    // Missing members get a dashed outline
+    const dash = node.status === 'missing' ? ' stroke-dasharray="6 4"' : ''
+
+    this.parts.push(
+      `<g data-node-id="${escapeXml(node.id)}" role="img" aria-label="${escapeXml(node.text)}"${opacity}>`,
+      `<rect x="${round(x)}" y="${round(y)}" width="${round(node.width)}" height="${round(node.height)}" rx="8" fill="${node.color}" stroke="${stroke}" stroke-width="${lineWidth}"${dash}${shadow}/>`
+    )
+    this.drawNodeText(node)
+    this.drawNodeAttributes(node)
+    this.parts.push('</g>')
+  }
+
+  /**
+   * Draw the status badge, compromised marker, secret badge, loyalty bar and tags of a node
+   */
+  drawNodeAttributes(node) {
+    const left = node.x - node.width / 2
+    const top = node.y - node.height / 2
+    const bottom = node.y + node.height / 2
+    const badgeFont = `bold 10px ${FONT_FAMILY}`
+
+    const drawBadge = (label, badgeLeft, color) => {
+      const badgeWidth = this.measureText(label, badgeFont) + 10
+      this.parts.push(
+        `<rect x="${round(badgeLeft)}" y="${round(top - 16)}" width="${round(badgeWidth)}" height="14" fill="${color}"/>`,
+        svgText(label, badgeLeft + 5, top - 9, { size: 10, weight: 'bold', fill: '#ffffff', anchor: 'start' })
+      )
+    }
+
+    // Status badge above the top left corner
+    if (STATUS_BADGE_COLORS[node.status]) {
+      drawBadge(node.status.toUpperCase(), left, STATUS_BADGE_COLORS[node.status])
+    }
+
+    // Red marker on the top right corner when the players compromised the node
+    if (node.compromised) {
+      this.parts.push(
+        `<circle cx="${round(left + node.width)}" cy="${round(top)}" r="8" fill="#dc2626"/>`,
+        svgText('!', left + node.width, top, { size: 10, weight: 'bold', fill: '#ffffff' })
+      )
+    }
+
+    // Secret badge above the top right corner when the node has GM-only info
+    if (node.hasSecret) {
+      const badgeWidth = this.measureText('SECRET', badgeFont) + 10
+      drawBadge('SECRET', left + node.width - badgeWidth - (node.compromised ? 10 : 0), '#b45309')
+    }
+
+    // Loyalty bar along the bottom edge, from red (0) to green (10)
+    if (typeof node.loyalty === 'number') {
+      const ratio = Math.min(1, Math.max(0, node.loyalty / 10))
+      this.parts.push(
+        `<rect x="${round(left + 8)}" y="${round(bottom - 6)}" width="${round(node.width - 16)}" height="3" fill="#0f172a" fill-opacity="0.35"/>`,
+        `<rect x="${round(left + 8)}" y="${round(bottom - 6)}" width="${round((node.width - 16) * ratio)}" height="3" fill="hsl(${Math.round(ratio * 120)}, 70%, 45%)"/>`
+      )
+    }
+
+    // Tags below the node
+    if (Array.isArray(node.tags) && node.tags.length > 0) {
+      this.parts.push(svgText(node.tags.map(tag => `#${tag}`).join(' '), node.x, bottom + 4, { size: 11, fill: '#475569', baseline: 'hanging' }))
+    }
+  }
+
+  /**
+   * Draw text inside a node with word wrapping
+   */
+  drawNodeText(node) {
+    const lineHeight = 18
+    const lines = wrapText(String(node.text || ''), node.width - 20, line => this.measureText(line, `bold 14px ${FONT_FAMILY}`))
+    const startY = node.y - ((lines.length - 1) * lineHeight) / 2
+
+    lines.forEach((line, i) => {
+      this.parts.push(svgText(line, node.x, startY + i * lineHeight, { size: 14, weight: 'bold', fill: '#ffffff' }))
+    })
+  }
+
+  /**
+   * Draw all nodes
+   */
+  drawNodes(nodes, selectedNodeId = null, hoveredNodeId = null, selectedNodeIds = [], dimmedNodeIds = []) {
+    nodes.forEach(node => {
+      const isSelected = selectedNodeId === node.id
+      const isHovered = hoveredNodeId === node.id
+      const isMultiSelected = selectedNodeIds.includes(node.id) && selectedNodeIds.length > 1
+      const isDimmed = dimmedNodeIds.includes(node.id)
+      this.drawNode(node, isSelected, isHovered, isMultiSelected, isDimmed)
+    })
+  }
+
+  /**
+   * Draw selection box
+   */
+  drawSelectionBox(selectionBox) {
+    const x = Math.min(selectionBox.startX, selectionBox.endX)
+    const y = Math.min(selectionBox.startY, selectionBox.endY)
+    const width = Math.abs(selectionBox.endX - selectionBox.startX)
+    const height = Math.abs(selectionBox.endY - selectionBox.startY)
+
+    this.parts.push(`<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" fill="rgba(59, 130, 246, 0.1)" stroke="#3b82f6" stroke-width="2" stroke-dasharray="5 5"/>`)
+  }
+
+  /**
+   * Apply pan offset and zoom transformation to everything drawn until restoreCanvas
+   */
+  applyPanOffset(panOffset, zoom = 1) {
+    this.parts.push(`<g transform="translate(${round(panOffset.x)} ${round(panOffset.y)}) scale(${zoom})">`)
+    this.openGroups++
+  }
+
+  /**
+   * Restore canvas state
+   */
+  restoreCanvas() {
+    if (this.openGroups > 0) {
+      this.parts.push('</g>')
+      this.openGroups--
+    }
+  }
+
+  /**
+   * The elements drawn so far, without the surrounding svg element
+   */
+  getMarkup() {
+    return [...this.parts, ...Array(this.openGroups).fill('</g>')].join('\n')
+  }
+
+  /**
+   * A standalone SVG document, `viewBox` defaults to the size given to clearCanvas
+   */
+  toSvg({ viewBox = { x: 0, y: 0, width: this.width, height: this.height }, background = null } = {}) {
+    return [
+      `<svg xmlns="${SVG_NAMESPACE}" width="${viewBox.width}" height="${viewBox.height}" viewBox="${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}">`,
+      ...(background ? [`<rect x="${viewBox.x}" y="${viewBox.y}" width="${viewBox.width}" height="${viewBox.height}" fill="${background}"/>`] : []),
+      ...(this.parts.length > 0 ? [this.getMarkup()] : []),
+      '</svg>',
+      ''
+    ].join('\n')
+  }
+
+  /**
+   * Replace the content of an svg element in the page with the drawing
+   */
+  renderTo(svgElement) {
+    const doc = new DOMParser().parseFromString(`<svg xmlns="${SVG_NAMESPACE}">${this.getMarkup()}</svg>`, 'image/svg+xml')
+    svgElement.replaceChildren(...Array.from(doc.documentElement.childNodes).map(child => svgElement.ownerDocument.importNode(child, true)))
+    return svgElement
+  }
+}
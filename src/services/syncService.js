@@ -0,0 +1,283 @@
+/**
+ * Sync Service
+ * Live sync of factions between tabs of the same origin.
+ * A faction is split into units (a section, a custom section, a node, a relationship, a clock or a timeline
+ * event), each with a revision. A change carries the revision it was based on, so concurrent edits of one unit are
+ * detected as a conflict instead of the last one silently winning.
+ */
+
+import { FIELD_LABELS, getCustomSectionFieldKey, getCustomSectionId } from './diffService'
+
+export const SYNC_CHANNEL_NAME = 'faction-sync'
+// Fallback for browsers without BroadcastChannel, messages pass through this localStorage key
+export const SYNC_STORAGE_KEY = 'faction-sync-message'
+export const SYNC_DELAY = 300
+
+const NODE_PREFIX = 'node:'
+const RELATIONSHIP_PREFIX = 'relationship:'
+const CLOCK_PREFIX = 'clock:'
+const TIMELINE_PREFIX = 'timelineEvent:'
+const SECTION_ORDER_KEY = 'customSectionOrder'
+
+export function generateTabId() {
+  return `tab_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`
+}
+
+/**
+ * Split faction data into units keyed by 'summary', 'customSection:<id>', 'node:<id>', 'relationship:<id>',
+ * 'clock:<id>', 'timelineEvent:<id>', ...
+ */
+export function splitDocument(data) {
+  const units = {}
+
+  Object.entries(data || {}).forEach(([key, value]) => {
+    if (key === 'customSections') {
+      const sections = Array.isArray(value) ? value : []
+      sections.forEach(section => {
+        units[getCustomSectionFieldKey(section.id)] = section
+      })
+      units[SECTION_ORDER_KEY] = sections.map(section => section.id)
+    } else if (key === 'pyramid') {
+      Object.entries(value || {}).forEach(([id, node]) => {
+        units[`${NODE_PREFIX}${id}`] = node
+      })
+    } else if (key === 'relationships') {
+      (Array.isArray(value) ? value : []).forEach(rel => {
+        units[`${RELATIONSHIP_PREFIX}${rel.id}`] = rel
+      })
+    } else if (key === 'clocks') {
+      (Array.isArray(value) ? value : []).forEach(clock => {
+        units[`${CLOCK_PREFIX}${clock.id}`] = clock
+      })
+    } else if (key === 'timeline') {
+      (Array.isArray(value) ? value : []).forEach(event => {
+        units[`${TIMELINE_PREFIX}${event.id}`] = event
+      })
+    } else {
+      units[key] = value
+    }
+  })
+
+  return units
+}
+
+/**
+ * Put units back together as faction data. `previous` keeps the order of relationships, clocks and
+ * timeline events stable.
+ */
+export function joinDocument(units, previous = {}) {
+  const data = { customSections: [], pyramid: {}, relationships: [], clocks: [], timeline: [] }
+  const sections = {}
+  const relationships = {}
+  const clocks = {}
+  const events = {}
+
+  Object.entries(units).forEach(([key, value]) => {
+    if (value === undefined) return
+
+    const sectionId = getCustomSectionId(key)
+    if (sectionId !== null) {
+      sections[sectionId] = value
+    } else if (key.startsWith(NODE_PREFIX)) {
+      data.pyramid[key.slice(NODE_PREFIX.length)] = value
+    } else if (key.startsWith(RELATIONSHIP_PREFIX)) {
+      relationships[key.slice(RELATIONSHIP_PREFIX.length)] = value
+    } else if (key.startsWith(CLOCK_PREFIX)) {
+      clocks[key.slice(CLOCK_PREFIX.length)] = value
+    } else if (key.startsWith(TIMELINE_PREFIX)) {
+      events[key.slice(TIMELINE_PREFIX.length)] = value
+    } else if (key !== SECTION_ORDER_KEY) {
+      data[key] = value
+    }
+  })
+
+  // Sections follow the synced order, sections missing from it go last
+  const order = Array.isArray(units[SECTION_ORDER_KEY]) ? units[SECTION_ORDER_KEY] : []
+  const sectionIds = [...new Set([...order, ...Object.keys(sections)])]
+  data.customSections = sectionIds.filter(id => sections[id]).map(id => sections[id])
+
+  data.relationships = keepOrder(relationships, previous.relationships)
+  data.clocks = keepOrder(clocks, previous.clocks)
+  data.timeline = keepOrder(events, previous.timeline)
+
+  return data
+}
+
+// Items by id as a list, in their previous order with new items last
+function keepOrder(itemsById, previousItems) {
+  const previousIds = (Array.isArray(previousItems) ? previousItems : []).map(item => item.id)
+  const ids = [...new Set([...previousIds, ...Object.keys(itemsById)])]
+  return ids.filter(id => itemsById[id]).map(id => itemsById[id])
+}
+
+/**
+ * Keys of the units that differ between two splits, including removed units
+ */
+export function diffUnits(before, after) {
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+}
+
+export function isSameRevision(a, b) {
+  return Boolean(a && b && a.tabId === b.tabId && a.counter === b.counter)
+}
+
+/**
+ * A readable name for a unit, for listing conflicts
+ */
+export function getUnitLabel(key, units = {}) {
+  const value = units[key]
+  const sectionId = getCustomSectionId(key)
+  if (sectionId !== null) {
+    return `Section "${(value && value.name) || sectionId}"`
+  }
+  if (key.startsWith(NODE_PREFIX)) {
+    const id = key.slice(NODE_PREFIX.length)
+    return `Node "${(value && value.name) || id}"`
+  }
+  if (key.startsWith(RELATIONSHIP_PREFIX)) {
+    return 'Relationship'
+  }
+  if (key.startsWith(CLOCK_PREFIX)) {
+    return `Clock "${(value && value.name) || key.slice(CLOCK_PREFIX.length)}"`
+  }
+  if (key.startsWith(TIMELINE_PREFIX)) {
+    return `Event "${(value && value.title) || key.slice(TIMELINE_PREFIX.length)}"`
+  }
+  if (key === SECTION_ORDER_KEY) {
+    return 'Section order'
+  }
+  if (key === 'reveals') {
+    return 'Player reveals'
+  }
+  return FIELD_LABELS[key] || key
+}
+
+/**
+ * Apply changes from another tab to the units of a faction.
+ * Each change is { key, value, rev, baseRev }, a value of undefined removes the unit.
+ * A change is applied when our unit is still at the revision it was based on, or was never changed
+ * while syncing. Otherwise both sides edited the unit and it is reported as a conflict, keeping ours.
+ * With `state` the changes are the full state of another tab, which only fills in units we never synced.
+ * Returns { units, revisions, changedKeys, settledKeys, conflicts }, the arguments are not changed.
+ * `settledKeys` are the units both sides now agree on, earlier conflicts about them are over.
+ */
+export function applyRemoteChanges(units, revisions, changes, { state = false } = {}) {
+  const result = { ...units }
+  const resultRevisions = { ...revisions }
+  const changedKeys = []
+  const settledKeys = []
+  const conflicts = []
+
+  changes.forEach(change => {
+    const ours = result[change.key]
+    const ourRev = resultRevisions[change.key]
+
+    if (JSON.stringify(ours) === JSON.stringify(change.value)) {
+      // Both sides agree, take their revision so later edits build on it
+      if (change.rev) resultRevisions[change.key] = change.rev
+      settledKeys.push(change.key)
+      return
+    }
+
+    if (isSameRevision(ourRev, change.rev)) return
+
+    if (!ourRev || (!state && isSameRevision(ourRev, change.baseRev))) {
+      if (change.value === undefined) {
+        delete result[change.key]
+      } else {
+        result[change.key] = change.value
+      }
+      if (change.rev) resultRevisions[change.key] = change.rev
+      changedKeys.push(change.key)
+      settledKeys.push(change.key)
+      return
+    }
+
+    if (state) return
+
+    conflicts.push({
+      key: change.key,
+      label: getUnitLabel(change.key, { [change.key]: ours === undefined ? change.value : ours }),
+      ours,
+      theirs: change.value,
+      theirRev: change.rev
+    })
+  })
+
+  return { units: result, revisions: resultRevisions, changedKeys, settledKeys, conflicts }
+}
+
+/**
+ * Top level faction keys touched by a list of unit keys
+ */
+export function getDocumentKeys(unitKeys) {
+  return [...new Set(unitKeys.map(key => {
+    if (key === SECTION_ORDER_KEY || getCustomSectionId(key) !== null) return 'customSections'
+    if (key.startsWith(NODE_PREFIX)) return 'pyramid'
+    if (key.startsWith(RELATIONSHIP_PREFIX)) return 'relationships'
+    if (key.startsWith(CLOCK_PREFIX)) return 'clocks'
+    if (key.startsWith(TIMELINE_PREFIX)) return 'timeline'
+    return key
+  }))]
+}
+
+/**
+ * Message channel between tabs. Uses BroadcastChannel, or storage events where it is missing.
+ * Messages from this tab are never delivered back to it.
+ */
+export class SyncChannel {
+  constructor({ name = SYNC_CHANNEL_NAME, tabId = generateTabId() } = {}) {
+    this.tabId = tabId
+    this.onmessage = null
+    this.channel = null
+    this.handleStorage = null
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(name)
+      this.channel.onmessage = (event) => this.receive(event.data)
+    } else if (typeof window !== 'undefined') {
+      this.handleStorage = (event) => {
+        if (event.key !== SYNC_STORAGE_KEY || !event.newValue) return
+        try {
+          this.receive(JSON.parse(event.newValue))
+        } catch (err) {
+          console.error('Error reading sync message:', err)
+        }
+      }
+      window.addEventListener('storage', this.handleStorage)
+    }
+  }
+
+  receive(message) {
+    if (!message || message.tabId === this.tabId || !this.onmessage) return
+    this.onmessage(message)
+  }
+
+  post(message) {
+    // A plain copy, store state is reactive and can't be cloned into a message as it is
+    const stamped = JSON.parse(JSON.stringify({ ...message, tabId: this.tabId }))
+    try {
+      if (this.channel) {
+        this.channel.postMessage(stamped)
+      } else if (this.handleStorage) {
+        // Storage events only fire when the value changes, the nonce makes every message unique
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ ...stamped, nonce: generateTabId() }))
+      }
+    } catch (err) {
+      console.error('Error sending sync message:', err)
+    }
+  }
+
+  close() {
+    if (this.channel) {
+      this.channel.close()
+      this.channel = null
+    }
+    if (this.handleStorage) {
+      window.removeEventListener('storage', this.handleStorage)
+      this.handleStorage = null
+    }
+    this.onmessage = null
+  }
+}
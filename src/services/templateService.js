@@ -0,0 +1,259 @@
+/**
+ * Template Service
+ * Starter factions with section scaffolding and a pyramid shape, built in or saved by the user
+ */
+
+import { CURRENT_SCHEMA_VERSION, TEXT_FIELDS, migrateFaction } from './migrationService'
+import { defaultNodeAttributes } from './nodeAttributesService'
+
+export const TEMPLATES_STORAGE_KEY = 'faction-templates'
+export const TEMPLATE_FILE_TYPE = 'faction-template'
+
+const ROOT_COLOR = '#2563eb'
+const NODE_COLOR = '#3b82f6'
+
+/**
+ * Build a pyramid from [key, managerKey, name, role] rows. Nodes get mind map style ids
+ * and no position, so the mind map lays them out when the faction is opened.
+ */
+export function buildTemplatePyramid(rows) {
+  const ids = {}
+  rows.forEach(([key], index) => {
+    ids[key] = `node-${index + 1}`
+  })
+
+  const pyramid = {}
+  rows.forEach(([key, managerKey, name, role]) => {
+    const node = {
+      ...defaultNodeAttributes(),
+      name,
+      manager: managerKey ? ids[managerKey] : '',
+      role: role || '',
+      description: '',
+      color: managerKey ? NODE_COLOR : ROOT_COLOR
+    }
+    if (managerKey) {
+      node.connectionFromLabel = ''
+      node.connectionToLabel = ''
+    }
+    pyramid[ids[key]] = node
+  })
+  return pyramid
+}
+
+function section(name, prompt) {
+  return { id: `section_${name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`, name, prompt, content: '' }
+}
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'thieves-guild',
+    name: "Thieves' Guild",
+    description: 'A city-wide network of burglars, fences and informants run from a hidden hall.',
+    builtIn: true,
+    faction: {
+      factionName: "Thieves' Guild",
+      summary: 'Who the guild steals from, which city it controls and what it pays the watch to look away.',
+      mastermind: 'The Guildmaster: public identity, how they rose to power, who wants them gone.',
+      motivations: 'Wealth, protection of members, control of the black market.',
+      methods: 'Burglary, pickpocketing, fencing, extortion of merchants, bribery of the watch.',
+      customSections: [
+        section('Territories', 'List the districts the guild controls, who runs each one and what is stolen there.'),
+        section('Safehouses', 'Describe three hidden safehouses, their entrances and who keeps them.')
+      ],
+      pyramid: buildTemplatePyramid([
+        ['master', '', 'Guildmaster', 'Leader'],
+        ['fence', 'master', 'Master Fence', 'Trade in stolen goods'],
+        ['spymaster', 'master', 'Whisper', 'Informants'],
+        ['captain', 'master', 'Crew Captain', 'Heists'],
+        ['burglar', 'captain', 'Burglar', ''],
+        ['cutpurse', 'captain', 'Cutpurse', ''],
+        ['beggar', 'spymaster', 'Beggar Informant', '']
+      ])
+    }
+  },
+  {
+    id: 'doomsday-cult',
+    name: 'Doomsday Cult',
+    description: 'Believers preparing for the end of the world, whether or not they have to cause it.',
+    builtIn: true,
+    faction: {
+      factionName: 'Doomsday Cult',
+      summary: 'The prophecy the cult follows, when the end is due and how outsiders see the cult.',
+      mastermind: 'The Prophet: the vision that started it all, and whether they still believe it.',
+      motivations: 'Salvation of the faithful, bringing about the prophesied end.',
+      methods: 'Recruitment of the desperate, secret rituals, sabotage.',
+      mysteries: 'What is really behind the prophecy?',
+      customSections: [
+        section('Prophecy', 'Write the prophecy the cult follows as a short cryptic verse.'),
+        section('Rituals', 'Describe the rituals of the cult and what each one is meant to achieve.')
+      ],
+      pyramid: buildTemplatePyramid([
+        ['prophet', '', 'The Prophet', 'Leader'],
+        ['highPriest', 'prophet', 'High Priest', 'Rituals'],
+        ['herald', 'prophet', 'Herald', 'Recruitment'],
+        ['zealot', 'highPriest', 'Zealot', ''],
+        ['acolyte', 'highPriest', 'Acolyte', ''],
+        ['recruiter', 'herald', 'Recruiter', '']
+      ])
+    }
+  },
+  {
+    id: 'noble-house',
+    name: 'Noble House',
+    description: 'An old family with land, titles, heirs and far too many secrets.',
+    builtIn: true,
+    faction: {
+      factionName: 'Noble House',
+      summary: 'The lands and titles of the house, its standing at court and its rivals.',
+      mastermind: 'The head of the house: age, temper, and who they plan to name as heir.',
+      motivations: 'Power at court, the family name, a favourable marriage.',
+      methods: 'Patronage, marriage alliances, court intrigue, hired blades when needed.',
+      customSections: [
+        section('Lineage', 'Describe the family tree of the house over three generations, including disowned members.'),
+        section('Holdings', 'List the lands, castles and business interests of the house.')
+      ],
+      pyramid: buildTemplatePyramid([
+        ['lord', '', 'Lord of the House', 'Head of the family'],
+        ['heir', 'lord', 'Heir', ''],
+        ['steward', 'lord', 'Steward', 'Holdings'],
+        ['marshal', 'lord', 'Marshal', 'House guard'],
+        ['sibling', 'heir', 'Younger Sibling', ''],
+        ['guard', 'marshal', 'Sworn Sword', '']
+      ])
+    }
+  },
+  {
+    id: 'corporate-cabal',
+    name: 'Corporate Cabal',
+    description: 'A board of executives steering a company, and a city, from behind closed doors.',
+    builtIn: true,
+    faction: {
+      factionName: 'Corporate Cabal',
+      summary: 'The company the cabal runs, its public face and the project it hides.',
+      mastermind: 'The Chairman: how they took control of the board, and what they fear.',
+      motivations: 'Market dominance, profit, immunity from the law.',
+      methods: 'Lobbying, shell companies, industrial espionage, deniable contractors.',
+      customSections: [
+        section('Assets', 'List the subsidiaries, properties and secret projects of the company.'),
+        section('Scandals', 'Describe three scandals the cabal has buried and who could expose them.')
+      ],
+      pyramid: buildTemplatePyramid([
+        ['chairman', '', 'Chairman', 'Leader'],
+        ['ceo', 'chairman', 'Chief Executive', 'Operations'],
+        ['counsel', 'chairman', 'General Counsel', 'Legal'],
+        ['security', 'ceo', 'Head of Security', 'Contractors'],
+        ['research', 'ceo', 'Director of Research', 'Secret project'],
+        ['lobbyist', 'counsel', 'Lobbyist', '']
+      ])
+    }
+  },
+  {
+    id: 'rebel-cell',
+    name: 'Rebel Cell',
+    description: 'A small resistance cell fighting an occupying power, each member knowing as little as possible.',
+    builtIn: true,
+    faction: {
+      factionName: 'Rebel Cell',
+      summary: 'The regime the cell resists, what it has lost already and what it is fighting for.',
+      mastermind: 'The cell leader: who they were before the occupation, and who they answer to.',
+      motivations: 'Freedom, revenge, protecting the people the regime threatens.',
+      methods: 'Sabotage, propaganda, smuggling people and weapons, ambushes.',
+      customSections: [
+        section('Contacts', 'List the sympathisers, smugglers and informants the cell relies on.'),
+        section('Targets', 'Describe the next three targets of the cell and why each one matters.')
+      ],
+      pyramid: buildTemplatePyramid([
+        ['leader', '', 'Cell Leader', 'Leader'],
+        ['saboteur', 'leader', 'Saboteur', 'Explosives'],
+        ['courier', 'leader', 'Courier', 'Messages'],
+        ['propagandist', 'leader', 'Propagandist', 'Leaflets and broadcasts'],
+        ['sympathiser', 'courier', 'Sympathiser', '']
+      ])
+    }
+  }
+]
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function generateTemplateId() {
+  return `template_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`
+}
+
+export function loadUserTemplates() {
+  try {
+    const stored = localStorage.getItem(TEMPLATES_STORAGE_KEY)
+    const templates = stored ? JSON.parse(stored) : []
+    return Array.isArray(templates) ? templates.filter(t => isPlainObject(t) && isPlainObject(t.faction)) : []
+  } catch (err) {
+    console.error('Error loading templates from localStorage:', err)
+    return []
+  }
+}
+
+export function saveUserTemplates(templates) {
+  try {
+    localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(templates))
+    return true
+  } catch (err) {
+    console.error('Error saving templates to localStorage:', err)
+    return false
+  }
+}
+
+/**
+ * A template made from faction data, the faction is copied as it is, text and all
+ */
+export function createTemplate(name, description, factionData) {
+  const faction = JSON.parse(JSON.stringify(factionData))
+  // Color presets are a user setting, not part of the faction shape
+  delete faction.colorPresets
+  // The timeline and the player reveals belong to one faction in play, a new faction starts without them
+  delete faction.timeline
+  delete faction.reveals
+  return {
+    id: generateTemplateId(),
+    name,
+    description: description || '',
+    builtIn: false,
+    faction
+  }
+}
+
+/**
+ * Faction data for a new faction started from a template
+ */
+export function instantiateTemplate(template) {
+  const faction = JSON.parse(JSON.stringify(template.faction))
+  const data = { version: CURRENT_SCHEMA_VERSION, factionName: template.name, ...faction }
+  TEXT_FIELDS.forEach(field => {
+    data[field] = data[field] || ''
+  })
+  return data
+}
+
+export function serializeTemplate(template) {
+  return JSON.stringify({
+    type: TEMPLATE_FILE_TYPE,
+    template: { name: template.name, description: template.description, faction: template.faction }
+  }, null, 2)
+}
+
+/**
+ * Read a template file, the faction inside is upgraded to the current schema
+ */
+export function parseTemplateFile(json) {
+  if (!isPlainObject(json) || json.type !== TEMPLATE_FILE_TYPE || !isPlainObject(json.template)) {
+    throw new Error('This file is not a faction template')
+  }
+
+  const { name, description, faction } = json.template
+  if (typeof name !== 'string' || !name.trim() || !isPlainObject(faction)) {
+    throw new Error('The template has no name or no faction')
+  }
+
+  const { data } = migrateFaction(faction)
+  return createTemplate(name.trim(), typeof description === 'string' ? description : '', data)
+}
@@ -0,0 +1,156 @@
+/**
+ * Timeline Service
+ * Dated events in the history of a faction and the node changes they bring
+ */
+
+import { NODE_STATUSES } from './nodeAttributesService'
+
+// Node fields an event can change, the manager field reparents the node
+export const TIMELINE_CHANGE_FIELDS = ['status', 'manager']
+
+export function generateTimelineEventId() {
+  return `event_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`
+}
+
+const toStringList = (value) => {
+  if (!Array.isArray(value)) return []
+  return [...new Set(value.filter(item => typeof item === 'string' && item))]
+}
+
+function normalizeChanges(changes) {
+  if (!Array.isArray(changes)) return []
+
+  return changes
+    .filter(change => change && typeof change === 'object' &&
+      typeof change.nodeId === 'string' && change.nodeId &&
+      TIMELINE_CHANGE_FIELDS.includes(change.field))
+    .map(change => ({
+      nodeId: change.nodeId,
+      field: change.field,
+      from: typeof change.from === 'string' ? change.from : '',
+      to: typeof change.to === 'string' ? change.to : ''
+    }))
+}
+
+/**
+ * Keep only well formed events from loaded data:
+ * { id, date, title, description, nodeIds, sectionKeys, changes: [{ nodeId, field, from, to }] }
+ * `sectionKeys` are 'summary', 'notes', ... or 'customSection:<id>' like the diff field keys.
+ */
+export function normalizeTimeline(timeline) {
+  if (!Array.isArray(timeline)) return []
+
+  return timeline
+    .filter(event => event && typeof event === 'object')
+    .map(event => ({
+      id: typeof event.id === 'string' && event.id ? event.id : generateTimelineEventId(),
+      // Free text, campaigns date events by session or in-game calendar
+      date: typeof event.date === 'string' ? event.date : '',
+      title: typeof event.title === 'string' ? event.title : 'Untitled Event',
+      description: typeof event.description === 'string' ? event.description : '',
+      nodeIds: toStringList(event.nodeIds),
+      sectionKeys: toStringList(event.sectionKeys),
+      changes: normalizeChanges(event.changes)
+    }))
+}
+
+/**
+ * Ids of the nodes an event involves, referenced or changed
+ */
+export function getEventNodeIds(event) {
+  return [...new Set([...event.nodeIds, ...event.changes.map(change => change.nodeId)])]
+}
+
+/**
+ * Events without the references to and the recorded changes of nodes that no longer exist.
+ * A new node can get the id of a deleted one, it must not inherit its history.
+ */
+export function pruneTimeline(timeline, pyramid) {
+  const exists = (id) => Boolean(pyramid && pyramid[id])
+  return timeline.map(event => ({
+    ...event,
+    nodeIds: event.nodeIds.filter(exists),
+    changes: event.changes.filter(change => exists(change.nodeId))
+  }))
+}
+
+/**
+ * Events that involve a node, every event when no node is given
+ */
+export function filterTimelineByNode(timeline, nodeId) {
+  if (!nodeId) return timeline
+  return timeline.filter(event => getEventNodeIds(event).includes(nodeId))
+}
+
+// Whether making `managerId` the manager of `nodeId` would close a loop of manager links
+function createsManagerCycle(pyramid, nodeId, managerId) {
+  const seen = new Set()
+  let current = managerId
+
+  while (current && pyramid[current] && !seen.has(current)) {
+    if (current === nodeId) return true
+    seen.add(current)
+    current = pyramid[current].manager
+  }
+  return false
+}
+
+/**
+ * Apply the node changes of an event, in order, to a copy of the pyramid.
+ * Changes are { nodeId, field, to }, the applied ones are recorded with the value they replaced
+ * and changes that set a value the node already has are left out.
+ * Returns { pyramid, applied, error }, `error` names the first invalid change and nothing is applied then.
+ */
+export function applyTimelineChanges(pyramid, changes) {
+  const result = JSON.parse(JSON.stringify(pyramid || {}))
+  const applied = []
+
+  for (const change of changes) {
+    const node = result[change.nodeId]
+    if (!node) {
+      return { pyramid, applied: [], error: `Node ${change.nodeId} does not exist` }
+    }
+    const name = node.name || change.nodeId
+
+    if (change.field === 'status') {
+      if (!NODE_STATUSES.includes(change.to)) {
+        return { pyramid, applied: [], error: `"${change.to}" is not a node status` }
+      }
+    } else if (change.field === 'manager') {
+      if (change.to && !result[change.to]) {
+        return { pyramid, applied: [], error: `The new manager of ${name} does not exist` }
+      }
+      if (change.to && createsManagerCycle(result, change.nodeId, change.to)) {
+        return { pyramid, applied: [], error: `${name} can't report to one of its own subordinates` }
+      }
+    } else {
+      return { pyramid, applied: [], error: `Events can't change the ${change.field} of a node` }
+    }
+
+    const from = node[change.field] || ''
+    if (from === change.to) continue
+
+    node[change.field] = change.to
+    if (change.field === 'manager') {
+      // Connection labels described the link to the old manager
+      node.connectionFromLabel = ''
+      node.connectionToLabel = ''
+    }
+    applied.push({ nodeId: change.nodeId, field: change.field, from, to: change.to })
+  }
+
+  return { pyramid: result, applied, error: null }
+}
+
+/**
+ * A readable line for a recorded node change, node names are looked up in the pyramid
+ */
+export function describeTimelineChange(change, pyramid = {}) {
+  const nodeName = (id) => (pyramid[id] && pyramid[id].name) || (id ? 'Removed node' : 'nobody')
+  const name = nodeName(change.nodeId)
+
+  if (change.field === 'status') {
+    return `${name}: ${change.from || 'active'} → ${change.to}`
+  }
+  return `${name} reports to ${change.to ? nodeName(change.to) : 'nobody'} instead of ${nodeName(change.from)}`
+}
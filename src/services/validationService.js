@@ -0,0 +1,358 @@
+/**
+ * Validation Service
+ * Finds integrity problems in faction data and repairs them
+ */
+
+import { TEXT_FIELDS } from './migrationService'
+import { NODE_STATUSES, LOYALTY_MIN, LOYALTY_MAX, normalizeNodeAttributes } from './nodeAttributesService'
+import { isRelationshipType, generateRelationshipId } from './relationshipService'
+
+export const DEFAULT_NODE_COLOR = '#3b82f6'
+export const DEFAULT_COLOR_PRESETS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899']
+
+const NODE_TEXT_FIELDS = ['name', 'manager', 'role', 'description', 'secretDescription', 'connectionFromLabel', 'connectionToLabel']
+const SECTION_TEXT_FIELDS = ['name', 'prompt', 'content']
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Checks for the structured node attributes, missing attributes fall back to their defaults
+const attributeChecks = {
+  status: (value) => NODE_STATUSES.includes(value),
+  tags: (value) => Array.isArray(value) && value.every(tag => typeof tag === 'string' && tag.trim() !== ''),
+  loyalty: (value) => Number.isInteger(value) && value >= LOYALTY_MIN && value <= LOYALTY_MAX,
+  compromised: (value) => typeof value === 'boolean'
+}
+
+export function isValidColor(color) {
+  return typeof color === 'string' && COLOR_PATTERN.test(color)
+}
+
+/**
+ * Find every cycle in the manager links, each cycle is listed once in link order
+ */
+export function findManagerCycles(pyramid) {
+  const cycles = []
+  const done = new Set()
+
+  Object.keys(pyramid).forEach(startId => {
+    const path = []
+    const positions = new Map()
+    let current = startId
+
+    while (current && pyramid[current] && !done.has(current)) {
+      if (positions.has(current)) {
+        cycles.push(path.slice(positions.get(current)))
+        break
+      }
+      positions.set(current, path.length)
+      path.push(current)
+      current = isPlainObject(pyramid[current]) ? pyramid[current].manager : null
+    }
+
+    path.forEach(id => done.add(id))
+  })
+
+  return cycles
+}
+
+/**
+ * List every integrity problem in the faction data
+ */
+export function validateFaction(data) {
+  const issues = []
+  const add = (issue) => issues.push({ severity: 'error', fixable: true, ...issue })
+
+  if (!isPlainObject(data)) {
+    return { valid: false, issues: [{ code: 'invalid-faction', severity: 'error', fixable: false, message: 'The faction is not an object' }] }
+  }
+
+  if (data.factionName !== undefined && typeof data.factionName !== 'string') {
+    add({ code: 'non-string-field', field: 'factionName', message: 'The faction name is not text' })
+  }
+
+  TEXT_FIELDS.forEach(field => {
+    if (data[field] !== undefined && typeof data[field] !== 'string') {
+      add({ code: 'non-string-field', field, message: `The ${field} section is not text` })
+    }
+  })
+
+  if (Array.isArray(data.colorPresets)) {
+    data.colorPresets.forEach((color, index) => {
+      if (!isValidColor(color)) {
+        add({ code: 'invalid-color', field: 'colorPresets', index, message: `Color preset ${index + 1} is not a valid color` })
+      }
+    })
+  }
+
+  if (Array.isArray(data.customSections)) {
+    const sectionIds = new Set()
+    data.customSections.forEach((section, index) => {
+      if (!isPlainObject(section)) return
+      const label = section.name || `Custom section ${index + 1}`
+
+      SECTION_TEXT_FIELDS.forEach(field => {
+        if (section[field] !== undefined && typeof section[field] !== 'string') {
+          add({ code: 'non-string-field', sectionIndex: index, field, message: `The ${field} of section "${label}" is not text` })
+        }
+      })
+
+      if (sectionIds.has(section.id)) {
+        add({ code: 'duplicate-id', sectionIndex: index, message: `Section "${label}" has the same ID as another section` })
+      }
+      sectionIds.add(section.id)
+    })
+  }
+
+  if (data.pyramid !== undefined && !isPlainObject(data.pyramid)) {
+    add({ code: 'invalid-pyramid', field: 'pyramid', message: 'The pyramid is not a set of nodes' })
+    return { valid: false, issues }
+  }
+
+  const pyramid = data.pyramid || {}
+  const nodes = Object.entries(pyramid).filter(([, node]) => isPlainObject(node))
+
+  Object.entries(pyramid).forEach(([nodeId, node]) => {
+    if (!isPlainObject(node)) {
+      add({ code: 'invalid-node', nodeId, message: `Node "${nodeId}" is not a node object` })
+    }
+  })
+
+  nodes.forEach(([nodeId, node]) => {
+    const label = node.name || nodeId
+
+    NODE_TEXT_FIELDS.forEach(field => {
+      if (node[field] !== undefined && typeof node[field] !== 'string') {
+        add({ code: 'non-string-field', nodeId, field, message: `The ${field} of "${label}" is not text` })
+      }
+    })
+
+    Object.entries(attributeChecks).forEach(([field, isValid]) => {
+      if (node[field] !== undefined && !isValid(node[field])) {
+        add({ code: 'invalid-attribute', nodeId, field, message: `"${label}" has an invalid ${field}` })
+      }
+    })
+
+    if (node.color !== undefined && !isValidColor(node.color)) {
+      add({ code: 'invalid-color', nodeId, field: 'color', message: `"${label}" has an invalid color "${node.color}"` })
+    }
+
+    // Keys are the node IDs, an inner id pointing at another node is a duplicate
+    if (node.id !== undefined && String(node.id) !== nodeId && pyramid[node.id] !== undefined) {
+      add({ code: 'duplicate-id', nodeId, message: `"${label}" also claims the ID of node "${node.id}"` })
+    }
+
+    if (node.manager && typeof node.manager === 'string') {
+      if (node.manager === nodeId) {
+        add({ code: 'self-manager', nodeId, message: `"${label}" reports to itself` })
+      } else if (!isPlainObject(pyramid[node.manager])) {
+        add({ code: 'dangling-manager', nodeId, message: `"${label}" reports to missing node "${node.manager}"` })
+      }
+    }
+  })
+
+  if (data.relationships !== undefined && !Array.isArray(data.relationships)) {
+    add({ code: 'invalid-relationship', field: 'relationships', message: 'The relationships are not a list' })
+  } else if (Array.isArray(data.relationships)) {
+    const relationshipIds = new Set()
+    data.relationships.forEach((rel, index) => {
+      if (!isPlainObject(rel) || typeof rel.from !== 'string' || typeof rel.to !== 'string') {
+        add({ code: 'invalid-relationship', relationshipIndex: index, message: `Relationship ${index + 1} is not a relationship` })
+        return
+      }
+      const fromName = isPlainObject(pyramid[rel.from]) ? pyramid[rel.from].name || rel.from : rel.from
+      const toName = isPlainObject(pyramid[rel.to]) ? pyramid[rel.to].name || rel.to : rel.to
+
+      if (!isRelationshipType(rel.type)) {
+        add({ code: 'invalid-relationship', relationshipIndex: index, message: `The relationship from "${fromName}" to "${toName}" has an unknown type "${rel.type}"` })
+      } else if (rel.from === rel.to) {
+        add({ code: 'invalid-relationship', relationshipIndex: index, message: `"${fromName}" has a relationship with itself` })
+      } else if (!isPlainObject(pyramid[rel.from]) || !isPlainObject(pyramid[rel.to])) {
+        add({ code: 'dangling-relationship', relationshipIndex: index, message: `The relationship from "${fromName}" to "${toName}" refers to a missing node` })
+      }
+
+      if (rel.id !== undefined && relationshipIds.has(rel.id)) {
+        add({ code: 'duplicate-id', relationshipIndex: index, message: `The relationship from "${fromName}" to "${toName}" has the same ID as another relationship` })
+      }
+      relationshipIds.add(rel.id)
+    })
+  }
+
+  if (Array.isArray(data.clocks)) {
+    data.clocks.forEach((clock, index) => {
+      if (isPlainObject(clock) && clock.nodeId && !isPlainObject(pyramid[clock.nodeId])) {
+        add({ code: 'dangling-clock', severity: 'warning', clockIndex: index, message: `The clock "${clock.name || index + 1}" is linked to missing node "${clock.nodeId}"` })
+      }
+    })
+  }
+
+  findManagerCycles(pyramid)
+    .filter(cycle => cycle.length > 1)
+    .forEach(cycle => {
+      const names = cycle.map(id => pyramid[id].name || id)
+      add({ code: 'manager-cycle', nodeId: cycle[0], nodeIds: cycle, message: `Manager links form a cycle: ${names.join(' → ')} → ${names[0]}` })
+    })
+
+  const rootNames = new Map()
+  nodes
+    .filter(([, node]) => !node.manager)
+    .forEach(([nodeId, node]) => {
+      const name = typeof node.name === 'string' ? node.name.trim() : ''
+      if (!name) return
+      if (rootNames.has(name)) {
+        add({ code: 'duplicate-root-name', severity: 'warning', nodeId, message: `There is more than one root named "${name}"` })
+      } else {
+        rootNames.set(name, nodeId)
+      }
+    })
+
+  return { valid: !issues.some(issue => issue.severity === 'error'), issues }
+}
+
+/**
+ * Pick the node that orphans are attached to
+ */
+function findPrimaryRoot(pyramid, excludeId) {
+  const entry = Object.entries(pyramid).find(([nodeId, node]) => {
+    return nodeId !== excludeId && isPlainObject(node) && !node.manager
+  })
+  return entry ? entry[0] : ''
+}
+
+function uniqueRootName(pyramid, name) {
+  const taken = new Set(
+    Object.values(pyramid)
+      .filter(node => isPlainObject(node) && !node.manager)
+      .map(node => node.name)
+  )
+  let counter = 2
+  while (taken.has(`${name} (${counter})`)) counter++
+  return `${name} (${counter})`
+}
+
+const fixers = {
+  'non-string-field'(data, issue) {
+    const target = issue.nodeId
+      ? data.pyramid[issue.nodeId]
+      : issue.sectionIndex !== undefined ? data.customSections[issue.sectionIndex] : data
+    if (!target) return null
+    const value = target[issue.field]
+    target[issue.field] = value === null ? '' : Array.isArray(value) ? value.join('\n') : String(value)
+    return `Converted ${issue.field} to text`
+  },
+  'invalid-color'(data, issue) {
+    if (issue.field === 'colorPresets') {
+      data.colorPresets[issue.index] = DEFAULT_COLOR_PRESETS[issue.index % DEFAULT_COLOR_PRESETS.length]
+      return `Reset color preset ${issue.index + 1}`
+    }
+    data.pyramid[issue.nodeId].color = DEFAULT_NODE_COLOR
+    return `Reset the color of "${issue.nodeId}"`
+  },
+  'invalid-attribute'(data, issue) {
+    const node = data.pyramid[issue.nodeId]
+    node[issue.field] = normalizeNodeAttributes(node)[issue.field]
+    return `Reset the ${issue.field} of "${issue.nodeId}"`
+  },
+  'invalid-pyramid'(data) {
+    data.pyramid = {}
+    return 'Replaced the pyramid with an empty one'
+  },
+  'invalid-node'(data, issue) {
+    const value = data.pyramid[issue.nodeId]
+    data.pyramid[issue.nodeId] = { name: value === null || value === undefined ? issue.nodeId : String(value), manager: '' }
+    return `Converted "${issue.nodeId}" to a node`
+  },
+  'duplicate-id'(data, issue) {
+    if (issue.relationshipIndex !== undefined) {
+      const rel = data.relationships[issue.relationshipIndex]
+      if (!rel) return null
+      rel.id = generateRelationshipId()
+      return `Gave relationship ${issue.relationshipIndex + 1} a new ID`
+    }
+    if (issue.sectionIndex !== undefined) {
+      const section = data.customSections[issue.sectionIndex]
+      section.id = `${section.id}-${issue.sectionIndex + 1}`
+      return `Gave section "${section.name}" a new ID`
+    }
+    delete data.pyramid[issue.nodeId].id
+    return `Removed the duplicate ID from "${issue.nodeId}"`
+  },
+  // Removed relationships are left as null until all fixes ran so the indexes stay valid
+  'invalid-relationship'(data, issue) {
+    if (issue.field === 'relationships') {
+      data.relationships = []
+      return 'Replaced the relationships with an empty list'
+    }
+    data.relationships[issue.relationshipIndex] = null
+    return `Removed invalid relationship ${issue.relationshipIndex + 1}`
+  },
+  'dangling-relationship'(data, issue) {
+    data.relationships[issue.relationshipIndex] = null
+    return `Removed relationship ${issue.relationshipIndex + 1} to a missing node`
+  },
+  'dangling-clock'(data, issue) {
+    data.clocks[issue.clockIndex].nodeId = ''
+    return `Unlinked clock ${issue.clockIndex + 1} from a missing node`
+  },
+  'self-manager'(data, issue) {
+    data.pyramid[issue.nodeId].manager = findPrimaryRoot(data.pyramid, issue.nodeId)
+    return `Detached "${issue.nodeId}" from itself`
+  },
+  'dangling-manager'(data, issue) {
+    const root = findPrimaryRoot(data.pyramid, issue.nodeId)
+    data.pyramid[issue.nodeId].manager = root
+    return root ? `Attached "${issue.nodeId}" to root "${root}"` : `Made "${issue.nodeId}" a root`
+  },
+  'manager-cycle'(data, issue) {
+    const node = data.pyramid[issue.nodeId]
+    // Another fix may already have broken this cycle
+    if (!node || !issue.nodeIds.includes(node.manager)) return null
+    node.manager = ''
+    return `Broke the manager cycle at "${issue.nodeId}"`
+  },
+  'duplicate-root-name'(data, issue) {
+    const node = data.pyramid[issue.nodeId]
+    node.name = uniqueRootName(data.pyramid, node.name.trim())
+    return `Renamed a duplicate root to "${node.name}"`
+  }
+}
+
+// Structural fixes first so later fixes work on valid nodes
+const FIX_ORDER = [
+  'invalid-pyramid',
+  'invalid-node',
+  'invalid-relationship',
+  'non-string-field',
+  'duplicate-id',
+  'self-manager',
+  'dangling-manager',
+  'manager-cycle',
+  'duplicate-root-name',
+  'dangling-relationship',
+  'dangling-clock',
+  'invalid-color',
+  'invalid-attribute'
+]
+
+/**
+ * Apply automatic fixes, by default for every issue found.
+ * The input is never mutated.
+ */
+export function fixFaction(input, issues = validateFaction(input).issues) {
+  const data = JSON.parse(JSON.stringify(input))
+  const fixes = []
+
+  issues
+    .filter(issue => issue.fixable && fixers[issue.code])
+    .sort((a, b) => FIX_ORDER.indexOf(a.code) - FIX_ORDER.indexOf(b.code))
+    .forEach(issue => {
+      const message = fixers[issue.code](data, issue)
+      if (message) fixes.push(message)
+    })
+
+  if (Array.isArray(data.relationships)) {
+    data.relationships = data.relationships.filter(rel => rel !== null)
+  }
+
+  return { data, fixes }
+}
@@ -0,0 +1,249 @@
+/**
+ * Version Storage Service
+ * Persists the version history of each faction in IndexedDB, falling back to localStorage
+ * where IndexedDB is unavailable. Histories in the old localStorage keys are moved over once.
+ * Only version histories live here, the workspace with the working copy of every faction is still
+ * a single localStorage entry and remains bound by the localStorage quota.
+ */
+
+const SETTINGS_STORAGE_KEY = 'faction-settings'
+const VERSIONS_STORAGE_KEY = 'faction-datamodel-versions'
+// The faction of a workspace that was never split into several factions
+export const DEFAULT_FACTION_ID = 'default'
+
+const DB_NAME = 'faction-generator'
+const DB_VERSION = 1
+const STORE_NAME = 'versionHistories'
+
+// Number of versions kept per faction, 0 keeps every version
+export const DEFAULT_VERSION_RETENTION = 10
+
+// The first faction keeps the original key so existing version history stays attached to it
+export function getVersionsStorageKey(factionId) {
+  if (!factionId || factionId === DEFAULT_FACTION_ID) {
+    return VERSIONS_STORAGE_KEY
+  }
+  return `${VERSIONS_STORAGE_KEY}-${factionId}`
+}
+
+/**
+ * Raised when the browser refuses to store more data
+ */
+export class StorageQuotaError extends Error {
+  constructor(message = 'Not enough storage space to save the version history', cause = null) {
+    super(message)
+    this.name = 'StorageQuotaError'
+    this.cause = cause
+  }
+}
+
+export function isQuotaError(err) {
+  if (!err) return false
+  return err instanceof StorageQuotaError ||
+    err.name === 'QuotaExceededError' ||
+    err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    err.code === 22
+}
+
+function toStorageError(err) {
+  return isQuotaError(err) && !(err instanceof StorageQuotaError) ? new StorageQuotaError(undefined, err) : err
+}
+
+export function getVersionRetention() {
+  try {
+    const stored = localStorage.getItem(SETTINGS_STORAGE_KEY)
+    if (stored) {
+      const retention = Number(JSON.parse(stored).versionRetention)
+      if (Number.isInteger(retention) && retention >= 0) {
+        return retention
+      }
+    }
+  } catch (err) {
+    console.error('Error loading version retention from localStorage:', err)
+  }
+  return DEFAULT_VERSION_RETENTION
+}
+
+/**
+ * Drop the oldest versions beyond the retention, versions are ordered newest first.
+ * Pinned snapshots are never dropped and don't count towards the retention.
+ */
+export function applyRetention(versions, retention = getVersionRetention()) {
+  if (retention <= 0) return versions
+
+  let unpinned = 0
+  return versions.filter(version => version.pinned || ++unpinned <= retention)
+}
+
+export function generateVersionId() {
+  return `version_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`
+}
+
+// What a version records about the version it was based on
+export function getParentReference(version) {
+  return version ? { id: version.id, name: version.name || '', timestamp: version.timestamp } : null
+}
+
+/**
+ * A new version of the faction data, `parent` is the version the working copy was based on
+ */
+export function createVersion(data, { name = '', pinned = false, parent = null } = {}) {
+  return {
+    id: generateVersionId(),
+    timestamp: new Date().toISOString(),
+    name,
+    pinned,
+    parent: getParentReference(parent),
+    data: JSON.parse(JSON.stringify(data))
+  }
+}
+
+// Versions saved before snapshots existed only have a timestamp, which doubles as their id
+export function normalizeVersion(version) {
+  const parent = version.parent && typeof version.parent === 'object' ? version.parent : null
+  return {
+    ...version,
+    id: typeof version.id === 'string' && version.id ? version.id : String(version.timestamp),
+    name: typeof version.name === 'string' ? version.name : '',
+    pinned: version.pinned === true,
+    parent: parent ? getParentReference(parent) : null
+  }
+}
+
+/**
+ * Version histories as JSON in one localStorage key per faction
+ */
+export class LocalStorageVersionBackend {
+  async get(factionId) {
+    const stored = localStorage.getItem(getVersionsStorageKey(factionId))
+    return stored ? JSON.parse(stored) : null
+  }
+
+  async put(factionId, versions) {
+    try {
+      localStorage.setItem(getVersionsStorageKey(factionId), JSON.stringify(versions))
+    } catch (err) {
+      throw toStorageError(err)
+    }
+  }
+
+  async delete(factionId) {
+    localStorage.removeItem(getVersionsStorageKey(factionId))
+  }
+}
+
+/**
+ * Version histories as one IndexedDB record per faction
+ */
+export class IndexedDBVersionBackend {
+  constructor(factory = globalThis.indexedDB) {
+    this.factory = factory
+    this.dbPromise = null
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.factory.open(DB_NAME, DB_VERSION)
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'factionId' })
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+      // Allow another attempt after a failed open
+      this.dbPromise.catch(() => {
+        this.dbPromise = null
+      })
+    }
+    return this.dbPromise
+  }
+
+  async run(mode, operation) {
+    const db = await this.open()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode)
+      const request = operation(transaction.objectStore(STORE_NAME))
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(toStorageError(transaction.error || request.error))
+      transaction.onabort = () => reject(toStorageError(transaction.error || request.error))
+    })
+  }
+
+  async get(factionId) {
+    const record = await this.run('readonly', store => store.get(factionId))
+    return record ? record.versions : null
+  }
+
+  put(factionId, versions) {
+    return this.run('readwrite', store => store.put({ factionId, versions }))
+  }
+
+  delete(factionId) {
+    return this.run('readwrite', store => store.delete(factionId))
+  }
+}
+
+export class VersionStorageService {
+  constructor(backend = null) {
+    this.backend = backend
+    this.legacyBackend = new LocalStorageVersionBackend()
+  }
+
+  getBackend() {
+    if (!this.backend) {
+      this.backend = typeof globalThis.indexedDB !== 'undefined'
+        ? new IndexedDBVersionBackend()
+        : this.legacyBackend
+    }
+    return this.backend
+  }
+
+  /**
+   * Move a history from its old localStorage key into the backend, once per faction
+   */
+  async migrateFromLocalStorage(factionId) {
+    const backend = this.getBackend()
+    if (backend === this.legacyBackend) return false
+
+    let legacy
+    try {
+      legacy = await this.legacyBackend.get(factionId)
+    } catch (err) {
+      console.error('Error reading old version history from localStorage:', err)
+      return false
+    }
+    if (!legacy) return false
+
+    // A history already in the backend is newer than the leftover key
+    const existing = await backend.get(factionId)
+    if (!existing) {
+      await backend.put(factionId, legacy)
+    }
+    await this.legacyBackend.delete(factionId)
+    return true
+  }
+
+  async loadVersions(factionId) {
+    await this.migrateFromLocalStorage(factionId)
+    const versions = await this.getBackend().get(factionId)
+    if (!Array.isArray(versions)) return []
+    return versions.filter(version => version && typeof version === 'object').map(normalizeVersion)
+  }
+
+  /**
+   * Store a whole history, stored as plain data so reactive objects can be saved
+   */
+  async saveVersions(factionId, versions) {
+    await this.getBackend().put(factionId, JSON.parse(JSON.stringify(versions)))
+  }
+
+  async deleteVersions(factionId) {
+    await this.getBackend().delete(factionId)
+    if (this.getBackend() !== this.legacyBackend) {
+      await this.legacyBackend.delete(factionId)
+    }
+  }
+}
+
+export const versionStorage = new VersionStorageService()
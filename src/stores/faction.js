@@ -1,9 +1,75 @@
 import { defineStore } from 'pinia'
-import { ref } from 'vue'
+import { ref, computed, watch } from 'vue'
+import { CURRENT_SCHEMA_VERSION, TEXT_FIELDS, migrateFaction } from '../services/migrationService'
+import { HistoryService } from '../services/historyService'
+import { DEFAULT_COLOR_PRESETS, validateFaction, fixFaction } from '../services/validationService'
+import { DEFAULT_FACTION_ID, versionStorage, getVersionsStorageKey, isQuotaError } from '../services/versionStorageService'
+import { AutosaveService, readAutosave, writeAutosave, clearAutosave } from '../services/autosaveService'
+import { getCustomSectionId } from '../services/diffService'
+import { mergeFactions } from '../services/mergeService'
+import { instantiateTemplate } from '../services/templateService'
+import { SYNC_DELAY, SyncChannel, splitDocument, joinDocument, diffUnits, applyRemoteChanges, getDocumentKeys } from '../services/syncService'
+import { generateRelationshipId, isRelationshipType, normalizeRelationships, pruneRelationships } from '../services/relationshipService'
+import { generateClockId, normalizeClocks, clampSegments, clampFilled } from '../services/clockService'
+import { generateTimelineEventId, normalizeTimeline, applyTimelineChanges, pruneTimeline, getEventNodeIds } from '../services/timelineService'
+import { emptyReveals, normalizeReveals, pruneReveals, getParagraphKey } from '../services/revealService'
+
+// The working copy of every faction in one localStorage entry. Unlike the version histories it is not
+// in IndexedDB, the store reads it synchronously when it starts, so large workspaces can hit the quota.
+export const WORKSPACE_STORAGE_KEY = 'faction-workspace'
+const LEGACY_COLOR_PRESETS_STORAGE_KEY = 'factionColorPresets'
+const HIDE_SECRETS_STORAGE_KEY = 'faction-hide-secrets'
+
+// Top level keys the store knows about, anything else in a loaded file is kept as is
+const DOCUMENT_KEYS = ['version', 'factionName', ...TEXT_FIELDS, 'customSections', 'pyramid', 'relationships', 'clocks', 'timeline', 'reveals', 'colorPresets']
+
+export { DEFAULT_FACTION_ID, getVersionsStorageKey }
+
+function deleteVersionHistory(factionId) {
+  versionStorage.deleteVersions(factionId).catch(err => {
+    console.error('Error deleting version history:', err)
+  })
+}
+
+// Branch details of a workspace entry: { name, parentFactionId, parentVersion }, null for a faction of its own
+function normalizeBranch(branch) {
+  if (!branch || typeof branch !== 'object' || typeof branch.name !== 'string') return null
+
+  const parentVersion = branch.parentVersion && typeof branch.parentVersion === 'object' ? branch.parentVersion : null
+  return {
+    name: branch.name,
+    parentFactionId: typeof branch.parentFactionId === 'string' ? branch.parentFactionId : null,
+    parentVersion: parentVersion
+      ? { id: parentVersion.id, name: parentVersion.name || '', timestamp: parentVersion.timestamp }
+      : null
+  }
+}
+
+function generateFactionId() {
+  return `faction_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`
+}
+
+function generateSectionId() {
+  return `section_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`
+}
+
+// Keep only well formed custom sections from loaded data
+function normalizeCustomSections(sections) {
+  if (!Array.isArray(sections)) return []
+
+  return sections
+    .filter(section => section && typeof section === 'object')
+    .map(section => ({
+      id: typeof section.id === 'string' && section.id ? section.id : generateSectionId(),
+      name: typeof section.name === 'string' ? section.name : 'Untitled Section',
+      prompt: typeof section.prompt === 'string' ? section.prompt : '',
+      content: typeof section.content === 'string' ? section.content : ''
+    }))
+}
 
 export const useFactionStore = defineStore('faction', () => {
   // State
-  const version = ref(4)
+  const version = ref(CURRENT_SCHEMA_VERSION)
   const factionName = ref('New Faction')
   const summary = ref('')
   const mastermind = ref('')
@@ -13,12 +79,62 @@ export const useFactionStore = defineStore('faction', () => {
   const machinations = ref('')
   const mysteries = ref('')
   const notes = ref('')
+  // User defined sections after the fixed ones: { id, name, prompt, content }
+  const customSections = ref([])
   const pyramid = ref({})
-  const colorPresets = ref(['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'])
+  // Typed edges between pyramid nodes besides the manager hierarchy: { id, from, to, type, label }
+  const relationships = ref([])
+  // Segmented progress clocks for the plans of the faction: { id, name, segments, filled, nodeId, onComplete }
+  const clocks = ref([])
+  // Dated events in the history of the faction: { id, date, title, description, nodeIds, sectionKeys, changes }
+  const timeline = ref([])
+  // What the players know about, everything else is GM-only: { sections, paragraphs, nodes, relationships }
+  const reveals = ref(emptyReveals())
+  // Part of the faction document, so every faction in the workspace keeps its own
+  const colorPresets = ref([...DEFAULT_COLOR_PRESETS])
+  // Screen sharing mode, secret node descriptions are left out of tooltips and exports. Not part of the faction.
+  const hideSecrets = ref(false)
+
+  // Section refs by field name
+  const documentTextRefs = { summary, mastermind, motivations, members, methods, machinations, mysteries, notes }
+
+  // Unknown fields from loaded files, written back on export so no data is lost
+  const extraFields = ref({})
+  const lastMigrationReport = ref(null)
+  const integrityReport = ref(null)
+
+  // Workspace state - the refs above always hold the active faction,
+  // the other factions are kept as exported snapshots
+  const factions = ref([{ id: DEFAULT_FACTION_ID, data: null, branch: null }])
+  const activeFactionId = ref(DEFAULT_FACTION_ID)
+  // Writes the browser refused for lack of space, the user has to know their work is not kept
+  const storageQuotaExceeded = ref({ workspace: false, autosave: false })
+
+  function setQuotaExceeded(key, exceeded) {
+    if (storageQuotaExceeded.value[key] !== exceeded) {
+      storageQuotaExceeded.value = { ...storageQuotaExceeded.value, [key]: exceeded }
+    }
+  }
 
-  // Load color presets from localStorage on initialization
+  const factionList = computed(() => {
+    return factions.value.map(faction => ({
+      id: faction.id,
+      name: faction.id === activeFactionId.value
+        ? factionName.value
+        : (faction.data && faction.data.factionName) || 'New Faction',
+      branch: faction.branch ? faction.branch.name : null
+    }))
+  })
+
+  const activeBranch = computed(() => {
+    const active = factions.value.find(faction => faction.id === activeFactionId.value)
+    return active ? active.branch : null
+  })
+
+  // Presets saved before they were kept per faction, the faction of that time picks them up
+  // on initialization unless the workspace has presets of its own for it
   const loadColorPresetsFromLocalStorage = () => {
-    const saved = localStorage.getItem('factionColorPresets')
+    const saved = localStorage.getItem(LEGACY_COLOR_PRESETS_STORAGE_KEY)
     if (saved) {
       try {
         const parsed = JSON.parse(saved)
@@ -31,19 +147,22 @@ export const useFactionStore = defineStore('faction', () => {
     }
   }
 
-  // Save color presets to localStorage
-  const saveColorPresetsToLocalStorage = () => {
-    localStorage.setItem('factionColorPresets', JSON.stringify(colorPresets.value))
-  }
-
   // Update color presets
   function updateColorPresets(newPresets) {
     if (Array.isArray(newPresets) && newPresets.length === 6) {
       colorPresets.value = newPresets
-      saveColorPresetsToLocalStorage()
     }
   }
 
+  const loadHideSecretsFromLocalStorage = () => {
+    hideSecrets.value = localStorage.getItem(HIDE_SECRETS_STORAGE_KEY) === 'true'
+  }
+
+  function setHideSecrets(value) {
+    hideSecrets.value = Boolean(value)
+    localStorage.setItem(HIDE_SECRETS_STORAGE_KEY, String(hideSecrets.value))
+  }
+
   // Actions
   function resetFaction() {
     factionName.value = 'New Faction'
@@ -55,12 +174,22 @@ export const useFactionStore = defineStore('faction', () => {
     machinations.value = ''
     mysteries.value = ''
     notes.value = ''
+    customSections.value = []
     pyramid.value = {}
-    // Don't reset color presets - they persist across factions
+    relationships.value = []
+    clocks.value = []
+    timeline.value = []
+    reveals.value = emptyReveals()
+    extraFields.value = {}
+    // Don't reset color presets - they are a setting of the faction, not of its content
   }
 
-  function loadFaction(data) {
-    version.value = data.version || 4
+  function loadFaction(input) {
+    // Upgrade older files to the current schema before reading them
+    const { data, report } = migrateFaction(input)
+    lastMigrationReport.value = report
+
+    version.value = data.version || CURRENT_SCHEMA_VERSION
     factionName.value = data.factionName || 'New Faction'
     summary.value = data.summary || ''
     mastermind.value = data.mastermind || ''
@@ -70,17 +199,31 @@ export const useFactionStore = defineStore('faction', () => {
     machinations.value = data.machinations || ''
     mysteries.value = data.mysteries || ''
     notes.value = data.notes || ''
+    customSections.value = normalizeCustomSections(data.customSections)
     pyramid.value = data.pyramid || {}
+    relationships.value = normalizeRelationships(data.relationships)
+    clocks.value = normalizeClocks(data.clocks)
+    timeline.value = normalizeTimeline(data.timeline)
+    reveals.value = normalizeReveals(data.reveals)
     
     // Load color presets if saved in faction file
     if (data.colorPresets && Array.isArray(data.colorPresets) && data.colorPresets.length === 6) {
       colorPresets.value = data.colorPresets
-      saveColorPresetsToLocalStorage()
     }
+
+    extraFields.value = Object.fromEntries(
+      Object.entries(data).filter(([key]) => !DOCUMENT_KEYS.includes(key))
+    )
+
+    // Problems are reported, fixing them is left to the user
+    integrityReport.value = validateFaction(data)
+
+    return report
   }
 
   function exportFaction() {
     return {
+      ...extraFields.value,
       version: version.value,
       factionName: factionName.value,
       summary: summary.value,
@@ -91,13 +234,957 @@ export const useFactionStore = defineStore('faction', () => {
       machinations: machinations.value,
       mysteries: mysteries.value,
       notes: notes.value,
+      customSections: customSections.value,
       pyramid: pyramid.value,
+      relationships: relationships.value,
+      clocks: clocks.value,
+      timeline: timeline.value,
+      reveals: reveals.value,
       colorPresets: colorPresets.value
     }
   }
 
-  // Initialize color presets from localStorage
+  // Custom sections
+  function findCustomSection(id) {
+    return customSections.value.find(section => section.id === id)
+  }
+
+  function addCustomSection(name = 'New Section', prompt = '') {
+    const section = { id: generateSectionId(), name, prompt, content: '' }
+    customSections.value.push(section)
+    return section.id
+  }
+
+  // Rename a section or change its prompt or content
+  function updateCustomSection(id, changes) {
+    const section = findCustomSection(id)
+    if (!section) return false
+
+    const editableKeys = ['name', 'prompt', 'content']
+    editableKeys.forEach(key => {
+      if (typeof changes[key] === 'string') {
+        section[key] = changes[key]
+      }
+    })
+    return true
+  }
+
+  function moveCustomSection(id, toIndex) {
+    const fromIndex = customSections.value.findIndex(section => section.id === id)
+    if (fromIndex === -1 || toIndex < 0 || toIndex >= customSections.value.length) return false
+
+    const [section] = customSections.value.splice(fromIndex, 1)
+    customSections.value.splice(toIndex, 0, section)
+    return true
+  }
+
+  function removeCustomSection(id) {
+    const index = customSections.value.findIndex(section => section.id === id)
+    if (index === -1) return false
+
+    customSections.value.splice(index, 1)
+    return true
+  }
+
+  // Relationships
+  function addRelationship(from, to, type, label = '') {
+    if (!pyramid.value[from] || !pyramid.value[to] || from === to || !isRelationshipType(type)) return null
+
+    const relationship = { id: generateRelationshipId(), from, to, type, label }
+    relationships.value.push(relationship)
+    return relationship.id
+  }
+
+  // Change the ends, type or label of a relationship
+  function updateRelationship(id, changes) {
+    const relationship = relationships.value.find(rel => rel.id === id)
+    if (!relationship) return false
+
+    const from = changes.from ?? relationship.from
+    const to = changes.to ?? relationship.to
+    if (!pyramid.value[from] || !pyramid.value[to] || from === to) return false
+    if (changes.type !== undefined && !isRelationshipType(changes.type)) return false
+
+    relationship.from = from
+    relationship.to = to
+    if (changes.type !== undefined) relationship.type = changes.type
+    if (typeof changes.label === 'string') relationship.label = changes.label
+    return true
+  }
+
+  function removeRelationship(id) {
+    const index = relationships.value.findIndex(rel => rel.id === id)
+    if (index === -1) return false
+
+    relationships.value.splice(index, 1)
+    removeOrphanedReveals()
+    return true
+  }
+
+  // Drop relationships, reveals and timeline links of nodes that were deleted
+  function removeOrphanedRelationships() {
+    const remaining = pruneRelationships(relationships.value, pyramid.value)
+    if (remaining.length !== relationships.value.length) {
+      relationships.value = remaining
+    }
+    removeOrphanedReveals()
+    removeOrphanedTimelineLinks()
+  }
+
+  // Events keep their place in the history, only the links to the deleted nodes go
+  function removeOrphanedTimelineLinks() {
+    const pruned = pruneTimeline(timeline.value, pyramid.value)
+    if (JSON.stringify(pruned) !== JSON.stringify(timeline.value)) {
+      timeline.value = pruned
+    }
+  }
+
+  // A new node can get the id of a deleted one, it must not inherit the reveal
+  function removeOrphanedReveals() {
+    const { nodes, relationships: relationshipIds } = pruneReveals(reveals.value, exportFaction())
+    if (nodes.length !== reveals.value.nodes.length || relationshipIds.length !== reveals.value.relationships.length) {
+      reveals.value = { ...reveals.value, nodes, relationships: relationshipIds }
+    }
+  }
+
+  // Player reveals
+  const withItem = (list, item, included) => {
+    const rest = list.filter(entry => entry !== item)
+    return included ? [...rest, item] : rest
+  }
+
+  // Reveal or hide a whole section, keys are 'factionName', 'summary', ... or 'customSection:<id>'
+  function setSectionRevealed(key, revealed) {
+    reveals.value = { ...reveals.value, sections: withItem(reveals.value.sections, key, revealed) }
+  }
+
+  // Reveal or hide one paragraph of a section, keys of paragraphs that were edited since are dropped
+  function setParagraphRevealed(key, paragraph, revealed) {
+    const keys = withItem(reveals.value.paragraphs[key] || [], getParagraphKey(paragraph), revealed)
+    const paragraphs = { ...reveals.value.paragraphs, [key]: keys }
+    reveals.value = { ...reveals.value, paragraphs: pruneReveals({ ...reveals.value, paragraphs }, exportFaction()).paragraphs }
+  }
+
+  function setNodeRevealed(id, revealed) {
+    if (!pyramid.value[id]) return false
+    reveals.value = { ...reveals.value, nodes: withItem(reveals.value.nodes, id, revealed) }
+    return true
+  }
+
+  function setRelationshipRevealed(id, revealed) {
+    if (!relationships.value.some(rel => rel.id === id)) return false
+    reveals.value = { ...reveals.value, relationships: withItem(reveals.value.relationships, id, revealed) }
+    return true
+  }
+
+  // Clocks
+  function findClock(id) {
+    return clocks.value.find(clock => clock.id === id)
+  }
+
+  function addClock(name = 'New Clock', segments, nodeId = '') {
+    const clock = normalizeClocks([{ id: generateClockId(), name, segments, filled: 0, nodeId }])[0]
+    clocks.value.push(clock)
+    return clock.id
+  }
+
+  // Rename a clock, change its size, node link or completion note
+  function updateClock(id, changes) {
+    const clock = findClock(id)
+    if (!clock) return false
+    if (changes.nodeId && !pyramid.value[changes.nodeId]) return false
+
+    if (typeof changes.name === 'string') clock.name = changes.name
+    if (changes.segments !== undefined) {
+      clock.segments = clampSegments(changes.segments)
+      clock.filled = clampFilled(clock.filled, clock.segments)
+    }
+    if (changes.filled !== undefined) clock.filled = clampFilled(changes.filled, clock.segments)
+    if (typeof changes.nodeId === 'string') clock.nodeId = changes.nodeId
+    if (typeof changes.onComplete === 'string') clock.onComplete = changes.onComplete
+    return true
+  }
+
+  // Fill (positive) or clear (negative) segments, returns the filled segments
+  function tickClock(id, amount = 1) {
+    const clock = findClock(id)
+    if (!clock) return null
+
+    clock.filled = clampFilled(clock.filled + amount, clock.segments)
+    return clock.filled
+  }
+
+  function removeClock(id) {
+    const index = clocks.value.findIndex(clock => clock.id === id)
+    if (index === -1) return false
+
+    clocks.value.splice(index, 1)
+    return true
+  }
+
+  // Timeline
+  function findTimelineEvent(id) {
+    return timeline.value.find(event => event.id === id)
+  }
+
+  // Add an event at the end of the timeline. The node changes of the event, [{ nodeId, field, to }],
+  // are applied to the pyramid and recorded in the event. Returns the event id, or null when a change is invalid.
+  function addTimelineEvent({ date = '', title = 'New Event', description = '', nodeIds = [], sectionKeys = [], changes = [] } = {}) {
+    const result = applyTimelineChanges(pyramid.value, changes)
+    if (result.error) return null
+
+    const event = normalizeTimeline([{
+      id: generateTimelineEventId(),
+      date,
+      title,
+      description,
+      nodeIds,
+      sectionKeys,
+      changes: result.applied
+    }])[0]
+    if (result.applied.length > 0) {
+      pyramid.value = result.pyramid
+    }
+    timeline.value.push(event)
+    return event.id
+  }
+
+  // Edit the date, text and references of an event, its recorded node changes stay as they happened
+  function updateTimelineEvent(id, changes) {
+    const event = findTimelineEvent(id)
+    if (!event) return false
+
+    const updated = normalizeTimeline([{ ...event, ...changes, id, changes: event.changes }])[0]
+    Object.assign(event, updated)
+    return true
+  }
+
+  // Removing an event leaves the node changes it made in place
+  function removeTimelineEvent(id) {
+    const index = timeline.value.findIndex(event => event.id === id)
+    if (index === -1) return false
+
+    timeline.value.splice(index, 1)
+    return true
+  }
+
+  // Integrity checks
+  function validate() {
+    integrityReport.value = validateFaction(exportFaction())
+    return integrityReport.value
+  }
+
+  // Fix the given issues, or every fixable issue, as a single undoable change
+  function applyIntegrityFixes(issues) {
+    const { data, fixes } = fixFaction(exportFaction(), issues)
+
+    factionName.value = data.factionName
+    TEXT_FIELDS.forEach(field => {
+      documentTextRefs[field].value = data[field]
+    })
+    customSections.value = data.customSections
+    pyramid.value = data.pyramid
+    relationships.value = data.relationships
+    clocks.value = normalizeClocks(data.clocks)
+    timeline.value = normalizeTimeline(data.timeline)
+    reveals.value = normalizeReveals(data.reveals)
+    if (Array.isArray(data.colorPresets) && data.colorPresets.length === 6) {
+      colorPresets.value = data.colorPresets
+    }
+
+    validate()
+    return fixes
+  }
+
+  // Restoring parts of an older version, `source` is the faction data of that version
+  function restoreField(key, source) {
+    const sectionId = getCustomSectionId(key)
+    if (sectionId === null) {
+      if (key === 'factionName') {
+        factionName.value = source.factionName || 'New Faction'
+        return true
+      }
+      if (!TEXT_FIELDS.includes(key)) return false
+
+      documentTextRefs[key].value = source[key] || ''
+      return true
+    }
+
+    const sourceSections = normalizeCustomSections(source.customSections)
+    const sourceIndex = sourceSections.findIndex(section => section.id === sectionId)
+    const existing = findCustomSection(sectionId)
+    // The section was added after that version
+    if (sourceIndex === -1) {
+      return existing ? removeCustomSection(sectionId) : false
+    }
+
+    const restored = sourceSections[sourceIndex]
+    if (existing) {
+      Object.assign(existing, restored)
+    } else {
+      customSections.value.splice(Math.min(sourceIndex, customSections.value.length), 0, restored)
+    }
+    return true
+  }
+
+  function restoreNode(id, source) {
+    const sourceNode = source.pyramid && source.pyramid[id]
+    if (!sourceNode) return false
+
+    const reportsTo = (nodeId, ancestorId) => {
+      const visited = new Set()
+      let current = pyramid.value[nodeId]
+      while (current && current.manager && !visited.has(current.manager)) {
+        if (current.manager === ancestorId) return true
+        visited.add(current.manager)
+        current = pyramid.value[current.manager]
+      }
+      return false
+    }
+
+    const node = JSON.parse(JSON.stringify(sourceNode))
+    // The old manager may be gone, or report to this node by now
+    if (node.manager && (!pyramid.value[node.manager] || node.manager === id || reportsTo(node.manager, id))) {
+      node.manager = ''
+    }
+
+    pyramid.value = { ...pyramid.value, [id]: node }
+    return true
+  }
+
+  // A clock that was changed or removed since the older version
+  function restoreClock(id, source) {
+    const sourceClock = (Array.isArray(source.clocks) ? source.clocks : []).find(clock => clock.id === id)
+    if (!sourceClock) return false
+
+    const clock = normalizeClocks([sourceClock])[0]
+    // The node may be gone by now
+    if (clock.nodeId && !pyramid.value[clock.nodeId]) {
+      clock.nodeId = ''
+    }
+
+    const index = clocks.value.findIndex(c => c.id === id)
+    if (index === -1) {
+      clocks.value.push(clock)
+    } else {
+      clocks.value.splice(index, 1, clock)
+    }
+    return true
+  }
+
+  // Replace the pyramid with imported nodes, undoable as a single change.
+  // Relationships, reveals, clocks and timeline events of nodes that are gone are dropped or unlinked.
+  function importPyramid(newPyramid) {
+    pyramid.value = newPyramid
+    removeOrphanedRelationships()
+    clocks.value.forEach(clock => {
+      if (clock.nodeId && !newPyramid[clock.nodeId]) clock.nodeId = ''
+    })
+  }
+
+  // What importPyramid would drop or unlink, so the import can warn first:
+  // { relationships, clocks, events, reveals } counts of the items that refer to nodes not in `newPyramid`
+  function getPyramidImportLosses(newPyramid) {
+    const isGone = (id) => !newPyramid[id]
+    return {
+      relationships: relationships.value.filter(rel => isGone(rel.from) || isGone(rel.to)).length,
+      clocks: clocks.value.filter(clock => clock.nodeId && isGone(clock.nodeId)).length,
+      events: timeline.value.filter(event => getEventNodeIds(event).some(isGone)).length,
+      reveals: reveals.value.nodes.filter(isGone).length
+    }
+  }
+
+  // Graft another faction into this one, undoable as a single change. See mergeFactions for the options.
+  function mergeFaction(incoming, options) {
+    const { data, report } = mergeFactions(exportFaction(), incoming, options)
+    loadFaction(data)
+    return report
+  }
+
+  // Workspace actions
+  function findFaction(id) {
+    return factions.value.find(faction => faction.id === id)
+  }
+
+  // Store the current working copy of the active faction in the workspace list
+  function snapshotActiveFaction() {
+    const active = findFaction(activeFactionId.value)
+    if (active) {
+      active.data = JSON.parse(JSON.stringify(exportFaction()))
+    }
+  }
+
+  function saveWorkspace() {
+    snapshotActiveFaction()
+    try {
+      localStorage.setItem(WORKSPACE_STORAGE_KEY, JSON.stringify({
+        activeFactionId: activeFactionId.value,
+        factions: factions.value
+      }))
+      setQuotaExceeded('workspace', false)
+    } catch (e) {
+      console.error('Failed to save workspace to localStorage', e)
+      if (isQuotaError(e)) {
+        setQuotaExceeded('workspace', true)
+      }
+    }
+  }
+
+  const loadWorkspaceFromLocalStorage = () => {
+    const saved = localStorage.getItem(WORKSPACE_STORAGE_KEY)
+    if (!saved) return
+
+    try {
+      const parsed = JSON.parse(saved)
+      if (!parsed || !Array.isArray(parsed.factions) || parsed.factions.length === 0) return
+
+      factions.value = parsed.factions
+        .filter(faction => faction && typeof faction.id === 'string')
+        .map(faction => ({ id: faction.id, data: faction.data || null, branch: normalizeBranch(faction.branch) }))
+      if (factions.value.length === 0) {
+        factions.value = [{ id: DEFAULT_FACTION_ID, data: null, branch: null }]
+      }
+
+      const active = findFaction(parsed.activeFactionId) || factions.value[0]
+      activeFactionId.value = active.id
+      if (active.data) {
+        loadFaction(active.data)
+      }
+    } catch (e) {
+      console.error('Failed to load workspace from localStorage', e)
+    }
+  }
+
+  function switchFaction(id) {
+    const target = findFaction(id)
+    if (!target || id === activeFactionId.value) return false
+
+    autosave.flush()
+    flushSync()
+    snapshotActiveFaction()
+    activeFactionId.value = id
+    // A faction without presets of its own, e.g. a new one, starts from the defaults
+    colorPresets.value = [...DEFAULT_COLOR_PRESETS]
+    if (target.data) {
+      loadFaction(target.data)
+    } else {
+      resetFaction()
+    }
+    // A session that ended before this faction was saved may have left its working copy behind
+    recoverableAutosave.value = readAutosave(id)
+    clearHistory()
+    resetSyncUnits()
+    saveWorkspace()
+    return true
+  }
+
+  function createFaction(name = 'New Faction') {
+    const id = generateFactionId()
+    snapshotActiveFaction()
+    factions.value.push({ id, data: null, branch: null })
+    switchFaction(id)
+    factionName.value = name
+    clearHistory()
+    saveWorkspace()
+    sendSyncState()
+    return id
+  }
+
+  // Start a new faction from a template, see templateService
+  function createFactionFromTemplate(template) {
+    const id = generateFactionId()
+    snapshotActiveFaction()
+    factions.value.push({ id, data: instantiateTemplate(template), branch: null })
+    switchFaction(id)
+    sendSyncState()
+    return id
+  }
+
+  function renameFaction(id, name) {
+    const faction = findFaction(id)
+    if (!faction || typeof name !== 'string' || !name.trim()) return false
+
+    if (id === activeFactionId.value) {
+      factionName.value = name.trim()
+    } else {
+      faction.data = { ...(faction.data || {}), factionName: name.trim() }
+      postSyncChanges(id, ['factionName'], { factionName: name.trim() })
+    }
+    saveWorkspace()
+    return true
+  }
+
+  function duplicateFaction(id) {
+    const source = findFaction(id)
+    if (!source) return null
+
+    snapshotActiveFaction()
+    const data = JSON.parse(JSON.stringify(source.data || exportFaction()))
+    data.factionName = `${data.factionName || 'New Faction'} (Copy)`
+
+    const newId = generateFactionId()
+    const index = factions.value.indexOf(source)
+    factions.value.splice(index + 1, 0, { id: newId, data, branch: null })
+    switchFaction(newId)
+    sendSyncState()
+    return newId
+  }
+
+  /**
+   * Start a "what if" branch of the active faction. The branch is a workspace entry of its own,
+   * so it is edited and versioned apart from the faction it came from.
+   * `data` is the version to branch from, the working copy by default.
+   */
+  function createBranch(name, { data = null, parentVersion = null } = {}) {
+    if (typeof name !== 'string' || !name.trim()) return null
+
+    snapshotActiveFaction()
+    const source = findFaction(activeFactionId.value)
+    const branch = normalizeBranch({ name: name.trim(), parentFactionId: source.id, parentVersion })
+
+    const newId = generateFactionId()
+    const index = factions.value.indexOf(source)
+    factions.value.splice(index + 1, 0, {
+      id: newId,
+      data: JSON.parse(JSON.stringify(data || exportFaction())),
+      branch
+    })
+    switchFaction(newId)
+    sendSyncState()
+    return newId
+  }
+
+  function deleteFaction(id) {
+    const index = factions.value.findIndex(faction => faction.id === id)
+    // The workspace always keeps at least one faction
+    if (index === -1 || factions.value.length === 1) return false
+
+    if (id === activeFactionId.value) {
+      const neighbour = factions.value[index + 1] || factions.value[index - 1]
+      switchFaction(neighbour.id)
+    }
+    factions.value.splice(index, 1)
+    deleteVersionHistory(id)
+    clearAutosave(id)
+    saveWorkspace()
+    if (syncChannel) {
+      syncChannel.post({ type: 'delete', factionId: id })
+    }
+    return true
+  }
+
+  // Remove every faction and its version history, leaving a single empty faction
+  function resetWorkspace() {
+    autosave.cancel()
+    factions.value.forEach(faction => {
+      deleteVersionHistory(faction.id)
+      clearAutosave(faction.id)
+    })
+    localStorage.removeItem(WORKSPACE_STORAGE_KEY)
+    localStorage.removeItem(LEGACY_COLOR_PRESETS_STORAGE_KEY)
+    factions.value = [{ id: DEFAULT_FACTION_ID, data: null, branch: null }]
+    activeFactionId.value = DEFAULT_FACTION_ID
+    colorPresets.value = [...DEFAULT_COLOR_PRESETS]
+    resetFaction()
+    clearHistory()
+  }
+
+  // Undo/redo history of the active faction document
+  const canUndo = ref(false)
+  const canRedo = ref(false)
+  const history = new HistoryService(applyDocumentValues)
+  let historyBaseline = {}
+
+  const cloneDocument = () => JSON.parse(JSON.stringify(exportFaction()))
+
+  function updateHistoryState() {
+    canUndo.value = history.canUndo
+    canRedo.value = history.canRedo
+  }
+
+  // Write recorded values back into the document
+  function applyDocumentValues(values) {
+    const documentRefs = { version, factionName, ...documentTextRefs, customSections, pyramid, relationships, clocks, timeline, reveals }
+
+    Object.entries(values).forEach(([key, value]) => {
+      const copy = value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+      if (documentRefs[key]) {
+        documentRefs[key].value = copy
+      } else if (key === 'colorPresets') {
+        colorPresets.value = copy
+      } else if (copy === undefined) {
+        const { [key]: _removed, ...rest } = extraFields.value
+        extraFields.value = rest
+      } else {
+        extraFields.value = { ...extraFields.value, [key]: copy }
+      }
+    })
+  }
+
+  // Compare the document with the last recorded state and record a command for what changed
+  function captureHistory() {
+    const current = cloneDocument()
+    const before = {}
+    const after = {}
+    new Set([...Object.keys(historyBaseline), ...Object.keys(current)]).forEach(key => {
+      if (JSON.stringify(historyBaseline[key]) !== JSON.stringify(current[key])) {
+        before[key] = historyBaseline[key]
+        after[key] = current[key]
+      }
+    })
+    historyBaseline = current
+
+    const changedKeys = Object.keys(after)
+    if (changedKeys.length === 0) return
+
+    // Continuous typing in a single text field becomes one step
+    const textKey = changedKeys.length === 1 && ['factionName', ...TEXT_FIELDS].includes(changedKeys[0])
+      ? changedKeys[0]
+      : null
+
+    history.push({
+      label: changedKeys.length === 1 ? `Edit ${changedKeys[0]}` : 'Edit faction',
+      before,
+      after,
+      coalesceKey: textKey
+    })
+    updateHistoryState()
+  }
+
+  function undo() {
+    // Record pending edits first so they are the ones being undone
+    captureHistory()
+    const command = history.undo()
+    historyBaseline = cloneDocument()
+    updateHistoryState()
+    return command
+  }
+
+  function redo() {
+    captureHistory()
+    const command = history.redo()
+    historyBaseline = cloneDocument()
+    updateHistoryState()
+    return command
+  }
+
+  // Changes made between begin and end, such as a drag, are undone as one step
+  function beginHistoryGroup(label) {
+    captureHistory()
+    history.beginGroup(label)
+    updateHistoryState()
+  }
+
+  function endHistoryGroup() {
+    captureHistory()
+    history.endGroup()
+    updateHistoryState()
+  }
+
+  function clearHistory() {
+    history.clear()
+    historyBaseline = cloneDocument()
+    updateHistoryState()
+  }
+
+  // Autosave of the working copy - 'saved' matches the last saved version,
+  // 'unsaved' is waiting for the autosave and 'autosaved' is kept only in the recovery slot
+  const saveStatus = ref('saved')
+  const lastAutosaveAt = ref(null)
+  const recoverableAutosave = ref(null)
+  const autosave = new AutosaveService(runAutosave)
+  let savedBaseline = null
+  let autosavedJson = null
+
+  function runAutosave() {
+    const json = JSON.stringify(exportFaction())
+    if (json === savedBaseline) {
+      clearAutosave(activeFactionId.value)
+      autosavedJson = null
+      saveStatus.value = 'saved'
+      setQuotaExceeded('autosave', false)
+      return
+    }
+
+    let entry = null
+    try {
+      entry = writeAutosave(activeFactionId.value, JSON.parse(json))
+      setQuotaExceeded('autosave', false)
+    } catch (err) {
+      if (!isQuotaError(err)) throw err
+      setQuotaExceeded('autosave', true)
+    }
+    if (entry) {
+      lastAutosaveAt.value = entry.savedAt
+      autosavedJson = json
+      saveStatus.value = 'autosaved'
+    }
+  }
+
+  // Set the saved version the working copy is compared with, null when nothing was saved yet
+  function markSaved(data = exportFaction()) {
+    autosave.cancel()
+    savedBaseline = data ? JSON.stringify(data) : null
+    autosavedJson = null
+    runAutosave()
+  }
+
+  function flushAutosave() {
+    return autosave.flush()
+  }
+
+  // The recovery slot left behind by a closed or crashed tab, if it differs from the working copy
+  function findRecoverableAutosave() {
+    const entry = recoverableAutosave.value
+    if (!entry || JSON.stringify(entry.data) === JSON.stringify(exportFaction())) {
+      recoverableAutosave.value = null
+      return null
+    }
+    return entry
+  }
+
+  function recoverAutosave() {
+    const entry = recoverableAutosave.value
+    if (!entry) return null
+
+    recoverableAutosave.value = null
+    return loadFaction(entry.data)
+  }
+
+  function discardAutosave() {
+    recoverableAutosave.value = null
+    clearAutosave(activeFactionId.value)
+  }
+
+  // Live sync with the other tabs of the app, started with startSync().
+  // Only edits are sent, with the revision of each unit they were based on, see syncService.
+  const syncConflicts = ref([])
+  const activeSyncConflicts = computed(() => {
+    return syncConflicts.value.filter(conflict => conflict.factionId === activeFactionId.value)
+  })
+  const syncSender = new AutosaveService(sendSyncChanges, { delay: SYNC_DELAY })
+  let syncChannel = null
+  // Revisions of the synced units of every faction: { factionId: { unitKey: { tabId, counter } } }
+  let syncRevisions = {}
+  // Units of the active faction as last sent or received
+  let syncUnits = {}
+  let syncCounter = 0
+
+  function getSyncRevisions(factionId) {
+    if (!syncRevisions[factionId]) syncRevisions[factionId] = {}
+    return syncRevisions[factionId]
+  }
+
+  function resetSyncUnits() {
+    syncUnits = splitDocument(cloneDocument())
+  }
+
+  // Give the units a new revision and send them
+  function postSyncChanges(factionId, keys, units, baseRevisions = {}) {
+    if (!syncChannel || keys.length === 0) return
+
+    const revisions = getSyncRevisions(factionId)
+    const changes = keys.map(key => {
+      syncCounter++
+      const rev = { tabId: syncChannel.tabId, counter: syncCounter }
+      const change = { key, value: units[key], rev, baseRev: baseRevisions[key] || revisions[key] || null }
+      revisions[key] = rev
+      return change
+    })
+    const faction = findFaction(factionId)
+    syncChannel.post({
+      type: 'changes',
+      factionId,
+      changes,
+      data: factionId === activeFactionId.value ? cloneDocument() : faction && faction.data,
+      branch: faction ? faction.branch : null
+    })
+  }
+
+  // Send the edits of the active faction made since the last sync
+  function sendSyncChanges() {
+    if (!syncChannel) return
+
+    const units = splitDocument(cloneDocument())
+    const keys = diffUnits(syncUnits, units)
+    syncUnits = units
+    postSyncChanges(activeFactionId.value, keys, units)
+  }
+
+  function flushSync() {
+    syncSender.cancel()
+    sendSyncChanges()
+  }
+
+  // Send the whole active faction, for new tabs and new factions
+  function sendSyncState() {
+    if (!syncChannel) return
+
+    const revisions = getSyncRevisions(activeFactionId.value)
+    const units = splitDocument(cloneDocument())
+    const active = findFaction(activeFactionId.value)
+    syncChannel.post({
+      type: 'state',
+      factionId: activeFactionId.value,
+      changes: Object.keys(units).map(key => ({ key, value: units[key], rev: revisions[key] || null })),
+      data: cloneDocument(),
+      branch: active ? active.branch : null
+    })
+  }
+
+  // Write synced units into the active faction, edits from other tabs are not undone here
+  function applySyncedUnits(units, keys) {
+    captureHistory()
+    const data = joinDocument(units, exportFaction())
+    applyDocumentValues(Object.fromEntries(getDocumentKeys(keys).map(key => [key, data[key]])))
+    historyBaseline = cloneDocument()
+    resetSyncUnits()
+  }
+
+  function receiveSyncChanges({ factionId, changes, data, branch }, { state = false } = {}) {
+    if (!Array.isArray(changes)) return
+
+    const faction = findFaction(factionId)
+    if (!faction) {
+      // A faction created in another tab
+      if (!data) return
+      factions.value.push({ id: factionId, data, branch: normalizeBranch(branch) })
+      syncRevisions[factionId] = Object.fromEntries(changes.filter(change => change.rev).map(change => [change.key, change.rev]))
+      saveWorkspace()
+      return
+    }
+
+    const isActive = factionId === activeFactionId.value
+    if (isActive) {
+      // Our pending edits go out first, so they are compared instead of overwritten
+      flushSync()
+    }
+    const current = isActive ? cloneDocument() : (faction.data || data || {})
+    const result = applyRemoteChanges(splitDocument(current), getSyncRevisions(factionId), changes, { state })
+    syncRevisions[factionId] = result.revisions
+
+    const conflictKeys = result.conflicts.map(conflict => conflict.key)
+    syncConflicts.value = [
+      ...syncConflicts.value.filter(conflict => {
+        return conflict.factionId !== factionId ||
+          (!result.settledKeys.includes(conflict.key) && !conflictKeys.includes(conflict.key))
+      }),
+      ...result.conflicts.map(conflict => ({ ...conflict, factionId }))
+    ]
+
+    if (result.changedKeys.length === 0) return
+    if (isActive) {
+      applySyncedUnits(result.units, result.changedKeys)
+    } else {
+      faction.data = { ...current, ...joinDocument(result.units, current) }
+      saveWorkspace()
+    }
+  }
+
+  // Another tab deleted a faction, the workspace always keeps at least one
+  function receiveSyncDelete({ factionId }) {
+    const index = factions.value.findIndex(faction => faction.id === factionId)
+    if (index === -1 || factions.value.length === 1) return
+
+    if (factionId === activeFactionId.value) {
+      const neighbour = factions.value[index + 1] || factions.value[index - 1]
+      switchFaction(neighbour.id)
+    }
+    factions.value.splice(index, 1)
+    delete syncRevisions[factionId]
+    syncConflicts.value = syncConflicts.value.filter(conflict => conflict.factionId !== factionId)
+    saveWorkspace()
+  }
+
+  function receiveSyncMessage(message) {
+    if (message.type === 'hello') {
+      sendSyncState()
+    } else if (message.type === 'changes') {
+      receiveSyncChanges(message)
+    } else if (message.type === 'state') {
+      receiveSyncChanges(message, { state: true })
+    } else if (message.type === 'delete') {
+      receiveSyncDelete(message)
+    }
+  }
+
+  /**
+   * Settle a conflict of the active faction, 'mine' keeps our value and 'theirs' takes the other tab's.
+   * Either way the choice is sent, so the other tab settles the conflict too.
+   */
+  function resolveSyncConflict(key, choice) {
+    const conflict = activeSyncConflicts.value.find(c => c.key === key)
+    if (!conflict) return false
+
+    flushSync()
+    syncConflicts.value = syncConflicts.value.filter(c => c !== conflict)
+    const units = splitDocument(cloneDocument())
+    if (choice === 'theirs') {
+      if (conflict.theirs === undefined) {
+        delete units[key]
+      } else {
+        units[key] = conflict.theirs
+      }
+      applySyncedUnits(units, [key])
+      getSyncRevisions(activeFactionId.value)[key] = conflict.theirRev
+      if (syncChannel) {
+        syncChannel.post({
+          type: 'changes',
+          factionId: activeFactionId.value,
+          changes: [{ key, value: units[key], rev: conflict.theirRev, baseRev: conflict.theirRev }],
+          data: cloneDocument(),
+          branch: activeBranch.value
+        })
+      }
+    } else {
+      // A new revision of ours, based on theirs
+      postSyncChanges(activeFactionId.value, [key], units, { [key]: conflict.theirRev })
+    }
+    return true
+  }
+
+  function startSync(channel = new SyncChannel()) {
+    stopSync()
+    syncChannel = channel
+    syncChannel.onmessage = receiveSyncMessage
+    resetSyncUnits()
+    syncChannel.post({ type: 'hello' })
+  }
+
+  function stopSync() {
+    if (!syncChannel) return
+
+    flushSync()
+    syncChannel.close()
+    syncChannel = null
+  }
+
+  watch(() => JSON.stringify(exportFaction()), (json) => {
+    captureHistory()
+    if (syncChannel) {
+      syncSender.schedule()
+    }
+
+    if (json === savedBaseline) {
+      autosave.cancel()
+      runAutosave()
+    } else if (json === autosavedJson) {
+      // Already in the recovery slot, e.g. right after recovering it
+      autosave.cancel()
+      saveStatus.value = 'autosaved'
+    } else {
+      saveStatus.value = 'unsaved'
+      autosave.schedule()
+    }
+  })
+
+  // Initialize color presets, the secrets toggle and workspace from localStorage
   loadColorPresetsFromLocalStorage()
+  loadHideSecretsFromLocalStorage()
+  loadWorkspaceFromLocalStorage()
+  // Autosaves are debounced, so the recovery slot of the last session is still intact here
+  recoverableAutosave.value = readAutosave(activeFactionId.value)
+  clearHistory()
 
   return {
     // State
@@ -111,12 +1198,84 @@ export const useFactionStore = defineStore('faction', () => {
     machinations,
     mysteries,
     notes,
+    customSections,
     pyramid,
+    relationships,
+    clocks,
+    timeline,
+    reveals,
     colorPresets,
+    hideSecrets,
+    extraFields,
+    lastMigrationReport,
+    integrityReport,
+    factions,
+    activeFactionId,
+    storageQuotaExceeded,
+    syncConflicts,
+    // Getters
+    factionList,
+    activeBranch,
+    activeSyncConflicts,
+    canUndo,
+    canRedo,
+    saveStatus,
+    lastAutosaveAt,
     // Actions
     resetFaction,
     loadFaction,
     exportFaction,
-    updateColorPresets
+    updateColorPresets,
+    setHideSecrets,
+    addCustomSection,
+    updateCustomSection,
+    moveCustomSection,
+    removeCustomSection,
+    addRelationship,
+    updateRelationship,
+    removeRelationship,
+    removeOrphanedRelationships,
+    setSectionRevealed,
+    setParagraphRevealed,
+    setNodeRevealed,
+    setRelationshipRevealed,
+    addClock,
+    updateClock,
+    tickClock,
+    removeClock,
+    addTimelineEvent,
+    updateTimelineEvent,
+    removeTimelineEvent,
+    validate,
+    applyIntegrityFixes,
+    restoreField,
+    restoreNode,
+    restoreClock,
+    importPyramid,
+    getPyramidImportLosses,
+    mergeFaction,
+    saveWorkspace,
+    switchFaction,
+    createFaction,
+    createFactionFromTemplate,
+    renameFaction,
+    duplicateFaction,
+    createBranch,
+    deleteFaction,
+    resetWorkspace,
+    undo,
+    redo,
+    beginHistoryGroup,
+    endHistoryGroup,
+    clearHistory,
+    markSaved,
+    flushAutosave,
+    findRecoverableAutosave,
+    recoverAutosave,
+    discardAutosave,
+    startSync,
+    stopSync,
+    flushSync,
+    resolveSyncConflict
   }
 })
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import ClocksPanelComponent from '@/components/Clocks/ClocksPanelComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+describe('ClocksPanelComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    global.confirm = vi.fn(() => true)
+    global.alert = vi.fn()
+
+    factionStore = useFactionStore()
+    factionStore.pyramid = { boss: { name: 'Harbourmaster', manager: '' } }
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+  })
+
+  it('should add a clock with the chosen number of segments', async () => {
+    const wrapper = mount(ClocksPanelComponent)
+    expect(wrapper.text()).toContain('No clocks yet.')
+
+    await wrapper.find('#new-clock-name').setValue('Seize the harbour')
+    await wrapper.find('select[aria-label="Segments of the new clock"]').setValue('6')
+    await wrapper.find('#add-clock').trigger('click')
+
+    expect(factionStore.clocks).toHaveLength(1)
+    expect(factionStore.clocks[0]).toMatchObject({ name: 'Seize the harbour', segments: 6, filled: 0 })
+    expect(wrapper.findAll('.clock-segment')).toHaveLength(6)
+    expect(wrapper.find('#new-clock-name').element.value).toBe('')
+  })
+
+  it('should require a name for a new clock', async () => {
+    const wrapper = mount(ClocksPanelComponent)
+
+    await wrapper.find('#add-clock').trigger('click')
+
+    expect(alert).toHaveBeenCalledWith('Name is required')
+    expect(factionStore.clocks).toHaveLength(0)
+  })
+
+  it('should fill segments with the buttons and the dial', async () => {
+    const id = factionStore.addClock('Seize the harbour', 4)
+    const wrapper = mount(ClocksPanelComponent)
+
+    await wrapper.find('.tick-clock').trigger('click')
+    expect(factionStore.clocks[0].filled).toBe(1)
+
+    await wrapper.findAll('.clock-segment')[3].trigger('click')
+    expect(factionStore.clocks[0].filled).toBe(4)
+    expect(wrapper.find('.tick-clock').attributes('disabled')).toBeDefined()
+
+    factionStore.updateClock(id, { onComplete: 'The docks fall' })
+    await wrapper.vm.$nextTick()
+    expect(wrapper.text()).toContain('Complete: The docks fall')
+
+    await wrapper.find('.untick-clock').trigger('click')
+    expect(factionStore.clocks[0].filled).toBe(3)
+  })
+
+  it('should link a clock to a node and flag a missing one', async () => {
+    factionStore.addClock('Seize the harbour', 4)
+    const wrapper = mount(ClocksPanelComponent)
+
+    await wrapper.find('select[aria-label="Linked node"]').setValue('boss')
+    expect(factionStore.clocks[0].nodeId).toBe('boss')
+
+    factionStore.clocks[0].nodeId = 'ghost'
+    await wrapper.vm.$nextTick()
+    expect(wrapper.find('select[aria-label="Linked node"]').text()).toContain('Missing node')
+  })
+
+  it('should remove a clock after confirmation', async () => {
+    factionStore.addClock('Seize the harbour', 4)
+    const wrapper = mount(ClocksPanelComponent)
+
+    await wrapper.find('.remove-clock').trigger('click')
+
+    expect(confirm).toHaveBeenCalled()
+    expect(factionStore.clocks).toHaveLength(0)
+  })
+})
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import ExportMindMapPopupComponent from '@/components/Popup/ExportMindMapPopupComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+import { downloadFile } from '@/services/downloadService'
+import { exportMindMapPng } from '@/services/mindMapExportService'
+
+// Mock the download and the PNG rendering, the test environment has no 2D canvas
+vi.mock('@/services/downloadService', async (importOriginal) => ({
+  ...(await importOriginal()),
+  downloadFile: vi.fn()
+}))
+vi.mock('@/services/mindMapExportService', async (importOriginal) => ({
+  ...(await importOriginal()),
+  exportMindMapPng: vi.fn().mockResolvedValue(new Blob(['png'], { type: 'image/png' }))
+}))
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+const nodes = [
+  { id: 'boss', x: 200, y: 100, width: 120, height: 50, text: 'Guildmaster', color: '#2563eb', status: 'active', tags: [], loyalty: 5, compromised: false },
+  { id: 'spy', x: 200, y: 250, width: 100, height: 50, text: 'Spy', color: '#3b82f6', status: 'active', tags: [], loyalty: 5, compromised: false }
+]
+const connections = [{ from: nodes[0], to: nodes[1], fromLabel: '', toLabel: '' }]
+
+describe('ExportMindMapPopupComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+    global.alert = vi.fn()
+    vi.clearAllMocks()
+
+    factionStore = useFactionStore()
+    factionStore.factionName = 'Thieves Guild'
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+    vi.restoreAllMocks()
+  })
+
+  const mountPopup = () => mount(ExportMindMapPopupComponent, { props: { isOpen: true, nodes, connections } })
+
+  it('should show the size of the exported image for the chosen scale', async () => {
+    const wrapper = mountPopup()
+    const sizeAtScale = () => wrapper.text().match(/(\d+) × (\d+) px/).slice(1).map(Number)
+
+    const [width, height] = sizeAtScale()
+    await wrapper.find('#export-scale').setValue('4')
+
+    expect(sizeAtScale()).toEqual([width * 2, height * 2])
+
+    await wrapper.find('#export-format-svg').setValue(true)
+    expect(wrapper.find('#export-scale').exists()).toBe(false)
+    expect(sizeAtScale()).toEqual([width / 2, height / 2])
+  })
+
+  it('should download a PNG with the chosen options', async () => {
+    const wrapper = mountPopup()
+
+    await wrapper.find('#export-transparent').setValue(true)
+    await wrapper.find('#export-mind-map').trigger('click')
+    await flushPromises()
+
+    expect(exportMindMapPng).toHaveBeenCalledWith(expect.objectContaining({ nodes }), { scale: 2, transparent: true })
+    expect(downloadFile).toHaveBeenCalledWith(expect.any(Blob), 'Thieves Guild.png', 'image/png')
+    expect(wrapper.emitted('close')).toBeTruthy()
+  })
+
+  it('should download an SVG of the whole diagram', async () => {
+    const wrapper = mountPopup()
+
+    await wrapper.find('#export-format-svg').setValue(true)
+    await wrapper.find('#export-mind-map').trigger('click')
+    await flushPromises()
+
+    const [svg, fileName, type] = downloadFile.mock.calls[0]
+    expect(svg).toContain('<svg')
+    expect(svg).toContain('Guildmaster')
+    expect(fileName).toBe('Thieves Guild.svg')
+    expect(type).toBe('image/svg+xml')
+  })
+
+  it('should report a failed export and stay open', async () => {
+    exportMindMapPng.mockRejectedValueOnce(new Error('Canvas too large'))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const wrapper = mountPopup()
+
+    await wrapper.find('#export-mind-map').trigger('click')
+    await flushPromises()
+
+    expect(alert).toHaveBeenCalledWith('Failed to export the mind map: Canvas too large')
+    expect(wrapper.emitted('close')).toBeFalsy()
+    expect(wrapper.find('#export-mind-map').attributes('disabled')).toBeUndefined()
+  })
+})
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import FactionSheetComponent from '@/components/Print/FactionSheetComponent.vue'
+import PrintSheetPopupComponent from '@/components/Popup/PrintSheetPopupComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+describe('FactionSheetComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    factionStore = useFactionStore()
+    factionStore.factionName = 'Thieves Guild'
+    factionStore.summary = 'A guild of pickpockets.'
+    factionStore.mastermind = 'The Duke.'
+    factionStore.methods = 'Blackmail.'
+    factionStore.pyramid = {
+      boss: { name: 'Guildmaster', manager: '', x: 0, y: 0, secretDescription: 'Owes the Duke' },
+      fence: { name: 'Fence', manager: 'boss', x: 0, y: 150 }
+    }
+    factionStore.reveals = { sections: ['factionName', 'mastermind'], paragraphs: {}, nodes: ['fence'], relationships: [] }
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+  })
+
+  it('should render the GM sheet with every section and the chart', () => {
+    const wrapper = mount(FactionSheetComponent)
+
+    expect(wrapper.find('h1').text()).toBe('Thieves Guild')
+    expect(wrapper.text()).toContain('A guild of pickpockets.')
+    expect(wrapper.findAll('h2').map(h2 => h2.text())).toEqual(['Mastermind', 'Methods', 'Organization'])
+    expect(wrapper.find('svg').exists()).toBe(true)
+    expect(wrapper.text()).not.toContain('Owes the Duke')
+  })
+
+  it('should list the secrets only when they are included', () => {
+    const wrapper = mount(FactionSheetComponent, { props: { includeSecrets: true } })
+
+    expect(wrapper.text()).toContain('GM Secrets')
+    expect(wrapper.find('dt').text()).toBe('Guildmaster')
+    expect(wrapper.find('dd').text()).toBe('Owes the Duke')
+  })
+
+  it('should only show what was revealed on the player sheet', () => {
+    const wrapper = mount(FactionSheetComponent, { props: { variant: 'player', includeSecrets: true } })
+
+    expect(wrapper.findAll('h2').map(h2 => h2.text())).toEqual(['Mastermind', 'Organization'])
+    expect(wrapper.text()).not.toContain('Blackmail.')
+    expect(wrapper.text()).not.toContain('GM Secrets')
+    expect(wrapper.find('svg').text()).toContain('Fence')
+    expect(wrapper.find('svg').text()).not.toContain('Guildmaster')
+  })
+})
+
+describe('PrintSheetPopupComponent', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    const factionStore = useFactionStore()
+    factionStore.factionName = 'Thieves Guild'
+    factionStore.pyramid = { boss: { name: 'Guildmaster', manager: '', secretDescription: 'Owes the Duke' } }
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+  })
+
+  const mountPopup = async () => {
+    const wrapper = mount(PrintSheetPopupComponent, { props: { isOpen: false } })
+    await wrapper.setProps({ isOpen: true })
+    return wrapper
+  }
+
+  it('should preview the GM sheet with secrets by default', async () => {
+    const wrapper = await mountPopup()
+    const sheet = wrapper.findComponent(FactionSheetComponent)
+
+    expect(sheet.props()).toEqual({ variant: 'gm', includeSecrets: true })
+    expect(wrapper.find('#sheet-include-secrets').element.disabled).toBe(false)
+  })
+
+  it('should switch the preview to the player handout', async () => {
+    const wrapper = await mountPopup()
+
+    await wrapper.find('#sheet-variant-player').setValue()
+
+    expect(wrapper.findComponent(FactionSheetComponent).props()).toEqual({ variant: 'player', includeSecrets: false })
+    expect(wrapper.find('#sheet-include-secrets').element.disabled).toBe(true)
+  })
+
+  it('should leave secrets out while they are hidden', async () => {
+    useFactionStore().hideSecrets = true
+    const wrapper = await mountPopup()
+
+    expect(wrapper.findComponent(FactionSheetComponent).props('includeSecrets')).toBe(false)
+    expect(wrapper.find('#sheet-include-secrets').element.disabled).toBe(true)
+  })
+
+  it('should emit the chosen options when printing', async () => {
+    const wrapper = await mountPopup()
+
+    await wrapper.find('#sheet-variant-player').setValue()
+    await wrapper.find('#print-sheet').trigger('click')
+
+    expect(wrapper.emitted('print')).toEqual([[{ variant: 'player', includeSecrets: false }]])
+    expect(wrapper.emitted('close')).toHaveLength(1)
+  })
+})
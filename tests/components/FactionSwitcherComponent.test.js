@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import FactionSwitcherComponent from '@/components/Layout/FactionSwitcherComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+describe('FactionSwitcherComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    global.confirm = vi.fn(() => true)
+    global.alert = vi.fn()
+    global.prompt = vi.fn(() => 'Renamed Guild')
+
+    factionStore = useFactionStore()
+    factionStore.factionName = 'Thieves Guild'
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+  })
+
+  it('should list the factions of the workspace', async () => {
+    const firstId = factionStore.activeFactionId
+    factionStore.createFaction('Merchant League')
+    factionStore.switchFaction(firstId)
+
+    const wrapper = mount(FactionSwitcherComponent)
+    const options = wrapper.findAll('#faction-switcher option').map(option => option.text())
+
+    expect(options).toEqual(['Thieves Guild', 'Merchant League'])
+    expect(wrapper.find('#faction-switcher').element.value).toBe(firstId)
+  })
+
+  it('should switch to the selected faction', async () => {
+    const firstId = factionStore.activeFactionId
+    const secondId = factionStore.createFaction('Merchant League')
+    factionStore.switchFaction(firstId)
+
+    const wrapper = mount(FactionSwitcherComponent)
+    await wrapper.find('#faction-switcher').setValue(secondId)
+
+    expect(factionStore.activeFactionId).toBe(secondId)
+    expect(factionStore.factionName).toBe('Merchant League')
+  })
+
+  it('should create, rename and duplicate factions', async () => {
+    const wrapper = mount(FactionSwitcherComponent)
+
+    await wrapper.find('button[title="Rename faction"]').trigger('click')
+    expect(factionStore.factionName).toBe('Renamed Guild')
+
+    await wrapper.find('button[title="Duplicate faction"]').trigger('click')
+    expect(factionStore.factionName).toBe('Renamed Guild (Copy)')
+
+    await wrapper.find('button[title="New faction"]').trigger('click')
+    expect(factionStore.factions).toHaveLength(3)
+    expect(factionStore.factionName).toBe('New Faction')
+  })
+
+  it('should delete the active faction after confirmation', async () => {
+    const firstId = factionStore.activeFactionId
+    factionStore.createFaction('Merchant League')
+
+    const wrapper = mount(FactionSwitcherComponent)
+    await wrapper.find('button[title="Delete faction"]').trigger('click')
+
+    expect(confirm).toHaveBeenCalled()
+    expect(factionStore.factions).toHaveLength(1)
+    expect(factionStore.activeFactionId).toBe(firstId)
+  })
+
+  it('should keep the last faction of the workspace', async () => {
+    const wrapper = mount(FactionSwitcherComponent)
+    await wrapper.find('button[title="Delete faction"]').trigger('click')
+
+    expect(alert).toHaveBeenCalledWith('The workspace needs at least one faction.')
+    expect(factionStore.factions).toHaveLength(1)
+  })
+})
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import ImportCsvPopupComponent from '@/components/Popup/ImportCsvPopupComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+const csv = 'ID,Name,Manager\nboss,Boss,\nthug,Thug,boss\n'
+
+describe('ImportCsvPopupComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    factionStore = useFactionStore()
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+  })
+
+  const mountWithFile = async (content = csv) => {
+    const wrapper = mount(ImportCsvPopupComponent, { props: { isOpen: false } })
+    await wrapper.setProps({ isOpen: true })
+
+    const input = wrapper.find('#csv-file')
+    Object.defineProperty(input.element, 'files', { value: [new File([content], 'guild.csv', { type: 'text/csv' })] })
+    await input.trigger('change')
+    await vi.waitFor(() => expect(wrapper.text()).toContain('guild.csv'))
+    return wrapper
+  }
+
+  it('should map the columns of the file and import its nodes', async () => {
+    const wrapper = await mountWithFile()
+
+    expect(wrapper.text()).toContain('2 nodes ready to import from guild.csv')
+    expect(wrapper.find('#csv-column-name').element.value).toBe('1')
+
+    await wrapper.find('#import-csv').trigger('click')
+
+    expect(factionStore.pyramid.thug).toMatchObject({ name: 'Thug', manager: 'boss' })
+    expect(wrapper.emitted('close')).toBeTruthy()
+  })
+
+  it('should warn about links of nodes the file has no row for', async () => {
+    factionStore.pyramid = {
+      boss: { name: 'Boss', manager: '' },
+      spy: { name: 'Spy', manager: 'boss' }
+    }
+    factionStore.relationships = [{ id: 'rel-1', from: 'boss', to: 'spy', type: 'rival' }]
+    global.confirm = vi.fn(() => false)
+
+    const wrapper = await mountWithFile()
+
+    expect(wrapper.find('#csv-losses').text()).toContain('1 relationship will be dropped or unlinked')
+
+    await wrapper.find('#import-csv').trigger('click')
+
+    expect(confirm.mock.calls[0][0]).toContain('1 relationship will be dropped or unlinked')
+    expect(factionStore.pyramid.spy).toBeDefined()
+  })
+
+  it('should not warn when every node keeps its id', async () => {
+    factionStore.pyramid = { boss: { name: 'Boss', manager: '' } }
+
+    const wrapper = await mountWithFile()
+
+    expect(wrapper.find('#csv-losses').exists()).toBe(false)
+  })
+})
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import ImportGraphPopupComponent from '@/components/Popup/ImportGraphPopupComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+const mermaid = 'flowchart TD\n    boss[Guildmaster] --> fence[Fence]\n'
+
+describe('ImportGraphPopupComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    global.confirm = vi.fn(() => true)
+
+    factionStore = useFactionStore()
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+  })
+
+  const mountPopup = async () => {
+    const wrapper = mount(ImportGraphPopupComponent, { props: { isOpen: false } })
+    await wrapper.setProps({ isOpen: true })
+    return wrapper
+  }
+
+  it('should import a pasted Mermaid flowchart', async () => {
+    const wrapper = await mountPopup()
+    expect(wrapper.find('#import-graph').attributes('disabled')).toBeDefined()
+
+    await wrapper.find('#graph-text').setValue(mermaid)
+
+    expect(wrapper.text()).toContain('Mermaid: 2 nodes ready to import.')
+    await wrapper.find('#import-graph').trigger('click')
+
+    expect(factionStore.pyramid.fence).toMatchObject({ name: 'Fence', manager: 'boss' })
+    expect(wrapper.emitted('close')).toBeTruthy()
+  })
+
+  it('should load a Graphviz file', async () => {
+    const wrapper = await mountPopup()
+
+    const input = wrapper.find('#graph-file')
+    const file = new File(['digraph {\n  boss [label="Guildmaster"];\n  boss -> fence;\n}\n'], 'guild.dot')
+    Object.defineProperty(input.element, 'files', { value: [file] })
+    await input.trigger('change')
+
+    await vi.waitFor(() => expect(wrapper.text()).toContain('Graphviz DOT: 2 nodes ready to import.'))
+  })
+
+  it('should list the errors of a graph it cannot read', async () => {
+    const wrapper = await mountPopup()
+
+    await wrapper.find('#graph-text').setValue('not a graph')
+
+    expect(wrapper.find('#graph-errors').exists()).toBe(true)
+    expect(wrapper.find('#import-graph').attributes('disabled')).toBeDefined()
+  })
+
+  it('should warn about links of nodes the graph has no id for', async () => {
+    factionStore.pyramid = {
+      boss: { name: 'Guildmaster', manager: '' },
+      spy: { name: 'Spy', manager: 'boss' }
+    }
+    factionStore.relationships = [{ id: 'rel-1', from: 'boss', to: 'spy', type: 'rival' }]
+    global.confirm = vi.fn(() => false)
+    const wrapper = await mountPopup()
+
+    await wrapper.find('#graph-text').setValue(mermaid)
+    expect(wrapper.find('#graph-losses').text()).toContain('1 relationship will be dropped or unlinked')
+
+    await wrapper.find('#import-graph').trigger('click')
+
+    expect(confirm.mock.calls[0][0]).toContain('1 relationship will be dropped or unlinked')
+    expect(factionStore.pyramid.spy).toBeDefined()
+  })
+})
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import IntegrityReportPopupComponent from '@/components/Popup/IntegrityReportPopupComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+describe('IntegrityReportPopupComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    factionStore = useFactionStore()
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+  })
+
+  const mountPopup = async () => {
+    const wrapper = mount(IntegrityReportPopupComponent, { props: { isOpen: false } })
+    await wrapper.setProps({ isOpen: true })
+    return wrapper
+  }
+
+  it('should report a faction without problems', async () => {
+    factionStore.pyramid = { boss: { name: 'Boss', manager: '' } }
+
+    const wrapper = await mountPopup()
+
+    expect(wrapper.text()).toContain('No problems found in this faction.')
+    expect(wrapper.find('#integrity-issues').exists()).toBe(false)
+  })
+
+  it('should list the issues found when it opens', async () => {
+    factionStore.pyramid = {
+      boss: { name: 'Boss', manager: '' },
+      thug: { name: 'Thug', manager: 'ghost' }
+    }
+
+    const wrapper = await mountPopup()
+
+    const issues = wrapper.findAll('#integrity-issues li')
+    expect(issues).toHaveLength(1)
+    expect(issues[0].text()).toContain('"Thug" reports to missing node "ghost"')
+  })
+
+  it('should fix a single issue and list the applied fix', async () => {
+    factionStore.pyramid = {
+      boss: { name: 'Boss', manager: '' },
+      thug: { name: 'Thug', manager: 'ghost' }
+    }
+
+    const wrapper = await mountPopup()
+    await wrapper.find('#integrity-issues button').trigger('click')
+
+    expect(factionStore.pyramid.thug.manager).toBe('boss')
+    expect(wrapper.text()).toContain('Attached "thug" to root "boss"')
+    expect(wrapper.text()).toContain('No problems found in this faction.')
+  })
+
+  it('should fix every fixable issue at once', async () => {
+    factionStore.pyramid = {
+      boss: { name: 'Boss', manager: 'boss' },
+      thug: { name: 'Thug', manager: 'ghost' }
+    }
+
+    const wrapper = await mountPopup()
+    const fixAll = wrapper.findAll('button').find(button => button.text() === 'Fix All')
+    await fixAll.trigger('click')
+
+    expect(factionStore.pyramid.boss.manager).not.toBe('boss')
+    expect(factionStore.pyramid.thug.manager).not.toBe('ghost')
+    expect(wrapper.text()).toContain('No problems found in this faction.')
+    expect(fixAll.attributes('disabled')).toBeDefined()
+  })
+})
@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import ManageSectionsPopupComponent from '@/components/Popup/ManageSectionsPopupComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+describe('ManageSectionsPopupComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    global.confirm = vi.fn(() => true)
+    global.alert = vi.fn()
+
+    factionStore = useFactionStore()
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+  })
+
+  const mountPopup = () => mount(ManageSectionsPopupComponent, { props: { isOpen: true } })
+
+  it('should add a section with its prompt', async () => {
+    const wrapper = mountPopup()
+    expect(wrapper.text()).toContain('No custom sections yet.')
+
+    await wrapper.find('#new-section-name').setValue('Territory')
+    await wrapper.find('#new-section-prompt').setValue('Describe the territory')
+    await wrapper.find('form').trigger('submit')
+
+    expect(factionStore.customSections).toHaveLength(1)
+    expect(factionStore.customSections[0]).toMatchObject({ name: 'Territory', prompt: 'Describe the territory' })
+    expect(wrapper.find('#new-section-name').element.value).toBe('')
+    expect(wrapper.findAll('#custom-sections li')).toHaveLength(1)
+  })
+
+  it('should require a name for a new section', async () => {
+    const wrapper = mountPopup()
+
+    await wrapper.find('form').trigger('submit')
+
+    expect(alert).toHaveBeenCalledWith('Name is required')
+    expect(factionStore.customSections).toHaveLength(0)
+  })
+
+  it('should rename and reorder sections', async () => {
+    factionStore.addCustomSection('Territory', '')
+    factionStore.addCustomSection('Resources', '')
+    const wrapper = mountPopup()
+
+    await wrapper.find('input[aria-label="Name of section 1"]').setValue('Turf')
+    await wrapper.findAll('button[title="Move down"]')[0].trigger('click')
+
+    expect(factionStore.customSections.map(section => section.name)).toEqual(['Resources', 'Turf'])
+  })
+
+  it('should ask before removing a section with content', async () => {
+    const id = factionStore.addCustomSection('Territory', '')
+    factionStore.updateCustomSection(id, { content: 'The docks' })
+    global.confirm = vi.fn(() => false)
+    const wrapper = mountPopup()
+
+    await wrapper.find('button[title="Remove section"]').trigger('click')
+    expect(confirm).toHaveBeenCalled()
+    expect(factionStore.customSections).toHaveLength(1)
+
+    global.confirm = vi.fn(() => true)
+    await wrapper.find('button[title="Remove section"]').trigger('click')
+    expect(factionStore.customSections).toHaveLength(0)
+  })
+})
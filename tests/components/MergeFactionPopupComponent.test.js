@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import MergeFactionPopupComponent from '@/components/Popup/MergeFactionPopupComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+const incoming = {
+  factionName: 'Smugglers',
+  summary: 'They run the docks',
+  pyramid: {
+    boss: { name: 'Captain', manager: '' },
+    mate: { name: 'Mate', manager: 'boss' }
+  }
+}
+
+describe('MergeFactionPopupComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    factionStore = useFactionStore()
+    factionStore.factionName = 'Thieves Guild'
+    factionStore.summary = 'They rule the streets'
+    factionStore.pyramid = { boss: { name: 'Guildmaster', manager: '' } }
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+  })
+
+  const mountPopup = async () => {
+    const wrapper = mount(MergeFactionPopupComponent, { props: { isOpen: false, incoming } })
+    await wrapper.setProps({ isOpen: true })
+    return wrapper
+  }
+
+  it('should preview the nodes and the renamed ids', async () => {
+    const wrapper = await mountPopup()
+
+    const nodes = wrapper.find('#merge-nodes').text()
+    expect(nodes).toContain('2 node(s)')
+    expect(nodes).toContain('boss is already used')
+  })
+
+  it('should keep our name and append their sections by default', async () => {
+    const wrapper = await mountPopup()
+
+    const selects = wrapper.findAll('#merge-sections select')
+    expect(selects.map(select => select.element.value)).toEqual(['keep', 'append'])
+    expect(wrapper.find('#merge-sections').text()).toContain('They rule the streets')
+    expect(wrapper.find('#merge-sections').text()).toContain('They run the docks')
+  })
+
+  it('should merge with the chosen parent and section modes', async () => {
+    const wrapper = await mountPopup()
+
+    await wrapper.find('#merge-parent').setValue('boss')
+    await wrapper.findAll('#merge-sections select')[1].setValue('replace')
+    await wrapper.findAll('button').find(button => button.text() === 'Merge').trigger('click')
+
+    expect(factionStore.factionName).toBe('Thieves Guild')
+    expect(factionStore.summary).toBe('They run the docks')
+    const captain = Object.values(factionStore.pyramid).find(node => node.name === 'Captain')
+    expect(captain.manager).toBe('boss')
+    expect(wrapper.emitted('merge')[0][0].addedNodes).toHaveLength(2)
+    expect(wrapper.emitted('close')).toBeTruthy()
+  })
+})
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import MindMapComponent from '@/components/MindMap/MindMapComponent.vue'
+import RelationshipPopupComponent from '@/components/Popup/RelationshipPopupComponent.vue'
+import UpdateConnectionLabelPopupComponent from '@/components/Popup/UpdateConnectionLabelPopupComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+import { getRelationshipCurve, getCurvePoint } from '@/services/relationshipService'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+// Canvas context that records nothing, the component only needs the calls to exist
+function createMockContext() {
+  return new Proxy({ measureText: (text) => ({ width: text.length * 8 }) }, {
+    get: (target, key) => (key in target ? target[key] : vi.fn()),
+    set: (target, key, value) => {
+      target[key] = value
+      return true
+    }
+  })
+}
+
+describe('MindMapComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(() => createMockContext())
+
+    factionStore = useFactionStore()
+    factionStore.pyramid = {
+      baron: { name: 'Baron', manager: '', x: 100, y: 100 },
+      spy: { name: 'Spy', manager: 'baron', x: 100, y: 300, connectionFromLabel: '', connectionToLabel: '' },
+      rival: { name: 'Rival', manager: '', x: 500, y: 100 }
+    }
+    factionStore.addRelationship('baron', 'rival', 'rival')
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+    vi.restoreAllMocks()
+  })
+
+  const doubleClick = (wrapper, x, y) => wrapper.find('canvas').trigger('dblclick', { clientX: x, clientY: y })
+
+  it('should add a node when double clicking empty canvas', async () => {
+    const wrapper = mount(MindMapComponent)
+
+    await doubleClick(wrapper, 700, 500)
+
+    const added = Object.values(factionStore.pyramid).filter(node => node.name === 'New Node')
+    expect(added).toHaveLength(1)
+    expect(added[0]).toMatchObject({ x: 700, y: 500 })
+  })
+
+  it('should edit the relationship when double clicking its curve', async () => {
+    const wrapper = mount(MindMapComponent)
+    const [relationship] = factionStore.relationships
+    const curve = getRelationshipCurve({ id: 'baron', x: 100, y: 100 }, { id: 'rival', x: 500, y: 100 })
+    const middle = getCurvePoint(curve, 0.5)
+
+    await doubleClick(wrapper, middle.x, middle.y)
+
+    const popup = wrapper.findComponent(RelationshipPopupComponent)
+    expect(popup.props('isOpen')).toBe(true)
+    expect(popup.props('relationshipId')).toBe(relationship.id)
+    expect(Object.keys(factionStore.pyramid)).toHaveLength(3)
+  })
+
+  it('should end the move step when a drag is released outside the canvas', async () => {
+    const wrapper = mount(MindMapComponent)
+    const endHistoryGroup = vi.spyOn(factionStore, 'endHistoryGroup')
+
+    await wrapper.find('canvas').trigger('mousedown', { clientX: 100, clientY: 100, button: 0 })
+    window.dispatchEvent(new MouseEvent('mouseup'))
+
+    expect(endHistoryGroup).toHaveBeenCalledTimes(1)
+
+    await wrapper.find('canvas').trigger('mousedown', { clientX: 100, clientY: 100, button: 0 })
+    await wrapper.find('canvas').trigger('mouseup')
+
+    expect(endHistoryGroup).toHaveBeenCalledTimes(2)
+    wrapper.unmount()
+  })
+
+  it('should edit the connection labels when double clicking a reporting line', async () => {
+    const wrapper = mount(MindMapComponent)
+
+    await doubleClick(wrapper, 100, 200)
+
+    const popup = wrapper.findComponent(UpdateConnectionLabelPopupComponent)
+    expect(popup.props('isOpen')).toBe(true)
+    expect(popup.props('connection')).toMatchObject({ from: 'baron', to: 'spy' })
+  })
+})
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import PlayerRevealsPopupComponent from '@/components/Popup/PlayerRevealsPopupComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+describe('PlayerRevealsPopupComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    factionStore = useFactionStore()
+    factionStore.factionName = 'Thieves Guild'
+    factionStore.summary = 'They rule the streets.\n\nThey pay the watch.'
+    factionStore.pyramid = {
+      boss: { name: 'Guildmaster', role: 'Leader', manager: '' },
+      spy: { name: 'Whisper', manager: 'boss' }
+    }
+    factionStore.addRelationship('boss', 'spy', 'rival')
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+    vi.restoreAllMocks()
+  })
+
+  const mountPopup = () => mount(PlayerRevealsPopupComponent, { props: { isOpen: true } })
+
+  it('should list the sections, nodes and relationships that can be revealed', () => {
+    const wrapper = mountPopup()
+
+    expect(wrapper.findAll('.reveal-section')).toHaveLength(1)
+    expect(wrapper.findAll('.reveal-paragraph')).toHaveLength(2)
+    expect(wrapper.find('#reveal-nodes').text()).toContain('Guildmaster, Leader')
+    expect(wrapper.find('#reveal-relationships').text()).toContain('Guildmaster · Rival · Whisper')
+    expect(wrapper.text()).toContain('0 item(s) revealed')
+  })
+
+  it('should reveal single paragraphs until the whole section is revealed', async () => {
+    const wrapper = mountPopup()
+
+    await wrapper.findAll('.reveal-paragraph')[1].setValue(true)
+    expect(factionStore.reveals.paragraphs.summary).toHaveLength(1)
+    expect(wrapper.text()).toContain('1 item(s) revealed')
+
+    await wrapper.find('.reveal-section').setValue(true)
+    expect(factionStore.reveals.sections).toContain('summary')
+    expect(wrapper.findAll('.reveal-paragraph').every(input => input.attributes('disabled') !== undefined)).toBe(true)
+  })
+
+  it('should reveal and hide nodes and relationships', async () => {
+    const wrapper = mountPopup()
+
+    await wrapper.findAll('.reveal-node')[0].setValue(true)
+    await wrapper.find('.reveal-relationship').setValue(true)
+    expect(factionStore.reveals.nodes).toEqual(['boss'])
+    expect(factionStore.reveals.relationships).toEqual([factionStore.relationships[0].id])
+
+    await wrapper.findAll('.reveal-node')[0].setValue(false)
+    expect(factionStore.reveals.nodes).toEqual([])
+  })
+
+  it('should open the player view of the active faction', async () => {
+    const open = vi.spyOn(window, 'open').mockImplementation(() => null)
+    const wrapper = mountPopup()
+
+    await wrapper.find('#open-player-view').trigger('click')
+
+    expect(open).toHaveBeenCalledWith(expect.stringContaining(`faction=${factionStore.activeFactionId}`), 'faction-player-view')
+  })
+})
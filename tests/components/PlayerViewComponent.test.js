@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import PlayerViewComponent from '@/components/Player/PlayerViewComponent.vue'
+import { WORKSPACE_STORAGE_KEY } from '@/stores/faction'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+// Stands in for BroadcastChannel, the test hands messages to the channels it opened
+class FakeBroadcastChannel {
+  static instances = []
+
+  constructor() {
+    this.onmessage = null
+    this.posted = []
+    FakeBroadcastChannel.instances.push(this)
+  }
+
+  postMessage(message) {
+    this.posted.push(message)
+  }
+
+  close() {}
+}
+
+const deliver = (message) => {
+  FakeBroadcastChannel.instances.forEach(channel => {
+    if (channel.onmessage) channel.onmessage({ data: { tabId: 'gm-tab', ...message } })
+  })
+}
+
+const faction = {
+  factionName: 'Thieves Guild',
+  summary: 'They rule the streets',
+  mastermind: 'The Guildmaster',
+  pyramid: {
+    boss: { name: 'Guildmaster', role: 'Leader', manager: '', color: '#ff0000' },
+    spy: { name: 'Whisper', role: 'Informant', manager: 'boss' }
+  },
+  relationships: [{ id: 'rel-1', from: 'boss', to: 'spy', type: 'rival', label: '' }],
+  reveals: { sections: ['factionName', 'summary'], paragraphs: {}, nodes: ['boss'], relationships: [] }
+}
+
+describe('PlayerViewComponent', () => {
+  beforeEach(() => {
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+    FakeBroadcastChannel.instances = []
+    vi.stubGlobal('BroadcastChannel', FakeBroadcastChannel)
+    window.history.replaceState(null, '', '/?view=player&faction=faction-1')
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+    vi.unstubAllGlobals()
+    window.history.replaceState(null, '', '/')
+  })
+
+  const storeWorkspace = () => {
+    localStorage.setItem(WORKSPACE_STORAGE_KEY, JSON.stringify({
+      activeFactionId: 'faction-1',
+      factions: [{ id: 'faction-1', data: faction }]
+    }))
+  }
+
+  it('should wait for the GM when nothing is stored', () => {
+    const wrapper = mount(PlayerViewComponent)
+
+    expect(wrapper.text()).toContain('Waiting for the GM to open this faction...')
+    expect(FakeBroadcastChannel.instances[0].posted[0]).toMatchObject({ type: 'hello' })
+  })
+
+  it('should show only the revealed parts of the stored faction', () => {
+    storeWorkspace()
+
+    const wrapper = mount(PlayerViewComponent)
+
+    expect(wrapper.find('h1').text()).toBe('Thieves Guild')
+    const sections = wrapper.findAll('.player-section').map(section => section.text())
+    expect(sections).toEqual([expect.stringContaining('They rule the streets')])
+    expect(wrapper.text()).not.toContain('The Guildmaster')
+
+    const nodes = wrapper.findAll('.player-node')
+    expect(nodes[0].text()).toContain('Guildmaster')
+    expect(nodes[0].find('circle').attributes('fill')).toBe('#ff0000')
+    expect(nodes[1].text()).toContain('???')
+    expect(nodes[1].classes()).toContain('player-node-hidden')
+    expect(wrapper.find('.player-relationship').exists()).toBe(false)
+  })
+
+  it('should follow the faction sent by a GM tab', async () => {
+    const wrapper = mount(PlayerViewComponent)
+
+    deliver({
+      type: 'changes',
+      factionId: 'faction-1',
+      data: { ...faction, reveals: { ...faction.reveals, nodes: ['boss', 'spy'], relationships: ['rel-1'] } }
+    })
+    await wrapper.vm.$nextTick()
+
+    expect(wrapper.text()).toContain('Whisper')
+    expect(wrapper.find('.player-relationship').text()).toContain('Guildmaster · Rival · Whisper')
+  })
+
+  it('should ignore other factions and show when the faction is deleted', async () => {
+    storeWorkspace()
+    const wrapper = mount(PlayerViewComponent)
+
+    deliver({ type: 'delete', factionId: 'faction-2' })
+    await wrapper.vm.$nextTick()
+    expect(wrapper.find('h1').text()).toBe('Thieves Guild')
+
+    deliver({ type: 'delete', factionId: 'faction-1' })
+    await wrapper.vm.$nextTick()
+    expect(wrapper.text()).toContain('This faction was deleted.')
+  })
+})
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import RelationshipPopupComponent from '@/components/Popup/RelationshipPopupComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+describe('RelationshipPopupComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    global.confirm = vi.fn(() => true)
+    global.alert = vi.fn()
+
+    factionStore = useFactionStore()
+    factionStore.pyramid = {
+      baron: { name: 'Baron', manager: '' },
+      spy: { name: 'Spy', manager: 'baron' }
+    }
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+  })
+
+  const mountPopup = async (props = {}) => {
+    const wrapper = mount(RelationshipPopupComponent, { props: { isOpen: false, ...props } })
+    await wrapper.setProps({ isOpen: true })
+    return wrapper
+  }
+
+  const findButton = (wrapper, text) => wrapper.findAll('button').find(button => button.text() === text)
+
+  it('should add a relationship between the given members', async () => {
+    const wrapper = await mountPopup({ fromId: 'baron', toId: 'spy' })
+
+    expect(wrapper.text()).toContain('Add Relationship')
+    expect(wrapper.find('#relationship-from').element.value).toBe('baron')
+
+    await wrapper.find('#relationship-type').setValue('rival')
+    await wrapper.find('#relationship-label').setValue(' Old grudge ')
+    await findButton(wrapper, 'Save').trigger('click')
+
+    expect(factionStore.relationships).toHaveLength(1)
+    expect(factionStore.relationships[0]).toMatchObject({ from: 'baron', to: 'spy', type: 'rival', label: 'Old grudge' })
+    expect(wrapper.emitted('save')).toBeTruthy()
+    expect(wrapper.emitted('close')).toBeTruthy()
+  })
+
+  it('should refuse a relationship of a member with themselves', async () => {
+    const wrapper = await mountPopup({ fromId: 'spy', toId: 'spy' })
+
+    await findButton(wrapper, 'Save').trigger('click')
+
+    expect(alert).toHaveBeenCalledWith('A member cannot have a relationship with themselves')
+    expect(factionStore.relationships).toHaveLength(0)
+  })
+
+  it('should edit an existing relationship', async () => {
+    const id = factionStore.addRelationship('baron', 'spy', 'rival', 'Old grudge')
+    const wrapper = await mountPopup({ relationshipId: id })
+
+    expect(wrapper.text()).toContain('Edit Relationship')
+    expect(wrapper.find('#relationship-label').element.value).toBe('Old grudge')
+
+    await wrapper.find('#relationship-type').setValue('ally')
+    await findButton(wrapper, 'Save').trigger('click')
+
+    expect(factionStore.relationships[0]).toMatchObject({ type: 'ally', label: 'Old grudge' })
+  })
+
+  it('should delete an existing relationship after confirmation', async () => {
+    const id = factionStore.addRelationship('baron', 'spy', 'rival')
+    const wrapper = await mountPopup({ relationshipId: id })
+
+    await findButton(wrapper, 'Delete').trigger('click')
+
+    expect(confirm).toHaveBeenCalled()
+    expect(factionStore.relationships).toHaveLength(0)
+    expect(wrapper.emitted('delete')).toBeTruthy()
+  })
+})
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import SearchComponent from '@/components/Layout/SearchComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+describe('SearchComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    factionStore = useFactionStore()
+    factionStore.factionName = 'Thieves Guild'
+    factionStore.summary = 'They control the docks'
+    factionStore.pyramid = { boss: { name: 'Harbourmaster', role: 'Runs the docks', manager: '' } }
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+  })
+
+  const search = async (wrapper, query) => {
+    await wrapper.find('#global-search').setValue(query)
+    await wrapper.find('#global-search').trigger('input')
+  }
+
+  it('should list matches in sections and nodes with the query highlighted', async () => {
+    const wrapper = mount(SearchComponent)
+
+    await search(wrapper, 'docks')
+
+    const results = wrapper.findAll('.search-result')
+    expect(results).toHaveLength(2)
+    expect(results.map(result => result.text()).join(' ')).toContain('Harbourmaster')
+    expect(wrapper.findAll('mark').map(mark => mark.text())).toEqual(['docks', 'docks'])
+  })
+
+  it('should wait for a longer query and say when nothing matches', async () => {
+    const wrapper = mount(SearchComponent)
+
+    await search(wrapper, 'd')
+    expect(wrapper.find('#search-results').exists()).toBe(false)
+
+    await search(wrapper, 'dragons')
+    expect(wrapper.find('#search-results').text()).toContain('No matches.')
+  })
+
+  it('should emit the node or section of a selected result', async () => {
+    const wrapper = mount(SearchComponent)
+
+    await search(wrapper, 'harbour')
+    await wrapper.find('.search-result').trigger('click')
+    await flushPromises()
+
+    expect(wrapper.emitted('selectNode')[0]).toEqual(['boss'])
+    expect(wrapper.find('#search-results').exists()).toBe(false)
+
+    await search(wrapper, 'control')
+    await wrapper.find('.search-result').trigger('click')
+    await flushPromises()
+
+    expect(wrapper.emitted('selectSection')[0]).toEqual(['summary'])
+  })
+
+  it('should search every faction and switch to the one of a result', async () => {
+    const firstId = factionStore.activeFactionId
+    const secondId = factionStore.createFaction('Merchant League')
+    factionStore.summary = 'Spice traders'
+    factionStore.switchFaction(firstId)
+    const wrapper = mount(SearchComponent)
+
+    await search(wrapper, 'spice')
+    expect(wrapper.find('#search-results').text()).toContain('No matches.')
+
+    await wrapper.find('#search-all-factions').setValue(true)
+    await search(wrapper, 'spice')
+    expect(wrapper.find('.search-result').text()).toContain('Merchant League')
+
+    await wrapper.find('.search-result').trigger('click')
+    await flushPromises()
+
+    expect(factionStore.activeFactionId).toBe(secondId)
+    expect(wrapper.emitted('selectSection')[0]).toEqual(['summary'])
+  })
+
+  it('should clear the search on escape', async () => {
+    const wrapper = mount(SearchComponent)
+
+    await search(wrapper, 'docks')
+    await wrapper.find('#global-search').trigger('keydown', { key: 'Escape' })
+
+    expect(wrapper.find('#global-search').element.value).toBe('')
+    expect(wrapper.find('#search-results').exists()).toBe(false)
+  })
+})
@@ -1,8 +1,9 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
-import { mount } from '@vue/test-utils'
+import { mount, flushPromises } from '@vue/test-utils'
 import { createPinia, setActivePinia } from 'pinia'
 import SidebarComponent from '@/components/Layout/SidebarComponent.vue'
 import { useFactionStore } from '@/stores/faction'
+import { getAutosaveStorageKey } from '@/services/autosaveService'
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -48,7 +49,7 @@ describe('SidebarComponent', () => {
 
   afterEach(() => {
     localStorageMock.clear()
-    vi.clearAllMocks()
+    vi.restoreAllMocks()
   })
 
   it('should render all main action buttons', () => {
@@ -85,6 +86,7 @@ describe('SidebarComponent', () => {
     const saveButton = buttons.find(b => b.text() === 'Save Faction')
     
     await saveButton.trigger('click')
+    await flushPromises()
     
     const stored = localStorage.getItem('faction-datamodel-versions')
     expect(stored).toBeTruthy()
@@ -152,6 +154,7 @@ describe('SidebarComponent', () => {
     const buttons = wrapper.findAll('button')
     const saveButton = buttons.find(b => b.text() === 'Save Faction')
     await saveButton.trigger('click')
+    await flushPromises()
     
     // Change current data
     store.factionName = 'Changed Faction'
@@ -198,4 +201,229 @@ describe('SidebarComponent', () => {
     expect(mockLink.click).toHaveBeenCalled()
     expect(mockLink.download).toContain('Test Faction.json')
   })
+
+  it('should show the version history of the active faction', async () => {
+    const wrapper = mount(SidebarComponent)
+    const store = useFactionStore()
+
+    store.factionName = 'First Faction'
+    await wrapper.vm.saveDatamodel()
+    expect(wrapper.vm.versions).toHaveLength(1)
+
+    store.createFaction('Second Faction')
+    await flushPromises()
+    expect(wrapper.vm.versions).toHaveLength(0)
+
+    await wrapper.vm.saveDatamodel()
+    expect(localStorage.getItem(`faction-datamodel-versions-${store.activeFactionId}`)).toBeTruthy()
+
+    store.switchFaction('default')
+    await flushPromises()
+    expect(wrapper.vm.versions).toHaveLength(1)
+    expect(wrapper.vm.versions[0].data.factionName).toBe('First Faction')
+  })
+
+  it('should offer to recover unsaved changes on mount', async () => {
+    localStorage.setItem('faction-datamodel-versions', JSON.stringify([
+      { timestamp: '2024-01-15T10:30:00.000Z', data: { factionName: 'Saved Faction' } }
+    ]))
+    localStorage.setItem(getAutosaveStorageKey('default'), JSON.stringify({
+      savedAt: '2024-01-15T11:00:00.000Z',
+      data: { factionName: 'Unsaved Faction' }
+    }))
+
+    mount(SidebarComponent)
+    await flushPromises()
+    const store = useFactionStore()
+
+    expect(confirm).toHaveBeenCalled()
+    expect(store.factionName).toBe('Unsaved Faction')
+    expect(store.saveStatus).toBe('autosaved')
+  })
+
+  it('should keep the saved version when recovery is declined', async () => {
+    global.confirm = vi.fn(() => false)
+    localStorage.setItem('faction-datamodel-versions', JSON.stringify([
+      { timestamp: '2024-01-15T10:30:00.000Z', data: { factionName: 'Saved Faction' } }
+    ]))
+    localStorage.setItem(getAutosaveStorageKey('default'), JSON.stringify({
+      savedAt: '2024-01-15T11:00:00.000Z',
+      data: { factionName: 'Unsaved Faction' }
+    }))
+
+    mount(SidebarComponent)
+    await flushPromises()
+    const store = useFactionStore()
+
+    expect(store.factionName).toBe('Saved Faction')
+    expect(store.saveStatus).toBe('saved')
+    expect(localStorage.getItem(getAutosaveStorageKey('default'))).toBeNull()
+  })
+
+  it('should offer to recover unsaved changes when switching factions', async () => {
+    const wrapper = mount(SidebarComponent)
+    await flushPromises()
+    const store = useFactionStore()
+    const id = store.createFaction('Second Faction')
+    await wrapper.vm.saveDatamodel()
+    store.switchFaction('default')
+    await flushPromises()
+    localStorage.setItem(getAutosaveStorageKey(id), JSON.stringify({
+      savedAt: '2024-01-15T11:00:00.000Z',
+      data: { factionName: 'Second Faction', summary: 'Unsaved work' }
+    }))
+    confirm.mockClear()
+
+    store.switchFaction(id)
+    await flushPromises()
+
+    expect(confirm).toHaveBeenCalled()
+    expect(store.summary).toBe('Unsaved work')
+    expect(store.saveStatus).toBe('autosaved')
+  })
+
+  it('should tell the user when the workspace does not fit in the storage', async () => {
+    const wrapper = mount(SidebarComponent)
+    await flushPromises()
+    const store = useFactionStore()
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const setItem = vi.spyOn(localStorage, 'setItem').mockImplementation(() => {
+      throw Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' })
+    })
+
+    store.saveWorkspace()
+    await flushPromises()
+
+    expect(wrapper.find('#storage-quota-error').text()).toContain('not enough storage space to keep the workspace')
+    expect(alert).toHaveBeenCalledTimes(1)
+
+    setItem.mockRestore()
+    store.saveWorkspace()
+    await flushPromises()
+
+    expect(wrapper.find('#storage-quota-error').exists()).toBe(false)
+  })
+
+  it('should not prompt without an autosave', async () => {
+    mount(SidebarComponent)
+    await flushPromises()
+
+    expect(confirm).not.toHaveBeenCalled()
+  })
+
+  it('should show whether the changes are saved', async () => {
+    localStorage.setItem('faction-datamodel-versions', JSON.stringify([
+      { timestamp: '2024-01-15T10:30:00.000Z', data: { factionName: 'Saved Faction' } }
+    ]))
+    const wrapper = mount(SidebarComponent)
+    await flushPromises()
+    const store = useFactionStore()
+
+    expect(wrapper.find('#save-status').text()).toBe('All changes saved')
+
+    store.factionName = 'Changed Faction'
+    await wrapper.vm.$nextTick()
+    expect(wrapper.find('#save-status').text()).toBe('Unsaved changes')
+
+    await wrapper.vm.saveDatamodel()
+    await wrapper.vm.$nextTick()
+    expect(wrapper.find('#save-status').text()).toBe('All changes saved')
+  })
+
+  it('should keep the number of versions set in the settings', async () => {
+    localStorage.setItem('faction-settings', JSON.stringify({ versionRetention: 2 }))
+    const wrapper = mount(SidebarComponent)
+    await flushPromises()
+
+    for (let i = 0; i < 3; i++) {
+      await wrapper.vm.saveDatamodel()
+    }
+
+    const storedVersions = JSON.parse(localStorage.getItem('faction-datamodel-versions'))
+    expect(storedVersions).toHaveLength(2)
+  })
+
+  it('should report a full storage when saving a version', async () => {
+    const wrapper = mount(SidebarComponent)
+    await flushPromises()
+    vi.spyOn(localStorage, 'setItem').mockImplementation((key) => {
+      if (key.startsWith('faction-datamodel-versions')) {
+        const error = new Error('Quota exceeded')
+        error.name = 'QuotaExceededError'
+        throw error
+      }
+    })
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    await wrapper.vm.saveDatamodel()
+
+    expect(alert).toHaveBeenCalledWith(expect.stringContaining('not enough storage space'))
+    expect(wrapper.vm.versions).toHaveLength(0)
+  })
+
+  it('should compare the latest version with the working copy', async () => {
+    const wrapper = mount(SidebarComponent)
+    await flushPromises()
+    const store = useFactionStore()
+
+    store.summary = 'Saved summary'
+    await wrapper.vm.saveDatamodel()
+    store.summary = 'Changed summary'
+
+    await wrapper.vm.toggleVersionHistory()
+    await wrapper.find('#compare-versions').trigger('click')
+
+    const sections = wrapper.find('#diff-sections')
+    expect(sections.text()).toContain('Summary')
+    expect(sections.text()).toContain('Changed')
+
+    const restoreButton = sections.findAll('button').find(b => b.text() === 'Restore older')
+    await restoreButton.trigger('click')
+    expect(store.summary).toBe('Saved summary')
+  })
+
+  it('should keep named snapshots pinned past the retention', async () => {
+    localStorage.setItem('faction-settings', JSON.stringify({ versionRetention: 1 }))
+    global.prompt = vi.fn(() => 'Before the coup')
+    const wrapper = mount(SidebarComponent)
+    await flushPromises()
+
+    await wrapper.vm.saveSnapshot()
+    await wrapper.vm.saveDatamodel()
+    await wrapper.vm.saveDatamodel()
+
+    const storedVersions = JSON.parse(localStorage.getItem('faction-datamodel-versions'))
+    expect(storedVersions).toHaveLength(2)
+    expect(storedVersions[1]).toMatchObject({ name: 'Before the coup', pinned: true })
+  })
+
+  it('should record the parent of each saved version', async () => {
+    const wrapper = mount(SidebarComponent)
+    await flushPromises()
+
+    await wrapper.vm.saveDatamodel()
+    await wrapper.vm.saveDatamodel()
+
+    const [latest, previous] = wrapper.vm.versions
+    expect(previous.parent).toBeNull()
+    expect(latest.parent.id).toBe(previous.id)
+  })
+
+  it('should start a branch from a saved version', async () => {
+    global.prompt = vi.fn(() => 'If the Mastermind dies')
+    const wrapper = mount(SidebarComponent)
+    await flushPromises()
+    const store = useFactionStore()
+
+    await wrapper.vm.saveDatamodel()
+    const [version] = wrapper.vm.versions
+    wrapper.vm.branchFromVersion(version)
+    await flushPromises()
+
+    expect(store.activeBranch.name).toBe('If the Mastermind dies')
+    expect(wrapper.vm.versions).toHaveLength(0)
+
+    await wrapper.vm.saveDatamodel()
+    expect(wrapper.vm.versions[0].parent.id).toBe(version.id)
+  })
 })
@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import SyncConflictsComponent from '@/components/Layout/SyncConflictsComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+describe('SyncConflictsComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    factionStore = useFactionStore()
+    factionStore.summary = 'Pickpockets'
+    factionStore.pyramid = { boss: { name: 'Guildmaster', role: 'Leader', manager: '' } }
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+  })
+
+  const addConflict = (conflict) => {
+    factionStore.syncConflicts.push({
+      factionId: factionStore.activeFactionId,
+      theirRev: { tabId: 'other-tab', counter: 2 },
+      ...conflict
+    })
+  }
+
+  it('should render nothing without conflicts', () => {
+    const wrapper = mount(SyncConflictsComponent)
+
+    expect(wrapper.find('#sync-conflicts').exists()).toBe(false)
+  })
+
+  it('should show both values of a conflict', async () => {
+    addConflict({ key: 'summary', label: 'Summary', ours: 'Pickpockets', theirs: 'Burglars' })
+    addConflict({
+      key: 'node:boss',
+      label: 'Node "Guildmaster"',
+      ours: { name: 'Guildmaster', role: 'Leader', manager: '' },
+      theirs: undefined
+    })
+
+    const wrapper = mount(SyncConflictsComponent)
+    const items = wrapper.findAll('#sync-conflicts li')
+
+    expect(items).toHaveLength(2)
+    expect(items[0].text()).toContain('Pickpockets')
+    expect(items[0].text()).toContain('Burglars')
+    expect(items[1].text()).toContain('Guildmaster, Leader')
+    expect(items[1].text()).toContain('(removed)')
+  })
+
+  it('should hide conflicts of other factions', () => {
+    addConflict({ key: 'summary', label: 'Summary', ours: 'Pickpockets', theirs: 'Burglars', factionId: 'other-faction' })
+
+    const wrapper = mount(SyncConflictsComponent)
+
+    expect(wrapper.find('#sync-conflicts').exists()).toBe(false)
+  })
+
+  it('should take the value of the other tab', async () => {
+    addConflict({ key: 'summary', label: 'Summary', ours: 'Pickpockets', theirs: 'Burglars' })
+    const wrapper = mount(SyncConflictsComponent)
+
+    await wrapper.find('.use-theirs').trigger('click')
+
+    expect(factionStore.summary).toBe('Burglars')
+    expect(wrapper.find('#sync-conflicts').exists()).toBe(false)
+  })
+
+  it('should keep the value of this tab', async () => {
+    addConflict({ key: 'summary', label: 'Summary', ours: 'Pickpockets', theirs: 'Burglars' })
+    const wrapper = mount(SyncConflictsComponent)
+
+    await wrapper.find('.keep-mine').trigger('click')
+
+    expect(factionStore.summary).toBe('Pickpockets')
+    expect(wrapper.find('#sync-conflicts').exists()).toBe(false)
+  })
+})
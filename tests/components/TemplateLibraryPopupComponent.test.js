@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import TemplateLibraryPopupComponent from '@/components/Popup/TemplateLibraryPopupComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+import { BUILT_IN_TEMPLATES, loadUserTemplates } from '@/services/templateService'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+describe('TemplateLibraryPopupComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    global.confirm = vi.fn(() => true)
+    global.alert = vi.fn()
+
+    factionStore = useFactionStore()
+    factionStore.factionName = 'Smugglers'
+    factionStore.pyramid = { boss: { name: 'Captain', manager: '' } }
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+  })
+
+  const mountPopup = async () => {
+    const wrapper = mount(TemplateLibraryPopupComponent, { props: { isOpen: false } })
+    await wrapper.setProps({ isOpen: true })
+    return wrapper
+  }
+
+  it('should list the built-in templates', async () => {
+    const wrapper = await mountPopup()
+
+    const items = wrapper.findAll('#template-list li')
+    expect(items).toHaveLength(BUILT_IN_TEMPLATES.length)
+    expect(items[0].text()).toContain("Thieves' Guild")
+    expect(items[0].text()).toContain('7 node(s), 2 custom section(s)')
+    expect(items[0].find('.delete-template').exists()).toBe(false)
+  })
+
+  it('should start a new faction from a template', async () => {
+    const wrapper = await mountPopup()
+
+    await wrapper.find('.use-template').trigger('click')
+
+    expect(factionStore.factions).toHaveLength(2)
+    expect(factionStore.factionName).toBe("Thieves' Guild")
+    expect(wrapper.emitted('close')).toBeTruthy()
+  })
+
+  it('should save the current faction as a template and delete it again', async () => {
+    const wrapper = await mountPopup()
+    expect(wrapper.find('#template-name').element.value).toBe('Smugglers')
+
+    await wrapper.find('#template-description').setValue('Harbour crews')
+    await wrapper.find('#save-template').trigger('click')
+
+    expect(loadUserTemplates()).toHaveLength(1)
+    const saved = wrapper.findAll('#template-list li').at(-1)
+    expect(saved.text()).toContain('Smugglers')
+    expect(saved.text()).toContain('Harbour crews')
+
+    await saved.find('.delete-template').trigger('click')
+
+    expect(confirm).toHaveBeenCalled()
+    expect(loadUserTemplates()).toHaveLength(0)
+  })
+
+  it('should require a name to save a template', async () => {
+    const wrapper = await mountPopup()
+
+    await wrapper.find('#template-name').setValue(' ')
+    await wrapper.find('#save-template').trigger('click')
+
+    expect(alert).toHaveBeenCalledWith('Please enter a name for the template')
+    expect(loadUserTemplates()).toHaveLength(0)
+  })
+})
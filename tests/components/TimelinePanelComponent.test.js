@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import TimelinePanelComponent from '@/components/Timeline/TimelinePanelComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+describe('TimelinePanelComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    global.confirm = vi.fn(() => true)
+    global.alert = vi.fn()
+
+    factionStore = useFactionStore()
+    factionStore.pyramid = {
+      boss: { name: 'Guildmaster', manager: '' },
+      lieutenant: { name: 'Lieutenant', manager: 'boss' }
+    }
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+  })
+
+  it('should add an event that changes a node', async () => {
+    const wrapper = mount(TimelinePanelComponent)
+    expect(wrapper.text()).toContain('No events yet.')
+
+    await wrapper.find('#timeline-date').setValue('Session 12')
+    await wrapper.find('#timeline-title').setValue('Lieutenant assassinated')
+    await wrapper.find('#add-node-change').trigger('click')
+    await wrapper.find('select[aria-label="Changed node"]').setValue('lieutenant')
+    await wrapper.find('#save-event').trigger('click')
+
+    expect(factionStore.timeline).toHaveLength(1)
+    expect(factionStore.timeline[0]).toMatchObject({ date: 'Session 12', title: 'Lieutenant assassinated' })
+    expect(factionStore.pyramid.lieutenant.status).toBe('dead')
+
+    const event = wrapper.find('.timeline-event')
+    expect(event.text()).toContain('Session 12')
+    expect(event.text()).toContain('Lieutenant: active → dead')
+    expect(wrapper.find('#timeline-title').element.value).toBe('')
+  })
+
+  it('should require a title and a node for every change', async () => {
+    const wrapper = mount(TimelinePanelComponent)
+
+    await wrapper.find('#save-event').trigger('click')
+    expect(alert).toHaveBeenCalledWith('Title is required')
+
+    await wrapper.find('#timeline-title').setValue('Coup')
+    await wrapper.find('#add-node-change').trigger('click')
+    await wrapper.find('#save-event').trigger('click')
+    expect(alert).toHaveBeenCalledWith('Pick the node of every node change')
+    expect(factionStore.timeline).toHaveLength(0)
+  })
+
+  it('should filter the events by node', async () => {
+    factionStore.addTimelineEvent({ title: 'Heist', nodeIds: ['boss'] })
+    factionStore.addTimelineEvent({ title: 'Ambush', nodeIds: ['lieutenant'] })
+    const wrapper = mount(TimelinePanelComponent)
+    expect(wrapper.findAll('.timeline-event')).toHaveLength(2)
+
+    await wrapper.find('#timeline-node-filter').setValue('lieutenant')
+
+    const events = wrapper.findAll('.timeline-event')
+    expect(events).toHaveLength(1)
+    expect(events[0].text()).toContain('Ambush')
+  })
+
+  it('should edit and remove an event', async () => {
+    factionStore.addTimelineEvent({ title: 'Heist', date: 'Session 1' })
+    const wrapper = mount(TimelinePanelComponent)
+
+    await wrapper.find('.edit-event').trigger('click')
+    expect(wrapper.find('#timeline-title').element.value).toBe('Heist')
+    await wrapper.find('#timeline-title').setValue('Failed heist')
+    await wrapper.find('#save-event').trigger('click')
+    expect(factionStore.timeline[0]).toMatchObject({ title: 'Failed heist', date: 'Session 1' })
+
+    await wrapper.find('.remove-event').trigger('click')
+    expect(confirm).toHaveBeenCalled()
+    expect(factionStore.timeline).toHaveLength(0)
+  })
+})
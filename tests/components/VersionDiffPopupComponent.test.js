@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import VersionDiffPopupComponent from '@/components/Popup/VersionDiffPopupComponent.vue'
+import { useFactionStore } from '@/stores/faction'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+const versions = [
+  {
+    id: 'v2',
+    name: 'Second draft',
+    timestamp: '2024-01-02T10:00:00.000Z',
+    data: { factionName: 'Guild', summary: 'The second plan', pyramid: { boss: { name: 'Boss', manager: '', color: '#ff0000' } } }
+  },
+  {
+    id: 'v1',
+    name: 'First draft',
+    timestamp: '2024-01-01T10:00:00.000Z',
+    data: { factionName: 'Guild', summary: 'The old plan', pyramid: { boss: { name: 'Boss', manager: '', color: '#ff0000' } } }
+  }
+]
+
+describe('VersionDiffPopupComponent', () => {
+  let factionStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+
+    factionStore = useFactionStore()
+    factionStore.factionName = 'Guild'
+    factionStore.summary = 'The new plan'
+    factionStore.pyramid = { boss: { name: 'Boss', manager: '', color: '#00ff00' } }
+  })
+
+  afterEach(() => {
+    localStorageMock.clear()
+  })
+
+  const mountPopup = async () => {
+    const wrapper = mount(VersionDiffPopupComponent, { props: { isOpen: false, versions } })
+    await wrapper.setProps({ isOpen: true })
+    return wrapper
+  }
+
+  const columns = (wrapper) => wrapper.findAll('#diff-sections .grid > div').map(column => column.text())
+
+  it('should compare the latest version with the working copy side by side', async () => {
+    const wrapper = await mountPopup()
+
+    expect(wrapper.find('#diff-older').element.value).toBe('v2')
+    expect(wrapper.find('#diff-newer').element.value).toBe('working-copy')
+    expect(columns(wrapper)).toEqual(['Second draftThe second plan', 'Working copyThe new plan'])
+    expect(wrapper.find('#diff-sections .bg-red-100').text()).toBe('second')
+    expect(wrapper.find('#diff-sections .bg-green-100').text()).toBe('new')
+  })
+
+  it('should show the old and new color of recolored nodes', async () => {
+    const wrapper = await mountPopup()
+
+    const fills = wrapper.findAll('#diff-pyramid circle').map(circle => circle.attributes('fill'))
+    expect(fills).toEqual(['#ff0000', '#00ff00'])
+  })
+
+  it('should restore a section of the older version into the working copy', async () => {
+    const wrapper = await mountPopup()
+
+    await wrapper.find('#diff-sections button').trigger('click')
+
+    expect(factionStore.summary).toBe('The second plan')
+    expect(wrapper.text()).toContain('Restored into the working copy:')
+  })
+
+  it('should not offer to restore when comparing two saved versions', async () => {
+    const wrapper = await mountPopup()
+
+    await wrapper.find('#diff-older').setValue('v1')
+    await wrapper.find('#diff-newer').setValue('v2')
+
+    expect(columns(wrapper)).toEqual(['First draftThe old plan', 'Second draftThe second plan'])
+    expect(wrapper.find('#diff-restore-hint').exists()).toBe(true)
+    expect(wrapper.findAll('button').map(button => button.text())).not.toContain('Restore older')
+  })
+
+  it('should report identical versions', async () => {
+    const wrapper = await mountPopup()
+
+    await wrapper.find('#diff-older').setValue('v2')
+    await wrapper.find('#diff-newer').setValue('v2')
+
+    expect(wrapper.text()).toContain('These versions are the same.')
+    expect(wrapper.find('#diff-restore-hint').exists()).toBe(false)
+  })
+
+  it('should emit close', async () => {
+    const wrapper = await mountPopup()
+
+    await wrapper.findAll('button').find(button => button.text() === 'Close').trigger('click')
+
+    expect(wrapper.emitted('close')).toHaveLength(1)
+  })
+})
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  AutosaveService,
+  getAutosaveStorageKey,
+  readAutosave,
+  writeAutosave,
+  clearAutosave
+} from '@/services/autosaveService'
+import { StorageQuotaError } from '@/services/versionStorageService'
+
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+describe('AutosaveService', () => {
+  beforeEach(() => {
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  describe('debouncing', () => {
+    it('should save once after changes stop', () => {
+      const save = vi.fn()
+      const autosave = new AutosaveService(save, { delay: 500 })
+
+      autosave.schedule()
+      vi.advanceTimersByTime(300)
+      autosave.schedule()
+      vi.advanceTimersByTime(300)
+
+      expect(save).not.toHaveBeenCalled()
+      expect(autosave.isPending).toBe(true)
+
+      vi.advanceTimersByTime(200)
+
+      expect(save).toHaveBeenCalledTimes(1)
+      expect(autosave.isPending).toBe(false)
+    })
+
+    it('should save a pending change right away when flushed', () => {
+      const save = vi.fn()
+      const autosave = new AutosaveService(save)
+
+      expect(autosave.flush()).toBe(false)
+
+      autosave.schedule()
+      expect(autosave.flush()).toBe(true)
+      expect(save).toHaveBeenCalledTimes(1)
+
+      vi.runAllTimers()
+      expect(save).toHaveBeenCalledTimes(1)
+    })
+
+    it('should not save after being cancelled', () => {
+      const save = vi.fn()
+      const autosave = new AutosaveService(save)
+
+      autosave.schedule()
+      autosave.cancel()
+      vi.runAllTimers()
+
+      expect(save).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('recovery slot', () => {
+    it('should write, read and clear the slot of a faction', () => {
+      const entry = writeAutosave('default', { factionName: 'Autosaved' })
+
+      expect(localStorage.getItem(getAutosaveStorageKey('default'))).not.toBeNull()
+      expect(readAutosave('default')).toEqual(entry)
+      expect(readAutosave('other')).toBeNull()
+
+      clearAutosave('default')
+      expect(readAutosave('default')).toBeNull()
+    })
+
+    it('should ignore broken slots', () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+      localStorage.setItem(getAutosaveStorageKey('default'), 'not json')
+      expect(readAutosave('default')).toBeNull()
+
+      localStorage.setItem(getAutosaveStorageKey('default'), JSON.stringify({ data: {} }))
+      expect(readAutosave('default')).toBeNull()
+    })
+
+    it('should report write failures instead of throwing', () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+      vi.spyOn(localStorage, 'setItem').mockImplementation(() => {
+        throw new Error('QuotaExceededError')
+      })
+
+      expect(writeAutosave('default', {})).toBeNull()
+      expect(console.error).toHaveBeenCalled()
+    })
+
+    it('should throw a quota error when the storage is full', () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+      vi.spyOn(localStorage, 'setItem').mockImplementation(() => {
+        throw Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' })
+      })
+
+      expect(() => writeAutosave('default', {})).toThrow(StorageQuotaError)
+    })
+  })
+})
@@ -185,6 +185,45 @@ describe('CanvasDrawingService', () => {
     })
   })
 
+  describe('drawRelationships', () => {
+    const nodes = [
+      { id: 'a', x: 0, y: 0, width: 100, height: 50, text: 'A' },
+      { id: 'b', x: 300, y: 0, width: 100, height: 50, text: 'B' }
+    ]
+
+    beforeEach(() => {
+      mockCtx.quadraticCurveTo = vi.fn()
+      mockCtx.closePath = vi.fn()
+    })
+
+    it('should draw a dashed, colored curve with the type as label', () => {
+      service.drawRelationships([{ id: 'r1', from: 'a', to: 'b', type: 'rival', label: '' }], nodes)
+
+      expect(mockCtx.quadraticCurveTo).toHaveBeenCalledTimes(1)
+      expect(mockCtx.setLineDash).toHaveBeenCalledWith([8, 4])
+      expect(mockCtx.fillText).toHaveBeenCalledWith('Rival', expect.any(Number), expect.any(Number))
+    })
+
+    it('should prefer the custom label', () => {
+      service.drawRelationships([{ id: 'r1', from: 'a', to: 'b', type: 'ally', label: 'Old friends' }], nodes)
+
+      expect(mockCtx.fillText).toHaveBeenCalledWith('Old friends', expect.any(Number), expect.any(Number))
+    })
+
+    it('should put the arrow head outside the target node', () => {
+      service.drawRelationships([{ id: 'r1', from: 'a', to: 'b', type: 'ally', label: '' }], nodes)
+
+      const [tipX] = mockCtx.moveTo.mock.calls[1]
+      expect(tipX).toBeLessThan(250)
+    })
+
+    it('should skip relationships to missing nodes', () => {
+      service.drawRelationships([{ id: 'r1', from: 'a', to: 'ghost', type: 'ally', label: '' }], nodes)
+
+      expect(mockCtx.quadraticCurveTo).not.toHaveBeenCalled()
+    })
+  })
+
   describe('drawNode', () => {
     const node = {
       id: 1,
@@ -293,6 +332,72 @@ describe('CanvasDrawingService', () => {
       expect(mockCtx.shadowColor).toBe('transparent')
       expect(mockCtx.shadowBlur).toBe(0)
     })
+
+    it('should not draw attribute decorations for a plain active node', () => {
+      service.drawNode({ ...node, status: 'active', tags: [], compromised: false })
+
+      expect(mockCtx.fillRect).not.toHaveBeenCalled()
+      expect(mockCtx.setLineDash).not.toHaveBeenCalled()
+    })
+
+    it('should draw a status badge for dead, missing and captured nodes', () => {
+      service.drawNode({ ...node, status: 'captured' })
+
+      expect(mockCtx.fillText).toHaveBeenCalledWith('CAPTURED', expect.any(Number), expect.any(Number))
+    })
+
+    it('should draw a dashed outline for missing nodes', () => {
+      service.drawNode({ ...node, status: 'missing' })
+
+      expect(mockCtx.setLineDash).toHaveBeenCalledWith([6, 4])
+      expect(mockCtx.setLineDash).toHaveBeenLastCalledWith([])
+    })
+
+    it('should mark compromised nodes', () => {
+      mockCtx.arc = vi.fn()
+
+      service.drawNode({ ...node, compromised: true })
+
+      expect(mockCtx.arc).toHaveBeenCalled()
+      expect(mockCtx.fillText).toHaveBeenCalledWith('!', expect.any(Number), expect.any(Number))
+    })
+
+    it('should draw a secret badge on nodes with GM-only info', () => {
+      service.drawNode({ ...node, hasSecret: true })
+
+      expect(mockCtx.fillText).toHaveBeenCalledWith('SECRET', expect.any(Number), expect.any(Number))
+    })
+
+    it('should draw a loyalty bar proportional to the loyalty', () => {
+      service.drawNode({ ...node, loyalty: 5 })
+
+      const [background, bar] = mockCtx.fillRect.mock.calls
+      expect(bar[2]).toBe(background[2] / 2)
+    })
+
+    it('should draw tags below the node', () => {
+      service.drawNode({ ...node, tags: ['spy', 'noble'] })
+
+      expect(mockCtx.fillText).toHaveBeenCalledWith('#spy #noble', 200, 184)
+    })
+
+    it('should fade dimmed nodes and restore the opacity', () => {
+      const alphas = []
+      Object.defineProperty(mockCtx, 'globalAlpha', {
+        set: function(value) {
+          alphas.push(value)
+        },
+        get: function() {
+          return alphas[alphas.length - 1]
+        },
+        configurable: true
+      })
+
+      service.drawNode(node, false, false, false, true)
+
+      expect(alphas[0]).toBe(0.25)
+      expect(mockCtx.globalAlpha).toBe(1)
+    })
   })
 
   describe('drawNodeText', () => {
@@ -409,6 +514,14 @@ describe('CanvasDrawingService', () => {
       expect(lineWidths).toContain(3)
     })
 
+    it('should dim the given nodes only', () => {
+      const drawNode = vi.spyOn(service, 'drawNode')
+
+      service.drawNodes(nodes, null, null, [], [2])
+
+      expect(drawNode.mock.calls.map(call => call[4])).toEqual([false, true, false])
+    })
+
     it('should handle empty nodes array', () => {
       service.drawNodes([])
 
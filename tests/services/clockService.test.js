@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_CLOCK_SEGMENTS,
+  MAX_CLOCK_SEGMENTS,
+  clampSegments,
+  clampFilled,
+  isClockComplete,
+  normalizeClocks,
+  getClockSegmentPaths
+} from '@/services/clockService'
+
+describe('ClockService', () => {
+  describe('normalizeClocks', () => {
+    it('should fill in missing clock fields', () => {
+      const [clock] = normalizeClocks([{ name: 'Rob the mint' }])
+
+      expect(clock).toMatchObject({
+        name: 'Rob the mint',
+        segments: DEFAULT_CLOCK_SEGMENTS,
+        filled: 0,
+        nodeId: '',
+        onComplete: ''
+      })
+      expect(clock.id).toMatch(/^clock_/)
+    })
+
+    it('should keep filled segments within the clock', () => {
+      const [clock] = normalizeClocks([{ id: 'clock_1', name: 'Coup', segments: 6, filled: 9 }])
+      expect(clock.filled).toBe(6)
+    })
+
+    it('should drop entries that are not clocks', () => {
+      expect(normalizeClocks([null, 'clock', { id: 'clock_1', name: 'Coup' }])).toHaveLength(1)
+      expect(normalizeClocks('clocks')).toEqual([])
+    })
+  })
+
+  describe('segments', () => {
+    it('should clamp segment counts and filled segments', () => {
+      expect(clampSegments(40)).toBe(MAX_CLOCK_SEGMENTS)
+      expect(clampSegments(1)).toBe(2)
+      expect(clampSegments('six')).toBe(DEFAULT_CLOCK_SEGMENTS)
+      expect(clampFilled(-1, 4)).toBe(0)
+      expect(clampFilled(2.4, 4)).toBe(2)
+    })
+
+    it('should tell when a clock is complete', () => {
+      expect(isClockComplete({ segments: 4, filled: 4 })).toBe(true)
+      expect(isClockComplete({ segments: 4, filled: 3 })).toBe(false)
+    })
+
+    it('should draw one wedge per segment starting at the top', () => {
+      const paths = getClockSegmentPaths(4, 10)
+
+      expect(paths).toHaveLength(4)
+      expect(paths[0]).toBe('M 10 10 L 10 0 A 10 10 0 0 1 20 10 Z')
+      expect(paths[3]).toBe('M 10 10 L 0 10 A 10 10 0 0 1 10 0 Z')
+    })
+  })
+})
@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest'
+import { PYRAMID_CSV_COLUMNS, detectDelimiter, parseCsv, toCsv, pyramidToCsv, guessColumnMapping, csvToPyramid } from '@/services/csvService'
+
+const pyramid = {
+  'node-1': {
+    name: 'Guildmaster', manager: '', role: 'Leader', description: 'Owns the docks, "mostly".\nAnd the tavern.',
+    color: '#2563eb', x: 200, y: 0, status: 'active', tags: ['noble', 'rich'], loyalty: 9, compromised: false,
+    secretDescription: 'Owes the Duke', portrait: 'guildmaster.png', stats: { might: 3 }
+  },
+  'node-2': {
+    name: 'Fence', manager: 'node-1', role: 'Trader', description: '', color: '#3b82f6', x: 100.5, y: 150,
+    status: 'captured', tags: [], loyalty: 3, compromised: true, connectionFromLabel: 'employs', connectionToLabel: 'reports to'
+  }
+}
+
+// Parse an exported or hand written file the way the import does
+function importCsv(text) {
+  const [header, ...rows] = parseCsv(text)
+  return csvToPyramid(rows, guessColumnMapping(header))
+}
+
+describe('CsvService', () => {
+  describe('parseCsv', () => {
+    it('should split rows and cells', () => {
+      expect(parseCsv('id,name\r\nnode-1,Boss\r\n\r\nnode-2,Thug')).toEqual([['id', 'name'], ['node-1', 'Boss'], ['node-2', 'Thug']])
+    })
+
+    it('should read quoted cells with delimiters, quotes and line breaks', () => {
+      expect(parseCsv('a,"b, ""c""\nd",e\n')).toEqual([['a', 'b, "c"\nd', 'e']])
+    })
+
+    it('should detect semicolons and tabs', () => {
+      expect(detectDelimiter('id;name;"a,b"')).toBe(';')
+      expect(parseCsv('id\tname\nnode-1\tBoss')).toEqual([['id', 'name'], ['node-1', 'Boss']])
+    })
+
+    it('should ignore a byte order mark', () => {
+      expect(parseCsv('\uFEFFid,name')[0][0]).toBe('id')
+    })
+  })
+
+  describe('toCsv', () => {
+    it('should quote cells that need it', () => {
+      expect(toCsv(['a', 'b'], [['x, y', 'say "hi"'], [' padded', null]])).toBe('a,b\r\n"x, y","say ""hi"""\r\n" padded",\r\n')
+    })
+  })
+
+  describe('pyramidToCsv', () => {
+    it('should write a header and one row per node', () => {
+      const lines = pyramidToCsv(pyramid).split('\r\n')
+
+      expect(lines[0]).toBe(PYRAMID_CSV_COLUMNS.join(','))
+      expect(lines[0].startsWith('id,name,manager,role,description,color,x,y,connectionFromLabel,connectionToLabel')).toBe(true)
+      expect(lines).toContain('node-2,Fence,node-1,Trader,,#3b82f6,100.5,150,employs,reports to,captured,,3,true,,')
+      expect(lines[1].endsWith(',Owes the Duke,"{""portrait"":""guildmaster.png"",""stats"":{""might"":3}}"')).toBe(true)
+    })
+
+    it('should leave secrets out on request', () => {
+      expect(pyramidToCsv(pyramid, { includeSecrets: false })).not.toContain('Owes the Duke')
+    })
+
+    it('should read back the same pyramid', () => {
+      const result = importCsv(pyramidToCsv(pyramid))
+
+      expect(result.errors).toEqual([])
+      expect(result.warnings).toEqual([])
+      expect(result.pyramid).toEqual(pyramid)
+    })
+  })
+
+  describe('guessColumnMapping', () => {
+    it('should match column names and aliases', () => {
+      const mapping = guessColumnMapping(['Name', 'Reports To', 'Title', 'Colour', 'Notes'])
+
+      expect(mapping).toMatchObject({ id: -1, name: 0, manager: 1, role: 2, color: 3, description: 4, x: -1 })
+    })
+  })
+
+  describe('csvToPyramid', () => {
+    it('should import a spreadsheet without ids, matching managers by name', () => {
+      const result = importCsv('Name,Boss,Role\nBaron,,Leader\nSpy,Baron,Informant\n')
+
+      expect(result.errors).toEqual([])
+      expect(result.pyramid).toEqual({
+        'node-1': { name: 'Baron', manager: '', role: 'Leader', description: '', color: '#3b82f6', status: 'active', tags: [], loyalty: 5, compromised: false },
+        'node-2': { name: 'Spy', manager: 'node-1', role: 'Informant', description: '', color: '#3b82f6', status: 'active', tags: [], loyalty: 5, compromised: false, connectionFromLabel: '', connectionToLabel: '' }
+      })
+    })
+
+    it('should report unknown, ambiguous and own managers', () => {
+      const result = importCsv('id,name,manager\na,Spy,\nb,Spy,\nc,Fence,Spy\nd,Thug,Nobody\ne,Loner,e\n')
+
+      expect(result.errors).toEqual([
+        'Row 4: the manager "Spy" matches several nodes by name, use its id.',
+        'Row 5: the manager "Nobody" matches no id or name in the file.',
+        'Row 6: "Loner" can\'t be its own manager.'
+      ])
+    })
+
+    it('should report duplicate ids and manager loops', () => {
+      const result = importCsv('id,name,manager\na,Boss,b\nb,Thug,a\na,Copy,\n')
+
+      expect(result.errors).toEqual([
+        'Row 4: the id "a" is used by an earlier row.',
+        'The managers of "Boss", "Thug" form a loop.'
+      ])
+    })
+
+    it('should warn about invalid colors and missing positions', () => {
+      const result = importCsv('id,name,color,x,y\na,Boss,red,10,20\nb,,#fff,,\n')
+
+      expect(result.errors).toEqual([])
+      expect(result.warnings).toEqual([
+        'Some rows have no valid x/y position, the mind map lays out the whole pyramid instead.',
+        'Row 2: "red" is not a hex color, the default color is used.',
+        'Row 3: no name, the node is shown as "b".'
+      ])
+      expect(result.pyramid.a.color).toBe('#3b82f6')
+      expect(result.pyramid.a.x).toBeUndefined()
+      expect(result.pyramid.b.color).toBe('#fff')
+    })
+
+    it('should read attributes the way spreadsheets write them', () => {
+      const result = importCsv('id;name;status;loyalty;compromised\na;Boss;Dead;7.0;TRUE\nb;Spy;captured;;Yes\nc;Fence;;3;x\nd;Thug;ACTIVE;0;FALSE\ne;Cook;;;0\n')
+
+      expect(result.errors).toEqual([])
+      expect(result.warnings).toEqual([])
+      expect(Object.values(result.pyramid).map(node => [node.status, node.loyalty, node.compromised])).toEqual([
+        ['dead', 7, true],
+        ['captured', 5, true],
+        ['active', 3, true],
+        ['active', 0, false],
+        ['active', 5, false]
+      ])
+    })
+
+    it('should warn about attributes it has to replace', () => {
+      const result = importCsv('id,name,status,loyalty,compromised\na,Boss,zombie,12,maybe\nb,Spy,,loyal,\nc,Fence,,4.5,\n')
+
+      expect(result.errors).toEqual([])
+      expect(result.warnings).toEqual([
+        'Row 2: "zombie" is not a status (active, dead, missing, captured), "active" is used.',
+        'Row 2: the loyalty 12 is not a whole number from 0 to 10, 10 is used.',
+        'Row 2: "maybe" is not a yes or no for compromised, no is used.',
+        'Row 3: "loyal" is not a loyalty, 5 is used.',
+        'Row 4: the loyalty 4.5 is not a whole number from 0 to 10, 5 is used.'
+      ])
+      expect(result.pyramid.a).toMatchObject({ status: 'active', loyalty: 10, compromised: false })
+      expect(result.pyramid.b.loyalty).toBe(5)
+    })
+
+    it('should warn about other fields that are not JSON', () => {
+      const result = importCsv('id,name,other fields (json)\na,Boss,"{""portrait"":""boss.png"",""name"":""Ignored""}"\nb,Spy,portrait\n')
+
+      expect(result.warnings).toEqual(['Row 3: the other fields are not a JSON object, they are left out.'])
+      expect(result.pyramid.a).toMatchObject({ name: 'Boss', portrait: 'boss.png' })
+      expect(Object.keys(result.pyramid.b)).not.toContain('portrait')
+    })
+
+    it('should only import mapped columns', () => {
+      const [header, ...rows] = parseCsv('id,name,role\na,Boss,Leader\n')
+      const result = csvToPyramid(rows, { ...guessColumnMapping(header), role: -1 })
+
+      expect(result.pyramid.a.role).toBe('')
+    })
+  })
+})
@@ -0,0 +1,168 @@
+import { describe, it, expect } from 'vitest'
+import {
+  diffText,
+  diffSections,
+  diffPyramid,
+  diffClocks,
+  diffTimeline,
+  hasPyramidChanges,
+  getCustomSectionFieldKey,
+  getCustomSectionId
+} from '@/services/diffService'
+
+describe('DiffService', () => {
+  describe('diffText', () => {
+    it('should mark added and removed words', () => {
+      const parts = diffText('The guild meets at dawn', 'The guild meets at midnight')
+
+      expect(parts).toEqual([
+        { type: 'equal', text: 'The guild meets at ' },
+        { type: 'removed', text: 'dawn' },
+        { type: 'added', text: 'midnight' }
+      ])
+    })
+
+    it('should rebuild both texts from the parts', () => {
+      const oldText = 'Smugglers run the docks.\nThe mayor is paid off.'
+      const newText = 'Smugglers and thieves run the docks.\nThe mayor is blackmailed.'
+      const parts = diffText(oldText, newText)
+
+      expect(parts.filter(p => p.type !== 'added').map(p => p.text).join('')).toBe(oldText)
+      expect(parts.filter(p => p.type !== 'removed').map(p => p.text).join('')).toBe(newText)
+    })
+
+    it('should handle empty texts', () => {
+      expect(diffText('', '')).toEqual([])
+      expect(diffText('', 'New')).toEqual([{ type: 'added', text: 'New' }])
+      expect(diffText('Old', '')).toEqual([{ type: 'removed', text: 'Old' }])
+    })
+  })
+
+  describe('diffSections', () => {
+    it('should list only the changed fields', () => {
+      const changes = diffSections(
+        { factionName: 'Guild', summary: 'Old summary', notes: 'Same' },
+        { factionName: 'Guild', summary: 'New summary', notes: 'Same' }
+      )
+
+      expect(changes).toHaveLength(1)
+      expect(changes[0].key).toBe('summary')
+      expect(changes[0].label).toBe('Summary')
+      expect(changes[0].oldValue).toBe('Old summary')
+      expect(changes[0].newValue).toBe('New summary')
+    })
+
+    it('should compare custom sections by id', () => {
+      const changes = diffSections(
+        { customSections: [
+          { id: 's1', name: 'Rumors', content: 'A' },
+          { id: 's2', name: 'Assets', content: 'Gold' }
+        ] },
+        { customSections: [
+          { id: 's1', name: 'Gossip', content: 'A' },
+          { id: 's3', name: 'Enemies', content: 'The watch' }
+        ] }
+      )
+
+      expect(changes.map(c => c.key)).toEqual([
+        getCustomSectionFieldKey('s1'),
+        getCustomSectionFieldKey('s2'),
+        getCustomSectionFieldKey('s3')
+      ])
+      expect(changes[0].label).toBe('Rumors → Gossip')
+      expect(changes[1].newValue).toBeNull()
+      expect(changes[2].oldValue).toBeNull()
+    })
+
+    it('should map field keys back to custom section ids', () => {
+      expect(getCustomSectionId(getCustomSectionFieldKey('s1'))).toBe('s1')
+      expect(getCustomSectionId('summary')).toBeNull()
+    })
+  })
+
+  describe('diffPyramid', () => {
+    const oldPyramid = {
+      boss: { name: 'Boss', manager: '', color: '#000000' },
+      lieutenant: { name: 'Lieutenant', manager: 'boss', color: '#3b82f6' },
+      thug: { name: 'Thug', manager: 'lieutenant', color: '#3b82f6' },
+      spy: { name: 'Spy', manager: 'boss', color: '#3b82f6' }
+    }
+    const newPyramid = {
+      boss: { name: 'Boss', manager: '', color: '#000000' },
+      lieutenant: { name: 'Captain', manager: 'boss', color: '#ef4444' },
+      thug: { name: 'Thug', manager: 'boss', color: '#3b82f6' },
+      recruit: { name: 'Recruit', manager: 'thug', color: '#3b82f6' }
+    }
+
+    it('should list added, removed, renamed, reparented and recolored nodes', () => {
+      const diff = diffPyramid(oldPyramid, newPyramid)
+
+      expect(diff.added).toEqual([{ id: 'recruit', name: 'Recruit' }])
+      expect(diff.removed).toEqual([{ id: 'spy', name: 'Spy' }])
+      expect(diff.renamed).toEqual([{ id: 'lieutenant', name: 'Captain', from: 'Lieutenant', to: 'Captain' }])
+      expect(diff.reparented).toEqual([{ id: 'thug', name: 'Thug', from: 'Lieutenant', to: 'Boss' }])
+      expect(diff.recolored).toEqual([{ id: 'lieutenant', name: 'Captain', from: '#3b82f6', to: '#ef4444' }])
+      expect(hasPyramidChanges(diff)).toBe(true)
+    })
+
+    it('should report no changes for identical pyramids', () => {
+      expect(hasPyramidChanges(diffPyramid(oldPyramid, oldPyramid))).toBe(false)
+    })
+  })
+
+  describe('diffClocks', () => {
+    const pyramid = { 'node-1': { name: 'Guildmaster' }, 'node-2': { name: 'Fence' } }
+
+    it('should list added, removed and changed clocks', () => {
+      const oldClocks = [
+        { id: 'clock_1', name: 'Coup', segments: 6, filled: 1, nodeId: 'node-1', onComplete: '' },
+        { id: 'clock_2', name: 'Heist', segments: 4, filled: 0, nodeId: '', onComplete: '' }
+      ]
+      const newClocks = [
+        { id: 'clock_1', name: 'Coup', segments: 6, filled: 3, nodeId: 'node-2', onComplete: 'The king falls' },
+        { id: 'clock_3', name: 'Plague', segments: 8, filled: 0, nodeId: '', onComplete: '' }
+      ]
+
+      expect(diffClocks(oldClocks, newClocks, pyramid, pyramid)).toEqual([
+        { id: 'clock_3', name: 'Plague', change: 'added', details: ['0/8'] },
+        {
+          id: 'clock_1',
+          name: 'Coup',
+          change: 'changed',
+          details: ['Progress 1/6 → 3/6', 'Linked Guildmaster → Fence', 'Changed what happens on completion']
+        },
+        { id: 'clock_2', name: 'Heist', change: 'removed', details: ['0/4'] }
+      ])
+    })
+
+    it('should treat versions without clocks as having none', () => {
+      const clocks = [{ id: 'clock_1', name: 'Coup', segments: 6, filled: 1, nodeId: '', onComplete: '' }]
+
+      expect(diffClocks(undefined, clocks)).toHaveLength(1)
+      expect(diffClocks(clocks, clocks)).toEqual([])
+    })
+  })
+
+  describe('diffTimeline', () => {
+    it('should list added, removed and changed events', () => {
+      const event = { id: 'event_1', date: 'Session 1', title: 'Heist', description: '', nodeIds: [], sectionKeys: [], changes: [] }
+      const oldTimeline = [event, { ...event, id: 'event_2', title: 'Purge', date: '' }]
+      const newTimeline = [
+        { ...event, date: 'Session 2', nodeIds: ['node-1'] },
+        { ...event, id: 'event_3', title: 'Coup' }
+      ]
+
+      expect(diffTimeline(oldTimeline, newTimeline)).toEqual([
+        { id: 'event_3', title: 'Coup', change: 'added', details: ['Session 1'] },
+        {
+          id: 'event_1',
+          title: 'Heist',
+          change: 'changed',
+          details: ['Dated Session 1 → Session 2', 'Changed the nodes and sections it refers to']
+        },
+        { id: 'event_2', title: 'Purge', change: 'removed', details: [] }
+      ])
+      expect(diffTimeline(undefined, oldTimeline)).toHaveLength(2)
+    })
+  })
+})
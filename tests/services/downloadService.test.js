@@ -0,0 +1,39 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { getExportFileName, downloadFile } from '@/services/downloadService'
+
+describe('DownloadService', () => {
+  const { createObjectURL, revokeObjectURL } = URL
+
+  afterEach(() => {
+    URL.createObjectURL = createObjectURL
+    URL.revokeObjectURL = revokeObjectURL
+    vi.restoreAllMocks()
+  })
+
+  describe('getExportFileName', () => {
+    it('should name files after the faction', () => {
+      expect(getExportFileName('Thieves Guild', 'md')).toBe('Thieves Guild.md')
+    })
+
+    it('should drop characters file systems reject', () => {
+      expect(getExportFileName('Guild: North/South?', 'json')).toBe('Guild NorthSouth.json')
+      expect(getExportFileName('  ', 'csv')).toBe('unknown-faction.csv')
+    })
+  })
+
+  describe('downloadFile', () => {
+    it('should click a download link for the content', () => {
+      URL.createObjectURL = vi.fn(() => 'blob:faction')
+      URL.revokeObjectURL = vi.fn()
+      const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+
+      downloadFile('# Guild', 'Guild.md', 'text/markdown')
+
+      const blob = URL.createObjectURL.mock.calls[0][0]
+      expect(blob.type).toBe('text/markdown')
+      expect(click).toHaveBeenCalledTimes(1)
+      expect(click.mock.instances[0].download).toBe('Guild.md')
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:faction')
+    })
+  })
+})
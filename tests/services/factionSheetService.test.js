@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest'
+import { getSheetPositions, buildSheetDiagram, buildFactionSheet } from '@/services/factionSheetService'
+
+const measureText = (text) => text.length * 7
+
+const faction = {
+  factionName: 'Thieves Guild',
+  summary: 'A guild of pickpockets.',
+  mastermind: 'The Duke.',
+  motivations: '',
+  customSections: [{ id: 'section_1', name: 'Rumors', prompt: '', content: 'A heist is planned.' }],
+  pyramid: {
+    'node-1': { name: 'Guildmaster', manager: '', secretDescription: 'Owes the Duke', loyalty: 9, tags: ['noble'], x: 200, y: 0 },
+    'node-2': { name: 'Fence & Son', manager: 'node-1', status: 'captured', connectionFromLabel: 'employs', x: 100, y: 150 },
+    'node-3': { name: 'Spy', manager: 'node-1', x: 300, y: 150 }
+  },
+  relationships: [{ id: 'rel_1', from: 'node-2', to: 'node-3', type: 'rival', label: 'Old feud' }],
+  reveals: { sections: ['factionName', 'mastermind'], paragraphs: {}, nodes: ['node-2'], relationships: [] }
+}
+
+describe('FactionSheetService', () => {
+  describe('getSheetPositions', () => {
+    it('should keep the positions of the mind map', () => {
+      expect(getSheetPositions(faction.pyramid).get('node-2')).toEqual({ x: 100, y: 150 })
+    })
+
+    it('should lay out a tree when some nodes were never placed', () => {
+      const positions = getSheetPositions({
+        a: { name: 'A', manager: '' },
+        b: { name: 'B', manager: 'a', x: 0, y: 0 },
+        c: { name: 'C', manager: 'a' }
+      })
+
+      expect(positions.get('b')).toEqual({ x: 0, y: 150 })
+      expect(positions.get('c')).toEqual({ x: 180, y: 150 })
+      expect(positions.get('a')).toEqual({ x: 90, y: 0 })
+    })
+  })
+
+  describe('buildSheetDiagram', () => {
+    it('should build nodes and labelled manager connections', () => {
+      const diagram = buildSheetDiagram(faction.pyramid, [], { measureText })
+
+      expect(diagram.nodes).toHaveLength(3)
+      expect(diagram.nodes[0]).toMatchObject({ id: 'node-1', x: 200, y: 0, text: 'Guildmaster', color: '#2563eb', loyalty: 9, hasSecret: true })
+      expect(diagram.connections).toContainEqual({ from: 'node-1', to: 'node-2', fromLabel: 'employs', toLabel: '' })
+    })
+
+    it('should leave GM attributes off player nodes', () => {
+      const diagram = buildSheetDiagram(faction.pyramid, [], { variant: 'player', measureText })
+
+      expect(diagram.nodes[0].loyalty).toBeUndefined()
+      expect(diagram.nodes[0].tags).toBeUndefined()
+      expect(diagram.nodes[0].hasSecret).toBeUndefined()
+      expect(diagram.nodes[1].status).toBe('captured')
+    })
+  })
+
+  describe('buildFactionSheet', () => {
+    it('should put every written section on the GM sheet', () => {
+      const sheet = buildFactionSheet(faction, { measureText })
+
+      expect(sheet.title).toBe('Thieves Guild')
+      expect(sheet.summary).toBe('A guild of pickpockets.')
+      expect(sheet.sections.map(section => section.label)).toEqual(['Mastermind', 'Rumors'])
+      expect(sheet.secrets).toEqual([{ id: 'node-1', name: 'Guildmaster', text: 'Owes the Duke' }])
+    })
+
+    it('should draw the org chart as SVG', () => {
+      const sheet = buildFactionSheet(faction, { measureText })
+
+      expect(sheet.chart.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true)
+      expect(sheet.chart).toContain('>Fence &amp; Son</text>')
+      expect(sheet.chart).toContain('>Old feud</text>')
+      expect(sheet.chart).toContain('>SECRET</text>')
+    })
+
+    it('should leave out secrets on request', () => {
+      const sheet = buildFactionSheet(faction, { includeSecrets: false, measureText })
+
+      expect(sheet.secrets).toEqual([])
+      expect(sheet.chart).not.toContain('>SECRET</text>')
+    })
+
+    it('should only show what the players know on the player handout', () => {
+      const sheet = buildFactionSheet(faction, { variant: 'player', includeSecrets: true, measureText })
+
+      expect(sheet.title).toBe('Thieves Guild')
+      expect(sheet.summary).toBe('')
+      expect(sheet.sections.map(section => section.label)).toEqual(['Mastermind'])
+      expect(sheet.secrets).toEqual([])
+      expect(sheet.chart).toContain('>???</text>')
+      expect(sheet.chart).not.toContain('Guildmaster')
+      expect(sheet.chart).not.toContain('Old feud')
+    })
+
+    it('should skip the chart of an empty pyramid', () => {
+      expect(buildFactionSheet({}, { measureText }).chart).toBe('')
+    })
+  })
+})
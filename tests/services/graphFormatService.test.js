@@ -0,0 +1,236 @@
+import { describe, it, expect } from 'vitest'
+import { pyramidToMermaid, pyramidToDot, mermaidToPyramid, dotToPyramid, detectGraphFormat, graphTextToPyramid } from '@/services/graphFormatService'
+
+const pyramid = {
+  boss: { name: 'Guildmaster', manager: '', role: 'Leader', description: '', color: '#1e3a8a' },
+  fence: { name: 'The "Fence" #1', manager: 'boss', role: '', description: '', color: '#fde68a', connectionFromLabel: 'employs', connectionToLabel: 'reports to' },
+  thug: { name: 'Thug', manager: 'fence', role: '', description: '', color: '#3b82f6', connectionFromLabel: '', connectionToLabel: 'owes' }
+}
+
+const namesAndManagers = (result) => Object.fromEntries(
+  Object.entries(result).map(([id, node]) => [id, [node.name, node.manager, node.connectionFromLabel || '', node.connectionToLabel || '']])
+)
+
+describe('GraphFormatService', () => {
+  describe('pyramidToMermaid', () => {
+    it('should write nodes, labelled manager links and fill colors', () => {
+      const lines = pyramidToMermaid(pyramid).split('\n')
+
+      expect(lines[0]).toBe('flowchart TD')
+      expect(lines).toContain('    boss["Guildmaster"]')
+      expect(lines).toContain('    fence["The #quot;Fence#quot; #35;1"]')
+      expect(lines).toContain('    boss -->|"employs / reports to"| fence')
+      expect(lines).toContain('    fence -->|"/ owes"| thug')
+      expect(lines).toContain('    style boss fill:#1e3a8a,color:#ffffff')
+      expect(lines).toContain('    style fence fill:#fde68a,color:#1e293b')
+    })
+
+    it('should turn pyramid ids into safe, unique Mermaid ids', () => {
+      const text = pyramidToMermaid({
+        'node-1': { name: 'A', manager: '' },
+        node_1: { name: 'B', manager: 'node-1' },
+        end: { name: 'C', manager: '' },
+        '7': { name: 'D', manager: '' }
+      }, { direction: 'LR' })
+
+      expect(text).toContain('flowchart LR')
+      expect(text).toContain('    node_1["A"]')
+      expect(text).toContain('    node_1_2["B"]')
+      expect(text).toContain('    node_1 --> node_1_2')
+      expect(text).toContain('    end_["C"]')
+      expect(text).toContain('    n7["D"]')
+      expect(text).toContain('    %% id node_1 "node-1"')
+      expect(text).toContain('    %% id node_1_2 "node_1"')
+      expect(text).not.toContain('%% id end_2')
+    })
+
+    it('should escape slashes inside connection labels', () => {
+      const text = pyramidToMermaid({
+        a: { name: 'A', manager: '' },
+        b: { name: 'B', manager: 'a', connectionFromLabel: 'pays 1/2', connectionToLabel: '' },
+        c: { name: 'C', manager: 'a', connectionFromLabel: 'and/or', connectionToLabel: 'a/b' }
+      })
+
+      expect(text).toContain('    a -->|"pays 1#47;2"| b')
+      expect(text).toContain('    a -->|"and#47;or / a#47;b"| c')
+    })
+
+    it('should escape bars inside connection labels', () => {
+      const text = pyramidToMermaid({
+        a: { name: 'A', manager: '' },
+        b: { name: 'B', manager: 'a', connectionFromLabel: 'pay|ment', connectionToLabel: 'loyal' }
+      })
+
+      expect(text).toContain('    a -->|"pay#124;ment / loyal"| b')
+    })
+  })
+
+  describe('pyramidToDot', () => {
+    it('should write a digraph with tail and head labels', () => {
+      const lines = pyramidToDot(pyramid, { name: 'Thieves "Guild"' }).split('\n')
+
+      expect(lines[0]).toBe('digraph "Thieves \\"Guild\\"" {')
+      expect(lines).toContain('    "fence" [label="The \\"Fence\\" #1", fillcolor="#fde68a", fontcolor="#1e293b"];')
+      expect(lines).toContain('    "boss" -> "fence" [taillabel="employs", headlabel="reports to"];')
+      expect(lines).toContain('    "fence" -> "thug" [headlabel="owes"];')
+      expect(lines).toContain('}')
+    })
+
+    it('should leave out links to missing managers', () => {
+      expect(pyramidToDot({ a: { name: 'A', manager: 'gone' } })).not.toContain('->')
+    })
+  })
+
+  describe('round trips', () => {
+    it('should read back the Mermaid export', () => {
+      const result = mermaidToPyramid(pyramidToMermaid(pyramid))
+
+      expect(result.errors).toEqual([])
+      expect(result.warnings).toEqual([])
+      expect(namesAndManagers(result.pyramid)).toEqual(namesAndManagers(pyramid))
+      expect(result.pyramid.fence.color).toBe('#fde68a')
+    })
+
+    it('should keep slashes in Mermaid connection labels', () => {
+      const labelled = {
+        a: { name: 'A', manager: '' },
+        b: { name: 'B', manager: 'a', connectionFromLabel: 'a/b', connectionToLabel: '' },
+        c: { name: 'C', manager: 'a', connectionFromLabel: '', connectionToLabel: 'either/or' },
+        d: { name: 'D', manager: 'a', connectionFromLabel: 'x / y', connectionToLabel: '1/2' },
+        e: { name: 'E', manager: 'a', connectionFromLabel: 'pay|ment', connectionToLabel: 'loyal|ty' }
+      }
+      const result = mermaidToPyramid(pyramidToMermaid(labelled))
+
+      expect(result.warnings).toEqual([])
+      expect(namesAndManagers(result.pyramid)).toEqual(namesAndManagers(labelled))
+    })
+
+    it('should keep ids Mermaid can not use', () => {
+      const renamed = {
+        'node-1': { name: 'A', manager: '' },
+        node_1: { name: 'B', manager: 'node-1' },
+        end: { name: 'C', manager: 'node_1', connectionFromLabel: 'runs', connectionToLabel: '' },
+        '7': { name: 'D', manager: 'end' },
+        'say "hi" #2': { name: 'E', manager: '7' }
+      }
+      const result = mermaidToPyramid(pyramidToMermaid(renamed))
+
+      expect(result.errors).toEqual([])
+      expect(result.warnings).toEqual([])
+      expect(namesAndManagers(result.pyramid)).toEqual(namesAndManagers(renamed))
+    })
+
+    it('should read back the DOT export', () => {
+      const result = dotToPyramid(pyramidToDot(pyramid))
+
+      expect(result.errors).toEqual([])
+      expect(result.warnings).toEqual([])
+      expect(namesAndManagers(result.pyramid)).toEqual(namesAndManagers(pyramid))
+      expect(result.pyramid.boss.color).toBe('#1e3a8a')
+    })
+  })
+
+  describe('mermaidToPyramid', () => {
+    it('should read shapes, chained links and link labels', () => {
+      const result = mermaidToPyramid([
+        'graph LR',
+        '  %% the guild',
+        '  A((Baron)) -- pays --> B{{Spy}} --> C',
+        '  A -->|"hires"| D[(Vault)]; classDef big fill:#f00',
+        '  style C fill:#ff0000,stroke:#333'
+      ].join('\n'))
+
+      expect(result.errors).toEqual([])
+      expect(result.warnings).toEqual([])
+      expect(namesAndManagers(result.pyramid)).toEqual({
+        A: ['Baron', '', '', ''],
+        B: ['Spy', 'A', 'pays', ''],
+        C: ['C', 'B', '', ''],
+        D: ['Vault', 'A', 'hires', '']
+      })
+      expect(result.pyramid.C.color).toBe('#ff0000')
+      expect(result.pyramid.A.color).toBe('#3b82f6')
+      expect(result.pyramid.A.x).toBeUndefined()
+    })
+
+    it('should warn about second managers, loops and lines it does not read', () => {
+      const result = mermaidToPyramid('flowchart TD\n  a --> b\n  c --> b\n  b --> a\n  a & c --> d\n')
+
+      expect(result.warnings).toEqual([
+        'Skipped "a & c --> d", only nodes and links are imported.',
+        '"b" already reports to "a", the link from "c" is left out.',
+        'The link from "b" to "a" would close a loop, it is left out.'
+      ])
+      expect(result.pyramid.b.manager).toBe('a')
+      expect(result.pyramid.a.manager).toBe('')
+    })
+
+    it('should not read quotes inside comments', () => {
+      const result = mermaidToPyramid('flowchart TD\n  %% the "boss\n  a --> b\n  b -->|"pays"| c\n')
+
+      expect(result.warnings).toEqual([])
+      expect(namesAndManagers(result.pyramid)).toEqual({
+        a: ['a', '', '', ''],
+        b: ['b', 'a', '', ''],
+        c: ['c', 'b', 'pays', '']
+      })
+    })
+
+    it('should fall back to the Mermaid ids when the id comments clash', () => {
+      const result = mermaidToPyramid('flowchart TD\n  %% id a "x"\n  %% id b "x"\n  %% id missing "y"\n  a --> b\n')
+
+      expect(result.warnings).toEqual(['The "%% id" comments give several nodes the same id, the Mermaid ids are used instead.'])
+      expect(Object.keys(result.pyramid)).toEqual(['a', 'b'])
+    })
+
+    it('should reject text without a flowchart header', () => {
+      expect(mermaidToPyramid('sequenceDiagram\n  A->>B: hi').errors).toHaveLength(1)
+    })
+  })
+
+  describe('dotToPyramid', () => {
+    it('should read attributes, comments, subgraphs, ports and edge chains', () => {
+      const result = dotToPyramid(`
+        // the guild
+        strict digraph guild {
+          node [shape=box]
+          rankdir = LR
+          boss [label="Guild\\nmaster" color=red fillcolor="#112233"]
+          subgraph cluster_street { label="Street"; fence; thug [label="\\N"] }
+          /* chain */
+          boss:s -> fence -> thug [label="pays"];
+          thug -> boss
+        }
+      `)
+
+      expect(result.errors).toEqual([])
+      expect(result.warnings).toEqual(['The link from "thug" to "Guild master" would close a loop, it is left out.'])
+      expect(namesAndManagers(result.pyramid)).toEqual({
+        boss: ['Guild master', '', '', ''],
+        fence: ['fence', 'boss', 'pays', ''],
+        thug: ['thug', 'fence', 'pays', '']
+      })
+      expect(result.pyramid.boss.color).toBe('#112233')
+    })
+
+    it('should report graphs it cannot read', () => {
+      expect(dotToPyramid('digraph { }').errors).toEqual(['The graph has no nodes.'])
+      expect(dotToPyramid('flowchart TD').errors).toEqual(['The text does not start with "digraph" or "graph".'])
+    })
+  })
+
+  describe('detectGraphFormat', () => {
+    it('should tell DOT from Mermaid', () => {
+      expect(detectGraphFormat('/* x */\n digraph G { a }')).toBe('dot')
+      expect(detectGraphFormat('graph { a -- b }')).toBe('dot')
+      expect(detectGraphFormat('%% comment\ngraph TD\n a --> b')).toBe('mermaid')
+      expect(detectGraphFormat('hello')).toBeNull()
+    })
+
+    it('should import whichever format it finds', () => {
+      expect(graphTextToPyramid('flowchart TD\n a --> b').format).toBe('mermaid')
+      expect(graphTextToPyramid('digraph { a -> b }').pyramid.b.manager).toBe('a')
+      expect(graphTextToPyramid('').errors).toHaveLength(1)
+    })
+  })
+})
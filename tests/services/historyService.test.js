@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { HistoryService } from '@/services/historyService.js'
+
+describe('HistoryService', () => {
+  let applied
+  let time
+  let history
+
+  beforeEach(() => {
+    applied = []
+    time = 0
+    history = new HistoryService((values) => applied.push(values), {
+      limit: 3,
+      coalesceWindow: 1000,
+      now: () => time
+    })
+  })
+
+  describe('push', () => {
+    it('should record a command', () => {
+      history.push({ label: 'Edit summary', before: { summary: '' }, after: { summary: 'A' } })
+
+      expect(history.canUndo).toBe(true)
+      expect(history.canRedo).toBe(false)
+      expect(history.undoStack).toHaveLength(1)
+    })
+
+    it('should drop the oldest command when over the limit', () => {
+      for (let i = 0; i < 5; i++) {
+        history.push({ label: 'Edit', before: { n: i }, after: { n: i + 1 } })
+      }
+
+      expect(history.undoStack).toHaveLength(3)
+      expect(history.undoStack[0].before).toEqual({ n: 2 })
+    })
+
+    it('should clear the redo stack on a new command', () => {
+      history.push({ label: 'Edit', before: { n: 0 }, after: { n: 1 } })
+      history.undo()
+      expect(history.canRedo).toBe(true)
+
+      history.push({ label: 'Edit', before: { n: 0 }, after: { n: 2 } })
+      expect(history.canRedo).toBe(false)
+    })
+  })
+
+  describe('coalescing', () => {
+    it('should merge commands with the same key within the window', () => {
+      history.push({ label: 'Edit', before: { summary: '' }, after: { summary: 'A' }, coalesceKey: 'summary' })
+      time = 500
+      history.push({ label: 'Edit', before: { summary: 'A' }, after: { summary: 'AB' }, coalesceKey: 'summary' })
+
+      expect(history.undoStack).toHaveLength(1)
+      expect(history.undoStack[0].before).toEqual({ summary: '' })
+      expect(history.undoStack[0].after).toEqual({ summary: 'AB' })
+    })
+
+    it('should not merge commands outside the window', () => {
+      history.push({ label: 'Edit', before: { summary: '' }, after: { summary: 'A' }, coalesceKey: 'summary' })
+      time = 1500
+      history.push({ label: 'Edit', before: { summary: 'A' }, after: { summary: 'AB' }, coalesceKey: 'summary' })
+
+      expect(history.undoStack).toHaveLength(2)
+    })
+
+    it('should not merge commands with different keys', () => {
+      history.push({ label: 'Edit', before: { summary: '' }, after: { summary: 'A' }, coalesceKey: 'summary' })
+      history.push({ label: 'Edit', before: { notes: '' }, after: { notes: 'B' }, coalesceKey: 'notes' })
+
+      expect(history.undoStack).toHaveLength(2)
+    })
+
+    it('should not merge commands without a key', () => {
+      history.push({ label: 'Edit', before: { pyramid: {} }, after: { pyramid: { a: 1 } } })
+      history.push({ label: 'Edit', before: { pyramid: { a: 1 } }, after: { pyramid: { a: 2 } } })
+
+      expect(history.undoStack).toHaveLength(2)
+    })
+  })
+
+  describe('groups', () => {
+    it('should collect all changes of a group into one step', () => {
+      history.beginGroup('Move nodes')
+      history.push({ label: 'Edit', before: { pyramid: { x: 0 } }, after: { pyramid: { x: 10 } } })
+      history.push({ label: 'Edit', before: { pyramid: { x: 10 } }, after: { pyramid: { x: 20 } } })
+      history.endGroup()
+
+      expect(history.undoStack).toHaveLength(1)
+      expect(history.undoStack[0].label).toBe('Move nodes')
+      expect(history.undoStack[0].before).toEqual({ pyramid: { x: 0 } })
+      expect(history.undoStack[0].after).toEqual({ pyramid: { x: 20 } })
+    })
+
+    it('should not record empty groups', () => {
+      history.beginGroup('Move nodes')
+      expect(history.canUndo).toBe(false)
+      history.endGroup()
+
+      expect(history.undoStack).toHaveLength(0)
+    })
+
+    it('should close an open group when undoing', () => {
+      history.beginGroup('Move nodes')
+      history.push({ label: 'Edit', before: { pyramid: 1 }, after: { pyramid: 2 } })
+
+      history.undo()
+
+      expect(applied).toEqual([{ pyramid: 1 }])
+      expect(history.group).toBeNull()
+    })
+  })
+
+  describe('undo and redo', () => {
+    it('should apply before values on undo and after values on redo', () => {
+      history.push({ label: 'Edit', before: { summary: '' }, after: { summary: 'A' } })
+
+      const undone = history.undo()
+      expect(undone.label).toBe('Edit')
+      expect(applied).toEqual([{ summary: '' }])
+
+      history.redo()
+      expect(applied).toEqual([{ summary: '' }, { summary: 'A' }])
+      expect(history.canUndo).toBe(true)
+      expect(history.canRedo).toBe(false)
+    })
+
+    it('should return null when there is nothing to undo or redo', () => {
+      expect(history.undo()).toBeNull()
+      expect(history.redo()).toBeNull()
+      expect(applied).toEqual([])
+    })
+
+    it('should clear both stacks', () => {
+      history.push({ label: 'Edit', before: { n: 0 }, after: { n: 1 } })
+      history.push({ label: 'Edit', before: { n: 1 }, after: { n: 2 } })
+      history.undo()
+
+      history.clear()
+
+      expect(history.canUndo).toBe(false)
+      expect(history.canRedo).toBe(false)
+    })
+  })
+
+  it('should use Date.now by default', () => {
+    const spy = vi.spyOn(Date, 'now').mockReturnValue(42)
+    const defaultHistory = new HistoryService(() => {})
+
+    defaultHistory.push({ label: 'Edit', before: { n: 0 }, after: { n: 1 } })
+
+    expect(defaultHistory.undoStack[0].timestamp).toBe(42)
+    spy.mockRestore()
+  })
+})
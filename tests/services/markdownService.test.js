@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest'
+import { factionToMarkdown } from '@/services/markdownService'
+
+const faction = {
+  factionName: 'Thieves Guild',
+  summary: 'A guild of pickpockets.\n\nRun from the old docks.',
+  mastermind: '',
+  customSections: [{ id: 'section_1', name: 'Rumors', prompt: '', content: 'A heist is planned.' }],
+  pyramid: {
+    'node-1': { name: 'Guildmaster', manager: '', role: 'Leader', description: 'Owns the\ndocks.', secretDescription: 'Owes the Duke', x: 200, y: 0 },
+    'node-2': { name: 'Fence', manager: 'node-1', role: 'Trader', status: 'captured', connectionFromLabel: 'employs', connectionToLabel: 'reports to', x: 100, y: 150 },
+    'node-3': { name: 'Spy', manager: 'node-1', role: '', x: 300, y: 150 }
+  },
+  relationships: [{ id: 'rel_1', from: 'node-2', to: 'node-3', type: 'rival', label: 'Old feud' }],
+  clocks: [{ id: 'clock_1', name: 'Heist', segments: 6, filled: 2, nodeId: 'node-2', onComplete: 'The vault is empty' }],
+  timeline: [{ id: 'event_1', date: 'Session 3', title: 'Fence arrested', description: 'Caught at the docks.' }]
+}
+
+describe('MarkdownService', () => {
+  it('should write every section with text as a heading', () => {
+    const markdown = factionToMarkdown(faction)
+
+    expect(markdown.startsWith('# Thieves Guild\n\n## Summary\n\nA guild of pickpockets.\n\nRun from the old docks.\n')).toBe(true)
+    expect(markdown).toContain('## Rumors\n\nA heist is planned.\n')
+    expect(markdown).not.toContain('## Mastermind')
+  })
+
+  it('should list empty sections on request', () => {
+    expect(factionToMarkdown(faction, { includeEmptySections: true })).toContain('## Mastermind\n\n_Nothing written yet._\n')
+  })
+
+  it('should write the pyramid as a nested outline', () => {
+    expect(factionToMarkdown(faction)).toContain([
+      '## Organization',
+      '',
+      '- **Guildmaster** _(Leader)_: Owns the docks. **Secret:** Owes the Duke',
+      '  - **Fence** _(Trader)_ [captured]',
+      '  - **Spy**',
+      ''
+    ].join('\n'))
+  })
+
+  it('should leave out secrets on request', () => {
+    const markdown = factionToMarkdown(faction, { includeSecrets: false })
+
+    expect(markdown).toContain('- **Guildmaster** _(Leader)_: Owns the docks.\n')
+    expect(markdown).not.toContain('Owes the Duke')
+  })
+
+  it('should write connection labels and relationships as lines', () => {
+    expect(factionToMarkdown(faction)).toContain([
+      '## Relationships',
+      '',
+      '- **Guildmaster** (employs) → **Fence** (reports to)',
+      '- **Fence** → **Spy**: Rival (Old feud)',
+      ''
+    ].join('\n'))
+  })
+
+  it('should add the clocks and the timeline', () => {
+    const markdown = factionToMarkdown(faction)
+
+    expect(markdown).toContain('- **Heist**: 2/6, driven by Fence. When complete: The vault is empty\n')
+    expect(markdown).toContain('- Session 3: **Fence arrested**. Caught at the docks.\n')
+  })
+
+  it('should only write the title for an empty faction', () => {
+    expect(factionToMarkdown({})).toBe('# New Faction\n')
+  })
+})
@@ -0,0 +1,207 @@
+import { describe, it, expect } from 'vitest'
+import { remapNodeIds, listMergeSections, mergeFactions } from '@/services/mergeService'
+import { CURRENT_SCHEMA_VERSION } from '@/services/migrationService'
+
+const ours = {
+  version: CURRENT_SCHEMA_VERSION,
+  factionName: 'Thieves Guild',
+  summary: 'Our summary',
+  methods: '',
+  customSections: [{ id: 'section_1', name: 'Rumors', prompt: '', content: 'Our rumors' }],
+  pyramid: {
+    'node-1': { name: 'Guildmaster', manager: '', x: 100, y: 100, color: '#000000' },
+    'node-2': { name: 'Fence', manager: 'node-1', x: 100, y: 250, color: '#3b82f6' }
+  },
+  relationships: [{ id: 'rel_1', from: 'node-1', to: 'node-2', type: 'ally', label: '' }]
+}
+
+const theirs = {
+  version: CURRENT_SCHEMA_VERSION,
+  factionName: 'Dock Cell',
+  summary: 'Their summary',
+  methods: 'Smuggling',
+  customSections: [
+    { id: 'section_9', name: 'rumors', prompt: '', content: 'Their rumors' },
+    { id: 'section_1', name: 'Safehouses', prompt: '', content: 'The old mill' }
+  ],
+  pyramid: {
+    'node-1': { name: 'Cell Leader', manager: '', x: 0, y: 0, color: '#ef4444' },
+    node_1700000000000: { name: 'Runner', manager: 'node-1', x: 0, y: 150, color: '#ef4444' },
+    'node-2': { name: 'Lookout', manager: 'node_1700000000000', x: 50, y: 300, color: '#ef4444' }
+  },
+  relationships: [{ id: 'rel_1', from: 'node-2', to: 'node-1', type: 'rival', label: '' }]
+}
+
+describe('MergeService', () => {
+  describe('remapNodeIds', () => {
+    it('should give colliding ids a new id in their own style', () => {
+      const idMap = remapNodeIds(
+        { 'node-1': {}, node_1700000000000: {}, boss: {}, spy: {} },
+        { 'node-1': {}, 'node-2': {}, node_1700000000000: {}, boss: {} }
+      )
+
+      expect(idMap).toEqual({
+        'node-1': 'node-3',
+        node_1700000000000: 'node_1700000000001',
+        boss: 'boss_2',
+        spy: 'spy'
+      })
+    })
+
+    it('should not reuse an id of another incoming node', () => {
+      const idMap = remapNodeIds({ 'node-1': {}, 'node-2': {} }, { 'node-1': {} })
+      expect(idMap).toEqual({ 'node-1': 'node-3', 'node-2': 'node-2' })
+    })
+  })
+
+  describe('listMergeSections', () => {
+    it('should list incoming sections with text of their own', () => {
+      const sections = listMergeSections(ours, theirs)
+
+      expect(sections.map(s => s.key)).toEqual([
+        'factionName',
+        'summary',
+        'methods',
+        'customSection:section_9',
+        'customSection:section_1'
+      ])
+    })
+
+    it('should match custom sections by id, then by name', () => {
+      const sections = listMergeSections(ours, theirs)
+      const byKey = Object.fromEntries(sections.map(s => [s.key, s]))
+
+      expect(byKey['customSection:section_9'].ours).toBe('Our rumors')
+      expect(byKey['customSection:section_1'].ours).toBe('Our rumors')
+    })
+  })
+
+  describe('mergeFactions', () => {
+    it('should graft the incoming pyramid under the chosen node', () => {
+      const { data, idMap } = mergeFactions(ours, theirs, { parentId: 'node-2' })
+
+      expect(Object.keys(data.pyramid)).toHaveLength(5)
+      expect(data.pyramid[idMap['node-1']].manager).toBe('node-2')
+      expect(data.pyramid[idMap.node_1700000000000].manager).toBe(idMap['node-1'])
+      expect(data.pyramid[idMap['node-2']].manager).toBe(idMap.node_1700000000000)
+      expect(data.pyramid['node-1'].name).toBe('Guildmaster')
+    })
+
+    it('should place the grafted nodes below the chosen node', () => {
+      const { data, idMap } = mergeFactions(ours, theirs, { parentId: 'node-2' })
+
+      expect(data.pyramid[idMap['node-1']]).toMatchObject({ x: 100, y: 400 })
+      expect(data.pyramid[idMap['node-2']]).toMatchObject({ x: 150, y: 700 })
+    })
+
+    it('should keep the incoming top level nodes at the top level without a parent', () => {
+      const { data, idMap } = mergeFactions(ours, theirs)
+      expect(data.pyramid[idMap['node-1']].manager).toBe('')
+    })
+
+    it('should report remapped ids', () => {
+      const { report } = mergeFactions(ours, theirs, { parentId: 'node-1' })
+
+      expect(report.addedNodes).toHaveLength(3)
+      expect(report.remappedIds).toEqual([
+        { from: 'node-1', to: 'node-3' },
+        { from: 'node-2', to: 'node-4' }
+      ])
+    })
+
+    it('should carry incoming relationships over to the new ids', () => {
+      const { data, idMap, report } = mergeFactions(ours, theirs)
+
+      expect(report.addedRelationships).toBe(1)
+      expect(data.relationships).toHaveLength(2)
+      const added = data.relationships[1]
+      expect(added.id).not.toBe('rel_1')
+      expect(added).toMatchObject({ from: idMap['node-2'], to: idMap['node-1'], type: 'rival' })
+    })
+
+    it('should bring the incoming clocks along with their nodes', () => {
+      const { data, idMap, report } = mergeFactions(
+        { ...ours, clocks: [{ id: 'clock_1', name: 'Heist', segments: 4, filled: 1, nodeId: 'node-1', onComplete: '' }] },
+        { ...theirs, clocks: [{ id: 'clock_1', name: 'Uprising', segments: 6, filled: 2, nodeId: 'node-2', onComplete: '' }] }
+      )
+
+      expect(report.addedClocks).toBe(1)
+      expect(data.clocks).toHaveLength(2)
+      expect(data.clocks[1].id).not.toBe('clock_1')
+      expect(data.clocks[1]).toMatchObject({ name: 'Uprising', filled: 2, nodeId: idMap['node-2'] })
+    })
+
+    it('should bring the incoming timeline along with the new node ids', () => {
+      const { data, idMap, report } = mergeFactions(ours, {
+        ...theirs,
+        timeline: [{
+          id: 'event_1',
+          title: 'Lookout recruited',
+          nodeIds: ['node-2', 'node-9'],
+          sectionKeys: ['methods', 'customSection:section_7'],
+          changes: [{ nodeId: 'node-2', field: 'manager', from: 'node-1', to: 'node_1700000000000' }]
+        }]
+      })
+
+      expect(report.addedEvents).toBe(1)
+      expect(data.timeline[0]).toMatchObject({
+        nodeIds: [idMap['node-2']],
+        sectionKeys: ['methods'],
+        changes: [{ nodeId: idMap['node-2'], field: 'manager', from: idMap['node-1'], to: idMap.node_1700000000000 }]
+      })
+    })
+
+    it('should carry over what the players knew of the incoming faction', () => {
+      const { data, idMap } = mergeFactions(
+        { ...ours, reveals: { nodes: ['node-1'] } },
+        {
+          ...theirs,
+          reveals: { sections: ['methods'], nodes: ['node-1'], relationships: ['rel_1'] }
+        },
+        { sectionModes: { methods: 'append' } }
+      )
+
+      expect(data.reveals.nodes).toEqual(['node-1', idMap['node-1']])
+      expect(data.reveals.relationships).toHaveLength(1)
+      expect(data.reveals.relationships[0]).toBe(data.relationships[1].id)
+      expect(data.reveals.sections).toEqual([])
+      expect(data.reveals.paragraphs.methods).toHaveLength(1)
+    })
+
+    it('should keep, replace or append each section', () => {
+      const { data } = mergeFactions(ours, theirs, {
+        sectionModes: {
+          factionName: 'keep',
+          summary: 'append',
+          methods: 'replace',
+          'customSection:section_9': 'append',
+          'customSection:section_1': 'keep'
+        }
+      })
+
+      expect(data.factionName).toBe('Thieves Guild')
+      expect(data.summary).toBe('Our summary\n\nTheir summary')
+      expect(data.methods).toBe('Smuggling')
+      expect(data.customSections).toEqual([
+        { id: 'section_1', name: 'Rumors', prompt: '', content: 'Our rumors\n\nTheir rumors' }
+      ])
+    })
+
+    it('should add unmatched custom sections', () => {
+      const { data } = mergeFactions(
+        ours,
+        { customSections: [{ id: 'section_7', name: 'Safehouses', prompt: 'List hideouts', content: 'The old mill' }] },
+        { sectionModes: { 'customSection:section_7': 'append' } }
+      )
+
+      expect(data.customSections).toHaveLength(2)
+      expect(data.customSections[1]).toEqual({ id: 'section_7', name: 'Safehouses', prompt: 'List hideouts', content: 'The old mill' })
+    })
+
+    it('should not change the base faction', () => {
+      const before = JSON.stringify(ours)
+      mergeFactions(ours, theirs, { parentId: 'node-2', sectionModes: { summary: 'replace' } })
+      expect(JSON.stringify(ours)).toBe(before)
+    })
+  })
+})
@@ -0,0 +1,205 @@
+import { describe, it, expect } from 'vitest'
+import {
+  CURRENT_SCHEMA_VERSION,
+  migrations,
+  detectVersion,
+  extractFactionData,
+  migrateFaction,
+  formatMigrationReport
+} from '@/services/migrationService.js'
+
+describe('MigrationService', () => {
+  describe('detectVersion', () => {
+    it('should read the version from the data', () => {
+      expect(detectVersion({ version: 3 })).toBe(3)
+    })
+
+    it('should treat files without a version as version 1', () => {
+      expect(detectVersion({})).toBe(1)
+      expect(detectVersion({ version: 'abc' })).toBe(1)
+      expect(detectVersion(null)).toBe(1)
+    })
+  })
+
+  describe('extractFactionData', () => {
+    it('should unwrap exported files', () => {
+      const data = { factionName: 'Exported' }
+      expect(extractFactionData({ latestVersion: { data }, previousVersions: [] })).toBe(data)
+    })
+
+    it('should unwrap single version entries', () => {
+      const data = { factionName: 'Entry' }
+      expect(extractFactionData({ timestamp: '2024-01-01', data })).toBe(data)
+    })
+
+    it('should accept raw faction objects', () => {
+      const data = { factionName: 'Raw' }
+      expect(extractFactionData(data)).toBe(data)
+    })
+
+    it('should reject non-object files', () => {
+      expect(() => extractFactionData([])).toThrow()
+      expect(() => extractFactionData('text')).toThrow()
+    })
+  })
+
+  describe('migrations', () => {
+    it('should form a continuous chain up to the current version', () => {
+      for (let version = 1; version < CURRENT_SCHEMA_VERSION; version++) {
+        const step = migrations.find(m => m.from === version)
+        expect(step).toBeDefined()
+        expect(step.to).toBe(version + 1)
+      }
+    })
+  })
+
+  describe('migrateFaction', () => {
+    it('should upgrade a version 1 file to the current version', () => {
+      const { data, report } = migrateFaction({
+        factionName: 'Old Faction',
+        summary: 'Old summary',
+        pyramid: [
+          ['Mastermind', '', 'Leader', 'The leader'],
+          ['Agent', 'Mastermind', '', 'Field operative']
+        ]
+      })
+
+      expect(data.version).toBe(CURRENT_SCHEMA_VERSION)
+      expect(report.fromVersion).toBe(1)
+      expect(report.toVersion).toBe(CURRENT_SCHEMA_VERSION)
+      const attributes = { status: 'active', tags: [], loyalty: 5, compromised: false }
+      expect(data.pyramid).toEqual({
+        Mastermind: { name: 'Mastermind', manager: '', role: 'Leader', description: 'The leader', ...attributes },
+        Agent: {
+          name: 'Agent',
+          manager: 'Mastermind',
+          role: '',
+          description: 'Field operative',
+          connectionFromLabel: '',
+          connectionToLabel: '',
+          ...attributes
+        }
+      })
+      expect(report.changes.some(c => c.message.includes('2 pyramid rows'))).toBe(true)
+    })
+
+    it('should convert node object lists keeping their fields', () => {
+      const { data } = migrateFaction({
+        pyramid: [{ id: 'node-1', name: 'Boss', color: '#ff0000' }, { name: 'No Id' }]
+      })
+
+      expect(data.pyramid['node-1']).toMatchObject({ name: 'Boss', color: '#ff0000', manager: '' })
+      expect(data.pyramid['node-2']).toMatchObject({ name: 'No Id' })
+    })
+
+    it('should rename duplicate IDs instead of dropping rows', () => {
+      const { data, report } = migrateFaction({
+        pyramid: [['Agent', '', '', ''], ['Agent', '', '', '']]
+      })
+
+      expect(Object.keys(data.pyramid)).toEqual(['Agent', 'Agent-2'])
+      expect(report.changes.map(c => c.message)).toContain('Renamed duplicate node ID "Agent" to "Agent-2"')
+    })
+
+    it('should convert non-text sections to text', () => {
+      const { data, report } = migrateFaction({
+        version: 2,
+        factionName: 42,
+        members: ['Assassins', 'Scouts'],
+        notes: 7
+      })
+
+      expect(data.factionName).toBe('42')
+      expect(data.members).toBe('Assassins\nScouts')
+      expect(data.notes).toBe('7')
+      expect(report.changes.map(c => c.message)).toContain('Converted the members section to text')
+    })
+
+    it('should normalize manager links', () => {
+      const { data, report } = migrateFaction({
+        version: 3,
+        pyramid: {
+          a: { name: 'A', manager: null },
+          b: { name: 'B', manager: 'a' }
+        }
+      }, 4)
+
+      expect(data.pyramid.a.manager).toBe('')
+      expect(data.pyramid.b.connectionFromLabel).toBe('')
+      expect(report.changes).toHaveLength(1)
+    })
+
+    it('should add structured attributes to nodes', () => {
+      const { data, report } = migrateFaction({
+        version: 4,
+        pyramid: {
+          a: { name: 'A', manager: '' },
+          b: { name: 'B', manager: 'a', status: 'dead', tags: 'spy, noble', loyalty: 42, compromised: true }
+        }
+      })
+
+      expect(data.pyramid.a).toMatchObject({ status: 'active', tags: [], loyalty: 5, compromised: false })
+      expect(data.pyramid.b).toMatchObject({ status: 'dead', tags: ['spy', 'noble'], loyalty: 10, compromised: true })
+      expect(report.changes).toEqual([
+        { version: 5, message: 'Added status, tags, loyalty and compromised attributes to 2 pyramid node(s)' }
+      ])
+    })
+
+    it('should leave current files unchanged', () => {
+      const input = {
+        version: CURRENT_SCHEMA_VERSION,
+        factionName: 'Current',
+        pyramid: { a: { name: 'A', manager: '' } }
+      }
+
+      const { data, report } = migrateFaction(input)
+
+      expect(data).toEqual(input)
+      expect(report.changes).toEqual([])
+      expect(report.warnings).toEqual([])
+    })
+
+    it('should not mutate the input', () => {
+      const input = { pyramid: [['Boss', '', '', '']] }
+      migrateFaction(input)
+      expect(Array.isArray(input.pyramid)).toBe(true)
+    })
+
+    it('should keep unknown fields', () => {
+      const { data } = migrateFaction({ version: 1, customThing: { keep: true } })
+      expect(data.customThing).toEqual({ keep: true })
+    })
+
+    it('should load newer files without migrating and warn about it', () => {
+      const input = { version: CURRENT_SCHEMA_VERSION + 1, pyramid: { a: 'structured' } }
+
+      const { data, report } = migrateFaction(input)
+
+      expect(data).toEqual(input)
+      expect(report.warnings).toHaveLength(1)
+    })
+
+    it('should throw when a migration step is missing', () => {
+      expect(() => migrateFaction({ version: 1 }, CURRENT_SCHEMA_VERSION + 5)).toThrow('No migration available')
+    })
+  })
+
+  describe('formatMigrationReport', () => {
+    it('should summarize upgrades, changes and warnings', () => {
+      const text = formatMigrationReport({
+        fromVersion: 1,
+        toVersion: 4,
+        changes: [{ version: 2, message: 'Converted 2 pyramid rows to keyed nodes' }],
+        warnings: ['Something odd']
+      })
+
+      expect(text).toContain('from schema version 1 to 4')
+      expect(text).toContain('- Converted 2 pyramid rows to keyed nodes')
+      expect(text).toContain('Warning: Something odd')
+    })
+
+    it('should be empty when nothing changed', () => {
+      expect(formatMigrationReport({ fromVersion: 4, toVersion: 4, changes: [], warnings: [] })).toBe('')
+    })
+  })
+})
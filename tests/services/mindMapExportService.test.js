@@ -0,0 +1,129 @@
+import { describe, it, expect, vi } from 'vitest'
+import { EXPORT_PADDING, getDiagramBounds, drawDiagram, exportMindMapPng, exportMindMapSvg } from '@/services/mindMapExportService'
+
+const nodes = [
+  { id: 'node-1', x: 200, y: 100, width: 120, height: 50, text: 'Guildmaster', color: '#2563eb', status: 'active', tags: [], loyalty: 5, compromised: false },
+  { id: 'node-2', x: 100, y: 250, width: 100, height: 50, text: 'Fence & Son', color: '#3b82f6', status: 'missing', tags: ['trader'], loyalty: 5, compromised: true, hasSecret: true },
+  { id: 'node-3', x: 400, y: 250, width: 100, height: 50, text: 'Spy', color: '#3b82f6', status: 'active', tags: [], loyalty: 5, compromised: false }
+]
+const connections = [
+  { from: 'node-1', to: 'node-2', fromLabel: 'employs', toLabel: 'reports to' },
+  { from: 'node-1', to: 'node-3', fromLabel: '', toLabel: '' }
+]
+const relationships = [{ id: 'rel_1', from: 'node-2', to: 'node-3', type: 'rival', label: 'Old feud' }]
+const diagram = { nodes, connections, relationships }
+
+const measureText = (text) => text.length * 7
+
+// A 2D context that records every call, enough for the canvas drawing service
+function createMockContext() {
+  const target = { measureText: vi.fn(text => ({ width: text.length * 7 })) }
+  return new Proxy(target, {
+    get(object, key) {
+      if (!(key in object)) object[key] = vi.fn()
+      return object[key]
+    }
+  })
+}
+
+describe('MindMapExportService', () => {
+  describe('getDiagramBounds', () => {
+    it('should cover every node with room for badges, tags and padding', () => {
+      const bounds = getDiagramBounds({ nodes: nodes.slice(0, 1) })
+
+      expect(bounds).toEqual({
+        x: 140 - EXPORT_PADDING,
+        y: 57 - EXPORT_PADDING,
+        width: 128 + EXPORT_PADDING * 2,
+        height: 86 + EXPORT_PADDING * 2
+      })
+    })
+
+    it('should include the bend of relationship curves', () => {
+      // Parallel relationships fan out further than the badges and tags of the nodes
+      const parallel = [0, 1, 2, 3].map(i => ({ ...relationships[0], id: `rel_${i}` }))
+      const flat = getDiagramBounds({ nodes })
+      const curved = getDiagramBounds({ nodes, relationships: parallel })
+
+      expect(curved.y + curved.height).toBeGreaterThan(flat.y + flat.height)
+    })
+
+    it('should not depend on the visible viewport', () => {
+      const moved = nodes.map(node => ({ ...node, x: node.x + 5000, y: node.y - 3000 }))
+      const bounds = getDiagramBounds({ nodes: moved })
+
+      expect(bounds.x).toBe(getDiagramBounds({ nodes }).x + 5000)
+      expect(bounds.width).toBe(getDiagramBounds({ nodes }).width)
+    })
+  })
+
+  describe('drawDiagram', () => {
+    it('should move the diagram into the image and scale it', () => {
+      const ctx = createMockContext()
+      const bounds = getDiagramBounds(diagram)
+
+      drawDiagram(ctx, diagram, bounds, { scale: 2 })
+
+      expect(ctx.fillRect).toHaveBeenCalledWith(0, 0, bounds.width * 2, bounds.height * 2)
+      expect(ctx.translate).toHaveBeenCalledWith(-bounds.x * 2, -bounds.y * 2)
+      expect(ctx.scale).toHaveBeenCalledWith(2, 2)
+      expect(ctx.fillText).toHaveBeenCalledWith('← employs', 0, 0)
+    })
+
+    it('should leave the background out when transparent', () => {
+      const ctx = createMockContext()
+
+      drawDiagram(ctx, { nodes: [] }, getDiagramBounds({ nodes: [] }), { transparent: true })
+
+      expect(ctx.fillRect).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('exportMindMapPng', () => {
+    it('should refuse images larger than a canvas allows', async () => {
+      const wide = [nodes[0], { ...nodes[1], x: 20000 }]
+
+      await expect(exportMindMapPng({ nodes: wide }, { scale: 4 })).rejects.toThrow('too large')
+    })
+  })
+
+  describe('exportMindMapSvg', () => {
+    it('should write a vector document sized to the diagram', () => {
+      const bounds = getDiagramBounds(diagram)
+      const svg = exportMindMapSvg(diagram, { measureText })
+
+      expect(svg.startsWith(`<svg xmlns="http://www.w3.org/2000/svg" width="${bounds.width}" height="${bounds.height}" viewBox="${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}">`)).toBe(true)
+      expect(svg).toContain('<rect x="140" y="75" width="120" height="50" rx="8" fill="#2563eb"')
+      expect(svg.match(/<line /g)).toHaveLength(2)
+      expect(svg).toContain('<path d="M 100 250 Q ')
+    })
+
+    it('should include connection and relationship labels as text', () => {
+      const svg = exportMindMapSvg(diagram, { measureText })
+
+      // The line runs right to left, so the labels are flipped to stay readable
+      expect(svg).toContain('>← employs</text>')
+      expect(svg).toContain('>reports to →</text>')
+      expect(svg).toContain('>Old feud</text>')
+    })
+
+    it('should escape node text and draw node attributes', () => {
+      const svg = exportMindMapSvg(diagram, { measureText })
+
+      expect(svg).toContain('>Fence &amp; Son</text>')
+      expect(svg).toContain('stroke-dasharray="6 4"')
+      expect(svg).toContain('>MISSING</text>')
+      expect(svg).toContain('>SECRET</text>')
+      expect(svg).toContain('<circle ')
+      expect(svg).toContain('>#trader</text>')
+    })
+
+    it('should only draw a background when it is not transparent', () => {
+      const opaque = exportMindMapSvg(diagram, { measureText })
+      const transparent = exportMindMapSvg(diagram, { measureText, transparent: true })
+
+      expect(opaque.split('\n')[1]).toContain('fill="#ffffff"')
+      expect(transparent.split('\n')[1]).toMatch(/^<line /)
+    })
+  })
+})
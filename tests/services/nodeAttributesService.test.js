@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest'
+import {
+  EMPTY_NODE_FILTER,
+  defaultNodeAttributes,
+  parseTags,
+  clampLoyalty,
+  normalizeNodeAttributes,
+  collectTags,
+  isFilterActive,
+  matchesNodeFilter,
+  hasSecret,
+  stripSecrets
+} from '@/services/nodeAttributesService'
+
+describe('NodeAttributesService', () => {
+  describe('parseTags', () => {
+    it('should split, trim and deduplicate comma separated tags', () => {
+      expect(parseTags(' spy, noble ,,spy ')).toEqual(['spy', 'noble'])
+    })
+
+    it('should accept arrays and empty values', () => {
+      expect(parseTags(['a', ' b ', ''])).toEqual(['a', 'b'])
+      expect(parseTags(undefined)).toEqual([])
+    })
+  })
+
+  describe('clampLoyalty', () => {
+    it('should round and clamp to the loyalty range', () => {
+      expect(clampLoyalty(3.4)).toBe(3)
+      expect(clampLoyalty(-2)).toBe(0)
+      expect(clampLoyalty('12')).toBe(10)
+    })
+
+    it('should fall back to the default for non-numbers', () => {
+      expect(clampLoyalty('high')).toBe(5)
+      expect(clampLoyalty(null)).toBe(5)
+    })
+  })
+
+  describe('normalizeNodeAttributes', () => {
+    it('should default missing attributes', () => {
+      expect(normalizeNodeAttributes({ name: 'A' })).toEqual(defaultNodeAttributes())
+    })
+
+    it('should keep valid attributes and coerce invalid ones', () => {
+      expect(normalizeNodeAttributes({ status: 'captured', tags: ['spy'], loyalty: 2, compromised: true }))
+        .toEqual({ status: 'captured', tags: ['spy'], loyalty: 2, compromised: true })
+      expect(normalizeNodeAttributes({ status: 'retired', tags: 'a,b', loyalty: 'x', compromised: 1 }))
+        .toEqual({ status: 'active', tags: ['a', 'b'], loyalty: 5, compromised: false })
+    })
+  })
+
+  describe('collectTags', () => {
+    it('should list every tag once in alphabetical order', () => {
+      expect(collectTags({
+        a: { tags: ['spy', 'noble'] },
+        b: { tags: ['assassin', 'spy'] },
+        c: { name: 'No tags' }
+      })).toEqual(['assassin', 'noble', 'spy'])
+    })
+  })
+
+  describe('matchesNodeFilter', () => {
+    const node = { status: 'missing', tags: ['spy'], loyalty: 3, compromised: true }
+
+    it('should match everything with an empty filter', () => {
+      expect(isFilterActive(EMPTY_NODE_FILTER)).toBe(false)
+      expect(matchesNodeFilter(node, EMPTY_NODE_FILTER)).toBe(true)
+    })
+
+    it('should filter by status and tag', () => {
+      expect(matchesNodeFilter(node, { ...EMPTY_NODE_FILTER, status: 'missing' })).toBe(true)
+      expect(matchesNodeFilter(node, { ...EMPTY_NODE_FILTER, status: 'dead' })).toBe(false)
+      expect(matchesNodeFilter(node, { ...EMPTY_NODE_FILTER, tag: 'spy' })).toBe(true)
+      expect(matchesNodeFilter(node, { ...EMPTY_NODE_FILTER, tag: 'noble' })).toBe(false)
+    })
+
+    it('should filter by compromised flag and maximum loyalty', () => {
+      expect(matchesNodeFilter(node, { ...EMPTY_NODE_FILTER, compromised: 'yes' })).toBe(true)
+      expect(matchesNodeFilter(node, { ...EMPTY_NODE_FILTER, compromised: 'no' })).toBe(false)
+      expect(matchesNodeFilter(node, { ...EMPTY_NODE_FILTER, maxLoyalty: 3 })).toBe(true)
+      expect(matchesNodeFilter(node, { ...EMPTY_NODE_FILTER, maxLoyalty: 2 })).toBe(false)
+    })
+
+    it('should treat nodes without attributes as active and loyal by default', () => {
+      expect(matchesNodeFilter({ name: 'Old' }, { ...EMPTY_NODE_FILTER, status: 'active', maxLoyalty: 5 })).toBe(true)
+    })
+  })
+
+  describe('secrets', () => {
+    it('should only count a secret description with text', () => {
+      expect(hasSecret({ secretDescription: 'Sells guild secrets' })).toBe(true)
+      expect(hasSecret({ secretDescription: '  ' })).toBe(false)
+      expect(hasSecret({ description: 'Public' })).toBe(false)
+    })
+
+    it('should strip secret descriptions without touching the original', () => {
+      const data = {
+        factionName: 'Guild',
+        pyramid: { 'node-1': { name: 'Fence', description: 'A trader', secretDescription: 'An informant' } }
+      }
+
+      const stripped = stripSecrets(data)
+
+      expect(stripped.pyramid['node-1']).toEqual({ name: 'Fence', description: 'A trader' })
+      expect(stripped.factionName).toBe('Guild')
+      expect(data.pyramid['node-1'].secretDescription).toBe('An informant')
+    })
+  })
+})
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest'
+import {
+  RELATIONSHIP_TYPES,
+  isRelationshipType,
+  getRelationshipStyle,
+  normalizeRelationships,
+  pruneRelationships,
+  getRelationshipCurve,
+  getCurvePoint,
+  getArrowHeadPoints,
+  getParallelIndexes
+} from '@/services/relationshipService'
+
+describe('RelationshipService', () => {
+  describe('types', () => {
+    it('should know every relationship type', () => {
+      expect(Object.keys(RELATIONSHIP_TYPES)).toEqual(['reports-to', 'rival', 'ally', 'secretly-loyal-to', 'blackmails'])
+      expect(isRelationshipType('rival')).toBe(true)
+      expect(isRelationshipType('toString')).toBe(false)
+    })
+
+    it('should fall back to the default style for unknown types', () => {
+      expect(getRelationshipStyle('nemesis')).toBe(RELATIONSHIP_TYPES.ally)
+    })
+  })
+
+  describe('normalizeRelationships', () => {
+    it('should keep well formed relationships and fill in defaults', () => {
+      const result = normalizeRelationships([
+        { id: 'r1', from: 'a', to: 'b', type: 'rival', label: 'Feud' },
+        { from: 'a', to: 'c', type: 'unknown', label: 3 },
+        { from: 'a' },
+        null
+      ])
+
+      expect(result[0]).toEqual({ id: 'r1', from: 'a', to: 'b', type: 'rival', label: 'Feud' })
+      expect(result[1]).toMatchObject({ from: 'a', to: 'c', type: 'ally', label: '' })
+      expect(result).toHaveLength(2)
+    })
+
+    it('should return an empty list for anything else', () => {
+      expect(normalizeRelationships(undefined)).toEqual([])
+      expect(normalizeRelationships({})).toEqual([])
+    })
+  })
+
+  describe('pruneRelationships', () => {
+    it('should drop relationships whose nodes are gone', () => {
+      const relationships = [
+        { id: 'r1', from: 'a', to: 'b' },
+        { id: 'r2', from: 'a', to: 'c' }
+      ]
+
+      expect(pruneRelationships(relationships, { a: {}, b: {} }).map(rel => rel.id)).toEqual(['r1'])
+    })
+  })
+
+  describe('curves', () => {
+    const a = { id: 'a', x: 0, y: 0 }
+    const b = { id: 'b', x: 100, y: 0 }
+
+    it('should bend the curve away from the straight line', () => {
+      const curve = getRelationshipCurve(a, b)
+
+      expect(curve.start).toEqual({ x: 0, y: 0 })
+      expect(curve.end).toEqual({ x: 100, y: 0 })
+      expect(curve.control.x).toBe(50)
+      expect(Math.abs(curve.control.y)).toBe(40)
+    })
+
+    it('should bend both directions to the same side and fan out parallel edges', () => {
+      const forward = getRelationshipCurve(a, b, 0)
+      const backward = getRelationshipCurve(b, a, 1)
+
+      expect(Math.sign(forward.control.y)).toBe(Math.sign(backward.control.y))
+      expect(Math.abs(backward.control.y)).toBeGreaterThan(Math.abs(forward.control.y))
+    })
+
+    it('should return points along the curve', () => {
+      const curve = getRelationshipCurve(a, b)
+
+      expect(getCurvePoint(curve, 0)).toEqual(curve.start)
+      expect(getCurvePoint(curve, 1)).toEqual(curve.end)
+      expect(getCurvePoint(curve, 0.5)).toEqual({ x: 50, y: curve.control.y / 2 })
+    })
+
+    it('should put the arrow tip on the edge of the target node', () => {
+      const curve = { start: { x: 0, y: 0 }, control: { x: 50, y: 0 }, end: { x: 100, y: 0 } }
+      const [tip, left, right] = getArrowHeadPoints(curve, { x: 100, y: 0, width: 40, height: 20 })
+
+      expect(tip.x).toBeLessThan(80)
+      expect(tip.x).toBeGreaterThan(75)
+      expect(left.x).toBeLessThan(tip.x)
+      expect(left.y).toBeCloseTo(-right.y)
+    })
+
+    it('should number relationships between the same pair', () => {
+      expect(getParallelIndexes([
+        { from: 'a', to: 'b' },
+        { from: 'b', to: 'a' },
+        { from: 'a', to: 'c' },
+        { from: 'a', to: 'b' }
+      ])).toEqual([0, 1, 0, 2])
+    })
+  })
+})
@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest'
+import {
+  HIDDEN_NODE_NAME,
+  UNKNOWN_FACTION_NAME,
+  normalizeReveals,
+  splitParagraphs,
+  getParagraphKey,
+  getRevealedText,
+  pruneReveals,
+  buildPlayerFaction,
+  buildNodeTree,
+  diffReveals,
+  getPlayerViewUrl,
+  isPlayerView
+} from '@/services/revealService'
+
+const faction = {
+  factionName: 'Thieves Guild',
+  summary: 'A guild of pickpockets.\n\nIt is secretly run by the Duke.',
+  mysteries: 'Where the loot goes.',
+  customSections: [{ id: 'section_1', name: 'Rumors', prompt: '', content: 'A heist is planned.' }],
+  pyramid: {
+    'node-1': { name: 'Guildmaster', manager: '', role: 'Leader', secretDescription: 'Owes the Duke', loyalty: 9, tags: ['noble'], color: '#000000', x: 200, y: 0 },
+    'node-2': { name: 'Fence', manager: 'node-1', role: 'Trader', x: 100, y: 150 },
+    'node-3': { name: 'Spy', manager: 'node-1', role: 'Informant', x: 300, y: 150 }
+  },
+  relationships: [
+    { id: 'rel_1', from: 'node-2', to: 'node-3', type: 'rival', label: 'Old feud' },
+    { id: 'rel_2', from: 'node-3', to: 'node-1', type: 'blackmails', label: '' }
+  ]
+}
+
+describe('RevealService', () => {
+  describe('normalizeReveals', () => {
+    it('should reveal nothing by default', () => {
+      expect(normalizeReveals(undefined)).toEqual({ sections: [], paragraphs: {}, nodes: [], relationships: [] })
+    })
+
+    it('should drop malformed entries', () => {
+      expect(normalizeReveals({ sections: ['summary', 3], paragraphs: { notes: [], summary: ['p_1'] }, nodes: 'node-1' }))
+        .toEqual({ sections: ['summary'], paragraphs: { summary: ['p_1'] }, nodes: [], relationships: [] })
+    })
+  })
+
+  describe('paragraphs', () => {
+    it('should split texts on blank lines', () => {
+      expect(splitParagraphs(faction.summary)).toEqual(['A guild of pickpockets.', 'It is secretly run by the Duke.'])
+      expect(splitParagraphs('')).toEqual([])
+    })
+
+    it('should key paragraphs by their text', () => {
+      expect(getParagraphKey('A heist')).toBe(getParagraphKey('  A heist\n'))
+      expect(getParagraphKey('A heist')).not.toBe(getParagraphKey('A heist!'))
+    })
+
+    it('should only show revealed paragraphs of a section', () => {
+      const reveals = normalizeReveals({ paragraphs: { summary: [getParagraphKey('A guild of pickpockets.')] } })
+
+      expect(getRevealedText(reveals, 'summary', faction.summary)).toBe('A guild of pickpockets.')
+      expect(getRevealedText(reveals, 'summary', `A new first paragraph.\n\n${faction.summary}`)).toBe('A guild of pickpockets.')
+      expect(getRevealedText(reveals, 'mysteries', faction.mysteries)).toBe('')
+    })
+
+    it('should hide a revealed paragraph once it is edited', () => {
+      const reveals = normalizeReveals({ paragraphs: { mysteries: [getParagraphKey(faction.mysteries)] } })
+      expect(getRevealedText(reveals, 'mysteries', 'Where the loot goes: the Duke.')).toBe('')
+    })
+  })
+
+  describe('pruneReveals', () => {
+    it('should drop reveals of removed paragraphs, nodes and relationships', () => {
+      const reveals = normalizeReveals({
+        sections: ['notes'],
+        paragraphs: { summary: [getParagraphKey('A guild of pickpockets.'), getParagraphKey('Gone')] },
+        nodes: ['node-1', 'node-9'],
+        relationships: ['rel_1', 'rel_9']
+      })
+
+      expect(pruneReveals(reveals, faction)).toEqual({
+        sections: ['notes'],
+        paragraphs: { summary: [getParagraphKey('A guild of pickpockets.')] },
+        nodes: ['node-1'],
+        relationships: ['rel_1']
+      })
+    })
+  })
+
+  describe('buildPlayerFaction', () => {
+    it('should show nothing but the structure when nothing is revealed', () => {
+      const player = buildPlayerFaction(faction)
+
+      expect(player.factionName).toBe(UNKNOWN_FACTION_NAME)
+      expect(player.sections).toEqual([])
+      expect(player.relationships).toEqual([])
+      expect(Object.values(player.pyramid).every(node => node.name === HIDDEN_NODE_NAME && node.hidden)).toBe(true)
+      expect(player.pyramid['node-2'].manager).toBe('node-1')
+      expect(JSON.stringify(player)).not.toContain('Guildmaster')
+    })
+
+    it('should show revealed sections, nodes and relationships', () => {
+      const player = buildPlayerFaction({
+        ...faction,
+        reveals: {
+          sections: ['factionName', 'customSection:section_1'],
+          paragraphs: { summary: [getParagraphKey('A guild of pickpockets.')] },
+          nodes: ['node-1'],
+          relationships: ['rel_1']
+        }
+      })
+
+      expect(player.factionName).toBe('Thieves Guild')
+      expect(player.sections).toEqual([
+        { key: 'summary', label: 'Summary', text: 'A guild of pickpockets.' },
+        { key: 'customSection:section_1', label: 'Rumors', text: 'A heist is planned.' }
+      ])
+      expect(player.pyramid['node-1']).toEqual({
+        manager: '', x: 200, y: 0, name: 'Guildmaster', role: 'Leader', color: '#000000', hidden: false
+      })
+      expect(player.pyramid['node-3'].name).toBe(HIDDEN_NODE_NAME)
+      expect(player.relationships).toEqual([{ id: 'rel_1', from: 'node-2', to: 'node-3', type: 'rival', label: 'Old feud' }])
+    })
+  })
+
+  describe('buildNodeTree', () => {
+    it('should nest nodes under their managers from left to right', () => {
+      const tree = buildNodeTree(faction.pyramid)
+
+      expect(tree.map(item => item.id)).toEqual(['node-1'])
+      expect(tree[0].children.map(item => item.id)).toEqual(['node-2', 'node-3'])
+    })
+
+    it('should still place nodes caught in a manager cycle', () => {
+      const tree = buildNodeTree({ a: { manager: 'b' }, b: { manager: 'a' } })
+
+      expect(tree).toHaveLength(1)
+      expect(tree[0].children).toHaveLength(1)
+    })
+  })
+
+  describe('diffReveals', () => {
+    it('should list what was revealed and hidden', () => {
+      const older = { ...faction, reveals: { sections: ['summary'], nodes: ['node-2'] } }
+      const newer = { ...faction, reveals: { sections: ['factionName'], nodes: ['node-1'], relationships: ['rel_1'] } }
+
+      expect(diffReveals(older, newer)).toEqual([
+        'Revealed Faction Name',
+        'Hid Summary',
+        'Revealed node Guildmaster',
+        'Hid node Fence',
+        'Revealed a relationship'
+      ])
+      expect(diffReveals(faction, faction)).toEqual([])
+    })
+  })
+
+  describe('player view address', () => {
+    it('should point at the player view of a faction', () => {
+      const url = getPlayerViewUrl('faction_1', { pathname: '/app/' })
+
+      expect(url).toBe('/app/?view=player&faction=faction_1')
+      expect(isPlayerView({ search: '?view=player&faction=faction_1' })).toBe(true)
+      expect(isPlayerView({ search: '' })).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import {
+  highlightMatches,
+  getSnippet,
+  searchFaction,
+  searchFactions
+} from '@/services/searchService'
+
+const faction = {
+  factionName: 'Thieves Guild',
+  summary: 'A guild of pickpockets run from the old docks.',
+  notes: 'The docks flood every spring. Nobody guards the docks at night.',
+  customSections: [{ id: 'section_1', name: 'Dock Rumors', prompt: '', content: 'A heist is planned.' }],
+  pyramid: {
+    'node-1': { name: 'Guildmaster', manager: '', role: 'Leader', description: 'Owns the docks.' },
+    'node-2': { name: 'Fence', manager: 'node-1', role: 'Trader', description: '', secretDescription: 'Informs on the guild.' }
+  }
+}
+
+describe('SearchService', () => {
+  describe('highlightMatches', () => {
+    it('should split a text around case insensitive matches', () => {
+      expect(highlightMatches('Docks and docks', 'DOCKS')).toEqual([
+        { text: 'Docks', match: true },
+        { text: ' and ', match: false },
+        { text: 'docks', match: true }
+      ])
+    })
+
+    it('should keep the whole text without a query', () => {
+      expect(highlightMatches('Docks', '  ')).toEqual([{ text: 'Docks', match: false }])
+      expect(highlightMatches('', 'docks')).toEqual([])
+    })
+  })
+
+  describe('getSnippet', () => {
+    it('should cut long texts around the first match', () => {
+      const text = `${'a'.repeat(100)} needle ${'b'.repeat(100)}`
+      const snippet = getSnippet(text, 'needle')
+
+      expect(snippet.startsWith('…')).toBe(true)
+      expect(snippet.endsWith('…')).toBe(true)
+      expect(snippet).toContain('needle')
+      expect(snippet.length).toBeLessThan(100)
+    })
+
+    it('should keep snippets on one line', () => {
+      expect(getSnippet('First line\n\nsecond line', 'second')).toBe('First line second line')
+    })
+  })
+
+  describe('searchFaction', () => {
+    it('should find sections, custom sections and nodes', () => {
+      const results = searchFaction(faction, 'dock', 'faction_1')
+
+      expect(results.map(result => [result.type, result.key, result.field, result.count])).toEqual([
+        ['section', 'summary', 'Text', 1],
+        ['section', 'notes', 'Text', 2],
+        ['section', 'customSection:section_1', 'Section name', 1],
+        ['node', 'node-1', 'Description', 1]
+      ])
+      expect(results[0]).toMatchObject({ factionId: 'faction_1', factionName: 'Thieves Guild', label: 'Summary' })
+      expect(results[3].label).toBe('Guildmaster')
+    })
+
+    it('should match the faction name and node roles', () => {
+      expect(searchFaction(faction, 'thieves').map(result => result.key)).toEqual(['factionName'])
+      expect(searchFaction(faction, 'trader').map(result => [result.key, result.field])).toEqual([['node-2', 'Role']])
+    })
+
+    it('should leave out secret descriptions when secrets are hidden', () => {
+      expect(searchFaction(faction, 'informs').map(result => [result.key, result.field])).toEqual([['node-2', 'Secret description']])
+      expect(searchFaction(faction, 'informs', null, { includeSecrets: false })).toEqual([])
+    })
+
+    it('should ignore queries that are too short', () => {
+      expect(searchFaction(faction, 'd')).toEqual([])
+      expect(searchFaction(null, 'docks')).toEqual([])
+    })
+  })
+
+  describe('searchFactions', () => {
+    it('should search every faction in order and skip empty ones', () => {
+      const other = { factionName: 'Dockworkers Union', pyramid: {} }
+      const results = searchFactions([
+        { id: 'faction_1', data: faction },
+        { id: 'faction_2', data: null },
+        { id: 'faction_3', data: other }
+      ], 'dockworkers')
+
+      expect(results).toEqual([expect.objectContaining({ factionId: 'faction_3', key: 'factionName' })])
+    })
+
+    it('should stop at the result limit', () => {
+      const factions = [{ id: 'faction_1', data: faction }, { id: 'faction_2', data: faction }]
+      expect(searchFactions(factions, 'dock', 5)).toHaveLength(5)
+    })
+  })
+})
@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { SvgDrawingService } from '@/services/svgDrawingService'
+import { CanvasDrawingService, wrapText, getConnectionLabelLayout } from '@/services/canvasDrawingService'
+
+const measureText = (text) => text.length * 8
+
+const nodes = [
+  { id: 'node-1', x: 200, y: 100, width: 120, height: 50, text: 'Guildmaster', color: '#2563eb' },
+  { id: 'node-2', x: 100, y: 250, width: 100, height: 50, text: 'Fence', color: '#fde047', status: 'dead', loyalty: 3 }
+]
+
+describe('SvgDrawingService', () => {
+  let service
+
+  beforeEach(() => {
+    service = new SvgDrawingService({ measureText })
+  })
+
+  describe('calculateNodeSize', () => {
+    it('should size nodes like the canvas service', () => {
+      const canvas = new CanvasDrawingService({ measureText: text => ({ width: measureText(text) }) })
+      const text = 'This is a very long text that should wrap to multiple lines'
+
+      expect(service.calculateNodeSize('Test')).toEqual(canvas.calculateNodeSize('Test'))
+      expect(service.calculateNodeSize(text)).toEqual(canvas.calculateNodeSize(text))
+    })
+  })
+
+  describe('drawConnections', () => {
+    it('should draw a line and its labels between connected nodes', () => {
+      service.drawConnections([{ from: 'node-1', to: 'node-2', fromLabel: 'employs', toLabel: '' }], nodes)
+
+      const markup = service.getMarkup()
+      expect(markup).toContain('<line x1="200" y1="100" x2="100" y2="250" stroke="#64748b" stroke-width="2"/>')
+      expect(markup).toContain('>← employs</text>')
+    })
+
+    it('should skip connections to missing nodes', () => {
+      service.drawConnections([{ from: 'node-1', to: 'node-9' }], nodes)
+
+      expect(service.getMarkup()).toBe('')
+    })
+  })
+
+  describe('drawRelationships', () => {
+    it('should draw a curve, an arrow head and a label', () => {
+      service.drawRelationships([{ id: 'rel_1', from: 'node-1', to: 'node-2', type: 'rival', label: 'Old <feud>' }], nodes, 'rel_1')
+
+      const markup = service.getMarkup()
+      expect(markup).toMatch(/<path d="M [^"]+ Q [^"]+" fill="none" stroke="#[0-9a-f]{6}" stroke-width="4"/)
+      expect(markup).toContain('<polygon points=')
+      expect(markup).toContain('>Old &lt;feud&gt;</text>')
+    })
+  })
+
+  describe('drawNodes', () => {
+    it('should group each node with its text for screen readers', () => {
+      service.drawNodes(nodes)
+
+      const markup = service.getMarkup()
+      expect(markup).toContain('<g data-node-id="node-1" role="img" aria-label="Guildmaster">')
+      expect(markup).toContain('<rect x="140" y="75" width="120" height="50" rx="8" fill="#2563eb" stroke="#1e293b" stroke-width="1"/>')
+      expect(markup).toContain('>DEAD</text>')
+      expect(markup).toContain('fill="hsl(36, 70%, 45%)"')
+      expect(markup.match(/<\/g>/g)).toHaveLength(2)
+    })
+
+    it('should mark selected and dimmed nodes', () => {
+      service.drawNodes(nodes, 'node-1', null, [], ['node-2'])
+
+      const markup = service.getMarkup()
+      expect(markup).toContain('stroke="#ffffff" stroke-width="4"')
+      expect(markup).toContain('aria-label="Fence" opacity="0.25"')
+    })
+
+    it('should use a dark border on light nodes in a multi-selection', () => {
+      service.drawNodes(nodes, null, null, ['node-1', 'node-2'])
+
+      expect(service.getMarkup()).toContain('fill="#fde047" stroke="#1e293b" stroke-width="3"')
+    })
+  })
+
+  describe('drawSelectionBox', () => {
+    it('should draw a dashed box whatever the drag direction', () => {
+      service.drawSelectionBox({ startX: 100, startY: 80, endX: 20, endY: 30 })
+
+      expect(service.getMarkup()).toBe('<rect x="20" y="30" width="80" height="50" fill="rgba(59, 130, 246, 0.1)" stroke="#3b82f6" stroke-width="2" stroke-dasharray="5 5"/>')
+    })
+  })
+
+  describe('applyPanOffset and restoreCanvas', () => {
+    it('should wrap the drawing in a transformed group', () => {
+      service.applyPanOffset({ x: 10, y: -20 }, 1.5)
+      service.drawSelectionBox({ startX: 0, startY: 0, endX: 10, endY: 10 })
+      service.restoreCanvas()
+      service.restoreCanvas()
+
+      const lines = service.getMarkup().split('\n')
+      expect(lines[0]).toBe('<g transform="translate(10 -20) scale(1.5)">')
+      expect(lines[lines.length - 1]).toBe('</g>')
+      expect(lines).toHaveLength(3)
+    })
+
+    it('should close groups left open', () => {
+      service.applyPanOffset({ x: 0, y: 0 })
+
+      expect(service.getMarkup()).toBe('<g transform="translate(0 0) scale(1)">\n</g>')
+    })
+  })
+
+  describe('clearCanvas and toSvg', () => {
+    it('should start over and size the document', () => {
+      service.drawNodes(nodes)
+      service.clearCanvas(300, 200)
+
+      expect(service.toSvg()).toBe('<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200" viewBox="0 0 300 200">\n</svg>\n')
+    })
+
+    it('should add a background on request', () => {
+      const svg = service.toSvg({ viewBox: { x: -10, y: -10, width: 50, height: 40 }, background: '#ffffff' })
+
+      expect(svg.split('\n')[1]).toBe('<rect x="-10" y="-10" width="50" height="40" fill="#ffffff"/>')
+    })
+  })
+
+  describe('renderTo', () => {
+    it('should render the drawing as DOM elements', () => {
+      const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+      svg.appendChild(document.createElementNS('http://www.w3.org/2000/svg', 'circle'))
+
+      service.drawNodes(nodes)
+      service.renderTo(svg)
+
+      expect(svg.querySelector('circle')).toBeNull()
+      expect(svg.querySelectorAll('g[data-node-id]')).toHaveLength(2)
+      expect(svg.querySelector('[data-node-id="node-2"]').getAttribute('aria-label')).toBe('Fence')
+    })
+  })
+})
+
+describe('shared drawing geometry', () => {
+  it('should wrap text at spaces once a line gets too wide', () => {
+    expect(wrapText('one two three', 64, measureText)).toEqual(['one two', 'three'])
+    expect(wrapText('', 64, measureText)).toEqual([''])
+  })
+
+  it('should flip connection labels on lines pointing left', () => {
+    const connection = { fromLabel: 'employs', toLabel: 'reports to' }
+    const right = getConnectionLabelLayout(connection, { x: 0, y: 0 }, { x: 100, y: 0 })
+    const left = getConnectionLabelLayout(connection, { x: 100, y: 0 }, { x: 0, y: 0 })
+
+    expect(right.labels).toEqual([
+      { text: 'employs →', x: 50, y: -13 },
+      { text: '← reports to', x: 50, y: 13 }
+    ])
+    expect(left.labels.map(label => label.text)).toEqual(['← employs', 'reports to →'])
+    expect(Math.cos(left.angle)).toBeCloseTo(1)
+  })
+})
@@ -0,0 +1,158 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  SyncChannel,
+  splitDocument,
+  joinDocument,
+  diffUnits,
+  applyRemoteChanges,
+  getDocumentKeys,
+  getUnitLabel
+} from '@/services/syncService'
+
+const faction = {
+  version: 5,
+  factionName: 'Thieves Guild',
+  summary: 'Pickpockets',
+  customSections: [
+    { id: 'section_1', name: 'Rumors', prompt: '', content: 'A heist' },
+    { id: 'section_2', name: 'Safehouses', prompt: '', content: '' }
+  ],
+  pyramid: {
+    'node-1': { name: 'Guildmaster', manager: '' },
+    'node-2': { name: 'Fence', manager: 'node-1' }
+  },
+  relationships: [{ id: 'rel_1', from: 'node-1', to: 'node-2', type: 'ally', label: '' }],
+  clocks: [{ id: 'clock_1', name: 'Rob the mint', segments: 6, filled: 2, nodeId: 'node-2', onComplete: '' }],
+  timeline: [{ id: 'event_1', date: 'Session 1', title: 'Fence hired', description: '', nodeIds: ['node-2'], sectionKeys: [], changes: [] }],
+  colorPresets: ['#000000']
+}
+
+const rev = (tabId, counter) => ({ tabId, counter })
+
+describe('SyncService', () => {
+  describe('splitDocument and joinDocument', () => {
+    it('should split a faction into sections, nodes, relationships, clocks and events', () => {
+      const units = splitDocument(faction)
+
+      expect(units.summary).toBe('Pickpockets')
+      expect(units['customSection:section_1'].content).toBe('A heist')
+      expect(units.customSectionOrder).toEqual(['section_1', 'section_2'])
+      expect(units['node:node-2'].name).toBe('Fence')
+      expect(units['relationship:rel_1'].type).toBe('ally')
+      expect(units['clock:clock_1'].filled).toBe(2)
+      expect(units['timelineEvent:event_1'].title).toBe('Fence hired')
+      expect(units.colorPresets).toEqual(['#000000'])
+    })
+
+    it('should put the units back together', () => {
+      expect(joinDocument(splitDocument(faction), faction)).toEqual(faction)
+    })
+
+    it('should keep the synced section order', () => {
+      const units = splitDocument(faction)
+      units.customSectionOrder = ['section_2', 'section_1']
+
+      expect(joinDocument(units).customSections.map(s => s.id)).toEqual(['section_2', 'section_1'])
+    })
+  })
+
+  describe('diffUnits', () => {
+    it('should list changed, added and removed units', () => {
+      const before = splitDocument(faction)
+      const after = splitDocument({
+        ...faction,
+        summary: 'Burglars',
+        pyramid: { 'node-1': faction.pyramid['node-1'], 'node-3': { name: 'Lookout', manager: 'node-1' } }
+      })
+
+      expect(diffUnits(before, after).sort()).toEqual(['node:node-2', 'node:node-3', 'summary'])
+    })
+  })
+
+  describe('applyRemoteChanges', () => {
+    it('should apply a change based on our revision', () => {
+      const units = splitDocument(faction)
+      const result = applyRemoteChanges(units, { summary: rev('a', 1) }, [
+        { key: 'summary', value: 'Burglars', rev: rev('b', 1), baseRev: rev('a', 1) }
+      ])
+
+      expect(result.units.summary).toBe('Burglars')
+      expect(result.revisions.summary).toEqual(rev('b', 1))
+      expect(result.changedKeys).toEqual(['summary'])
+      expect(result.conflicts).toEqual([])
+      expect(units.summary).toBe('Pickpockets')
+    })
+
+    it('should apply changes to units we never changed', () => {
+      const result = applyRemoteChanges(splitDocument(faction), {}, [
+        { key: 'node:node-2', rev: rev('b', 1), baseRev: null }
+      ])
+
+      expect(result.units['node:node-2']).toBeUndefined()
+      expect(result.changedKeys).toEqual(['node:node-2'])
+    })
+
+    it('should report concurrent edits of a unit as a conflict and keep ours', () => {
+      const result = applyRemoteChanges(splitDocument(faction), { summary: rev('a', 2) }, [
+        { key: 'summary', value: 'Burglars', rev: rev('b', 1), baseRev: rev('a', 1) }
+      ])
+
+      expect(result.units.summary).toBe('Pickpockets')
+      expect(result.changedKeys).toEqual([])
+      expect(result.conflicts).toEqual([{
+        key: 'summary',
+        label: 'Summary',
+        ours: 'Pickpockets',
+        theirs: 'Burglars',
+        theirRev: rev('b', 1)
+      }])
+    })
+
+    it('should settle a unit both sides agree on', () => {
+      const result = applyRemoteChanges(splitDocument(faction), { summary: rev('a', 2) }, [
+        { key: 'summary', value: 'Pickpockets', rev: rev('b', 1), baseRev: rev('a', 1) }
+      ])
+
+      expect(result.conflicts).toEqual([])
+      expect(result.settledKeys).toEqual(['summary'])
+      expect(result.revisions.summary).toEqual(rev('b', 1))
+    })
+
+    it('should only fill in units we never synced from a state', () => {
+      const result = applyRemoteChanges(splitDocument(faction), { summary: rev('a', 2) }, [
+        { key: 'summary', value: 'Burglars', rev: rev('b', 1) },
+        { key: 'factionName', value: 'Dock Cell', rev: null }
+      ], { state: true })
+
+      expect(result.units.summary).toBe('Pickpockets')
+      expect(result.units.factionName).toBe('Dock Cell')
+      expect(result.conflicts).toEqual([])
+    })
+  })
+
+  describe('labels', () => {
+    it('should name units and the faction keys they belong to', () => {
+      const units = splitDocument(faction)
+
+      expect(getUnitLabel('node:node-2', units)).toBe('Node "Fence"')
+      expect(getUnitLabel('customSection:section_1', units)).toBe('Section "Rumors"')
+      expect(getDocumentKeys(['summary', 'node:node-1', 'node:node-2', 'customSectionOrder']))
+        .toEqual(['summary', 'pyramid', 'customSections'])
+    })
+  })
+
+  describe('SyncChannel', () => {
+    it('should not deliver messages from its own tab', () => {
+      const channel = new SyncChannel({ tabId: 'tab_a' })
+      const onmessage = vi.fn()
+      channel.onmessage = onmessage
+
+      channel.receive({ type: 'hello', tabId: 'tab_a' })
+      channel.receive({ type: 'hello', tabId: 'tab_b' })
+
+      expect(onmessage).toHaveBeenCalledTimes(1)
+      expect(onmessage).toHaveBeenCalledWith({ type: 'hello', tabId: 'tab_b' })
+      channel.close()
+    })
+  })
+})
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  BUILT_IN_TEMPLATES,
+  TEMPLATES_STORAGE_KEY,
+  buildTemplatePyramid,
+  loadUserTemplates,
+  saveUserTemplates,
+  createTemplate,
+  instantiateTemplate,
+  serializeTemplate,
+  parseTemplateFile
+} from '@/services/templateService'
+import { CURRENT_SCHEMA_VERSION, TEXT_FIELDS } from '@/services/migrationService'
+import { validateFaction } from '@/services/validationService'
+
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+describe('TemplateService', () => {
+  beforeEach(() => {
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+  })
+
+  describe('buildTemplatePyramid', () => {
+    it('should give nodes mind map ids and link them to their manager', () => {
+      const pyramid = buildTemplatePyramid([
+        ['boss', '', 'Boss', 'Leader'],
+        ['thug', 'boss', 'Thug', '']
+      ])
+
+      expect(Object.keys(pyramid)).toEqual(['node-1', 'node-2'])
+      expect(pyramid['node-1']).toMatchObject({ name: 'Boss', manager: '', role: 'Leader', status: 'active' })
+      expect(pyramid['node-2']).toMatchObject({ name: 'Thug', manager: 'node-1' })
+      expect(pyramid['node-2'].x).toBeUndefined()
+    })
+  })
+
+  describe('built-in templates', () => {
+    it('should offer the starter factions', () => {
+      expect(BUILT_IN_TEMPLATES.map(t => t.id)).toEqual([
+        'thieves-guild',
+        'doomsday-cult',
+        'noble-house',
+        'corporate-cabal',
+        'rebel-cell'
+      ])
+    })
+
+    it('should have sections and a valid pyramid with a single leader', () => {
+      BUILT_IN_TEMPLATES.forEach(template => {
+        const data = instantiateTemplate(template)
+        const roots = Object.values(data.pyramid).filter(node => !node.manager)
+
+        expect(data.customSections.length).toBeGreaterThan(0)
+        expect(roots).toHaveLength(1)
+        expect(validateFaction(data).issues).toEqual([])
+      })
+    })
+  })
+
+  describe('instantiateTemplate', () => {
+    it('should return a complete faction that does not share the template objects', () => {
+      const template = BUILT_IN_TEMPLATES[0]
+      const data = instantiateTemplate(template)
+
+      expect(data.version).toBe(CURRENT_SCHEMA_VERSION)
+      expect(data.factionName).toBe("Thieves' Guild")
+      TEXT_FIELDS.forEach(field => expect(typeof data[field]).toBe('string'))
+
+      data.pyramid['node-1'].name = 'Changed'
+      expect(template.faction.pyramid['node-1'].name).toBe('Guildmaster')
+    })
+  })
+
+  describe('user templates', () => {
+    it('should make a template from a faction without its color presets, timeline and reveals', () => {
+      const template = createTemplate('My Guild', 'Ours', {
+        factionName: 'Guild',
+        summary: 'Text',
+        colorPresets: ['#000000'],
+        pyramid: {},
+        timeline: [{ id: 'event_1', title: 'Founded' }],
+        reveals: { sections: ['summary'] }
+      })
+
+      expect(template).toMatchObject({ name: 'My Guild', description: 'Ours', builtIn: false })
+      expect(template.id).toMatch(/^template_/)
+      expect(template.faction).toEqual({ factionName: 'Guild', summary: 'Text', pyramid: {} })
+    })
+
+    it('should save and load templates', () => {
+      const template = createTemplate('My Guild', '', { factionName: 'Guild' })
+
+      expect(saveUserTemplates([template])).toBe(true)
+      expect(loadUserTemplates()).toEqual([template])
+    })
+
+    it('should ignore broken stored templates', () => {
+      localStorage.setItem(TEMPLATES_STORAGE_KEY, 'not json')
+      expect(loadUserTemplates()).toEqual([])
+
+      localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify([{ name: 'No faction' }]))
+      expect(loadUserTemplates()).toEqual([])
+    })
+  })
+
+  describe('template files', () => {
+    it('should read back an exported template as a new user template', () => {
+      const template = BUILT_IN_TEMPLATES[1]
+      const imported = parseTemplateFile(JSON.parse(serializeTemplate(template)))
+
+      expect(imported.name).toBe('Doomsday Cult')
+      expect(imported.builtIn).toBe(false)
+      expect(imported.id).not.toBe(template.id)
+      expect(imported.faction.pyramid).toEqual(template.faction.pyramid)
+    })
+
+    it('should upgrade a template faction saved with an older schema', () => {
+      const imported = parseTemplateFile({
+        type: 'faction-template',
+        template: { name: 'Old', faction: { factionName: 'Old', pyramid: {} } }
+      })
+
+      expect(imported.faction.version).toBe(CURRENT_SCHEMA_VERSION)
+    })
+
+    it('should reject files that are not templates', () => {
+      expect(() => parseTemplateFile({ factionName: 'A faction file' })).toThrow('not a faction template')
+      expect(() => parseTemplateFile({ type: 'faction-template', template: { name: '', faction: {} } })).toThrow()
+    })
+  })
+})
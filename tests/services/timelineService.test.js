@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest'
+import {
+  normalizeTimeline,
+  getEventNodeIds,
+  filterTimelineByNode,
+  pruneTimeline,
+  applyTimelineChanges,
+  describeTimelineChange
+} from '@/services/timelineService'
+
+const pyramid = {
+  'node-1': { name: 'Guildmaster', manager: '', status: 'active' },
+  'node-2': { name: 'Lieutenant', manager: 'node-1', status: 'active', connectionFromLabel: 'commands', connectionToLabel: '' },
+  'node-3': { name: 'Fence', manager: 'node-2', status: 'active' }
+}
+
+describe('TimelineService', () => {
+  describe('normalizeTimeline', () => {
+    it('should fill in missing event fields', () => {
+      const [event] = normalizeTimeline([{ title: 'Heist', nodeIds: ['node-1', 'node-1', 3] }])
+
+      expect(event).toMatchObject({
+        date: '',
+        title: 'Heist',
+        description: '',
+        nodeIds: ['node-1'],
+        sectionKeys: [],
+        changes: []
+      })
+      expect(event.id).toMatch(/^event_/)
+    })
+
+    it('should drop malformed node changes and events', () => {
+      const timeline = normalizeTimeline([
+        null,
+        {
+          id: 'event_1',
+          title: 'Purge',
+          changes: [
+            { nodeId: 'node-2', field: 'status', from: 'active', to: 'dead' },
+            { nodeId: 'node-2', field: 'color', to: '#000000' },
+            { field: 'status', to: 'dead' }
+          ]
+        }
+      ])
+
+      expect(timeline).toHaveLength(1)
+      expect(timeline[0].changes).toEqual([{ nodeId: 'node-2', field: 'status', from: 'active', to: 'dead' }])
+      expect(normalizeTimeline('timeline')).toEqual([])
+    })
+  })
+
+  describe('filterTimelineByNode', () => {
+    const timeline = normalizeTimeline([
+      { id: 'event_1', title: 'Heist', nodeIds: ['node-1'] },
+      { id: 'event_2', title: 'Assassination', changes: [{ nodeId: 'node-2', field: 'status', from: 'active', to: 'dead' }] }
+    ])
+
+    it('should find events that refer to or change a node', () => {
+      expect(filterTimelineByNode(timeline, 'node-2').map(event => event.id)).toEqual(['event_2'])
+      expect(getEventNodeIds(timeline[1])).toEqual(['node-2'])
+    })
+
+    it('should keep every event without a node', () => {
+      expect(filterTimelineByNode(timeline, '')).toBe(timeline)
+    })
+  })
+
+  describe('pruneTimeline', () => {
+    it('should drop references to and changes of deleted nodes', () => {
+      const timeline = normalizeTimeline([{
+        id: 'event_1',
+        title: 'Purge',
+        nodeIds: ['node-1', 'node-9'],
+        changes: [
+          { nodeId: 'node-9', field: 'status', from: 'active', to: 'dead' },
+          { nodeId: 'node-3', field: 'manager', from: 'node-9', to: 'node-1' }
+        ]
+      }])
+
+      expect(pruneTimeline(timeline, pyramid)).toEqual([{
+        ...timeline[0],
+        nodeIds: ['node-1'],
+        changes: [{ nodeId: 'node-3', field: 'manager', from: 'node-9', to: 'node-1' }]
+      }])
+    })
+  })
+
+  describe('applyTimelineChanges', () => {
+    it('should record the values the changes replace', () => {
+      const result = applyTimelineChanges(pyramid, [
+        { nodeId: 'node-2', field: 'status', to: 'dead' },
+        { nodeId: 'node-3', field: 'manager', to: 'node-1' }
+      ])
+
+      expect(result.error).toBeNull()
+      expect(result.applied).toEqual([
+        { nodeId: 'node-2', field: 'status', from: 'active', to: 'dead' },
+        { nodeId: 'node-3', field: 'manager', from: 'node-2', to: 'node-1' }
+      ])
+      expect(result.pyramid['node-3'].manager).toBe('node-1')
+      expect(pyramid['node-3'].manager).toBe('node-2')
+    })
+
+    it('should clear the connection labels of a reparented node', () => {
+      const result = applyTimelineChanges(pyramid, [{ nodeId: 'node-2', field: 'manager', to: '' }])
+
+      expect(result.pyramid['node-2']).toMatchObject({ manager: '', connectionFromLabel: '', connectionToLabel: '' })
+    })
+
+    it('should leave out changes to the value a node already has', () => {
+      const result = applyTimelineChanges(pyramid, [{ nodeId: 'node-1', field: 'status', to: 'active' }])
+      expect(result.applied).toEqual([])
+    })
+
+    it('should reject invalid changes', () => {
+      expect(applyTimelineChanges(pyramid, [{ nodeId: 'node-9', field: 'status', to: 'dead' }]).error).toBeTruthy()
+      expect(applyTimelineChanges(pyramid, [{ nodeId: 'node-1', field: 'status', to: 'retired' }]).error).toBeTruthy()
+      expect(applyTimelineChanges(pyramid, [{ nodeId: 'node-1', field: 'manager', to: 'node-9' }]).error).toBeTruthy()
+    })
+
+    it('should not let a node report to its own subordinate', () => {
+      const result = applyTimelineChanges(pyramid, [{ nodeId: 'node-1', field: 'manager', to: 'node-3' }])
+
+      expect(result.error).toBe("Guildmaster can't report to one of its own subordinates")
+      expect(result.applied).toEqual([])
+    })
+  })
+
+  describe('describeTimelineChange', () => {
+    it('should describe status changes and reparenting with node names', () => {
+      expect(describeTimelineChange({ nodeId: 'node-2', field: 'status', from: 'active', to: 'dead' }, pyramid))
+        .toBe('Lieutenant: active → dead')
+      expect(describeTimelineChange({ nodeId: 'node-3', field: 'manager', from: 'node-2', to: 'node-9' }, pyramid))
+        .toBe('Fence reports to Removed node instead of Lieutenant')
+    })
+  })
+})
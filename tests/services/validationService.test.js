@@ -0,0 +1,336 @@
+import { describe, it, expect } from 'vitest'
+import {
+  isValidColor,
+  findManagerCycles,
+  validateFaction,
+  fixFaction,
+  DEFAULT_NODE_COLOR
+} from '@/services/validationService.js'
+
+const codes = (report) => report.issues.map(issue => issue.code)
+
+describe('ValidationService', () => {
+  describe('isValidColor', () => {
+    it('should accept short and long hex colors', () => {
+      expect(isValidColor('#fff')).toBe(true)
+      expect(isValidColor('#3B82F6')).toBe(true)
+    })
+
+    it('should reject other values', () => {
+      expect(isValidColor('blue')).toBe(false)
+      expect(isValidColor('#12345')).toBe(false)
+      expect(isValidColor(123)).toBe(false)
+    })
+  })
+
+  describe('findManagerCycles', () => {
+    it('should find a cycle once', () => {
+      const cycles = findManagerCycles({
+        a: { manager: 'c' },
+        b: { manager: 'a' },
+        c: { manager: 'b' },
+        d: { manager: 'a' }
+      })
+
+      expect(cycles).toHaveLength(1)
+      expect(cycles[0].sort()).toEqual(['a', 'b', 'c'])
+    })
+
+    it('should return nothing for a tree', () => {
+      expect(findManagerCycles({ a: { manager: '' }, b: { manager: 'a' } })).toEqual([])
+    })
+  })
+
+  describe('validateFaction', () => {
+    it('should accept a valid faction', () => {
+      const report = validateFaction({
+        factionName: 'Valid',
+        summary: 'Text',
+        colorPresets: ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'],
+        pyramid: {
+          a: { name: 'Boss', manager: '', color: '#2563eb' },
+          b: { name: 'Agent', manager: 'a' }
+        }
+      })
+
+      expect(report.valid).toBe(true)
+      expect(report.issues).toEqual([])
+    })
+
+    it('should reject data that is not an object', () => {
+      const report = validateFaction(null)
+      expect(report.valid).toBe(false)
+      expect(report.issues[0].fixable).toBe(false)
+    })
+
+    it('should report non-string sections and node fields', () => {
+      const report = validateFaction({
+        summary: 42,
+        pyramid: { a: { name: ['Boss'], manager: '' } }
+      })
+
+      expect(report.issues.filter(i => i.code === 'non-string-field').map(i => i.field)).toEqual(['summary', 'name'])
+    })
+
+    it('should report dangling managers', () => {
+      const report = validateFaction({ pyramid: { a: { name: 'A', manager: 'ghost' } } })
+      expect(codes(report)).toEqual(['dangling-manager'])
+      expect(report.issues[0].nodeId).toBe('a')
+    })
+
+    it('should report nodes that manage themselves', () => {
+      const report = validateFaction({ pyramid: { a: { name: 'A', manager: 'a' } } })
+      expect(codes(report)).toEqual(['self-manager'])
+    })
+
+    it('should report manager cycles', () => {
+      const report = validateFaction({
+        pyramid: {
+          a: { name: 'A', manager: 'b' },
+          b: { name: 'B', manager: 'a' }
+        }
+      })
+
+      expect(codes(report)).toEqual(['manager-cycle'])
+      expect(report.issues[0].message).toContain('A → B → A')
+    })
+
+    it('should report duplicate IDs', () => {
+      const report = validateFaction({
+        pyramid: {
+          a: { name: 'A', manager: '' },
+          b: { id: 'a', name: 'B', manager: 'a' }
+        }
+      })
+
+      expect(codes(report)).toEqual(['duplicate-id'])
+    })
+
+    it('should warn about roots with the same name', () => {
+      const report = validateFaction({
+        pyramid: {
+          a: { name: 'Boss', manager: '' },
+          b: { name: 'Boss ', manager: '' }
+        }
+      })
+
+      expect(report.valid).toBe(true)
+      expect(report.issues[0]).toMatchObject({ code: 'duplicate-root-name', severity: 'warning', nodeId: 'b' })
+    })
+
+    it('should report invalid node and preset colors', () => {
+      const report = validateFaction({
+        colorPresets: ['#3b82f6', 'red', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'],
+        pyramid: { a: { name: 'A', manager: '', color: 'not-a-color' } }
+      })
+
+      expect(report.issues.filter(i => i.code === 'invalid-color')).toHaveLength(2)
+    })
+
+    it('should report invalid node attributes', () => {
+      const report = validateFaction({
+        pyramid: {
+          a: { name: 'A', manager: '', status: 'active', tags: ['spy'], loyalty: 5, compromised: false },
+          b: { name: 'B', manager: 'a', status: 'retired', tags: 'spy', loyalty: 11, compromised: 'yes' }
+        }
+      })
+
+      expect(codes(report)).toEqual(['invalid-attribute', 'invalid-attribute', 'invalid-attribute', 'invalid-attribute'])
+      expect(report.issues.map(i => i.field)).toEqual(['status', 'tags', 'loyalty', 'compromised'])
+      expect(report.issues.every(i => i.nodeId === 'b')).toBe(true)
+    })
+
+    it('should report invalid and dangling relationships', () => {
+      const report = validateFaction({
+        pyramid: { a: { name: 'A', manager: '' }, b: { name: 'B', manager: 'a' } },
+        relationships: [
+          { id: 'r1', from: 'a', to: 'b', type: 'rival' },
+          { id: 'r2', from: 'a', to: 'b', type: 'nemesis' },
+          { id: 'r3', from: 'a', to: 'a', type: 'ally' },
+          { id: 'r4', from: 'a', to: 'ghost', type: 'ally' },
+          { id: 'r1', from: 'b', to: 'a', type: 'blackmails' },
+          'broken'
+        ]
+      })
+
+      expect(codes(report)).toEqual(['invalid-relationship', 'invalid-relationship', 'dangling-relationship', 'duplicate-id', 'invalid-relationship'])
+      expect(report.issues.map(i => i.relationshipIndex)).toEqual([1, 2, 3, 4, 5])
+    })
+
+    it('should report duplicate section IDs and non-text section fields', () => {
+      const report = validateFaction({
+        customSections: [
+          { id: 's1', name: 'Territory', content: 'Docks' },
+          { id: 's1', name: 'Resources', content: 12 }
+        ]
+      })
+
+      expect(codes(report)).toEqual(['non-string-field', 'duplicate-id'])
+      expect(report.issues[1].sectionIndex).toBe(1)
+    })
+
+    it('should warn about clocks linked to a missing node', () => {
+      const report = validateFaction({
+        pyramid: { a: { name: 'A', manager: '' } },
+        clocks: [
+          { id: 'clock_1', name: 'Coup', nodeId: 'a' },
+          { id: 'clock_2', name: 'Heist', nodeId: 'ghost' }
+        ]
+      })
+
+      expect(codes(report)).toEqual(['dangling-clock'])
+      expect(report.valid).toBe(true)
+      expect(fixFaction({ clocks: [{ name: 'Heist', nodeId: 'ghost' }] }).data.clocks[0].nodeId).toBe('')
+    })
+
+    it('should report invalid nodes and pyramids', () => {
+      expect(codes(validateFaction({ pyramid: { a: 'Leader' } }))).toEqual(['invalid-node'])
+      expect(codes(validateFaction({ pyramid: [] }))).toEqual(['invalid-pyramid'])
+    })
+  })
+
+  describe('fixFaction', () => {
+    it('should attach orphans to the root', () => {
+      const { data, fixes } = fixFaction({
+        pyramid: {
+          root: { name: 'Root', manager: '' },
+          orphan: { name: 'Orphan', manager: 'ghost' }
+        }
+      })
+
+      expect(data.pyramid.orphan.manager).toBe('root')
+      expect(fixes).toHaveLength(1)
+    })
+
+    it('should make orphans a root when there is no root', () => {
+      const { data } = fixFaction({ pyramid: { orphan: { name: 'Orphan', manager: 'ghost' } } })
+      expect(data.pyramid.orphan.manager).toBe('')
+    })
+
+    it('should break manager cycles', () => {
+      const { data } = fixFaction({
+        pyramid: {
+          a: { name: 'A', manager: 'b' },
+          b: { name: 'B', manager: 'a' }
+        }
+      })
+
+      expect(validateFaction(data).issues).toEqual([])
+      expect(Object.values(data.pyramid).filter(node => !node.manager)).toHaveLength(1)
+    })
+
+    it('should fix nodes that manage themselves', () => {
+      const { data } = fixFaction({
+        pyramid: {
+          root: { name: 'Root', manager: '' },
+          a: { name: 'A', manager: 'a' }
+        }
+      })
+
+      expect(data.pyramid.a.manager).toBe('root')
+    })
+
+    it('should rename duplicate roots', () => {
+      const { data } = fixFaction({
+        pyramid: {
+          a: { name: 'Boss', manager: '' },
+          b: { name: 'Boss', manager: '' }
+        }
+      })
+
+      expect(data.pyramid.b.name).toBe('Boss (2)')
+    })
+
+    it('should convert fields to text and reset invalid colors', () => {
+      const { data } = fixFaction({
+        summary: ['One', 'Two'],
+        notes: null,
+        colorPresets: ['#3b82f6', 'red', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'],
+        pyramid: {
+          a: { name: 7, manager: '', color: 'red' },
+          b: 'Leader'
+        }
+      })
+
+      expect(data.summary).toBe('One\nTwo')
+      expect(data.pyramid.a.name).toBe('7')
+      expect(data.pyramid.a.color).toBe(DEFAULT_NODE_COLOR)
+      expect(data.colorPresets[1]).toBe('#ef4444')
+      expect(data.pyramid.b).toEqual({ name: 'Leader', manager: '' })
+    })
+
+    it('should reset invalid node attributes', () => {
+      const { data, fixes } = fixFaction({
+        pyramid: {
+          a: { name: 'A', manager: '', status: 'retired', tags: 'spy, noble', loyalty: 7.6, compromised: 'true' }
+        }
+      })
+
+      expect(data.pyramid.a).toMatchObject({ status: 'active', tags: ['spy', 'noble'], loyalty: 8, compromised: true })
+      expect(fixes).toHaveLength(4)
+    })
+
+    it('should remove broken relationships and renumber duplicate IDs', () => {
+      const { data } = fixFaction({
+        pyramid: { a: { name: 'A', manager: '' }, b: { name: 'B', manager: 'a' } },
+        relationships: [
+          { id: 'r1', from: 'a', to: 'b', type: 'rival' },
+          { id: 'r2', from: 'a', to: 'ghost', type: 'ally' },
+          { id: 'r3', from: 'b', to: 'b', type: 'ally' },
+          { id: 'r1', from: 'b', to: 'a', type: 'blackmails' }
+        ]
+      })
+
+      expect(data.relationships.map(rel => rel.type)).toEqual(['rival', 'blackmails'])
+      expect(data.relationships[1].id).not.toBe('r1')
+    })
+
+    it('should replace relationships that are not a list', () => {
+      const { data } = fixFaction({ relationships: 'none' })
+      expect(data.relationships).toEqual([])
+    })
+
+    it('should remove duplicate inner IDs', () => {
+      const { data } = fixFaction({
+        pyramid: {
+          a: { name: 'A', manager: '' },
+          b: { id: 'a', name: 'B', manager: 'a' }
+        }
+      })
+
+      expect(data.pyramid.b.id).toBeUndefined()
+    })
+
+    it('should fix duplicate section IDs', () => {
+      const { data } = fixFaction({
+        customSections: [
+          { id: 's1', name: 'Territory', content: 'Docks' },
+          { id: 's1', name: 'Resources', content: 12 }
+        ]
+      })
+
+      expect(data.customSections[1]).toEqual({ id: 's1-2', name: 'Resources', content: '12' })
+    })
+
+    it('should only fix the given issues', () => {
+      const input = {
+        pyramid: {
+          root: { name: 'Root', manager: '', color: 'bad' },
+          orphan: { name: 'Orphan', manager: 'ghost' }
+        }
+      }
+      const colorIssue = validateFaction(input).issues.find(i => i.code === 'invalid-color')
+
+      const { data } = fixFaction(input, [colorIssue])
+
+      expect(data.pyramid.root.color).toBe(DEFAULT_NODE_COLOR)
+      expect(data.pyramid.orphan.manager).toBe('ghost')
+    })
+
+    it('should not mutate the input', () => {
+      const input = { pyramid: { orphan: { name: 'Orphan', manager: 'ghost' } } }
+      fixFaction(input)
+      expect(input.pyramid.orphan.manager).toBe('ghost')
+    })
+  })
+})
@@ -0,0 +1,201 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  VersionStorageService,
+  LocalStorageVersionBackend,
+  StorageQuotaError,
+  DEFAULT_VERSION_RETENTION,
+  getVersionsStorageKey,
+  getVersionRetention,
+  applyRetention,
+  createVersion,
+  normalizeVersion,
+  isQuotaError
+} from '@/services/versionStorageService'
+
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+// Stands in for IndexedDB, which is not available in the test environment
+function createMemoryBackend() {
+  const records = new Map()
+  return {
+    records,
+    get: vi.fn(async (factionId) => records.get(factionId) ?? null),
+    put: vi.fn(async (factionId, versions) => {
+      records.set(factionId, versions)
+    }),
+    delete: vi.fn(async (factionId) => {
+      records.delete(factionId)
+    })
+  }
+}
+
+function createVersions(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: new Date(2024, 0, i + 1).toISOString(),
+    data: { factionName: `Faction ${i}` }
+  }))
+}
+
+describe('VersionStorageService', () => {
+  beforeEach(() => {
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('getVersionsStorageKey', () => {
+    it('should keep the original key for the default faction', () => {
+      expect(getVersionsStorageKey('default')).toBe('faction-datamodel-versions')
+      expect(getVersionsStorageKey('faction_2')).toBe('faction-datamodel-versions-faction_2')
+    })
+  })
+
+  describe('retention', () => {
+    it('should default to the previous limit of 10 versions', () => {
+      expect(getVersionRetention()).toBe(DEFAULT_VERSION_RETENTION)
+      expect(DEFAULT_VERSION_RETENTION).toBe(10)
+    })
+
+    it('should read the retention from the settings', () => {
+      localStorage.setItem('faction-settings', JSON.stringify({ geminiApiKey: 'key', versionRetention: 3 }))
+      expect(getVersionRetention()).toBe(3)
+    })
+
+    it('should ignore invalid retention settings', () => {
+      localStorage.setItem('faction-settings', JSON.stringify({ versionRetention: -2 }))
+      expect(getVersionRetention()).toBe(DEFAULT_VERSION_RETENTION)
+    })
+
+    it('should drop the oldest versions beyond the retention', () => {
+      const versions = createVersions(5)
+      expect(applyRetention(versions, 2)).toEqual(versions.slice(0, 2))
+    })
+
+    it('should keep every version when the retention is 0', () => {
+      const versions = createVersions(25)
+      expect(applyRetention(versions, 0)).toHaveLength(25)
+    })
+
+    it('should never drop pinned versions', () => {
+      const versions = createVersions(5)
+      versions[3].pinned = true
+
+      const kept = applyRetention(versions, 2)
+
+      expect(kept).toEqual([versions[0], versions[1], versions[3]])
+    })
+  })
+
+  describe('version entries', () => {
+    it('should record the parent of a new version', () => {
+      const parent = createVersion({ factionName: 'Guild' }, { name: 'Before the coup', pinned: true })
+      const child = createVersion({ factionName: 'Guild' }, { parent })
+
+      expect(parent.name).toBe('Before the coup')
+      expect(parent.pinned).toBe(true)
+      expect(parent.parent).toBeNull()
+      expect(child.parent).toEqual({ id: parent.id, name: 'Before the coup', timestamp: parent.timestamp })
+    })
+
+    it('should give versions saved before snapshots existed an id', () => {
+      const version = normalizeVersion({ timestamp: '2024-01-15T10:30:00.000Z', data: {} })
+
+      expect(version).toMatchObject({ id: '2024-01-15T10:30:00.000Z', name: '', pinned: false, parent: null })
+    })
+  })
+
+  describe('quota errors', () => {
+    it('should recognize browser quota errors', () => {
+      const error = new Error('full')
+      error.name = 'QuotaExceededError'
+
+      expect(isQuotaError(error)).toBe(true)
+      expect(isQuotaError(new StorageQuotaError())).toBe(true)
+      expect(isQuotaError(new Error('other'))).toBe(false)
+    })
+
+    it('should raise a StorageQuotaError when localStorage is full', async () => {
+      const error = new Error('full')
+      error.name = 'QuotaExceededError'
+      vi.spyOn(localStorage, 'setItem').mockImplementation(() => {
+        throw error
+      })
+
+      const backend = new LocalStorageVersionBackend()
+      await expect(backend.put('default', createVersions(1))).rejects.toBeInstanceOf(StorageQuotaError)
+    })
+  })
+
+  describe('localStorage fallback', () => {
+    it('should store versions in localStorage without IndexedDB', async () => {
+      const service = new VersionStorageService()
+      const versions = createVersions(2)
+
+      await service.saveVersions('default', versions)
+
+      expect(JSON.parse(localStorage.getItem('faction-datamodel-versions'))).toEqual(versions)
+      expect(await service.loadVersions('default')).toMatchObject(versions)
+    })
+
+    it('should load an empty history for an unknown faction', async () => {
+      const service = new VersionStorageService()
+      expect(await service.loadVersions('faction_2')).toEqual([])
+    })
+  })
+
+  describe('migration from localStorage', () => {
+    it('should move an old history into the backend once', async () => {
+      const versions = createVersions(3)
+      localStorage.setItem('faction-datamodel-versions', JSON.stringify(versions))
+      const backend = createMemoryBackend()
+      const service = new VersionStorageService(backend)
+
+      expect(await service.loadVersions('default')).toMatchObject(versions)
+      expect(backend.records.get('default')).toEqual(versions)
+      expect(localStorage.getItem('faction-datamodel-versions')).toBeNull()
+
+      await service.loadVersions('default')
+      expect(backend.put).toHaveBeenCalledTimes(1)
+    })
+
+    it('should keep a history already in the backend', async () => {
+      localStorage.setItem('faction-datamodel-versions-faction_2', JSON.stringify(createVersions(1)))
+      const backend = createMemoryBackend()
+      const newer = createVersions(4)
+      backend.records.set('faction_2', newer)
+      const service = new VersionStorageService(backend)
+
+      expect(await service.loadVersions('faction_2')).toMatchObject(newer)
+      expect(localStorage.getItem('faction-datamodel-versions-faction_2')).toBeNull()
+    })
+
+    it('should delete the backend record and any old key', async () => {
+      localStorage.setItem('faction-datamodel-versions-faction_2', JSON.stringify(createVersions(1)))
+      const backend = createMemoryBackend()
+      backend.records.set('faction_2', createVersions(2))
+      const service = new VersionStorageService(backend)
+
+      await service.deleteVersions('faction_2')
+
+      expect(backend.records.has('faction_2')).toBe(false)
+      expect(localStorage.getItem('faction-datamodel-versions-faction_2')).toBeNull()
+    })
+  })
+})
@@ -1,6 +1,12 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { nextTick } from 'vue'
 import { setActivePinia, createPinia } from 'pinia'
-import { useFactionStore } from '@/stores/faction.js'
+import { useFactionStore, getVersionsStorageKey } from '@/stores/faction.js'
+import { AUTOSAVE_DELAY, getAutosaveStorageKey } from '@/services/autosaveService'
+import { BUILT_IN_TEMPLATES } from '@/services/templateService'
+import { SYNC_DELAY } from '@/services/syncService'
+import { getParagraphKey } from '@/services/revealService'
+import { DEFAULT_COLOR_PRESETS } from '@/services/validationService'
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -39,7 +45,7 @@ describe('Faction Store', () => {
     expect(store.notes).toBe('')
     expect(store.pyramid).toEqual({})
     expect(store.colorPresets).toEqual(['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'])
-    expect(store.version).toBe(4)
+    expect(store.version).toBe(5)
   })
 
   it('should reset faction to default values', () => {
@@ -111,7 +117,7 @@ describe('Faction Store', () => {
     expect(store.factionName).toBe('Partial Faction')
     expect(store.summary).toBe('Some summary')
     expect(store.mastermind).toBe('')
-    expect(store.version).toBe(4)
+    expect(store.version).toBe(5)
     expect(store.pyramid).toEqual({})
   })
 
@@ -127,7 +133,7 @@ describe('Faction Store', () => {
     const exported = store.exportFaction()
     
     expect(exported).toEqual({
-      version: 4,
+      version: 5,
       factionName: 'Export Test',
       summary: 'Test Summary',
       mastermind: 'Test Master',
@@ -137,7 +143,12 @@ describe('Faction Store', () => {
       machinations: '',
       mysteries: '',
       notes: '',
+      customSections: [],
       pyramid: { test: 'data' },
+      relationships: [],
+      clocks: [],
+      timeline: [],
+      reveals: { sections: [], paragraphs: {}, nodes: [], relationships: [] },
       colorPresets: ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899']
     })
   })
@@ -146,7 +157,7 @@ describe('Faction Store', () => {
     const store = useFactionStore()
     
     const originalData = {
-      version: 4,
+      version: 5,
       factionName: 'Cycle Test',
       summary: 'Test Summary',
       mastermind: 'Test Mastermind',
@@ -156,7 +167,20 @@ describe('Faction Store', () => {
       machinations: 'Test Machinations',
       mysteries: 'Test Mysteries',
       notes: 'Test Notes',
+      customSections: [
+        { id: 'section_1', name: 'Territory', prompt: 'Describe the territory', content: 'The docks' }
+      ],
       pyramid: { level: 'data' },
+      relationships: [
+        { id: 'rel_1', from: 'a', to: 'b', type: 'rival', label: 'Old feud' }
+      ],
+      clocks: [
+        { id: 'clock_1', name: 'Seize the docks', segments: 6, filled: 2, nodeId: '', onComplete: 'The harbour falls' }
+      ],
+      timeline: [
+        { id: 'event_1', date: 'Session 1', title: 'Docks seized', description: '', nodeIds: [], sectionKeys: ['summary'], changes: [] }
+      ],
+      reveals: { sections: ['factionName'], paragraphs: { notes: ['p_0123abcd'] }, nodes: ['a'], relationships: ['rel_1'] },
       colorPresets: ['#aabbcc', '#ddeeff', '#112233', '#445566', '#778899', '#aabbcc']
     }
     
@@ -175,14 +199,14 @@ describe('Faction Store', () => {
     expect(store.colorPresets).toEqual(newPresets)
   })
 
-  it('should save color presets to localStorage when updated', () => {
+  it('should keep updated color presets in the faction document', () => {
     const store = useFactionStore()
     
     const newPresets = ['#123456', '#234567', '#345678', '#456789', '#56789a', '#6789ab']
     store.updateColorPresets(newPresets)
     
-    const saved = localStorage.getItem('factionColorPresets')
-    expect(saved).toBe(JSON.stringify(newPresets))
+    expect(store.exportFaction().colorPresets).toEqual(newPresets)
+    expect(localStorage.getItem('factionColorPresets')).toBeNull()
   })
 
   it('should not update color presets if array length is not 6', () => {
@@ -214,7 +238,7 @@ describe('Faction Store', () => {
     expect(store.colorPresets).toEqual(savedPresets)
   })
 
-  it('should save loaded faction color presets to localStorage', () => {
+  it('should not share loaded faction color presets through localStorage', () => {
     const store = useFactionStore()
     
     const testData = {
@@ -224,8 +248,7 @@ describe('Faction Store', () => {
     
     store.loadFaction(testData)
     
-    const saved = localStorage.getItem('factionColorPresets')
-    expect(saved).toBe(JSON.stringify(testData.colorPresets))
+    expect(localStorage.getItem('factionColorPresets')).toBeNull()
   })
 
   it('should not override color presets if not provided in loaded faction', () => {
@@ -266,4 +289,1493 @@ describe('Faction Store', () => {
     // Should use default presets
     expect(store.colorPresets).toEqual(['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'])
   })
+
+  it('should remember whether secrets are hidden', () => {
+    const store = useFactionStore()
+    expect(store.hideSecrets).toBe(false)
+
+    store.setHideSecrets(true)
+
+    setActivePinia(createPinia())
+    expect(useFactionStore().hideSecrets).toBe(true)
+    expect(store.exportFaction()).not.toHaveProperty('hideSecrets')
+  })
+
+  it('should migrate older files when loading', () => {
+    const store = useFactionStore()
+
+    const report = store.loadFaction({
+      factionName: 'Ancient Order',
+      members: ['Monks', 'Acolytes'],
+      pyramid: [['Abbot', '', 'Leader', '']]
+    })
+
+    expect(store.version).toBe(5)
+    expect(store.members).toBe('Monks\nAcolytes')
+    expect(store.pyramid.Abbot).toMatchObject({ name: 'Abbot', role: 'Leader', manager: '' })
+    expect(report.fromVersion).toBe(1)
+    expect(report.changes.length).toBeGreaterThan(0)
+    expect(store.lastMigrationReport).toEqual(report)
+  })
+
+  it('should keep unknown fields through a load and export cycle', () => {
+    const store = useFactionStore()
+
+    store.loadFaction({ version: 4, factionName: 'Future', futureField: { keep: 'me' } })
+
+    expect(store.exportFaction().futureField).toEqual({ keep: 'me' })
+
+    store.resetFaction()
+    expect(store.exportFaction().futureField).toBeUndefined()
+  })
+})
+
+
+
+describe('Faction Store custom sections', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+  })
+
+  it('should add a custom section', () => {
+    const store = useFactionStore()
+
+    const id = store.addCustomSection('Resources', 'List their resources')
+
+    expect(store.customSections).toEqual([{ id, name: 'Resources', prompt: 'List their resources', content: '' }])
+  })
+
+  it('should rename a section and change its prompt and content', () => {
+    const store = useFactionStore()
+    const id = store.addCustomSection('Resources')
+
+    store.updateCustomSection(id, { name: 'Wealth', prompt: 'Describe their wealth', content: 'Gold', id: 'ignored' })
+
+    expect(store.customSections[0]).toEqual({ id, name: 'Wealth', prompt: 'Describe their wealth', content: 'Gold' })
+    expect(store.updateCustomSection('missing', { name: 'x' })).toBe(false)
+  })
+
+  it('should reorder sections', () => {
+    const store = useFactionStore()
+    const resources = store.addCustomSection('Resources')
+    store.addCustomSection('Territory')
+    store.addCustomSection('Reputation')
+
+    store.moveCustomSection(resources, 2)
+
+    expect(store.customSections.map(s => s.name)).toEqual(['Territory', 'Reputation', 'Resources'])
+    expect(store.moveCustomSection(resources, 5)).toBe(false)
+  })
+
+  it('should remove a section', () => {
+    const store = useFactionStore()
+    const id = store.addCustomSection('Resources')
+
+    expect(store.removeCustomSection(id)).toBe(true)
+    expect(store.customSections).toEqual([])
+    expect(store.removeCustomSection(id)).toBe(false)
+  })
+
+  it('should normalize sections when loading', () => {
+    const store = useFactionStore()
+
+    store.loadFaction({
+      version: 4,
+      customSections: [{ name: 'Territory', content: 'The docks' }, 'broken']
+    })
+
+    expect(store.customSections).toHaveLength(1)
+    expect(store.customSections[0]).toMatchObject({ name: 'Territory', prompt: '', content: 'The docks' })
+    expect(store.customSections[0].id).toMatch(/^section_/)
+  })
+
+  it('should clear sections on reset', () => {
+    const store = useFactionStore()
+    store.addCustomSection('Resources')
+
+    store.resetFaction()
+
+    expect(store.customSections).toEqual([])
+  })
+
+  it('should undo section edits', async () => {
+    const store = useFactionStore()
+    const id = store.addCustomSection('Resources')
+    await nextTick()
+
+    store.updateCustomSection(id, { content: 'Gold' })
+    await nextTick()
+    store.undo()
+
+    expect(store.customSections[0].content).toBe('')
+  })
+})
+
+describe('Faction Store relationships', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+  })
+
+  const createPyramid = (store) => {
+    store.pyramid = {
+      boss: { name: 'Boss', manager: '' },
+      left: { name: 'Left Hand', manager: 'boss' },
+      right: { name: 'Right Hand', manager: 'boss' }
+    }
+  }
+
+  it('should add a relationship between two nodes', () => {
+    const store = useFactionStore()
+    createPyramid(store)
+
+    const id = store.addRelationship('left', 'right', 'rival', 'Both want the throne')
+
+    expect(store.relationships).toEqual([
+      { id, from: 'left', to: 'right', type: 'rival', label: 'Both want the throne' }
+    ])
+  })
+
+  it('should reject relationships to missing nodes, to itself or of unknown types', () => {
+    const store = useFactionStore()
+    createPyramid(store)
+
+    expect(store.addRelationship('left', 'ghost', 'ally')).toBeNull()
+    expect(store.addRelationship('left', 'left', 'ally')).toBeNull()
+    expect(store.addRelationship('left', 'right', 'friend')).toBeNull()
+    expect(store.relationships).toEqual([])
+  })
+
+  it('should allow several relationships between the same nodes', () => {
+    const store = useFactionStore()
+    createPyramid(store)
+
+    store.addRelationship('left', 'boss', 'reports-to')
+    store.addRelationship('left', 'right', 'secretly-loyal-to')
+
+    expect(store.relationships.map(rel => rel.type)).toEqual(['reports-to', 'secretly-loyal-to'])
+  })
+
+  it('should update and remove relationships', () => {
+    const store = useFactionStore()
+    createPyramid(store)
+    const id = store.addRelationship('left', 'right', 'ally')
+
+    expect(store.updateRelationship(id, { type: 'blackmails', label: 'Knows the secret', to: 'boss' })).toBe(true)
+    expect(store.relationships[0]).toMatchObject({ from: 'left', to: 'boss', type: 'blackmails', label: 'Knows the secret' })
+    expect(store.updateRelationship(id, { type: 'friend' })).toBe(false)
+    expect(store.updateRelationship(id, { to: 'left' })).toBe(false)
+
+    expect(store.removeRelationship(id)).toBe(true)
+    expect(store.relationships).toEqual([])
+    expect(store.removeRelationship(id)).toBe(false)
+  })
+
+  it('should drop relationships of deleted nodes', () => {
+    const store = useFactionStore()
+    createPyramid(store)
+    store.addRelationship('left', 'right', 'rival')
+    store.addRelationship('boss', 'left', 'blackmails')
+
+    const { right, ...rest } = store.pyramid
+    store.pyramid = rest
+    store.removeOrphanedRelationships()
+
+    expect(store.relationships.map(rel => rel.type)).toEqual(['blackmails'])
+  })
+
+  it('should round-trip relationships through export and load', () => {
+    const store = useFactionStore()
+    createPyramid(store)
+    store.addRelationship('left', 'right', 'rival', 'Old feud')
+    const exported = JSON.parse(JSON.stringify(store.exportFaction()))
+
+    store.resetFaction()
+    expect(store.relationships).toEqual([])
+
+    store.loadFaction(exported)
+    expect(store.relationships).toEqual(exported.relationships)
+  })
+
+  it('should normalize relationships when loading', () => {
+    const store = useFactionStore()
+
+    store.loadFaction({
+      pyramid: { a: { name: 'A' }, b: { name: 'B' } },
+      relationships: [{ from: 'a', to: 'b', type: 'nemesis' }, 'broken', { from: 'a' }]
+    })
+
+    expect(store.relationships).toHaveLength(1)
+    expect(store.relationships[0]).toMatchObject({ from: 'a', to: 'b', type: 'ally', label: '' })
+    expect(store.relationships[0].id).toMatch(/^rel_/)
+  })
+
+  it('should undo adding a relationship', async () => {
+    const store = useFactionStore()
+    createPyramid(store)
+    await nextTick()
+    store.clearHistory()
+
+    store.addRelationship('left', 'right', 'ally')
+    await nextTick()
+    store.undo()
+
+    expect(store.relationships).toEqual([])
+  })
+})
+
+describe('Faction Store clocks', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+  })
+
+  it('should add a clock and tick its segments', () => {
+    const store = useFactionStore()
+
+    const id = store.addClock('Seize the harbour', 4)
+
+    expect(store.clocks).toEqual([{ id, name: 'Seize the harbour', segments: 4, filled: 0, nodeId: '', onComplete: '' }])
+    expect(store.tickClock(id)).toBe(1)
+    expect(store.tickClock(id, 5)).toBe(4)
+    expect(store.tickClock(id, -1)).toBe(3)
+    expect(store.tickClock('missing')).toBeNull()
+  })
+
+  it('should keep the filled segments within a smaller clock', () => {
+    const store = useFactionStore()
+    const id = store.addClock('Coup', 8)
+    store.tickClock(id, 6)
+
+    store.updateClock(id, { segments: 4, onComplete: 'The king falls' })
+
+    expect(store.clocks[0]).toMatchObject({ segments: 4, filled: 4, onComplete: 'The king falls' })
+  })
+
+  it('should only link clocks to existing nodes', () => {
+    const store = useFactionStore()
+    store.pyramid = { 'node-1': { name: 'Guildmaster', manager: '' } }
+    const id = store.addClock('Coup')
+
+    expect(store.updateClock(id, { nodeId: 'node-9' })).toBe(false)
+    expect(store.updateClock(id, { nodeId: 'node-1' })).toBe(true)
+    expect(store.clocks[0].nodeId).toBe('node-1')
+  })
+
+  it('should save and load clocks with the faction', () => {
+    const store = useFactionStore()
+    const id = store.addClock('Coup', 6)
+    store.tickClock(id, 2)
+
+    const data = JSON.parse(JSON.stringify(store.exportFaction()))
+    store.resetFaction()
+    expect(store.clocks).toEqual([])
+
+    store.loadFaction(data)
+    expect(store.clocks).toMatchObject([{ id, name: 'Coup', segments: 6, filled: 2 }])
+  })
+
+  it('should undo ticking a clock', async () => {
+    const store = useFactionStore()
+    const id = store.addClock('Coup', 6)
+    await nextTick()
+    store.clearHistory()
+
+    store.tickClock(id)
+    await nextTick()
+    store.undo()
+
+    expect(store.clocks[0].filled).toBe(0)
+  })
+
+  it('should restore a clock from an older version', () => {
+    const store = useFactionStore()
+    const older = {
+      pyramid: {},
+      clocks: [{ id: 'clock_1', name: 'Coup', segments: 6, filled: 3, nodeId: 'node-1', onComplete: '' }]
+    }
+
+    expect(store.restoreClock('clock_1', older)).toBe(true)
+    expect(store.clocks).toEqual([{ ...older.clocks[0], nodeId: '' }])
+    expect(store.restoreClock('clock_9', older)).toBe(false)
+  })
+})
+
+describe('Faction Store timeline', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+  })
+
+  const pyramid = () => ({
+    'node-1': { name: 'Guildmaster', manager: '', status: 'active' },
+    'node-2': { name: 'Lieutenant', manager: 'node-1', status: 'active' },
+    'node-3': { name: 'Fence', manager: 'node-2', status: 'active' }
+  })
+
+  it('should add an event with references', () => {
+    const store = useFactionStore()
+    store.pyramid = pyramid()
+
+    const id = store.addTimelineEvent({ date: 'Session 12', title: 'Heist at the mint', nodeIds: ['node-3'], sectionKeys: ['methods'] })
+
+    expect(store.timeline).toEqual([{
+      id,
+      date: 'Session 12',
+      title: 'Heist at the mint',
+      description: '',
+      nodeIds: ['node-3'],
+      sectionKeys: ['methods'],
+      changes: []
+    }])
+  })
+
+  it('should apply and record the node changes of an event', () => {
+    const store = useFactionStore()
+    store.pyramid = pyramid()
+
+    store.addTimelineEvent({
+      title: 'Lieutenant assassinated',
+      changes: [
+        { nodeId: 'node-2', field: 'status', to: 'dead' },
+        { nodeId: 'node-3', field: 'manager', to: 'node-1' }
+      ]
+    })
+
+    expect(store.pyramid['node-2'].status).toBe('dead')
+    expect(store.pyramid['node-3'].manager).toBe('node-1')
+    expect(store.timeline[0].changes).toEqual([
+      { nodeId: 'node-2', field: 'status', from: 'active', to: 'dead' },
+      { nodeId: 'node-3', field: 'manager', from: 'node-2', to: 'node-1' }
+    ])
+  })
+
+  it('should not add an event with an invalid node change', () => {
+    const store = useFactionStore()
+    store.pyramid = pyramid()
+
+    expect(store.addTimelineEvent({ title: 'Coup', changes: [{ nodeId: 'node-1', field: 'manager', to: 'node-3' }] })).toBeNull()
+    expect(store.timeline).toEqual([])
+    expect(store.pyramid['node-1'].manager).toBe('')
+  })
+
+  it('should unlink events from deleted nodes', () => {
+    const store = useFactionStore()
+    store.pyramid = pyramid()
+    store.addTimelineEvent({ title: 'Purge', nodeIds: ['node-1', 'node-3'], changes: [{ nodeId: 'node-3', field: 'status', to: 'captured' }] })
+
+    const { 'node-3': _deleted, ...rest } = store.pyramid
+    store.pyramid = rest
+    store.removeOrphanedRelationships()
+
+    expect(store.timeline[0]).toMatchObject({ title: 'Purge', nodeIds: ['node-1'], changes: [] })
+  })
+
+  it('should edit an event but keep its recorded changes', () => {
+    const store = useFactionStore()
+    store.pyramid = pyramid()
+    const id = store.addTimelineEvent({ title: 'Purge', changes: [{ nodeId: 'node-3', field: 'status', to: 'captured' }] })
+
+    expect(store.updateTimelineEvent(id, { date: 'Session 3', changes: [] })).toBe(true)
+    expect(store.timeline[0]).toMatchObject({ date: 'Session 3', title: 'Purge' })
+    expect(store.timeline[0].changes).toHaveLength(1)
+
+    expect(store.removeTimelineEvent(id)).toBe(true)
+    expect(store.timeline).toEqual([])
+    expect(store.pyramid['node-3'].status).toBe('captured')
+  })
+
+  it('should save and load the timeline with the faction', () => {
+    const store = useFactionStore()
+    store.pyramid = pyramid()
+    const id = store.addTimelineEvent({ date: 'Session 1', title: 'Founded' })
+
+    const data = JSON.parse(JSON.stringify(store.exportFaction()))
+    store.resetFaction()
+    expect(store.timeline).toEqual([])
+
+    store.loadFaction(data)
+    expect(store.timeline).toMatchObject([{ id, date: 'Session 1', title: 'Founded' }])
+  })
+
+  it('should undo an event together with its node changes', async () => {
+    const store = useFactionStore()
+    store.pyramid = pyramid()
+    await nextTick()
+    store.clearHistory()
+
+    store.addTimelineEvent({ title: 'Assassination', changes: [{ nodeId: 'node-2', field: 'status', to: 'dead' }] })
+    await nextTick()
+    store.undo()
+
+    expect(store.timeline).toEqual([])
+    expect(store.pyramid['node-2'].status).toBe('active')
+  })
+})
+
+describe('Faction Store player reveals', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+  })
+
+  it('should reveal and hide sections, paragraphs, nodes and relationships', () => {
+    const store = useFactionStore()
+    store.summary = 'Pickpockets.\n\nRun by the Duke.'
+    store.pyramid = { 'node-1': { name: 'Guildmaster', manager: '' }, 'node-2': { name: 'Fence', manager: 'node-1' } }
+    const relId = store.addRelationship('node-1', 'node-2', 'ally')
+
+    store.setSectionRevealed('factionName', true)
+    store.setParagraphRevealed('summary', 'Pickpockets.', true)
+    expect(store.setNodeRevealed('node-2', true)).toBe(true)
+    expect(store.setNodeRevealed('node-9', true)).toBe(false)
+    expect(store.setRelationshipRevealed(relId, true)).toBe(true)
+
+    expect(store.reveals).toEqual({
+      sections: ['factionName'],
+      paragraphs: { summary: [getParagraphKey('Pickpockets.')] },
+      nodes: ['node-2'],
+      relationships: [relId]
+    })
+
+    store.setSectionRevealed('factionName', false)
+    store.setParagraphRevealed('summary', 'Pickpockets.', false)
+    expect(store.reveals.sections).toEqual([])
+    expect(store.reveals.paragraphs).toEqual({})
+  })
+
+  it('should not let a new node inherit the reveal of a deleted one', () => {
+    const store = useFactionStore()
+    store.pyramid = { 'node-1': { name: 'Guildmaster', manager: '' }, 'node-2': { name: 'Spy', manager: 'node-1' } }
+    store.setNodeRevealed('node-2', true)
+
+    delete store.pyramid['node-2']
+    store.removeOrphanedRelationships()
+
+    expect(store.reveals.nodes).toEqual([])
+  })
+
+  it('should save and load reveals with the faction', () => {
+    const store = useFactionStore()
+    store.pyramid = { 'node-1': { name: 'Guildmaster', manager: '' } }
+    store.setNodeRevealed('node-1', true)
+
+    const data = JSON.parse(JSON.stringify(store.exportFaction()))
+    store.resetFaction()
+    expect(store.reveals.nodes).toEqual([])
+
+    store.loadFaction(data)
+    expect(store.reveals.nodes).toEqual(['node-1'])
+  })
+})
+
+describe('Faction Store integrity', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+  })
+
+  it('should validate faction data on load', () => {
+    const store = useFactionStore()
+
+    store.loadFaction({
+      version: 4,
+      pyramid: { a: { name: 'A', manager: 'ghost' } }
+    })
+
+    expect(store.integrityReport.valid).toBe(false)
+    expect(store.integrityReport.issues[0].code).toBe('dangling-manager')
+  })
+
+  it('should validate the current faction on demand', () => {
+    const store = useFactionStore()
+    store.pyramid = { a: { name: 'A', manager: 'b' }, b: { name: 'B', manager: 'a' } }
+
+    const report = store.validate()
+
+    expect(report.issues.map(i => i.code)).toEqual(['manager-cycle'])
+    expect(store.integrityReport).toEqual(report)
+  })
+
+  it('should apply fixes as a single undoable change', async () => {
+    const store = useFactionStore()
+    store.pyramid = {
+      root: { name: 'Root', manager: '' },
+      orphan: { name: 'Orphan', manager: 'ghost', color: 'bad' }
+    }
+    await nextTick()
+
+    const fixes = store.applyIntegrityFixes()
+
+    expect(fixes).toHaveLength(2)
+    expect(store.pyramid.orphan.manager).toBe('root')
+    expect(store.integrityReport.issues).toEqual([])
+
+    store.undo()
+    expect(store.pyramid.orphan.manager).toBe('ghost')
+  })
+})
+
+describe('Faction Store workspace', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+  })
+
+  it('should start with a single default faction', () => {
+    const store = useFactionStore()
+
+    expect(store.factions).toHaveLength(1)
+    expect(store.activeFactionId).toBe('default')
+    expect(store.factionList).toEqual([{ id: 'default', name: 'New Faction', branch: null }])
+  })
+
+  it('should create a new faction and make it active', () => {
+    const store = useFactionStore()
+    store.factionName = 'Thieves Guild'
+    store.summary = 'Pickpockets'
+
+    const id = store.createFaction('Doomsday Cult')
+
+    expect(store.activeFactionId).toBe(id)
+    expect(store.factionName).toBe('Doomsday Cult')
+    expect(store.summary).toBe('')
+    expect(store.factionList.map(f => f.name)).toEqual(['Thieves Guild', 'Doomsday Cult'])
+  })
+
+  it('should keep each faction\'s data when switching', () => {
+    const store = useFactionStore()
+    store.factionName = 'Thieves Guild'
+    store.pyramid = { 'node-1': { name: 'Guildmaster', manager: '' } }
+
+    const cultId = store.createFaction('Doomsday Cult')
+    store.summary = 'The end is nigh'
+
+    store.switchFaction('default')
+    expect(store.factionName).toBe('Thieves Guild')
+    expect(store.summary).toBe('')
+    expect(store.pyramid).toEqual({ 'node-1': { name: 'Guildmaster', manager: '' } })
+
+    store.switchFaction(cultId)
+    expect(store.factionName).toBe('Doomsday Cult')
+    expect(store.summary).toBe('The end is nigh')
+    expect(store.pyramid).toEqual({})
+  })
+
+  it('should not switch to an unknown faction', () => {
+    const store = useFactionStore()
+
+    expect(store.switchFaction('missing')).toBe(false)
+    expect(store.activeFactionId).toBe('default')
+  })
+
+  it('should rename the active and inactive factions', () => {
+    const store = useFactionStore()
+    const id = store.createFaction('Noble House')
+
+    store.renameFaction(id, 'House Varn')
+    store.renameFaction('default', '  Rebel Cell  ')
+
+    expect(store.factionName).toBe('House Varn')
+    expect(store.factionList.find(f => f.id === 'default').name).toBe('Rebel Cell')
+  })
+
+  it('should reject empty faction names', () => {
+    const store = useFactionStore()
+
+    expect(store.renameFaction('default', '   ')).toBe(false)
+    expect(store.factionName).toBe('New Faction')
+  })
+
+  it('should duplicate a faction including its pyramid', () => {
+    const store = useFactionStore()
+    store.factionName = 'Thieves Guild'
+    store.pyramid = { 'node-1': { name: 'Guildmaster', manager: '' } }
+
+    const copyId = store.duplicateFaction('default')
+
+    expect(store.activeFactionId).toBe(copyId)
+    expect(store.factionName).toBe('Thieves Guild (Copy)')
+    expect(store.pyramid).toEqual({ 'node-1': { name: 'Guildmaster', manager: '' } })
+
+    // Editing the copy must not change the original
+    store.pyramid['node-1'].name = 'Usurper'
+    store.switchFaction('default')
+    expect(store.pyramid['node-1'].name).toBe('Guildmaster')
+  })
+
+  it('should start a new faction from a template', () => {
+    const store = useFactionStore()
+    store.factionName = 'Thieves Guild'
+    const template = BUILT_IN_TEMPLATES.find(t => t.id === 'noble-house')
+
+    const id = store.createFactionFromTemplate(template)
+
+    expect(store.activeFactionId).toBe(id)
+    expect(store.factionName).toBe('Noble House')
+    expect(store.customSections.map(s => s.name)).toEqual(['Lineage', 'Holdings'])
+    expect(store.pyramid['node-1'].name).toBe('Lord of the House')
+    expect(store.factionList.map(f => f.name)).toEqual(['Thieves Guild', 'Noble House'])
+
+    // Editing the new faction must not change the template
+    store.pyramid['node-1'].name = 'Lady of the House'
+    expect(template.faction.pyramid['node-1'].name).toBe('Lord of the House')
+  })
+
+  it('should delete a faction and its version history', () => {
+    const store = useFactionStore()
+    const id = store.createFaction('Doomed')
+    localStorage.setItem(`faction-datamodel-versions-${id}`, '[]')
+
+    expect(store.deleteFaction(id)).toBe(true)
+
+    expect(store.factions).toHaveLength(1)
+    expect(store.activeFactionId).toBe('default')
+    expect(localStorage.getItem(`faction-datamodel-versions-${id}`)).toBeNull()
+  })
+
+  it('should not delete the last faction', () => {
+    const store = useFactionStore()
+
+    expect(store.deleteFaction('default')).toBe(false)
+    expect(store.factions).toHaveLength(1)
+  })
+
+  it('should keep the original version history key for the default faction', () => {
+    expect(getVersionsStorageKey('default')).toBe('faction-datamodel-versions')
+    expect(getVersionsStorageKey('faction_1')).toBe('faction-datamodel-versions-faction_1')
+  })
+
+  it('should track color presets per faction', () => {
+    const store = useFactionStore()
+    store.updateColorPresets(['#111111', '#222222', '#333333', '#444444', '#555555', '#666666'])
+    const id = store.createFaction('Second')
+    store.updateColorPresets(['#aaaaaa', '#bbbbbb', '#cccccc', '#dddddd', '#eeeeee', '#ffffff'])
+
+    store.switchFaction('default')
+    expect(store.colorPresets[0]).toBe('#111111')
+
+    store.switchFaction(id)
+    expect(store.colorPresets[0]).toBe('#aaaaaa')
+  })
+
+  it('should start new factions and templates from the default color presets', () => {
+    const store = useFactionStore()
+    store.updateColorPresets(['#111111', '#222222', '#333333', '#444444', '#555555', '#666666'])
+
+    store.createFaction('Second')
+    expect(store.colorPresets).toEqual(DEFAULT_COLOR_PRESETS)
+
+    store.switchFaction('default')
+    store.createFactionFromTemplate(BUILT_IN_TEMPLATES[0])
+    expect(store.colorPresets).toEqual(DEFAULT_COLOR_PRESETS)
+
+    store.switchFaction('default')
+    expect(store.colorPresets[0]).toBe('#111111')
+  })
+
+  it('should keep the color presets of each faction across sessions', () => {
+    const store = useFactionStore()
+    store.updateColorPresets(['#111111', '#222222', '#333333', '#444444', '#555555', '#666666'])
+    const id = store.createFaction('Second')
+    store.updateColorPresets(['#aaaaaa', '#bbbbbb', '#cccccc', '#dddddd', '#eeeeee', '#ffffff'])
+    store.switchFaction('default')
+
+    setActivePinia(createPinia())
+    const reloaded = useFactionStore()
+    expect(reloaded.colorPresets[0]).toBe('#111111')
+    reloaded.switchFaction(id)
+    expect(reloaded.colorPresets[0]).toBe('#aaaaaa')
+  })
+
+  it('should restore the workspace from localStorage', () => {
+    const store = useFactionStore()
+    store.factionName = 'Thieves Guild'
+    const id = store.createFaction('Doomsday Cult')
+    store.summary = 'The end is nigh'
+    store.saveWorkspace()
+
+    setActivePinia(createPinia())
+    const restored = useFactionStore()
+
+    expect(restored.factions).toHaveLength(2)
+    expect(restored.activeFactionId).toBe(id)
+    expect(restored.factionName).toBe('Doomsday Cult')
+    expect(restored.summary).toBe('The end is nigh')
+  })
+
+  it('should reset the workspace to a single empty faction', () => {
+    const store = useFactionStore()
+    const id = store.createFaction('Doomed')
+    localStorage.setItem('faction-datamodel-versions', '[]')
+    localStorage.setItem(`faction-datamodel-versions-${id}`, '[]')
+
+    store.resetWorkspace()
+
+    expect(store.factions).toHaveLength(1)
+    expect(store.activeFactionId).toBe('default')
+    expect(store.factionName).toBe('New Faction')
+    expect(localStorage.getItem('faction-datamodel-versions')).toBeNull()
+    expect(localStorage.getItem(`faction-datamodel-versions-${id}`)).toBeNull()
+    expect(localStorage.getItem('faction-workspace')).toBeNull()
+  })
+
+  it('should start a branch from the working copy', () => {
+    const store = useFactionStore()
+    store.factionName = 'Guild'
+    store.summary = 'Before the coup'
+
+    const branchId = store.createBranch('If the Mastermind dies')
+
+    expect(store.activeFactionId).toBe(branchId)
+    expect(store.summary).toBe('Before the coup')
+    expect(store.activeBranch).toEqual({ name: 'If the Mastermind dies', parentFactionId: 'default', parentVersion: null })
+    expect(store.factionList.map(f => f.branch)).toEqual([null, 'If the Mastermind dies'])
+  })
+
+  it('should edit a branch apart from its faction', () => {
+    const store = useFactionStore()
+    store.summary = 'Original'
+    const branchId = store.createBranch('What if')
+
+    store.summary = 'Changed in the branch'
+    store.switchFaction('default')
+    expect(store.summary).toBe('Original')
+
+    store.switchFaction(branchId)
+    expect(store.summary).toBe('Changed in the branch')
+  })
+
+  it('should start a branch from a saved version', () => {
+    const store = useFactionStore()
+    const parentVersion = { id: 'version_1', name: 'Before the coup', timestamp: '2024-01-15T10:30:00.000Z' }
+
+    store.createBranch('What if', { data: { factionName: 'Old Guild' }, parentVersion })
+
+    expect(store.factionName).toBe('Old Guild')
+    expect(store.activeBranch.parentVersion).toEqual(parentVersion)
+  })
+
+  it('should keep branches when the workspace is reloaded', () => {
+    const store = useFactionStore()
+    const branchId = store.createBranch('What if')
+
+    setActivePinia(createPinia())
+    const restored = useFactionStore()
+
+    expect(restored.activeFactionId).toBe(branchId)
+    expect(restored.activeBranch.name).toBe('What if')
+  })
+
+  it('should not create a branch without a name', () => {
+    const store = useFactionStore()
+    expect(store.createBranch('  ')).toBeNull()
+    expect(store.factions).toHaveLength(1)
+  })
+
+  it('should report a full storage when saving the workspace', () => {
+    const store = useFactionStore()
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const setItem = vi.spyOn(localStorage, 'setItem').mockImplementation(() => {
+      throw Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' })
+    })
+
+    store.createFaction('Doomsday Cult')
+    expect(store.storageQuotaExceeded).toEqual({ workspace: true, autosave: false })
+
+    setItem.mockRestore()
+    store.saveWorkspace()
+    expect(store.storageQuotaExceeded.workspace).toBe(false)
+    vi.restoreAllMocks()
+  })
+})
+
+describe('Faction Store undo/redo', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+  })
+
+  it('should undo and redo text edits', async () => {
+    const store = useFactionStore()
+
+    store.summary = 'A secret society'
+    await nextTick()
+    expect(store.canUndo).toBe(true)
+
+    store.undo()
+    expect(store.summary).toBe('')
+    expect(store.canRedo).toBe(true)
+
+    store.redo()
+    expect(store.summary).toBe('A secret society')
+  })
+
+  it('should record pending edits before undoing', () => {
+    const store = useFactionStore()
+
+    store.notes = 'Unrecorded'
+    store.undo()
+
+    expect(store.notes).toBe('')
+  })
+
+  it('should coalesce continuous typing into one step', async () => {
+    const store = useFactionStore()
+
+    store.summary = 'A'
+    await nextTick()
+    store.summary = 'AB'
+    await nextTick()
+    store.summary = 'ABC'
+    await nextTick()
+
+    store.undo()
+    expect(store.summary).toBe('')
+    expect(store.canUndo).toBe(false)
+  })
+
+  it('should undo pyramid edits without sharing state with the history', async () => {
+    const store = useFactionStore()
+    store.pyramid = { 'node-1': { name: 'Boss', manager: '', color: '#3b82f6' } }
+    await nextTick()
+
+    store.pyramid['node-1'].color = '#ef4444'
+    await nextTick()
+
+    store.undo()
+    expect(store.pyramid['node-1'].color).toBe('#3b82f6')
+
+    store.undo()
+    expect(store.pyramid).toEqual({})
+  })
+
+  it('should group changes into a single step', async () => {
+    const store = useFactionStore()
+    store.pyramid = { a: { name: 'A', x: 0 } }
+    await nextTick()
+
+    store.beginHistoryGroup('Move nodes')
+    store.pyramid = { a: { name: 'A', x: 20 } }
+    await nextTick()
+    store.pyramid = { a: { name: 'A', x: 40 } }
+    store.endHistoryGroup()
+
+    store.undo()
+    expect(store.pyramid.a.x).toBe(0)
+  })
+
+  it('should make loading a faction undoable', async () => {
+    const store = useFactionStore()
+    store.factionName = 'Before'
+    await nextTick()
+
+    store.loadFaction({ version: 4, factionName: 'Loaded', summary: 'Loaded summary' })
+    store.undo()
+
+    expect(store.factionName).toBe('Before')
+    expect(store.summary).toBe('')
+  })
+
+  it('should clear the history when switching factions', async () => {
+    const store = useFactionStore()
+    store.summary = 'Edited'
+    await nextTick()
+
+    store.createFaction('Other')
+    await nextTick()
+
+    expect(store.canUndo).toBe(false)
+    store.undo()
+    expect(store.factionName).toBe('Other')
+  })
+})
+
+describe('Faction Store restoring versions', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+  })
+
+  const olderVersion = {
+    factionName: 'Old Guild',
+    summary: 'Old summary',
+    customSections: [
+      { id: 's1', name: 'Rumors', prompt: '', content: 'Old rumors' },
+      { id: 's2', name: 'Assets', prompt: '', content: 'Gold' }
+    ],
+    pyramid: {
+      boss: { name: 'Boss', manager: '', color: '#000000' },
+      spy: { name: 'Spy', manager: 'boss', color: '#3b82f6' },
+      thug: { name: 'Thug', manager: 'spy', color: '#3b82f6' }
+    }
+  }
+
+  it('should restore a text field', () => {
+    const store = useFactionStore()
+    store.summary = 'New summary'
+
+    expect(store.restoreField('summary', olderVersion)).toBe(true)
+    expect(store.summary).toBe('Old summary')
+    expect(store.restoreField('unknown', olderVersion)).toBe(false)
+  })
+
+  it('should restore changed and removed custom sections', () => {
+    const store = useFactionStore()
+    store.customSections = [
+      { id: 's1', name: 'Gossip', prompt: '', content: 'New rumors' },
+      { id: 's3', name: 'Enemies', prompt: '', content: 'The watch' }
+    ]
+
+    store.restoreField('customSection:s1', olderVersion)
+    store.restoreField('customSection:s2', olderVersion)
+    store.restoreField('customSection:s3', olderVersion)
+
+    expect(store.customSections).toEqual(olderVersion.customSections)
+  })
+
+  it('should restore a removed node', () => {
+    const store = useFactionStore()
+    store.pyramid = { boss: { name: 'Boss', manager: '', color: '#000000' } }
+
+    expect(store.restoreNode('spy', olderVersion)).toBe(true)
+    expect(store.pyramid.spy).toEqual(olderVersion.pyramid.spy)
+    expect(store.restoreNode('ghost', olderVersion)).toBe(false)
+  })
+
+  it('should move a restored node to the top when its manager is gone', () => {
+    const store = useFactionStore()
+    store.pyramid = { boss: { name: 'Boss', manager: '', color: '#000000' } }
+
+    store.restoreNode('thug', olderVersion)
+
+    expect(store.pyramid.thug.manager).toBe('')
+  })
+
+  it('should not create a cycle when restoring a manager', () => {
+    const store = useFactionStore()
+    store.pyramid = {
+      boss: { name: 'Boss', manager: '', color: '#000000' },
+      thug: { name: 'Thug', manager: 'boss', color: '#3b82f6' },
+      spy: { name: 'Spy', manager: 'thug', color: '#3b82f6' }
+    }
+
+    store.restoreNode('thug', olderVersion)
+
+    expect(store.pyramid.thug.manager).toBe('')
+  })
+})
+
+describe('Faction Store merging', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+  })
+
+  it('should merge another faction as a single undoable change', async () => {
+    const store = useFactionStore()
+    store.clearHistory()
+    store.summary = 'Ours'
+    store.pyramid = { 'node-1': { name: 'Boss', manager: '' } }
+    await nextTick()
+
+    const report = store.mergeFaction(
+      { summary: 'Theirs', pyramid: { 'node-1': { name: 'Cell Leader', manager: '' } } },
+      { parentId: 'node-1', sectionModes: { summary: 'append' } }
+    )
+    await nextTick()
+
+    expect(report.remappedIds).toEqual([{ from: 'node-1', to: 'node-2' }])
+    expect(store.pyramid['node-2']).toMatchObject({ name: 'Cell Leader', manager: 'node-1' })
+    expect(store.summary).toBe('Ours\n\nTheirs')
+
+    store.undo()
+    expect(store.pyramid['node-2']).toBeUndefined()
+    expect(store.summary).toBe('Ours')
+  })
+})
+
+describe('Faction Store pyramid import', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+  })
+
+  it('should replace the pyramid and unlink what pointed at removed nodes', async () => {
+    const store = useFactionStore()
+    store.pyramid = { 'node-1': { name: 'Boss', manager: '' }, 'node-2': { name: 'Thug', manager: 'node-1' } }
+    store.addRelationship('node-1', 'node-2', 'rival')
+    store.addClock('Revenge', 4, 'node-2')
+    store.addTimelineEvent({ title: 'Hired', nodeIds: ['node-1', 'node-2'] })
+    store.clearHistory()
+
+    store.importPyramid({ 'node-1': { name: 'Guildmaster', manager: '' } })
+    await nextTick()
+
+    expect(store.pyramid['node-1'].name).toBe('Guildmaster')
+    expect(store.relationships).toEqual([])
+    expect(store.clocks[0].nodeId).toBe('')
+    expect(store.timeline[0].nodeIds).toEqual(['node-1'])
+
+    store.undo()
+    expect(store.pyramid['node-2'].name).toBe('Thug')
+    expect(store.relationships).toHaveLength(1)
+  })
+
+  it('should count what an import would drop or unlink', () => {
+    const store = useFactionStore()
+    store.pyramid = { 'node-1': { name: 'Boss', manager: '' }, 'node-2': { name: 'Thug', manager: 'node-1' } }
+    store.addRelationship('node-1', 'node-2', 'rival')
+    store.addClock('Revenge', 4, 'node-2')
+    store.addClock('Plan', 4, 'node-1')
+    store.addTimelineEvent({ title: 'Hired', nodeIds: ['node-2'] })
+    store.setNodeRevealed('node-2', true)
+
+    expect(store.getPyramidImportLosses({ 'node-1': { name: 'Boss', manager: '' } })).toEqual({ relationships: 1, clocks: 1, events: 1, reveals: 1 })
+    expect(store.getPyramidImportLosses(store.pyramid)).toEqual({ relationships: 0, clocks: 0, events: 0, reveals: 0 })
+  })
+})
+
+describe('Faction Store autosave', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should autosave the working copy after changes stop', async () => {
+    const store = useFactionStore()
+    store.markSaved()
+
+    store.factionName = 'Edited'
+    await nextTick()
+
+    expect(store.saveStatus).toBe('unsaved')
+    expect(localStorage.getItem(getAutosaveStorageKey('default'))).toBeNull()
+
+    vi.advanceTimersByTime(AUTOSAVE_DELAY)
+
+    expect(store.saveStatus).toBe('autosaved')
+    expect(store.lastAutosaveAt).not.toBeNull()
+    expect(JSON.parse(localStorage.getItem(getAutosaveStorageKey('default'))).data.factionName).toBe('Edited')
+  })
+
+  it('should not touch the saved versions', async () => {
+    const store = useFactionStore()
+    store.markSaved()
+
+    store.summary = 'Autosaved only'
+    await nextTick()
+    vi.advanceTimersByTime(AUTOSAVE_DELAY)
+
+    expect(localStorage.getItem(getVersionsStorageKey('default'))).toBeNull()
+  })
+
+  it('should be saved again when the changes are reverted', async () => {
+    const store = useFactionStore()
+    store.markSaved()
+
+    store.factionName = 'Edited'
+    await nextTick()
+    vi.advanceTimersByTime(AUTOSAVE_DELAY)
+    store.factionName = 'New Faction'
+    await nextTick()
+
+    expect(store.saveStatus).toBe('saved')
+    expect(localStorage.getItem(getAutosaveStorageKey('default'))).toBeNull()
+  })
+
+  it('should stay autosaved when the changes return to the autosaved copy', async () => {
+    const store = useFactionStore()
+    store.markSaved()
+    store.factionName = 'Edited'
+    await nextTick()
+    vi.advanceTimersByTime(AUTOSAVE_DELAY)
+    const summary = store.summary
+
+    store.summary = 'Draft'
+    await nextTick()
+    expect(store.saveStatus).toBe('unsaved')
+    store.summary = summary
+    await nextTick()
+
+    expect(store.saveStatus).toBe('autosaved')
+  })
+
+  it('should clear the recovery slot when saved', async () => {
+    const store = useFactionStore()
+    store.markSaved()
+    store.factionName = 'Edited'
+    await nextTick()
+    vi.advanceTimersByTime(AUTOSAVE_DELAY)
+
+    store.markSaved()
+
+    expect(store.saveStatus).toBe('saved')
+    expect(localStorage.getItem(getAutosaveStorageKey('default'))).toBeNull()
+  })
+
+  it('should keep the working copy when nothing was saved yet', () => {
+    const store = useFactionStore()
+
+    store.markSaved(null)
+
+    expect(store.saveStatus).toBe('autosaved')
+    expect(localStorage.getItem(getAutosaveStorageKey('default'))).not.toBeNull()
+  })
+
+  it('should write a pending autosave when flushed', async () => {
+    const store = useFactionStore()
+    store.markSaved()
+    store.factionName = 'Closing'
+    await nextTick()
+
+    expect(store.flushAutosave()).toBe(true)
+    expect(JSON.parse(localStorage.getItem(getAutosaveStorageKey('default'))).data.factionName).toBe('Closing')
+  })
+
+  it('should offer to recover the autosave of the last session', () => {
+    localStorage.setItem(getAutosaveStorageKey('default'), JSON.stringify({
+      savedAt: '2024-01-01T00:00:00.000Z',
+      data: { factionName: 'Crashed', summary: 'Unsaved work' }
+    }))
+    const store = useFactionStore()
+
+    const entry = store.findRecoverableAutosave()
+    expect(entry.data.factionName).toBe('Crashed')
+
+    store.recoverAutosave()
+
+    expect(store.factionName).toBe('Crashed')
+    expect(store.summary).toBe('Unsaved work')
+    expect(store.findRecoverableAutosave()).toBeNull()
+  })
+
+  it('should not offer an autosave that matches the working copy', () => {
+    const store = useFactionStore()
+    localStorage.setItem(getAutosaveStorageKey('default'), JSON.stringify({
+      savedAt: '2024-01-01T00:00:00.000Z',
+      data: store.exportFaction()
+    }))
+    setActivePinia(createPinia())
+
+    expect(useFactionStore().findRecoverableAutosave()).toBeNull()
+  })
+
+  it('should offer to recover the autosave of a faction when switching to it', () => {
+    const store = useFactionStore()
+    const id = store.createFaction('Second')
+    store.switchFaction('default')
+    localStorage.setItem(getAutosaveStorageKey(id), JSON.stringify({
+      savedAt: '2024-01-01T00:00:00.000Z',
+      data: { factionName: 'Second', summary: 'Unsaved work' }
+    }))
+
+    store.switchFaction(id)
+
+    expect(store.findRecoverableAutosave().data.summary).toBe('Unsaved work')
+    store.recoverAutosave()
+    expect(store.summary).toBe('Unsaved work')
+
+    store.switchFaction('default')
+    expect(store.findRecoverableAutosave()).toBeNull()
+  })
+
+  it('should discard the autosave', () => {
+    localStorage.setItem(getAutosaveStorageKey('default'), JSON.stringify({
+      savedAt: '2024-01-01T00:00:00.000Z',
+      data: { factionName: 'Crashed' }
+    }))
+    const store = useFactionStore()
+
+    store.discardAutosave()
+
+    expect(store.findRecoverableAutosave()).toBeNull()
+    expect(localStorage.getItem(getAutosaveStorageKey('default'))).toBeNull()
+  })
+
+  it('should report a full storage instead of autosaving', async () => {
+    const store = useFactionStore()
+    store.markSaved()
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const setItem = vi.spyOn(localStorage, 'setItem').mockImplementation(() => {
+      throw Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' })
+    })
+
+    store.factionName = 'Edited'
+    await nextTick()
+    vi.advanceTimersByTime(AUTOSAVE_DELAY)
+
+    expect(store.saveStatus).toBe('unsaved')
+    expect(store.storageQuotaExceeded.autosave).toBe(true)
+
+    setItem.mockRestore()
+    store.summary = 'Space was freed'
+    await nextTick()
+    vi.advanceTimersByTime(AUTOSAVE_DELAY)
+
+    expect(store.saveStatus).toBe('autosaved')
+    expect(store.storageQuotaExceeded.autosave).toBe(false)
+    vi.restoreAllMocks()
+  })
+
+  it('should remove autosaves with the workspace', async () => {
+    const store = useFactionStore()
+    store.markSaved(null)
+    const id = store.createFaction('Second')
+    store.markSaved(null)
+
+    store.resetWorkspace()
+
+    expect(localStorage.getItem(getAutosaveStorageKey('default'))).toBeNull()
+    expect(localStorage.getItem(getAutosaveStorageKey(id))).toBeNull()
+  })
+})
+
+// Passes messages between stores like a BroadcastChannel, delivered when the test says so
+function createSyncBus() {
+  const channels = []
+  const queue = []
+  return {
+    connect(tabId) {
+      const channel = {
+        tabId,
+        onmessage: null,
+        post(message) {
+          const copy = JSON.parse(JSON.stringify({ ...message, tabId }))
+          channels
+            .filter(other => other !== channel)
+            .forEach(other => queue.push(() => other.onmessage && other.onmessage(copy)))
+        },
+        close() {}
+      }
+      channels.push(channel)
+      return channel
+    },
+    deliver() {
+      while (queue.length > 0) queue.shift()()
+    }
+  }
+}
+
+describe('Faction Store sync between tabs', () => {
+  let bus
+
+  // Two stores stand in for two tabs sharing the same localStorage
+  function openTabs() {
+    setActivePinia(createPinia())
+    const a = useFactionStore()
+    setActivePinia(createPinia())
+    const b = useFactionStore()
+
+    a.startSync(bus.connect('tab_a'))
+    b.startSync(bus.connect('tab_b'))
+    bus.deliver()
+    return { a, b }
+  }
+
+  beforeEach(() => {
+    global.localStorage = localStorageMock
+    localStorageMock.clear()
+    vi.useFakeTimers()
+    bus = createSyncBus()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should send edits to the other tab once typing stops', async () => {
+    const { a, b } = openTabs()
+
+    a.summary = 'Pickpockets'
+    await nextTick()
+    bus.deliver()
+    expect(b.summary).toBe('')
+
+    vi.advanceTimersByTime(SYNC_DELAY)
+    bus.deliver()
+
+    expect(b.summary).toBe('Pickpockets')
+  })
+
+  it('should send color preset changes to the other tab', () => {
+    const { a, b } = openTabs()
+
+    const presets = ['#000000', '#111111', '#222222', '#333333', '#444444', '#555555']
+    a.updateColorPresets(presets)
+    a.flushSync()
+    bus.deliver()
+
+    expect(b.colorPresets).toEqual(presets)
+  })
+
+  it('should merge edits of different sections and nodes', () => {
+    const { a, b } = openTabs()
+    a.pyramid = { 'node-1': { name: 'Guildmaster', manager: '' } }
+    a.flushSync()
+    bus.deliver()
+
+    a.summary = 'Pickpockets'
+    a.pyramid['node-1'].name = 'Usurper'
+    b.methods = 'Burglary'
+    b.pyramid['node-2'] = { name: 'Fence', manager: 'node-1' }
+    a.flushSync()
+    b.flushSync()
+    bus.deliver()
+
+    expect(a.exportFaction()).toEqual(b.exportFaction())
+    expect(b.summary).toBe('Pickpockets')
+    expect(a.methods).toBe('Burglary')
+    expect(Object.keys(a.pyramid).sort()).toEqual(['node-1', 'node-2'])
+    expect(b.pyramid['node-1'].name).toBe('Usurper')
+    expect(a.activeSyncConflicts).toEqual([])
+  })
+
+  it('should not undo edits made in the other tab', async () => {
+    const { a, b } = openTabs()
+
+    a.summary = 'Pickpockets'
+    a.flushSync()
+    bus.deliver()
+    await nextTick()
+
+    expect(b.summary).toBe('Pickpockets')
+    expect(b.canUndo).toBe(false)
+  })
+
+  it('should flag concurrent edits of the same section in both tabs', () => {
+    const { a, b } = openTabs()
+
+    a.summary = 'Pickpockets'
+    b.summary = 'Burglars'
+    a.flushSync()
+    b.flushSync()
+    bus.deliver()
+
+    expect(a.summary).toBe('Pickpockets')
+    expect(b.summary).toBe('Burglars')
+    expect(a.activeSyncConflicts).toMatchObject([{ key: 'summary', label: 'Summary', ours: 'Pickpockets', theirs: 'Burglars' }])
+    expect(b.activeSyncConflicts).toMatchObject([{ key: 'summary', ours: 'Burglars', theirs: 'Pickpockets' }])
+  })
+
+  it('should compare pending edits before applying the other tab\'s', () => {
+    const { a, b } = openTabs()
+
+    a.summary = 'Pickpockets'
+    b.summary = 'Burglars'
+    b.flushSync()
+    bus.deliver()
+
+    expect(a.summary).toBe('Pickpockets')
+    expect(a.activeSyncConflicts).toHaveLength(1)
+  })
+
+  it('should settle a conflict in both tabs with their value', () => {
+    const { a, b } = openTabs()
+    a.summary = 'Pickpockets'
+    b.summary = 'Burglars'
+    a.flushSync()
+    b.flushSync()
+    bus.deliver()
+
+    a.resolveSyncConflict('summary', 'theirs')
+    bus.deliver()
+
+    expect(a.summary).toBe('Burglars')
+    expect(b.summary).toBe('Burglars')
+    expect(a.activeSyncConflicts).toEqual([])
+    expect(b.activeSyncConflicts).toEqual([])
+  })
+
+  it('should settle a conflict in both tabs with our value', () => {
+    const { a, b } = openTabs()
+    a.pyramid = { 'node-1': { name: 'Guildmaster', manager: '' } }
+    a.flushSync()
+    bus.deliver()
+
+    a.pyramid['node-1'].name = 'Usurper'
+    b.pyramid['node-1'].name = 'Pretender'
+    a.flushSync()
+    b.flushSync()
+    bus.deliver()
+    expect(a.activeSyncConflicts).toMatchObject([{ key: 'node:node-1', label: 'Node "Usurper"' }])
+
+    a.resolveSyncConflict('node:node-1', 'mine')
+    bus.deliver()
+
+    expect(b.pyramid['node-1'].name).toBe('Usurper')
+    expect(a.activeSyncConflicts).toEqual([])
+    expect(b.activeSyncConflicts).toEqual([])
+
+    // Later edits build on the settled revision
+    b.pyramid['node-1'].name = 'Guildmaster'
+    b.flushSync()
+    bus.deliver()
+    expect(a.pyramid['node-1'].name).toBe('Guildmaster')
+    expect(a.activeSyncConflicts).toEqual([])
+  })
+
+  it('should add and remove factions created and deleted in the other tab', () => {
+    const { a, b } = openTabs()
+
+    const id = a.createFaction('Doomsday Cult')
+    bus.deliver()
+
+    expect(b.factionList.map(f => f.name)).toEqual(['New Faction', 'Doomsday Cult'])
+    expect(b.activeFactionId).toBe('default')
+
+    a.deleteFaction(id)
+    bus.deliver()
+
+    expect(b.factions.map(f => f.id)).toEqual(['default'])
+  })
+
+  it('should sync edits of a faction that is not open in the other tab', () => {
+    const { a, b } = openTabs()
+    const id = a.createFaction('Doomsday Cult')
+    bus.deliver()
+
+    a.summary = 'The end is nigh'
+    a.flushSync()
+    bus.deliver()
+    b.switchFaction(id)
+
+    expect(b.factionName).toBe('Doomsday Cult')
+    expect(b.summary).toBe('The end is nigh')
+  })
+
+  it('should bring a new tab up to date with an open one', () => {
+    setActivePinia(createPinia())
+    const a = useFactionStore()
+    a.startSync(bus.connect('tab_a'))
+    a.summary = 'Not saved to the workspace yet'
+    a.flushSync()
+    bus.deliver()
+
+    setActivePinia(createPinia())
+    const b = useFactionStore()
+    b.startSync(bus.connect('tab_b'))
+    bus.deliver()
+
+    expect(b.summary).toBe('Not saved to the workspace yet')
+    expect(b.activeSyncConflicts).toEqual([])
+  })
 })